@@ -1,6 +1,9 @@
+import httpStatus from "http-status";
 import AppError from "../errors/AppError.js";
 import AppSetting from "../model/appSeeting.model.js";
 import sendResponse from "../utils/sendResponse.js";
+import { parseCancellationPolicy } from "../utils/cancellationPolicy.js";
+import { getRuleScope, parseCommissionRule } from "../utils/commission.js";
 
 //toggle referral system
 export const toggleReferralSystem = async (req, res) => {
@@ -45,3 +48,186 @@ export const getAppSetting = async (req, res) => {
     data: settings,
   });
 };
+
+//update appointment reminder offsets (minutes before start)
+export const updateReminderOffsets = async (req, res) => {
+  const { reminderOffsetsMinutes } = req.body;
+
+  const offsets = Array.isArray(reminderOffsetsMinutes)
+    ? [...new Set(reminderOffsetsMinutes.map(Number))]
+    : [];
+
+  if (
+    offsets.length === 0 ||
+    offsets.length > 5 ||
+    offsets.some((m) => !Number.isInteger(m) || m < 5 || m > 7 * 24 * 60)
+  ) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "reminderOffsetsMinutes must be 1-5 whole minute values between 5 and 10080",
+    );
+  }
+
+  const settings = await AppSetting.findOneAndUpdate(
+    {},
+    { reminderOffsetsMinutes: offsets.sort((a, b) => b - a) },
+    { new: true, upsert: true },
+  ).select("reminderOffsetsMinutes _id");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Reminder settings updated successfully",
+    data: settings,
+  });
+};
+
+//update late-cancellation window and automatic no-show restrictions
+export const updateNoShowPolicy = async (req, res) => {
+  const { lateCancellationWindowHours, noShowPolicy = {} } = req.body;
+
+  const update = {};
+
+  if (lateCancellationWindowHours !== undefined) {
+    const hours = Number(lateCancellationWindowHours);
+    if (!Number.isFinite(hours) || hours < 0 || hours > 7 * 24) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        "lateCancellationWindowHours must be between 0 and 168",
+      );
+    }
+    update.lateCancellationWindowHours = hours;
+  }
+
+  if (noShowPolicy.enabled !== undefined) {
+    update["noShowPolicy.enabled"] = Boolean(noShowPolicy.enabled);
+  }
+  if (noShowPolicy.countLateCancellations !== undefined) {
+    update["noShowPolicy.countLateCancellations"] = Boolean(
+      noShowPolicy.countLateCancellations,
+    );
+  }
+
+  for (const field of ["maxNoShows", "periodDays", "restrictionDays"]) {
+    if (noShowPolicy[field] === undefined) continue;
+    const value = Number(noShowPolicy[field]);
+    if (!Number.isInteger(value) || value < 1 || value > 365) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        `noShowPolicy.${field} must be a whole number between 1 and 365`,
+      );
+    }
+    update[`noShowPolicy.${field}`] = value;
+  }
+
+  if (Object.keys(update).length === 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, "No fields to update");
+  }
+
+  const settings = await AppSetting.findOneAndUpdate(
+    {},
+    { $set: update },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  ).select("lateCancellationWindowHours noShowPolicy _id");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "No-show policy updated successfully",
+    data: settings,
+  });
+};
+
+//update global cancellation fee policy (doctors can override it)
+export const updateCancellationPolicy = async (req, res) => {
+  const policy = parseCancellationPolicy(req.body);
+
+  const settings = await AppSetting.findOneAndUpdate(
+    {},
+    { cancellationPolicy: policy },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  ).select("cancellationPolicy _id");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Cancellation policy updated successfully",
+    data: settings,
+  });
+};
+
+//list commission rules (newest first)
+export const getCommissionRules = async (req, res) => {
+  const settings = await AppSetting.findOne()
+    .select("commissionRules _id")
+    .populate("commissionRules.doctor", "fullName specialty")
+    .populate("commissionRules.category", "speciality_name");
+
+  const rules = [...(settings?.commissionRules || [])]
+    .sort((a, b) => b.effectiveFrom - a.effectiveFrom)
+    .map((rule) => ({ ...rule.toObject(), scope: getRuleScope(rule) }));
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Commission rules fetched successfully",
+    data: rules,
+  });
+};
+
+//add a commission rule
+export const createCommissionRule = async (req, res) => {
+  const rule = await parseCommissionRule(req.body);
+  rule.createdBy = req.user._id;
+
+  const settings = await AppSetting.findOneAndUpdate(
+    {},
+    { $push: { commissionRules: rule } },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  ).select("commissionRules _id");
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Commission rule created successfully",
+    data: settings.commissionRules[settings.commissionRules.length - 1],
+  });
+};
+
+//update a commission rule; appointments already completed keep their snapshot
+export const updateCommissionRule = async (req, res) => {
+  const settings = await AppSetting.findOne().select("commissionRules _id");
+  const rule = settings?.commissionRules.id(req.params.ruleId);
+  if (!rule) {
+    throw new AppError(httpStatus.NOT_FOUND, "Commission rule not found");
+  }
+
+  rule.set(await parseCommissionRule(req.body, rule));
+  await settings.save();
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Commission rule updated successfully",
+    data: rule,
+  });
+};
+
+//delete a commission rule
+export const deleteCommissionRule = async (req, res) => {
+  const settings = await AppSetting.findOne().select("commissionRules _id");
+  const rule = settings?.commissionRules.id(req.params.ruleId);
+  if (!rule) {
+    throw new AppError(httpStatus.NOT_FOUND, "Commission rule not found");
+  }
+
+  rule.deleteOne();
+  await settings.save();
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Commission rule deleted successfully",
+    data: null,
+  });
+};
@@ -10,12 +10,83 @@ import {
 } from "../utils/commonMethod.js";
 import { User } from "../model/user.model.js";
 import { Appointment } from "../model/appointment.model.js";
+import { AppointmentSeries } from "../model/appointmentSeries.model.js";
+import { FollowUp } from "../model/followUp.model.js";
 
 import { createNotification } from "../utils/notify.js";
+import {
+  findSubSlot,
+  getDoctorSubSlots,
+  timeToMinutes,
+} from "../utils/appointmentSlots.js";
+import {
+  addCalendarDays,
+  formatAppointmentTime,
+  formatCalendarDate,
+  getCalendarWeekday,
+  nowMinutesInZone,
+  resolveTimeZone,
+  toCalendarDate,
+  todayInZone,
+  zonedTimeToUtc,
+} from "../utils/timezone.js";
+import {
+  cancelAppointmentReminders,
+  syncAppointmentReminders,
+} from "../utils/appointmentReminders.js";
+import {
+  claimOffer,
+  findActiveOffer,
+  offerFreedSlot,
+} from "../utils/waitlist.js";
+import {
+  acquireSlot,
+  buildSlotKey,
+  confirmSlot,
+  findActiveHold,
+  releaseAppointmentSlots,
+  releaseSlot,
+  SLOT_HOLD_MINUTES,
+} from "../utils/slotReservation.js";
+import {
+  applyNoShowPolicy,
+  assertCanBook,
+  getAppointmentStart,
+  getPatientReliability,
+  isLateCancellation,
+} from "../utils/patientReliability.js";
+import {
+  computeCancellationOutcome,
+  findCancellationReason,
+  getVerifiedAmountPaid,
+  resolveCancellationPolicy,
+} from "../utils/cancellationPolicy.js";
+import {
+  findClinicForDate,
+  getClinicSnapshotForDate,
+} from "../utils/clinic.js";
+import { parseBookingIntake, saveIntakeResponse } from "../utils/intake.js";
+import {
+  appointmentAuditEntries,
+  appointmentDependentId,
+  recordAudit,
+} from "../utils/audit.js";
+import { assertGuardianCanBook } from "../utils/guardianship.js";
+import {
+  buildFollowUpFee,
+  getAppointmentFee,
+  loadBookableFollowUp,
+} from "../utils/followUp.js";
+import { paymentInfo } from "../model/payment.model.js";
+import { refundCancelledAppointment } from "../utils/refunds.js";
+import { buildCommissionSnapshot } from "../utils/commission.js";
+import { postAppointmentLedger } from "../utils/ledger.js";
 import { io } from "../server.js";
 
 const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/; // HH:MM
 
+const ACTIVE_STATUSES = ["pending", "accepted"];
+
 const normalizeAppointmentType = (t) => {
   const v = String(t || "")
     .toLowerCase()
@@ -25,10 +96,133 @@ const normalizeAppointmentType = (t) => {
   return null;
 };
 
-const parseDate = (d) => {
-  if (!d) return null;
-  const dt = new Date(d); // expect "yyyy-mm-dd"
-  return Number.isNaN(dt.getTime()) ? null : dt;
+// "yyyy-mm-dd" -> calendar date in the doctor's timezone
+const parseDate = (d, timezone) => toCalendarDate(d, resolveTimeZone(timezone));
+
+const getDayBounds = (dateObj) => {
+  const startOfDay = new Date(dateObj);
+  startOfDay.setUTCHours(0, 0, 0, 0);
+  const endOfDay = addCalendarDays(startOfDay, 1);
+  return { startOfDay, endOfDay };
+};
+
+// Bookable sub-slots generated from the doctor's weeklySchedule for a date
+const getSubSlotsForDate = (doctor, dateObj) => {
+  const dayName = getCalendarWeekday(dateObj);
+  const daySchedule = (doctor.weeklySchedule || []).find(
+    (d) => d.day === dayName && d.isActive,
+  );
+  const exceptions = (doctor.scheduleExceptions || []).filter(
+    (e) => new Date(e.date).getTime() === dateObj.getTime(),
+  );
+  return {
+    dayName,
+    subSlots: getDoctorSubSlots(doctor, daySchedule, exceptions),
+  };
+};
+
+// Resolve the sub-slot starting at `time`, or throw if the doctor doesn't offer it
+const resolveBookableSlot = (doctor, dateObj, time) => {
+  const { subSlots } = getSubSlotsForDate(doctor, dateObj);
+  const slot = findSubSlot(subSlots, time);
+  if (!slot || slot.start !== time) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Selected time is not an available slot in the doctor's schedule",
+    );
+  }
+
+  const tz = resolveTimeZone(doctor.timezone);
+  if (zonedTimeToUtc(dateObj, time, tz).getTime() <= Date.now()) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Selected time slot is already in the past",
+    );
+  }
+  return slot;
+};
+
+// Any pending/accepted appointment whose time falls inside the sub-slot
+const findSlotConflict = ({ doctorId, dateObj, slot, excludeId }) => {
+  const { startOfDay, endOfDay } = getDayBounds(dateObj);
+  const filter = {
+    doctor: doctorId,
+    appointmentDate: { $gte: startOfDay, $lt: endOfDay },
+    time: { $gte: slot.start, $lt: slot.end },
+    status: { $in: ACTIVE_STATUSES },
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Appointment.findOne(filter);
+};
+
+// Legacy bookings (no reservation row) and waitlist holds on the slot.
+// Returns the caller's own waitlist offer for the slot, if any.
+const assertSlotAvailable = async ({ doctorId, patientId, dateObj, slot }) => {
+  const conflict = await findSlotConflict({ doctorId, dateObj, slot });
+  if (conflict) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      "This time slot is already booked for this doctor",
+    );
+  }
+
+  const heldOffer = await findActiveOffer({
+    doctorId,
+    date: dateObj,
+    time: slot.start,
+  });
+  if (heldOffer && String(heldOffer.patient) !== String(patientId)) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      "This time slot is being held for a waitlisted patient",
+    );
+  }
+
+  return heldOffer;
+};
+
+const parseCancellationNote = (note) => {
+  const noteText = String(note || "").trim();
+  if (noteText.length > 500) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "note must be at most 500 characters",
+    );
+  }
+  return noteText;
+};
+
+// Snapshot who cancelled, why, and the fee/refund outcome under the policy
+// in effect. appointment.doctor must be populated (fees, cancellationPolicy).
+const recordCancellation = async (appointment, { user, reason, note }) => {
+  const policy = await resolveCancellationPolicy(appointment.doctor);
+  const outcome = computeCancellationOutcome({
+    appointment,
+    doctor: appointment.doctor,
+    role: user.role,
+    policy,
+    amountPaid: await getVerifiedAmountPaid(appointment, appointment.doctor),
+  });
+
+  appointment.cancellation = {
+    cancelledBy: user._id,
+    cancelledByRole: user.role,
+    reasonCode: reason.code,
+    reasonLabel: reason.label,
+    note,
+    ...outcome,
+  };
+  appointment.cancelledAt = new Date();
+
+  // Patients cancelling inside the configured window get a late-cancel mark
+  appointment.lateCancellation =
+    user.role === "patient" && (await isLateCancellation(appointment));
+};
+
+// Persist a notification and mirror it on the receiver's socket room
+const notifyAppointmentParty = async (payload) => {
+  await createNotification(payload);
+  io.to(String(payload.userId)).emit(payload.type, payload);
 };
 
 const parseJSONMaybe = (value) => {
@@ -40,6 +234,100 @@ const parseJSONMaybe = (value) => {
   }
 };
 
+// Occurrences of older series share one screenshot; the asset is only
+// removed once no other appointment uses it
+const deletePaymentScreenshot = async (appointment) => {
+  const publicId = appointment.paymentScreenshot?.public_id;
+  if (!publicId) return;
+  const shared = await Appointment.exists({
+    _id: { $ne: appointment._id },
+    "paymentScreenshot.public_id": publicId,
+  });
+  if (!shared) await deleteFromCloudinary(publicId).catch(() => { });
+};
+
+/**
+ * bookedFor body value -> Appointment.bookedFor, validated against the
+ * patient's own dependents and the consent rules for adult dependents
+ */
+const buildBookedForPayload = async (bookedFor, patient) => {
+  const bookedForInput = parseJSONMaybe(bookedFor) || {};
+  const typeRaw = String(bookedForInput?.type || "")
+    .trim()
+    .toLowerCase();
+
+  let bookingScope = "self";
+
+  if (!typeRaw) {
+    bookingScope = "self";
+  } else if (["self", "me", "myself"].includes(typeRaw)) {
+    bookingScope = "self";
+  } else if (["dependent", "dependant", "child"].includes(typeRaw)) {
+    bookingScope = "dependent";
+  } else {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "bookedFor.type must be 'self' or 'dependent'",
+    );
+  }
+
+  const patientNameSnapshot = String(patient.fullName || "").trim();
+  if (bookingScope === "self") {
+    return { type: "self", nameSnapshot: patientNameSnapshot };
+  }
+
+  const dependentId =
+    bookedForInput?.dependentId || bookedForInput?._id || bookedForInput?.id;
+
+  if (!dependentId || !mongoose.Types.ObjectId.isValid(dependentId)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "A valid dependentId is required when booking for a dependent",
+    );
+  }
+
+  const dependent =
+    (patient.dependents || []).find(
+      (dep) => String(dep._id) === String(dependentId),
+    ) || null;
+
+  if (!dependent) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Dependent not found for the current user",
+    );
+  }
+
+  if (dependent.isActive === false) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Dependent is inactive and cannot be used for booking",
+    );
+  }
+
+  await assertGuardianCanBook(patient, dependent);
+
+  return {
+    type: "dependent",
+    dependentId: dependent._id,
+    nameSnapshot: String(dependent.fullName || "").trim(),
+  };
+};
+
+// A video visit whose payment screenshot was rejected can't be accepted
+// or completed until the patient uploads a new one that is not rejected
+const assertPaymentProofNotRejected = (appointment) => {
+  if (
+    appointment.appointmentType === "video" &&
+    appointment.paymentReview?.status === "rejected"
+  ) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      "The payment proof for this appointment was rejected. Waiting for the patient to upload a new one.",
+    );
+  }
+};
+
 // controller/appointment.controller.js - createAppointment function
 // Replace the bookedFor section with this:
 
@@ -54,26 +342,73 @@ export const confirmAppointment = catchAsync(async (req, res) => {
     );
   }
 
+  // Only pending -> accepted goes through here; cancelling and completing
+  // need the reason, refund and earnings handling of PATCH /:id/status
+  if (status !== "accepted") {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Only 'accepted' can be set here; use PATCH /appointment/:id/status for other changes",
+    );
+  }
+
   // Find the appointment
-  const appointment = await Appointment.findById(appointmentId);
+  const appointment = mongoose.Types.ObjectId.isValid(appointmentId)
+    ? await Appointment.findById(appointmentId)
+    : null;
   if (!appointment) {
     throw new AppError(httpStatus.NOT_FOUND, "Appointment not found");
   }
 
-  // Update appointment status
-  const updatedAppointment = await Appointment.findByIdAndUpdate(
-    appointmentId,
+  const userId = String(req.user._id);
+  const isParty =
+    req.user.role === "admin" ||
+    String(appointment.doctor) === userId ||
+    String(appointment.patient) === userId;
+  if (!isParty) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "You don't have permission to update this appointment",
+    );
+  }
+  if (req.user.role === "patient") {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "Only the doctor can confirm an appointment",
+    );
+  }
+
+  if (appointment.status !== "pending") {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `Cannot confirm an appointment that is ${appointment.status}`,
+    );
+  }
+  assertPaymentProofNotRejected(appointment);
+
+  // Update appointment status (only if still pending)
+  const updatedAppointment = await Appointment.findOneAndUpdate(
+    { _id: appointment._id, status: "pending" },
     { status },
     { new: true },
   );
 
   if (!updatedAppointment) {
     throw new AppError(
-      httpStatus.INTERNAL_ERROR,
-      "Failed to update appointment status",
+      httpStatus.CONFLICT,
+      "The appointment was changed meanwhile, please reload it",
     );
   }
 
+  await syncAppointmentReminders(updatedAppointment);
+  await recordAudit(req, {
+    subject: appointment.patient,
+    subjectDependentId: appointmentDependentId(appointment),
+    resource: "appointment",
+    resourceId: appointment._id,
+    action: "update",
+    meta: { status },
+  });
+
   // Get patient and doctor info for notification
   const patient = await User.findById(appointment.patient);
   const doctor = await User.findById(appointment.doctor);
@@ -85,7 +420,7 @@ export const confirmAppointment = catchAsync(async (req, res) => {
       fromUserId: doctor._id,
       type: "appointment_confirmed",
       title: "Appointment Confirmed! 🎉",
-      content: `Your appointment with Dr. ${doctor?.fullName || "Doctor"} has been confirmed for ${appointment.appointmentDate} at ${appointment.time}.`,
+      content: `Your appointment with Dr. ${doctor?.fullName || "Doctor"} has been confirmed for ${formatAppointmentTime(appointment.appointmentDate, appointment.time, appointment.timezone)}.`,
       appointmentId: appointment._id,
       meta: {
         appointmentType: appointment.appointmentType,
@@ -111,6 +446,60 @@ export const confirmAppointment = catchAsync(async (req, res) => {
   });
 });
 
+// Follow-ups stay inside the window the doctor recommended
+const assertInFollowUpWindow = (followUp, appointmentDate) => {
+  if (
+    appointmentDate < followUp.windowStart ||
+    appointmentDate > followUp.windowEnd
+  ) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `Follow-up must be booked between ${formatCalendarDate(followUp.windowStart)} and ${formatCalendarDate(followUp.windowEnd)}`,
+    );
+  }
+};
+
+const assertFollowUpDate = async (appointment, appointmentDate) => {
+  if (!appointment.followUp) return;
+  const followUp = await FollowUp.findById(appointment.followUp).select(
+    "windowStart windowEnd",
+  );
+  if (followUp) assertInFollowUpWindow(followUp, appointmentDate);
+};
+
+// Captured, not yet used online payment of the patient that covers `fee`
+const loadCapturedPayment = async (paymentId, patientId, doctor, fee) => {
+  const payment = mongoose.Types.ObjectId.isValid(paymentId)
+    ? await paymentInfo.findOne({
+      _id: paymentId,
+      userId: patientId,
+      type: "appointment",
+    })
+    : null;
+  if (!payment || String(payment.doctor) !== String(doctor._id)) {
+    throw new AppError(httpStatus.NOT_FOUND, "Payment not found");
+  }
+  if (payment.appointment) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      "This payment has already been used for an appointment",
+    );
+  }
+  if (payment.paymentStatus !== "complete") {
+    throw new AppError(
+      httpStatus.PAYMENT_REQUIRED,
+      "Payment has not been captured yet",
+    );
+  }
+  if (payment.price < fee.amount || payment.currency !== fee.currency) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `Payment does not cover the fee of ${fee.amount} ${fee.currency}`,
+    );
+  }
+  return payment;
+};
+
 export const createAppointment = catchAsync(async (req, res) => {
   const {
     doctorId,
@@ -119,6 +508,10 @@ export const createAppointment = catchAsync(async (req, res) => {
     time, // "10:30"
     symptoms,
     bookedFor,
+    reservationId, // optional hold from POST /appointment/reserve
+    intakeResponses, // optional [{ formId, answers }]
+    followUpId, // optional: book a doctor's follow-up recommendation
+    paymentId, // optional: captured online payment (video)
   } = req.body;
 
   const patientId = req.user?._id;
@@ -133,68 +526,26 @@ export const createAppointment = catchAsync(async (req, res) => {
   if (!patient) {
     throw new AppError(httpStatus.NOT_FOUND, "Patient not found");
   }
+  assertCanBook(patient);
 
-  const bookedForInput = parseJSONMaybe(bookedFor) || {};
-  const typeRaw = String(bookedForInput?.type || "")
-    .trim()
-    .toLowerCase();
-
-  let bookingScope = "self";
-
-  if (!typeRaw) {
-    bookingScope = "self";
-  } else if (["self", "me", "myself"].includes(typeRaw)) {
-    bookingScope = "self";
-  } else if (["dependent", "dependant", "child"].includes(typeRaw)) {
-    bookingScope = "dependent";
-  } else {
-    throw new AppError(
-      httpStatus.BAD_REQUEST,
-      "bookedFor.type must be 'self' or 'dependent'",
-    );
-  }
-
-  const patientNameSnapshot = String(patient.fullName || "").trim();
-  let bookedForPayload =
-    bookingScope === "self"
-      ? { type: "self", nameSnapshot: patientNameSnapshot }
-      : null;
-
-  if (bookingScope === "dependent") {
-    const dependentId =
-      bookedForInput?.dependentId || bookedForInput?._id || bookedForInput?.id;
-
-    if (!dependentId || !mongoose.Types.ObjectId.isValid(dependentId)) {
-      throw new AppError(
-        httpStatus.BAD_REQUEST,
-        "A valid dependentId is required when booking for a dependent",
-      );
-    }
-
-    const dependent =
-      (patient.dependents || []).find(
-        (dep) => String(dep._id) === String(dependentId),
-      ) || null;
+  // 1b) follow-up bookings are for the same person as the original visit
+  const followUp = followUpId
+    ? await loadBookableFollowUp(followUpId, patientId, doctor)
+    : null;
 
-    if (!dependent) {
-      throw new AppError(
-        httpStatus.BAD_REQUEST,
-        "Dependent not found for the current user",
-      );
-    }
+  const bookedForPayload = followUp
+    ? followUp.bookedFor
+    : await buildBookedForPayload(bookedFor, patient);
 
-    if (dependent.isActive === false) {
+  if (followUp && bookedForPayload?.type === "dependent") {
+    const dependent = patient.dependents.id(bookedForPayload.dependentId);
+    if (!dependent || dependent.isActive === false) {
       throw new AppError(
         httpStatus.BAD_REQUEST,
-        "Dependent is inactive and cannot be used for booking",
+        "Dependent is no longer available for booking",
       );
     }
-
-    bookedForPayload = {
-      type: "dependent",
-      dependentId: dependent._id,
-      nameSnapshot: String(dependent.fullName || "").trim(),
-    };
+    await assertGuardianCanBook(patient, dependent);
   }
 
   // 2) validate type
@@ -206,12 +557,16 @@ export const createAppointment = catchAsync(async (req, res) => {
     );
   }
 
-  // 3) validate date
-  const appointmentDate = parseDate(date);
+  // 3) validate date (resolved in the doctor's timezone)
+  const timezone = resolveTimeZone(doctor.timezone);
+  const appointmentDate = parseDate(date, timezone);
   if (!appointmentDate) {
     throw new AppError(httpStatus.BAD_REQUEST, "Invalid date format");
   }
 
+  if (followUp) assertInFollowUpWindow(followUp, appointmentDate);
+  const feeOverride = followUp ? buildFollowUpFee(followUp, doctor) : null;
+
   // 4) validate time
   if (!timeRegex.test(time || "")) {
     throw new AppError(
@@ -220,62 +575,183 @@ export const createAppointment = catchAsync(async (req, res) => {
     );
   }
 
-  // 5) upload files
+  // 4b) time must be one of the generated sub-slots
+  const slot = resolveBookableSlot(doctor, appointmentDate, time);
+
   const medicalDocsFiles = req.files?.medicalDocuments || [];
   const paymentFiles = req.files?.paymentScreenshot || [];
 
-  const medicalDocuments = [];
-  for (const file of medicalDocsFiles) {
-    const up = await uploadOnCloudinary(file.buffer, {
-      folder: "docmobi/appointments/medicalDocs",
-      resource_type: "image",
-    });
-    medicalDocuments.push({ public_id: up.public_id, url: up.secure_url });
-  }
-
-  let paymentScreenshot = undefined;
-  if (paymentFiles[0]) {
-    const up = await uploadOnCloudinary(paymentFiles[0].buffer, {
-      folder: "docmobi/appointments/payment",
-      resource_type: "image",
-    });
-    paymentScreenshot = { public_id: up.public_id, url: up.secure_url };
-  }
-
-  if (type === "video" && !paymentScreenshot) {
+  // Video visits are paid up front: a captured online payment (paymentId)
+  // or a payment screenshot for manual review
+  const isFree = feeOverride?.amount === 0;
+  const payment =
+    type === "video" && !isFree && paymentId
+      ? await loadCapturedPayment(
+        paymentId,
+        patientId,
+        doctor,
+        getAppointmentFee({ feeOverride }, doctor),
+      )
+      : null;
+  if (type === "video" && !isFree && !payment && !paymentFiles[0]) {
     throw new AppError(
       httpStatus.BAD_REQUEST,
-      "Payment screenshot is required for video appointments",
+      "Payment is required for video appointments: pay online or upload a payment screenshot",
     );
   }
 
-  // 6) conflict check: same doctor, date & time
-  const conflict = await Appointment.findOne({
-    doctor: doctorId,
-    appointmentDate,
-    time,
-    status: { $in: ["pending", "accepted"] },
+  // 4c) intake answers are validated against the form versions up front
+  const intake = await parseBookingIntake(intakeResponses, doctor);
+
+  // 5) conflict check before uploading anything
+  const heldOffer = await assertSlotAvailable({
+    doctorId,
+    patientId,
+    dateObj: appointmentDate,
+    slot,
   });
 
-  if (conflict) {
-    throw new AppError(
-      httpStatus.CONFLICT,
-      "This time slot is already booked for this doctor",
-    );
+  // 6) reserve the slot – the unique slot key makes concurrent bookings
+  //    for the same doctor/date/time fail with 409. A patient who reserved
+  //    first (POST /appointment/reserve) passes their reservationId.
+  let reservation = null;
+  let ownsHold = false;
+
+  if (reservationId) {
+    reservation = await findActiveHold({ reservationId, patientId });
+    if (
+      !reservation ||
+      reservation.slotKey !== buildSlotKey(doctorId, appointmentDate, time)
+    ) {
+      throw new AppError(
+        httpStatus.CONFLICT,
+        "Your slot reservation has expired or does not match this slot",
+      );
+    }
+  } else {
+    reservation = await acquireSlot({
+      doctorId,
+      patientId,
+      date: appointmentDate,
+      time,
+    });
+    ownsHold = true;
   }
 
-  // 7) create appointment with proper bookedFor
-  const appointment = await Appointment.create({
-    doctor: doctorId,
-    patient: patientId,
-    bookedFor: bookedForPayload, // ✅ Now includes relationship
-    appointmentType: type,
-    appointmentDate,
-    time,
-    symptoms,
-    medicalDocuments,
-    paymentScreenshot,
-  });
+  let appointment;
+  try {
+    // 7) upload files
+    const medicalDocuments = [];
+    for (const file of medicalDocsFiles) {
+      const up = await uploadOnCloudinary(file.buffer, {
+        folder: "docmobi/appointments/medicalDocs",
+        resource_type: "image",
+      });
+      medicalDocuments.push({ public_id: up.public_id, url: up.secure_url });
+    }
+
+    let paymentScreenshot = undefined;
+    if (paymentFiles[0] && !payment) {
+      const up = await uploadOnCloudinary(paymentFiles[0].buffer, {
+        folder: "docmobi/appointments/payment",
+        resource_type: "image",
+      });
+      paymentScreenshot = { public_id: up.public_id, url: up.secure_url };
+    }
+
+    const clinic = await getClinicSnapshotForDate(doctor, appointmentDate, type);
+
+    // 8) create appointment with proper bookedFor
+    appointment = await Appointment.create({
+      doctor: doctorId,
+      patient: patientId,
+      bookedFor: bookedForPayload, // ✅ Now includes relationship
+      appointmentType: type,
+      appointmentDate,
+      time,
+      timezone,
+      scheduledAt: zonedTimeToUtc(appointmentDate, time, timezone),
+      clinic,
+      symptoms,
+      medicalDocuments,
+      paymentScreenshot,
+      parentAppointment: followUp?.parentAppointment || null,
+      followUp: followUp?._id || null,
+      feeOverride,
+      payment: payment?._id || null,
+      paymentVerified: Boolean(payment),
+      paymentReview: paymentScreenshot ? { status: "pending" } : null,
+    });
+
+    // a payment pays for exactly one appointment
+    if (payment) {
+      const linked = await paymentInfo.findOneAndUpdate(
+        { _id: payment._id, appointment: null, paymentStatus: "complete" },
+        { $set: { appointment: appointment._id } },
+      );
+      if (!linked) {
+        await Appointment.deleteOne({ _id: appointment._id });
+        throw new AppError(
+          httpStatus.CONFLICT,
+          "This payment has already been used for an appointment",
+        );
+      }
+    }
+
+    // a recommendation books exactly one appointment
+    if (followUp) {
+      const claimed = await FollowUp.findOneAndUpdate(
+        { _id: followUp._id, status: "pending" },
+        {
+          $set: {
+            status: "booked",
+            appointment: appointment._id,
+            bookedAt: new Date(),
+          },
+        },
+      );
+      if (!claimed) {
+        await Appointment.deleteOne({ _id: appointment._id });
+        throw new AppError(
+          httpStatus.CONFLICT,
+          "This follow-up has already been booked",
+        );
+      }
+    }
+
+    await confirmSlot(reservation, appointment._id);
+  } catch (error) {
+    // Only drop a hold this request took; an explicit reservation stays
+    // valid until its TTL so the patient can retry
+    if (ownsHold) await releaseSlot(reservation._id).catch(() => { });
+    // Roll back an appointment created before the failure (e.g. a lapsed hold)
+    if (appointment) {
+      await Appointment.deleteOne({ _id: appointment._id }).catch(() => { });
+      if (followUp) {
+        await FollowUp.updateOne(
+          { _id: followUp._id, appointment: appointment._id, status: "booked" },
+          { $set: { status: "pending", appointment: null, bookedAt: null } },
+        ).catch(() => { });
+      }
+    }
+    // A payment linked to an appointment that was rolled back can be reused
+    if (payment && appointment) {
+      await paymentInfo
+        .updateOne(
+          { _id: payment._id, appointment: appointment._id },
+          { $set: { appointment: null } },
+        )
+        .catch(() => { });
+    }
+    throw error;
+  }
+
+  for (const { form, answers } of intake) {
+    await saveIntakeResponse({ appointment, form, answers });
+  }
+
+  await syncAppointmentReminders(appointment);
+  if (heldOffer) await claimOffer(heldOffer, appointment._id);
 
   // 🔔 Notification – patient booked appointment → notify doctor
   const notificationPayload = {
@@ -283,29 +759,121 @@ export const createAppointment = catchAsync(async (req, res) => {
     fromUserId: patient._id,
     type: "appointment_booked",
     title: "New appointment request",
-    content: `${patient.fullName} requested an appointment on ${date} at ${time}.`,
+    content: `${patient.fullName} requested an appointment on ${formatAppointmentTime(appointmentDate, time, timezone)}.`,
     appointmentId: appointment._id,
     meta: {
       appointmentType: type,
       date,
       time,
+      timezone,
       patientId,
       patientName: patient.fullName,
       bookedFor: bookedForPayload,
+      followUpId: followUp?._id,
+      parentAppointmentId: followUp?.parentAppointment,
+    },
+  };
+
+  await createNotification(notificationPayload);
+  // Emit socket event
+  io.to(doctor._id.toString()).emit("appointment_booked", notificationPayload);
+
+  await recordAudit(req, {
+    subject: patientId,
+    subjectDependentId: appointmentDependentId(appointment),
+    resource: "appointment",
+    resourceId: appointment._id,
+    action: "create",
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Appointment request submitted",
+    data: appointment,
+  });
+});
+/**
+ * Patient: hold a slot for SLOT_HOLD_MINUTES while finishing the booking
+ * POST /appointment/reserve
+ * body: { doctorId, date: "yyyy-mm-dd", time: "HH:MM" }
+ */
+export const reserveSlot = catchAsync(async (req, res) => {
+  const { doctorId, date, time } = req.body;
+  const patientId = req.user._id;
+
+  assertCanBook(await User.findById(patientId).select("bookingRestriction"));
+
+  const doctor = await User.findById(doctorId).select(
+    "role weeklySchedule scheduleExceptions slotDuration bufferTime timezone",
+  );
+  if (!doctor || doctor.role !== "doctor") {
+    throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+  }
+
+  const appointmentDate = parseDate(date, doctor.timezone);
+  if (!appointmentDate) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid date format");
+  }
+
+  if (!timeRegex.test(time || "")) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "time must be HH:MM in 24-hour format (e.g. 10:30)",
+    );
+  }
+
+  const slot = resolveBookableSlot(doctor, appointmentDate, time);
+  await assertSlotAvailable({
+    doctorId,
+    patientId,
+    dateObj: appointmentDate,
+    slot,
+  });
+
+  const reservation = await acquireSlot({
+    doctorId,
+    patientId,
+    date: appointmentDate,
+    time,
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: `Slot reserved for ${SLOT_HOLD_MINUTES} minutes`,
+    data: {
+      reservationId: reservation._id,
+      doctorId,
+      date: formatCalendarDate(appointmentDate),
+      time,
+      expiresAt: reservation.expiresAt,
     },
-  };
+  });
+});
 
-  await createNotification(notificationPayload);
-  // Emit socket event
-  io.to(doctor._id.toString()).emit("appointment_booked", notificationPayload);
+/**
+ * Patient: release an unused slot hold
+ * DELETE /appointment/reserve/:reservationId
+ */
+export const releaseSlotReservation = catchAsync(async (req, res) => {
+  const { reservationId } = req.params;
+
+  const hold = await findActiveHold({ reservationId, patientId: req.user._id });
+  if (!hold) {
+    throw new AppError(httpStatus.NOT_FOUND, "Reservation not found or expired");
+  }
+
+  await releaseSlot(hold._id);
 
   sendResponse(res, {
-    statusCode: httpStatus.CREATED,
+    statusCode: httpStatus.OK,
     success: true,
-    message: "Appointment request submitted",
-    data: appointment,
+    message: "Reservation released",
+    data: null,
   });
 });
+
 export const getAvailableAppointments = catchAsync(async (req, res) => {
   const { doctorId, date } = req.body;
 
@@ -316,33 +884,32 @@ export const getAvailableAppointments = catchAsync(async (req, res) => {
     );
   }
 
-  const doctor = await User.findById(doctorId).select("role weeklySchedule");
+  const doctor = await User.findById(doctorId).select(
+    "role weeklySchedule scheduleExceptions slotDuration bufferTime timezone",
+  );
   if (!doctor || doctor.role !== "doctor") {
     throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
   }
 
-  const dateObj = new Date(date);
-  if (Number.isNaN(dateObj.getTime())) {
+  const timezone = resolveTimeZone(doctor.timezone);
+  const dateObj = parseDate(date, timezone);
+  if (!dateObj) {
     throw new AppError(httpStatus.BAD_REQUEST, "Invalid date format");
   }
 
-  const dayNames = [
-    "sunday",
-    "monday",
-    "tuesday",
-    "wednesday",
-    "thursday",
-    "friday",
-    "saturday",
-  ];
-  const dayName = dayNames[dateObj.getDay()];
+  const { dayName, subSlots: daySlots } = getSubSlotsForDate(doctor, dateObj);
+  let subSlots = daySlots;
 
-  const weeklySchedule = doctor.weeklySchedule || [];
-  const daySchedule = weeklySchedule.find(
-    (d) => d.day === dayName && d.isActive,
-  );
+  // Drop slots that already started (doctor's "today") or past days entirely
+  const today = todayInZone(timezone);
+  if (dateObj < today) {
+    subSlots = [];
+  } else if (dateObj.getTime() === today.getTime()) {
+    const nowMinutes = nowMinutesInZone(timezone);
+    subSlots = subSlots.filter((s) => timeToMinutes(s.start) > nowMinutes);
+  }
 
-  if (!daySchedule || !daySchedule.slots?.length) {
+  if (!subSlots.length) {
     return sendResponse(res, {
       statusCode: httpStatus.OK,
       success: true,
@@ -350,32 +917,32 @@ export const getAvailableAppointments = catchAsync(async (req, res) => {
       data: {
         date,
         day: dayName,
+        timezone,
         slots: [],
       },
     });
   }
 
-  const startOfDay = new Date(dateObj);
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date(startOfDay);
-  endOfDay.setDate(endOfDay.getDate() + 1);
+  const { startOfDay, endOfDay } = getDayBounds(dateObj);
 
   const existingAppointments = await Appointment.find({
     doctor: doctorId,
     appointmentDate: { $gte: startOfDay, $lt: endOfDay },
-    status: { $in: ["pending", "accepted"] },
+    status: { $in: ACTIVE_STATUSES },
   }).select("time");
 
-  const bookedTimesSet = new Set(existingAppointments.map((a) => a.time));
+  const bookedTimes = existingAppointments.map((a) => a.time);
 
-  const allSlots = (daySchedule.slots || []).map((slot) => ({
+  const allSlots = subSlots.map((slot) => ({
     start: slot.start,
     end: slot.end,
-    isBooked: bookedTimesSet.has(slot.start),
+    isBooked: bookedTimes.some((t) => t >= slot.start && t < slot.end),
   }));
 
   const availableSlots = allSlots.filter((s) => !s.isBooked);
 
+  const clinic = await findClinicForDate(doctor, dateObj);
+
   sendResponse(res, {
     statusCode: httpStatus.OK,
     success: true,
@@ -383,6 +950,10 @@ export const getAvailableAppointments = catchAsync(async (req, res) => {
     data: {
       date,
       day: dayName,
+      timezone,
+      slotDuration: doctor.slotDuration,
+      bufferTime: doctor.bufferTime,
+      clinic, // where physical appointments on this day take place
       slots: availableSlots,
     },
   });
@@ -394,7 +965,7 @@ export const getMyAppointments = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const role = req.user.role;
 
-  const { status, doctorId, patientId, page, limit, sortBy, search } =
+  const { status, doctorId, patientId, page, limit, sortBy, search, flagged } =
     req.query;
 
   // 🔹 Sort logic
@@ -422,6 +993,9 @@ export const getMyAppointments = catchAsync(async (req, res) => {
   // 🔹 Status filter
   if (status && status !== "all") matchFilter.status = status;
 
+  // 🔹 Only appointments hit by a schedule exception
+  if (flagged === "true") matchFilter["scheduleConflict.flagged"] = true;
+
   // 🔹 Build aggregation pipeline
   const pipeline = [
     { $match: matchFilter },
@@ -471,6 +1045,57 @@ export const getMyAppointments = catchAsync(async (req, res) => {
   pipeline.push({ $skip: skip });
   pipeline.push({ $limit: pageLimit });
 
+  // 🔹 Follow-up chain: the visit this one follows, visits booked as its
+  //    follow-ups and recommendations not booked yet
+  const chainFields = { appointmentDate: 1, time: 1, status: 1, appointmentType: 1 };
+  pipeline.push(
+    {
+      $lookup: {
+        from: "appointments",
+        localField: "parentAppointment",
+        foreignField: "_id",
+        pipeline: [{ $project: chainFields }],
+        as: "parentAppointment",
+      },
+    },
+    {
+      $addFields: {
+        parentAppointment: { $arrayElemAt: ["$parentAppointment", 0] },
+      },
+    },
+    {
+      $lookup: {
+        from: "appointments",
+        localField: "_id",
+        foreignField: "parentAppointment",
+        pipeline: [{ $project: chainFields }, { $sort: { appointmentDate: 1 } }],
+        as: "followUpAppointments",
+      },
+    },
+    {
+      $lookup: {
+        from: "followups",
+        localField: "_id",
+        foreignField: "parentAppointment",
+        pipeline: [
+          { $match: { status: "pending" } },
+          {
+            $project: {
+              windowStart: 1,
+              windowEnd: 1,
+              appointmentType: 1,
+              feeType: 1,
+              discountPercent: 1,
+              note: 1,
+              status: 1,
+            },
+          },
+        ],
+        as: "followUpRecommendations",
+      },
+    },
+  );
+
   // 🔹 Project fields
   pipeline.push({
     $project: {
@@ -485,6 +1110,23 @@ export const getMyAppointments = catchAsync(async (req, res) => {
       symptoms: 1,
       medicalDocuments: 1,
       paymentScreenshot: 1,
+      paymentVerified: 1,
+      paymentReview: 1,
+      payment: 1,
+      timezone: 1,
+      clinic: 1,
+      series: 1,
+      seriesIndex: 1,
+      parentAppointment: 1,
+      followUp: 1,
+      followUpAppointments: 1,
+      followUpRecommendations: 1,
+      feeOverride: 1,
+      scheduleConflict: 1,
+      lateCancellation: 1,
+      cancellation: 1,
+      cancelledAt: 1,
+      noShowMarkedAt: 1,
       notes: 1,
       reason: 1,
     },
@@ -515,6 +1157,20 @@ export const getMyAppointments = catchAsync(async (req, res) => {
     return appt;
   });
 
+  // 🔹 Attendance history of each patient (doctor/admin only)
+  if (role !== "patient") {
+    const reliability = await getPatientReliability(
+      appointments.map((appt) => appt.patient?._id).filter(Boolean),
+    );
+    appointments = appointments.map((appt) => ({
+      ...appt,
+      patientReliability: reliability[String(appt.patient?._id)] || null,
+    }));
+  }
+
+  // 🔹 Audit: one entry per person whose appointments were listed
+  await recordAudit(req, appointmentAuditEntries(appointments, "read"));
+
   // 🔹 Pagination meta
   const totalPages = Math.ceil(total / pageLimit);
   const from = total === 0 ? 0 : skip + 1;
@@ -589,10 +1245,11 @@ export const updateAppointment = catchAsync(async (req, res) => {
   }
 
   if (date !== undefined) {
-    const appointmentDate = parseDate(date);
+    const appointmentDate = parseDate(date, appointment.timezone);
     if (!appointmentDate) {
       throw new AppError(httpStatus.BAD_REQUEST, "Invalid date format");
     }
+    await assertFollowUpDate(appointment, appointmentDate);
     updates.appointmentDate = appointmentDate;
   }
 
@@ -617,7 +1274,7 @@ export const updateAppointment = catchAsync(async (req, res) => {
         "Only the patient can update bookedFor details",
       );
     }
-    updates.bookedFor = buildBookedForPayload(bookedFor, req.user);
+    updates.bookedFor = await buildBookedForPayload(bookedFor, req.user);
   }
 
   const medicalDocsFiles = req.files?.medicalDocuments || [];
@@ -642,25 +1299,28 @@ export const updateAppointment = catchAsync(async (req, res) => {
   }
 
   if (paymentFiles[0]) {
-    if (appointment.paymentScreenshot?.public_id) {
-      await deleteFromCloudinary(appointment.paymentScreenshot.public_id).catch(
-        () => { },
-      );
-    }
+    await deletePaymentScreenshot(appointment);
 
     const up = await uploadOnCloudinary(paymentFiles[0].buffer, {
       folder: "docmobi/appointments/payment",
       resource_type: "image",
     });
     updates.paymentScreenshot = { public_id: up.public_id, url: up.secure_url };
+    // A new proof goes back into the review queue
+    updates.paymentVerified = false;
+    updates.paymentReview = { status: "pending" };
   }
 
   const finalType = updates.appointmentType || appointment.appointmentType;
   const finalDate = updates.appointmentDate || appointment.appointmentDate;
   const finalTime = updates.time || appointment.time;
 
+  // Free follow-ups are booked without any payment
+  const isFree = appointment.feeOverride?.amount === 0;
   if (
     finalType === "video" &&
+    !isFree &&
+    !appointment.payment &&
     !updates.paymentScreenshot &&
     !appointment.paymentScreenshot?.url
   ) {
@@ -676,61 +1336,529 @@ export const updateAppointment = catchAsync(async (req, res) => {
       new Date(appointment.appointmentDate).getTime()) ||
     (updates.time && updates.time !== appointment.time);
 
+  let newReservation = null;
+
+  const typeChanged =
+    updates.appointmentType &&
+    updates.appointmentType !== appointment.appointmentType;
+
+  if (scheduleChanged || typeChanged) {
+    const doctor = await User.findById(appointment.doctor).select(
+      "weeklySchedule scheduleExceptions slotDuration bufferTime timezone",
+    );
+    if (!doctor) {
+      throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+    }
+
+    // Physical visits take place at the clinic of the (new) weekday
+    updates.clinic = await getClinicSnapshotForDate(
+      doctor,
+      new Date(finalDate),
+      finalType,
+    );
+
+    if (scheduleChanged) {
+      const slot = resolveBookableSlot(doctor, new Date(finalDate), finalTime);
+      const conflict = await findSlotConflict({
+        doctorId: appointment.doctor,
+        dateObj: new Date(finalDate),
+        slot,
+        excludeId: appointment._id,
+      });
+
+      if (conflict) {
+        throw new AppError(
+          httpStatus.CONFLICT,
+          "This time slot is already booked for this doctor",
+        );
+      }
+
+      newReservation = await acquireSlot({
+        doctorId: appointment.doctor,
+        patientId: appointment.patient,
+        date: new Date(finalDate),
+        time: finalTime,
+        status: "booked",
+        appointmentId: appointment._id,
+      });
+
+      updates.timezone = resolveTimeZone(doctor.timezone);
+      updates.scheduledAt = zonedTimeToUtc(finalDate, finalTime, updates.timezone);
+      // Moved out of any blocked range, so drop a stale exception flag
+      updates.scheduleConflict = {
+        flagged: false,
+        exceptionId: null,
+        reason: "",
+        flaggedAt: null,
+      };
+    }
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, "No fields to update");
+  }
+
+  const previousSlot = {
+    date: appointment.appointmentDate,
+    time: appointment.time,
+    appointmentType: appointment.appointmentType,
+  };
+
+  appointment.set(updates);
+  try {
+    await appointment.save();
+  } catch (error) {
+    if (newReservation) await releaseSlot(newReservation._id).catch(() => { });
+    throw error;
+  }
+
   if (scheduleChanged) {
-    const conflict = await Appointment.findOne({
-      doctor: appointment.doctor,
-      appointmentDate: finalDate,
-      time: finalTime,
-      status: { $in: ["pending", "accepted"] },
-      _id: { $ne: appointment._id },
+    await releaseAppointmentSlots(appointment._id, {
+      exceptKey: newReservation.slotKey,
     });
+    await syncAppointmentReminders(appointment);
+    await offerFreedSlot({ doctorId: appointment.doctor, ...previousSlot });
+  }
 
-    if (conflict) {
-      throw new AppError(
-        httpStatus.CONFLICT,
-        "This time slot is already booked for this doctor",
-      );
-    }
+  await appointment.populate([
+    { path: "doctor", select: "fullName role specialty avatar fees" },
+    { path: "patient", select: "fullName role avatar" },
+  ]);
+
+  await recordAudit(req, {
+    subject: appointment.patient._id,
+    subjectDependentId: appointmentDependentId(appointment),
+    resource: "appointment",
+    resourceId: appointment._id,
+    action: "update",
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Appointment updated successfully",
+    data: appointment,
+  });
+});
+
+// Appointment + the caller's side of it, for the reschedule flow
+const loadRescheduleContext = async (id, user) => {
+  const appointment = await Appointment.findById(id);
+  if (!appointment) {
+    throw new AppError(httpStatus.NOT_FOUND, "Appointment not found");
+  }
+
+  const isPatientOwner =
+    user.role === "patient" && String(appointment.patient) === String(user._id);
+  const isDoctorOwner =
+    user.role === "doctor" && String(appointment.doctor) === String(user._id);
+
+  if (!isPatientOwner && !isDoctorOwner) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "Only the patient or doctor of this appointment can reschedule it",
+    );
+  }
+
+  if (!ACTIVE_STATUSES.includes(appointment.status)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Only pending or accepted appointments can be rescheduled",
+    );
+  }
+
+  const actorRole = isPatientOwner ? "patient" : "doctor";
+  const counterpartId =
+    actorRole === "patient" ? appointment.doctor : appointment.patient;
+
+  return { appointment, actorRole, counterpartId };
+};
+
+// Re-validate a proposed date/time against the doctor's schedule and bookings
+const validateRescheduleSlot = async (appointment, date, time) => {
+  const doctor = await User.findById(appointment.doctor).select(
+    "weeklySchedule scheduleExceptions slotDuration bufferTime timezone",
+  );
+  if (!doctor) {
+    throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+  }
+
+  const timezone = resolveTimeZone(doctor.timezone);
+  const proposedDate = parseDate(date, timezone);
+  if (!proposedDate) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid date format");
+  }
+  await assertFollowUpDate(appointment, proposedDate);
+
+  if (!timeRegex.test(time || "")) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "time must be HH:MM in 24-hour format (e.g. 10:30)",
+    );
+  }
+
+  const slot = resolveBookableSlot(doctor, proposedDate, time);
+  const conflict = await findSlotConflict({
+    doctorId: appointment.doctor,
+    dateObj: proposedDate,
+    slot,
+    excludeId: appointment._id,
+  });
+
+  if (conflict) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      "This time slot is already booked for this doctor",
+    );
+  }
+
+  return { proposedDate, timezone, doctor };
+};
+
+const pushRescheduleProposal = (appointment, user, actorRole, proposal) => {
+  appointment.rescheduleRequests.push({
+    proposedBy: user._id,
+    proposedByRole: actorRole,
+    fromDate: appointment.appointmentDate,
+    fromTime: appointment.time,
+    date: proposal.date,
+    time: proposal.time,
+    reason: proposal.reason,
+  });
+  return appointment.rescheduleRequests[
+    appointment.rescheduleRequests.length - 1
+  ];
+};
+
+const parseRescheduleNote = (value, field) => {
+  if (value === undefined || value === null) return undefined;
+  const note = String(value).trim();
+  if (note.length > 500) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `${field} cannot exceed 500 characters`,
+    );
+  }
+  return note || undefined;
+};
+
+/**
+ * Propose a new date/time for an appointment (patient or doctor)
+ * POST /appointment/:id/reschedule
+ * body: { date: "yyyy-mm-dd", time: "HH:MM", reason? }
+ */
+export const proposeReschedule = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { date, time } = req.body;
+  const reason = parseRescheduleNote(req.body.reason, "reason");
+
+  const { appointment, actorRole, counterpartId } =
+    await loadRescheduleContext(id, req.user);
+
+  if (appointment.rescheduleRequests.some((r) => r.status === "pending")) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      "There is already a pending reschedule proposal for this appointment",
+    );
+  }
+
+  const { proposedDate, timezone } = await validateRescheduleSlot(
+    appointment,
+    date,
+    time,
+  );
+
+  if (
+    proposedDate.getTime() === new Date(appointment.appointmentDate).getTime() &&
+    time === appointment.time
+  ) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Proposed time is the same as the current appointment time",
+    );
+  }
+
+  const proposal = pushRescheduleProposal(appointment, req.user, actorRole, {
+    date: proposedDate,
+    time,
+    reason,
+  });
+  await appointment.save();
+  await recordAudit(req, {
+    subject: appointment.patient,
+    subjectDependentId: appointmentDependentId(appointment),
+    resource: "appointment",
+    resourceId: appointment._id,
+    action: "update",
+    meta: { rescheduleRequestId: proposal._id },
+  });
+
+  await notifyAppointmentParty({
+    userId: counterpartId,
+    fromUserId: req.user._id,
+    type: "appointment_reschedule_requested",
+    title: "Reschedule requested",
+    content: `${req.user.fullName} proposed moving your appointment to ${formatAppointmentTime(proposedDate, time, timezone)}.`,
+    appointmentId: appointment._id,
+    meta: {
+      requestId: proposal._id,
+      date: formatCalendarDate(proposedDate),
+      time,
+      timezone,
+      proposedBy: actorRole,
+    },
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Reschedule proposal sent",
+    data: { appointment, proposal },
+  });
+});
+
+/**
+ * Respond to a reschedule proposal
+ * PATCH /appointment/:id/reschedule/:requestId
+ * body: { action: "accept" | "reject" | "counter" | "cancel", note?, date?, time? }
+ *  - accept / reject / counter: the other party only
+ *  - cancel: the proposer withdraws their own proposal
+ */
+export const respondToReschedule = catchAsync(async (req, res) => {
+  const { id, requestId } = req.params;
+  const action = String(req.body.action || "").trim().toLowerCase();
+  const note = parseRescheduleNote(req.body.note, "note");
+
+  if (!["accept", "reject", "counter", "cancel"].includes(action)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "action must be one of: accept, reject, counter, cancel",
+    );
+  }
+
+  const { appointment, actorRole, counterpartId } =
+    await loadRescheduleContext(id, req.user);
+
+  const request = appointment.rescheduleRequests.id(requestId);
+  if (!request) {
+    throw new AppError(httpStatus.NOT_FOUND, "Reschedule proposal not found");
+  }
+
+  if (request.status !== "pending") {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `This proposal is already ${request.status}`,
+    );
+  }
+
+  const isProposer = String(request.proposedBy) === String(req.user._id);
+  if (action === "cancel" && !isProposer) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "Only the proposer can cancel this proposal",
+    );
+  }
+  if (action !== "cancel" && isProposer) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "You cannot respond to your own proposal",
+    );
+  }
+
+  request.respondedBy = req.user._id;
+  request.respondedAt = new Date();
+  request.responseNote = note;
+
+  let notification = null;
+  let counterProposal = null;
+  let freedSlot = null;
+  let newReservation = null;
+
+  if (action === "accept") {
+    const { proposedDate, timezone, doctor } = await validateRescheduleSlot(
+      appointment,
+      formatCalendarDate(request.date),
+      request.time,
+    );
+
+    newReservation = await acquireSlot({
+      doctorId: appointment.doctor,
+      patientId: appointment.patient,
+      date: proposedDate,
+      time: request.time,
+      status: "booked",
+      appointmentId: appointment._id,
+    });
+
+    freedSlot = {
+      date: appointment.appointmentDate,
+      time: appointment.time,
+      appointmentType: appointment.appointmentType,
+    };
+
+    request.status = "accepted";
+    appointment.appointmentDate = proposedDate;
+    appointment.time = request.time;
+    appointment.timezone = timezone;
+    appointment.scheduledAt = zonedTimeToUtc(proposedDate, request.time, timezone);
+    appointment.clinic = await getClinicSnapshotForDate(
+      doctor,
+      proposedDate,
+      appointment.appointmentType,
+    );
+    appointment.scheduleConflict = {
+      flagged: false,
+      exceptionId: null,
+      reason: "",
+      flaggedAt: null,
+    };
+
+    notification = {
+      type: "appointment_rescheduled",
+      title: "Appointment rescheduled",
+      content: `${req.user.fullName} accepted the new time: ${formatAppointmentTime(proposedDate, request.time, timezone)}.`,
+    };
+  } else if (action === "reject") {
+    request.status = "rejected";
+    notification = {
+      type: "appointment_reschedule_rejected",
+      title: "Reschedule declined",
+      content: `${req.user.fullName} declined your reschedule proposal. The appointment stays on ${formatAppointmentTime(appointment.appointmentDate, appointment.time, appointment.timezone)}.`,
+    };
+  } else if (action === "counter") {
+    const { proposedDate, timezone } = await validateRescheduleSlot(
+      appointment,
+      req.body.date,
+      req.body.time,
+    );
+
+    request.status = "countered";
+    counterProposal = pushRescheduleProposal(
+      appointment,
+      req.user,
+      actorRole,
+      { date: proposedDate, time: req.body.time, reason: note },
+    );
+
+    notification = {
+      type: "appointment_reschedule_requested",
+      title: "New time proposed",
+      content: `${req.user.fullName} suggested ${formatAppointmentTime(proposedDate, req.body.time, timezone)} instead.`,
+    };
+  } else {
+    request.status = "cancelled";
+    notification = {
+      type: "appointment_status_change",
+      title: "Reschedule proposal withdrawn",
+      content: `${req.user.fullName} withdrew their reschedule proposal.`,
+    };
+  }
+
+  try {
+    await appointment.save();
+  } catch (error) {
+    if (newReservation) await releaseSlot(newReservation._id).catch(() => { });
+    throw error;
+  }
+
+  if (action === "accept") {
+    await releaseAppointmentSlots(appointment._id, {
+      exceptKey: newReservation.slotKey,
+    });
+    await syncAppointmentReminders(appointment);
+    await offerFreedSlot({ doctorId: appointment.doctor, ...freedSlot });
   }
 
-  if (Object.keys(updates).length === 0) {
-    throw new AppError(httpStatus.BAD_REQUEST, "No fields to update");
-  }
+  await recordAudit(req, {
+    subject: appointment.patient,
+    subjectDependentId: appointmentDependentId(appointment),
+    resource: "appointment",
+    resourceId: appointment._id,
+    action: "update",
+    meta: { rescheduleRequestId: request._id, action },
+  });
+
+  await notifyAppointmentParty({
+    userId: counterpartId,
+    fromUserId: req.user._id,
+    appointmentId: appointment._id,
+    ...notification,
+    meta: {
+      requestId: request._id,
+      counterRequestId: counterProposal?._id,
+      action,
+      respondedBy: actorRole,
+    },
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: `Reschedule proposal ${request.status}`,
+    data: { appointment, proposal: request, counterProposal },
+  });
+});
+
+/**
+ * Reschedule proposal history for an appointment
+ * GET /appointment/:id/reschedule
+ */
+export const getRescheduleHistory = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+  const role = req.user.role;
+
+  const appointment = await Appointment.findById(id)
+    .select("doctor patient rescheduleRequests")
+    .populate("rescheduleRequests.proposedBy", "fullName role avatar")
+    .populate("rescheduleRequests.respondedBy", "fullName role avatar");
 
-  appointment.set(updates);
-  await appointment.save();
+  if (!appointment) {
+    throw new AppError(httpStatus.NOT_FOUND, "Appointment not found");
+  }
 
-  await appointment.populate([
-    { path: "doctor", select: "fullName role specialty avatar fees" },
-    { path: "patient", select: "fullName role avatar" },
-  ]);
+  const isParty =
+    String(appointment.patient) === String(userId) ||
+    String(appointment.doctor) === String(userId);
+  if (!isParty && role !== "admin") {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "You are not allowed to view this appointment",
+    );
+  }
 
   sendResponse(res, {
     statusCode: httpStatus.OK,
     success: true,
-    message: "Appointment updated successfully",
-    data: appointment,
+    message: "Reschedule history fetched",
+    data: appointment.rescheduleRequests,
   });
 });
 
 //  FIXED: updateAppointmentStatus - Now allows patient to cancel
 export const updateAppointmentStatus = catchAsync(async (req, res) => {
   const { id } = req.params;
-  const { status, patient, price } = req.body;
+  const { status, patient, price, reasonCode, note } = req.body;
   const userId = req.user._id;
   const role = req.user.role;
 
-  const allowedStatuses = ["pending", "accepted", "completed", "cancelled"];
+  const allowedStatuses = [
+    "pending",
+    "accepted",
+    "completed",
+    "cancelled",
+    "no_show",
+  ];
 
   if (!status || !allowedStatuses.includes(status)) {
     throw new AppError(
       httpStatus.BAD_REQUEST,
-      "Status must be one of: pending, accepted, completed, cancelled",
+      "Status must be one of: pending, accepted, completed, cancelled, no_show",
     );
   }
 
   const appointment = await Appointment.findById(id)
-    .populate("doctor", "fullName fees role")
+    .populate("doctor", "fullName fees role cancellationPolicy specialty specialties")
     .populate("patient", "fullName role");
 
   if (!appointment) {
@@ -776,9 +1904,10 @@ export const updateAppointmentStatus = catchAsync(async (req, res) => {
   const current = appointment.status;
   const transitions = {
     pending: ["accepted", "cancelled"],
-    accepted: ["completed", "cancelled"],
+    accepted: ["completed", "cancelled", "no_show"],
     completed: [],
     cancelled: [],
+    no_show: [],
   };
 
   if (!transitions[current].includes(status) && current !== status) {
@@ -788,6 +1917,10 @@ export const updateAppointmentStatus = catchAsync(async (req, res) => {
     );
   }
 
+  if (status === "accepted" && current === "pending") {
+    assertPaymentProofNotRejected(appointment);
+  }
+
   // ✅ Validation for "completed" status (only doctor/admin)
   if (status === "completed") {
     if (role === "patient") {
@@ -797,6 +1930,8 @@ export const updateAppointmentStatus = catchAsync(async (req, res) => {
       );
     }
 
+    assertPaymentProofNotRejected(appointment);
+
     if (!patient || !String(patient).trim()) {
       throw new AppError(
         httpStatus.BAD_REQUEST,
@@ -827,7 +1962,7 @@ export const updateAppointmentStatus = catchAsync(async (req, res) => {
       );
     }
 
-    const doctorFee = Number(appointment.doctor?.fees?.amount || 0);
+    const doctorFee = getAppointmentFee(appointment, appointment.doctor).amount;
     if (paidAmount < doctorFee) {
       throw new AppError(
         httpStatus.BAD_REQUEST,
@@ -835,20 +1970,99 @@ export const updateAppointmentStatus = catchAsync(async (req, res) => {
       );
     }
 
-    // ✅ Set commission: 20 for physical, 40 for video
-    appointment.adminEarning = appointment.appointmentType === "video" ? 40 : 20;
+    // ✅ Snapshot the commission rule in effect
+    appointment.commission = await buildCommissionSnapshot(
+      appointment,
+      appointment.doctor,
+    );
+    appointment.adminEarning = appointment.commission.amount;
 
-    appointment.paymentVerified = true;
+    // paymentVerified stays with the payment review / online capture
     appointment.paidAmount = paidAmount;
   }
 
+  // ✅ No-show can only be recorded by the doctor/admin once the slot has passed
+  if (status === "no_show" && current !== "no_show") {
+    if (role === "patient") {
+      throw new AppError(
+        httpStatus.FORBIDDEN,
+        "Only doctors can mark appointments as no-show",
+      );
+    }
+
+    if (getAppointmentStart(appointment) > new Date()) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        "An appointment can only be marked as no-show after its start time",
+      );
+    }
+
+    appointment.noShowMarkedAt = new Date();
+  }
+
+  // ✅ Cancellation needs a reason code; the policy decides fee vs refund
+  if (status === "cancelled" && current !== "cancelled") {
+    const reason = await findCancellationReason(reasonCode, role);
+    await recordCancellation(appointment, {
+      user: req.user,
+      reason,
+      note: parseCancellationNote(note),
+    });
+  }
+
+  // Close any open reschedule proposal once the appointment is finished
+  if (["cancelled", "completed", "no_show"].includes(status)) {
+    for (const r of appointment.rescheduleRequests || []) {
+      if (r.status === "pending") r.status = "cancelled";
+    }
+  }
+
   appointment.status = status;
   await appointment.save();
 
+  await syncAppointmentReminders(appointment);
+
+  if (!ACTIVE_STATUSES.includes(status)) {
+    await releaseAppointmentSlots(appointment._id);
+  }
+
+  // Repeat no-shows (and optionally late cancels) may restrict booking
+  if (
+    status !== current &&
+    (status === "no_show" || appointment.lateCancellation)
+  ) {
+    await applyNoShowPolicy(appointment.patient._id);
+  }
+
+  // A cancelled booking frees its slot for the doctor's waitlist, and a
+  // prepaid visit gets the refund the cancellation policy allows
+  if (status === "cancelled" && ACTIVE_STATUSES.includes(current)) {
+    await offerFreedSlot({
+      doctorId: appointment.doctor._id,
+      date: appointment.appointmentDate,
+      time: appointment.time,
+      appointmentType: appointment.appointmentType,
+    });
+    await refundCancelledAppointment(appointment, req.user);
+  }
+
+  // Completed visits and retained cancellation fees go to the doctor's ledger
+  if (
+    status !== current &&
+    (status === "completed" || status === "cancelled")
+  ) {
+    await postAppointmentLedger(appointment);
+  }
+
   const patientId = appointment.patient._id;
   const doctorId = appointment.doctor._id;
   const doctorName = appointment.doctor.fullName;
   const patientName = appointment.patient.fullName;
+  const whenText = formatAppointmentTime(
+    appointment.appointmentDate,
+    appointment.time,
+    appointment.timezone,
+  );
 
   // ✅ Send notification based on who made the change
   let content = "";
@@ -858,19 +2072,22 @@ export const updateAppointmentStatus = catchAsync(async (req, res) => {
   if (status === "cancelled") {
     if (role === "patient") {
       // Patient cancelled - notify doctor
-      content = `${patientName} has cancelled their appointment.`;
+      content = `${patientName} has cancelled their appointment on ${whenText} (${appointment.cancellation?.reasonLabel}).`;
       notifyUserId = doctorId;
     } else {
       // Doctor/admin cancelled - notify patient
-      content = `Your appointment with ${doctorName} has been cancelled.`;
+      content = `Your appointment with ${doctorName} on ${whenText} has been cancelled (${appointment.cancellation?.reasonLabel}).`;
       notifyUserId = patientId;
     }
   } else if (status === "accepted") {
-    content = `${doctorName} has accepted your appointment request.`;
+    content = `${doctorName} has accepted your appointment request for ${whenText}.`;
     notifyUserId = patientId;
   } else if (status === "completed") {
     content = `Your appointment with ${doctorName} has been completed.`;
     notifyUserId = patientId;
+  } else if (status === "no_show") {
+    content = `You were marked as a no-show for your appointment with ${doctorName} on ${whenText}.`;
+    notifyUserId = patientId;
   }
 
   if (notifyUserId) {
@@ -887,6 +2104,9 @@ export const updateAppointmentStatus = catchAsync(async (req, res) => {
     } else if (status === "completed") {
       notificationType = "appointment_completed";
       notificationTitle = "Appointment Completed";
+    } else if (status === "no_show") {
+      notificationType = "appointment_no_show";
+      notificationTitle = "Missed Appointment";
     }
 
     const notificationPayload = {
@@ -903,6 +2123,8 @@ export const updateAppointmentStatus = catchAsync(async (req, res) => {
         doctorName,
         patientName,
         updatedBy: role,
+        lateCancellation: appointment.lateCancellation,
+        cancellation: appointment.cancellation,
       },
       sendPush: true, // Enable FCM push notification
     };
@@ -912,6 +2134,15 @@ export const updateAppointmentStatus = catchAsync(async (req, res) => {
     io.to(notifyUserId.toString()).emit(notificationType, notificationPayload);
   }
 
+  await recordAudit(req, {
+    subject: appointment.patient?._id,
+    subjectDependentId: appointmentDependentId(appointment),
+    resource: "appointment",
+    resourceId: appointment._id,
+    action: "update",
+    meta: { status },
+  });
+
   let sessionInfo = null;
 
   if (status === "completed") {
@@ -965,19 +2196,32 @@ export const deleteAppointment = catchAsync(async (req, res) => {
     );
   }
 
+  // Active visits go through the cancel flow (reason, fee policy, refund)
+  if (ACTIVE_STATUSES.includes(appointment.status)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Pending or accepted appointments cannot be deleted; cancel them with PATCH /appointment/:id/status",
+    );
+  }
+
   for (const doc of appointment.medicalDocuments || []) {
     if (doc?.public_id) {
       await deleteFromCloudinary(doc.public_id).catch(() => { });
     }
   }
 
-  if (appointment.paymentScreenshot?.public_id) {
-    await deleteFromCloudinary(appointment.paymentScreenshot.public_id).catch(
-      () => { },
-    );
-  }
+  await deletePaymentScreenshot(appointment);
 
   await appointment.deleteOne();
+  await cancelAppointmentReminders(appointment._id);
+  await recordAudit(req, {
+    subject: appointment.patient,
+    subjectDependentId: appointmentDependentId(appointment),
+    resource: "appointment",
+    resourceId: appointment._id,
+    action: "delete",
+  });
+  await releaseAppointmentSlots(appointment._id);
 
   sendResponse(res, {
     statusCode: httpStatus.OK,
@@ -987,24 +2231,467 @@ export const deleteAppointment = catchAsync(async (req, res) => {
   });
 });
 
-const getDateRangeForView = (view) => {
-  const now = new Date();
-  now.setMilliseconds(0);
-  const end = now;
+const MAX_SERIES_OCCURRENCES = 26;
+
+const loadSeriesForUser = async (seriesId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid series id");
+  }
+
+  const series = await AppointmentSeries.findById(seriesId);
+  if (!series) {
+    throw new AppError(httpStatus.NOT_FOUND, "Appointment series not found");
+  }
+
+  const isOwner =
+    String(series.patient) === String(user._id) ||
+    String(series.doctor) === String(user._id);
+  if (!isOwner && user.role !== "admin") {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "You don't have access to this appointment series",
+    );
+  }
+
+  return series;
+};
+
+/**
+ * Patient: book a recurring series (e.g. every Tuesday 10:00 for 8 weeks)
+ * POST /appointment/series
+ * form-data/body: doctorId, appointmentType, startDate, time, occurrences,
+ *   intervalWeeks?, symptoms?, bookedFor?, files: paymentScreenshot (video)
+ * Every occurrence is checked up front; nothing is booked unless all fit.
+ */
+export const createAppointmentSeries = catchAsync(async (req, res) => {
+  const {
+    doctorId,
+    appointmentType,
+    startDate,
+    time,
+    occurrences,
+    intervalWeeks = 1,
+    symptoms,
+    bookedFor,
+    paymentIds, // video: one captured online payment per occurrence
+  } = req.body;
+
+  const patientId = req.user._id;
+
+  const doctor = await User.findById(doctorId);
+  if (!doctor || doctor.role !== "doctor") {
+    throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+  }
+
+  const patient = await User.findById(patientId);
+  if (!patient) {
+    throw new AppError(httpStatus.NOT_FOUND, "Patient not found");
+  }
+  assertCanBook(patient);
+
+  const bookedForPayload = await buildBookedForPayload(bookedFor, patient);
+
+  const type = normalizeAppointmentType(appointmentType);
+  if (!type) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "appointmentType must be physical or video",
+    );
+  }
+
+  const timezone = resolveTimeZone(doctor.timezone);
+  const firstDate = parseDate(startDate, timezone);
+  if (!firstDate) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid startDate format");
+  }
+
+  if (!timeRegex.test(time || "")) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "time must be HH:MM in 24-hour format (e.g. 10:30)",
+    );
+  }
+
+  const count = Number(occurrences);
+  if (!Number.isInteger(count) || count < 2 || count > MAX_SERIES_OCCURRENCES) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `occurrences must be a whole number between 2 and ${MAX_SERIES_OCCURRENCES}`,
+    );
+  }
+
+  const interval = Number(intervalWeeks);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 4) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "intervalWeeks must be a whole number between 1 and 4",
+    );
+  }
+
+  // Video visits are paid per occurrence, in date order: captured online
+  // payments (paymentIds) or one payment screenshot each
+  const paymentFiles = req.files?.paymentScreenshot || [];
+  const paymentIdList = [].concat(parseJSONMaybe(paymentIds) || []).map(String);
+  const payments = [];
+  if (type === "video" && paymentIdList.length) {
+    if (paymentIdList.length !== count || new Set(paymentIdList).size !== count) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        `paymentIds must list ${count} different payments, one per occurrence`,
+      );
+    }
+    const fee = getAppointmentFee({}, doctor);
+    for (const id of paymentIdList) {
+      payments.push(await loadCapturedPayment(id, patientId, doctor, fee));
+    }
+  } else if (type === "video" && paymentFiles.length !== count) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `Payment is required for each video appointment: pay online (paymentIds) or upload ${count} payment screenshots`,
+    );
+  }
+
+  const dates = Array.from({ length: count }, (_, i) =>
+    addCalendarDays(firstDate, i * 7 * interval),
+  );
+
+  // 1) every occurrence must be a free sub-slot of the doctor's schedule
+  const unavailable = [];
+  const heldOffers = [];
+  for (const dateObj of dates) {
+    try {
+      const slot = resolveBookableSlot(doctor, dateObj, time);
+      const offer = await assertSlotAvailable({
+        doctorId,
+        patientId,
+        dateObj,
+        slot,
+      });
+      if (offer) heldOffers.push(offer);
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      unavailable.push(`${formatCalendarDate(dateObj)} (${error.message})`);
+    }
+  }
+
+  if (unavailable.length) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      `${unavailable.length} of ${count} occurrences are unavailable: ${unavailable.join("; ")}`,
+    );
+  }
+
+  // 2) hold every slot; any concurrent booking makes the whole series fail
+  const reservations = [];
+  const releaseAll = () =>
+    Promise.all(reservations.map((r) => releaseSlot(r._id).catch(() => { })));
+
+  try {
+    for (const dateObj of dates) {
+      reservations.push(
+        await acquireSlot({ doctorId, patientId, date: dateObj, time }),
+      );
+    }
+  } catch (error) {
+    await releaseAll();
+    throw error;
+  }
+
+  // 3) create the series and its occurrences
+  let series;
+  let appointments = [];
+  const paymentScreenshots = [];
+  try {
+    if (type === "video" && !payments.length) {
+      for (const file of paymentFiles) {
+        const up = await uploadOnCloudinary(file.buffer, {
+          folder: "docmobi/appointments/payment",
+          resource_type: "image",
+        });
+        paymentScreenshots.push({ public_id: up.public_id, url: up.secure_url });
+      }
+    }
+
+    series = await AppointmentSeries.create({
+      doctor: doctorId,
+      patient: patientId,
+      appointmentType: type,
+      startDate: firstDate,
+      time,
+      timezone,
+      intervalWeeks: interval,
+      occurrences: count,
+    });
+
+    const occurrenceDocs = [];
+    for (const [i, dateObj] of dates.entries()) {
+      occurrenceDocs.push({
+        doctor: doctorId,
+        patient: patientId,
+        bookedFor: bookedForPayload,
+        appointmentType: type,
+        appointmentDate: dateObj,
+        time,
+        timezone,
+        scheduledAt: zonedTimeToUtc(dateObj, time, timezone),
+        clinic: await getClinicSnapshotForDate(doctor, dateObj, type),
+        symptoms,
+        paymentScreenshot: paymentScreenshots[i],
+        payment: payments[i]?._id || null,
+        paymentVerified: Boolean(payments[i]),
+        paymentReview: paymentScreenshots[i] ? { status: "pending" } : null,
+        series: series._id,
+        seriesIndex: i + 1,
+      });
+    }
+
+    appointments = await Appointment.insertMany(occurrenceDocs);
+
+    // a payment pays for exactly one appointment
+    for (const [i, payment] of payments.entries()) {
+      const linked = await paymentInfo.findOneAndUpdate(
+        { _id: payment._id, appointment: null, paymentStatus: "complete" },
+        { $set: { appointment: appointments[i]._id } },
+      );
+      if (!linked) {
+        throw new AppError(
+          httpStatus.CONFLICT,
+          "One of the payments has already been used for an appointment",
+        );
+      }
+    }
+
+    await Promise.all(
+      appointments.map((appt, i) => confirmSlot(reservations[i], appt._id)),
+    );
+  } catch (error) {
+    await releaseAll();
+    if (appointments.length) {
+      const ids = appointments.map((a) => a._id);
+      await Appointment.deleteMany({ _id: { $in: ids } });
+      // Payments linked before the failure can be reused
+      await paymentInfo
+        .updateMany({ appointment: { $in: ids } }, { $set: { appointment: null } })
+        .catch(() => { });
+    }
+    for (const screenshot of paymentScreenshots) {
+      await deleteFromCloudinary(screenshot.public_id).catch(() => { });
+    }
+    if (series) await AppointmentSeries.deleteOne({ _id: series._id });
+    throw error;
+  }
+
+  for (const appt of appointments) {
+    await syncAppointmentReminders(appt);
+  }
+
+  await recordAudit(
+    req,
+    appointmentAuditEntries(appointments, "create", { seriesId: series._id }),
+  );
+
+  for (const offer of heldOffers) {
+    const appt = appointments.find(
+      (a) => a.appointmentDate.getTime() === new Date(offer.offer.date).getTime(),
+    );
+    if (appt) await claimOffer(offer, appt._id);
+  }
+
+  await notifyAppointmentParty({
+    userId: doctor._id,
+    fromUserId: patient._id,
+    type: "appointment_booked",
+    title: "New recurring appointment request",
+    content: `${patient.fullName} requested ${count} appointments every ${interval === 1 ? "week" : `${interval} weeks`} starting ${formatAppointmentTime(firstDate, time, timezone)}.`,
+    appointmentId: appointments[0]._id,
+    meta: {
+      seriesId: series._id,
+      appointmentType: type,
+      occurrences: count,
+      intervalWeeks: interval,
+      patientId: patient._id,
+      bookedFor: bookedForPayload,
+    },
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Appointment series created successfully",
+    data: { series, appointments },
+  });
+});
+
+/**
+ * Series details with all occurrences
+ * GET /appointment/series/:seriesId
+ */
+export const getAppointmentSeries = catchAsync(async (req, res) => {
+  const series = await loadSeriesForUser(req.params.seriesId, req.user);
+
+  await series.populate([
+    { path: "doctor", select: "fullName specialty avatar fees" },
+    { path: "patient", select: "fullName avatar" },
+  ]);
+
+  const appointments = await Appointment.find({ series: series._id })
+    .select(
+      "patient bookedFor appointmentDate time timezone scheduledAt status seriesIndex clinic cancellation",
+    )
+    .sort({ seriesIndex: 1 });
+
+  await recordAudit(
+    req,
+    appointmentAuditEntries(appointments, "read", { seriesId: series._id }),
+  );
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Appointment series fetched",
+    data: { series, appointments },
+  });
+});
+
+/**
+ * Cancel the rest of a series (patient, doctor or admin)
+ * PATCH /appointment/series/:seriesId/cancel
+ * body: { reasonCode, note?, fromAppointmentId? }
+ *  - fromAppointmentId: cancel that occurrence and every later one;
+ *    without it, every upcoming occurrence is cancelled
+ * Single occurrences are cancelled through PATCH /appointment/:id/status.
+ */
+export const cancelAppointmentSeries = catchAsync(async (req, res) => {
+  const { reasonCode, note, fromAppointmentId } = req.body;
+  const role = req.user.role;
+
+  const series = await loadSeriesForUser(req.params.seriesId, req.user);
+  const reason = await findCancellationReason(reasonCode, role);
+  const noteText = parseCancellationNote(note);
+
+  let from = new Date();
+  if (fromAppointmentId) {
+    const fromAppointment = mongoose.Types.ObjectId.isValid(fromAppointmentId)
+      ? await Appointment.findOne({ _id: fromAppointmentId, series: series._id })
+      : null;
+    if (!fromAppointment) {
+      throw new AppError(
+        httpStatus.NOT_FOUND,
+        "Occurrence not found in this series",
+      );
+    }
+    from = getAppointmentStart(fromAppointment);
+  }
+
+  const occurrences = await Appointment.find({
+    series: series._id,
+    status: { $in: ACTIVE_STATUSES },
+    scheduledAt: { $gte: from },
+  })
+    .populate("doctor", "fullName fees role cancellationPolicy")
+    .populate("patient", "fullName role")
+    .sort({ seriesIndex: 1 });
+
+  if (!occurrences.length) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "No upcoming occurrences left to cancel",
+    );
+  }
+
+  let anyLate = false;
+  for (const appt of occurrences) {
+    await recordCancellation(appt, { user: req.user, reason, note: noteText });
+    for (const r of appt.rescheduleRequests || []) {
+      if (r.status === "pending") r.status = "cancelled";
+    }
+    appt.status = "cancelled";
+    await appt.save();
+
+    anyLate = anyLate || appt.lateCancellation;
+
+    await syncAppointmentReminders(appt);
+    await releaseAppointmentSlots(appt._id);
+    await offerFreedSlot({
+      doctorId: appt.doctor._id,
+      date: appt.appointmentDate,
+      time: appt.time,
+      appointmentType: appt.appointmentType,
+    });
+    await refundCancelledAppointment(appt, req.user);
+    await postAppointmentLedger(appt);
+  }
+
+  if (anyLate) await applyNoShowPolicy(series.patient);
+
+  await recordAudit(
+    req,
+    appointmentAuditEntries(occurrences, "update", {
+      seriesId: series._id,
+      status: "cancelled",
+    }),
+  );
+
+  const remaining = await Appointment.countDocuments({
+    series: series._id,
+    status: { $in: ACTIVE_STATUSES },
+  });
+  if (remaining === 0) {
+    series.status = "cancelled";
+    series.cancelledAt = new Date();
+    await series.save();
+  }
+
+  const first = occurrences[0];
+  const notifyUserId =
+    role === "patient" ? first.doctor._id : first.patient._id;
+  await notifyAppointmentParty({
+    userId: notifyUserId,
+    fromUserId: req.user._id,
+    type: "appointment_cancelled",
+    title: "Recurring appointments cancelled",
+    content: `${req.user.fullName} cancelled ${occurrences.length} appointment(s) of the series from ${formatAppointmentTime(first.appointmentDate, first.time, first.timezone)} (${reason.label}).`,
+    appointmentId: first._id,
+    meta: {
+      seriesId: series._id,
+      cancelledCount: occurrences.length,
+      reasonCode: reason.code,
+      updatedBy: role,
+    },
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: `${occurrences.length} occurrence(s) cancelled`,
+    data: {
+      series,
+      cancelled: occurrences.map((a) => ({
+        _id: a._id,
+        seriesIndex: a.seriesIndex,
+        appointmentDate: a.appointmentDate,
+        time: a.time,
+        cancellation: a.cancellation,
+      })),
+    },
+  });
+});
+
+// Calendar-date range for the view, anchored on "today" in the given timezone
+const getDateRangeForView = (view, timezone) => {
+  const today = todayInZone(timezone);
+  const end = new Date(addCalendarDays(today, 1).getTime() - 1);
 
   let start;
 
   if (view === "daily") {
-    start = new Date(now);
-    start.setHours(0, 0, 0, 0);
-    end.setHours(23, 59, 59, 999);
+    start = today;
   } else if (view === "weekly") {
-    start = new Date(now);
-    start.setHours(0, 0, 0, 0);
-    end.setHours(23, 59, 59, 999);
-    start.setDate(start.getDate() - 6);
+    start = addCalendarDays(today, -6);
   } else if (view === "monthly") {
-    start = new Date(now.getFullYear(), now.getMonth(), 1);
+    start = new Date(
+      Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1),
+    );
   }
 
   return { start, end };
@@ -1022,10 +2709,17 @@ export const getEarningsOverview = catchAsync(async (req, res) => {
     );
   }
 
-  const { start, end } = getDateRangeForView(view);
+  const { start, end } = getDateRangeForView(
+    view,
+    resolveTimeZone(req.user.timezone),
+  );
 
+  // Completed visits plus cancellations where a policy fee was retained
   const baseMatch = {
-    status: "completed",
+    $or: [
+      { status: "completed" },
+      { status: "cancelled", "cancellation.feeRetained": { $gt: 0 } },
+    ],
   };
 
   if (start && end) {
@@ -1042,17 +2736,25 @@ export const getEarningsOverview = catchAsync(async (req, res) => {
     let totalEarnings = 0;
     let physicalEarnings = 0;
     let videoEarnings = 0;
-    let totalAppointments = appointments.length;
+    let totalAppointments = 0;
     let physicalCount = 0;
     let videoCount = 0;
+    let cancellationFees = 0;
+    let cancellationCount = 0;
 
     const weeklyByWeekday = [0, 0, 0, 0, 0, 0, 0];
 
     for (const appt of appointments) {
-      const fee = Number(appt.doctor?.fees?.amount || 0);
+      const isRetainedFee = appt.status === "cancelled";
+      const fee = isRetainedFee
+        ? Number(appt.cancellation?.feeRetained || 0)
+        : Number(appt.commission?.baseAmount ?? appt.doctor?.fees?.amount ?? 0);
       totalEarnings += fee;
 
-      if (appt.appointmentType === "physical") {
+      if (isRetainedFee) {
+        cancellationFees += fee;
+        cancellationCount++;
+      } else if (appt.appointmentType === "physical") {
         physicalEarnings += fee;
         physicalCount++;
       } else if (appt.appointmentType === "video") {
@@ -1060,9 +2762,11 @@ export const getEarningsOverview = catchAsync(async (req, res) => {
         videoCount++;
       }
 
+      if (!isRetainedFee) totalAppointments++;
+
+      // appointmentDate is already the doctor's local calendar day
       if (view === "weekly" && appt.appointmentDate) {
-        const d = new Date(appt.appointmentDate);
-        const idx = d.getDay();
+        const idx = new Date(appt.appointmentDate).getUTCDay();
         weeklyByWeekday[idx] += fee;
       }
     }
@@ -1084,6 +2788,10 @@ export const getEarningsOverview = catchAsync(async (req, res) => {
           earnings: videoEarnings,
           count: videoCount,
         },
+        cancellationFees: {
+          earnings: cancellationFees,
+          count: cancellationCount,
+        },
         weeklyByWeekday:
           view === "weekly"
             ? {
@@ -1102,11 +2810,12 @@ export const getEarningsOverview = catchAsync(async (req, res) => {
       .populate("doctor", "fullName specialty fees")
       .lean();
 
-    let totalEarning = 0; // Total doctor fees
+    let totalEarning = 0; // Total doctor fees (incl. retained cancellation fees)
     let totalAdminEarning = 0; // Total admin commissions
     let physicalAdminEarning = 0;
     let videoAdminEarning = 0;
-    let totalAppointments = appointments.length;
+    let totalCancellationFees = 0;
+    let totalAppointments = 0;
 
     const perDoctor = new Map();
 
@@ -1114,8 +2823,13 @@ export const getEarningsOverview = catchAsync(async (req, res) => {
       const doc = appt.doctor;
       if (!doc) continue;
 
-      const fee = Number(doc.fees?.amount || 0);
+      const isRetainedFee = appt.status === "cancelled";
+      const fee = isRetainedFee
+        ? Number(appt.cancellation?.feeRetained || 0)
+        : Number(appt.commission?.baseAmount ?? doc.fees?.amount ?? 0);
       totalEarning += fee;
+      if (isRetainedFee) totalCancellationFees += fee;
+      else totalAppointments++;
 
       const commission = Number(appt.adminEarning || 0);
       totalAdminEarning += commission;
@@ -1134,12 +2848,14 @@ export const getEarningsOverview = catchAsync(async (req, res) => {
           specialty: doc.specialty || "",
           appointments: 0,
           earnings: 0,
+          cancellationFees: 0,
           adminCommission: 0,
         });
       }
 
       const entry = perDoctor.get(docId);
-      entry.appointments += 1;
+      if (isRetainedFee) entry.cancellationFees += fee;
+      else entry.appointments += 1;
       entry.earnings += fee;
       entry.adminCommission += commission;
     }
@@ -1157,6 +2873,7 @@ export const getEarningsOverview = catchAsync(async (req, res) => {
         view,
         totalDoctorFees: totalEarning,
         totalAdminEarnings: totalAdminEarning,
+        totalCancellationFees,
         totalAppointments,
         avgPerDoctor,
         physicalAdminEarning,
@@ -0,0 +1,154 @@
+// controller/auditLog.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_RESOURCES,
+  AuditLog,
+} from "../model/auditLog.model.js";
+
+const parsePaging = ({ page, limit }) => {
+  const currentPage = Math.max(Number(page) || 1, 1);
+  const pageLimit = Math.min(Number(limit) || 20, 100);
+  return { currentPage, pageLimit, skip: (currentPage - 1) * pageLimit };
+};
+
+const parseDateParam = (value, field) => {
+  if (!value) return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    throw new AppError(httpStatus.BAD_REQUEST, `${field} must be a valid date`);
+  }
+  return d;
+};
+
+const assertObjectId = (value, field) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `Invalid ${field}`);
+  }
+};
+
+const runQuery = async (filter, paging) => {
+  const [total, logs] = await Promise.all([
+    AuditLog.countDocuments(filter),
+    AuditLog.find(filter)
+      .populate("actor", "fullName role avatar")
+      .sort({ createdAt: -1 })
+      .skip(paging.skip)
+      .limit(paging.pageLimit),
+  ]);
+
+  return {
+    logs,
+    pagination: {
+      total,
+      page: paging.currentPage,
+      limit: paging.pageLimit,
+      totalPages: Math.ceil(total / paging.pageLimit),
+    },
+  };
+};
+
+/**
+ * Admin: search the PHI audit trail
+ * GET /audit-log?actorId=&subjectId=&dependentId=&resource=&resourceId=
+ *               &action=&ip=&from=&to=&page=&limit=
+ */
+export const getAuditLogs = catchAsync(async (req, res) => {
+  const { actorId, subjectId, dependentId, resource, resourceId, action, ip, from, to } =
+    req.query;
+
+  const filter = {};
+  if (actorId) {
+    assertObjectId(actorId, "actorId");
+    filter.actor = actorId;
+  }
+  if (subjectId) {
+    assertObjectId(subjectId, "subjectId");
+    filter.subject = subjectId;
+  }
+  if (dependentId) {
+    assertObjectId(dependentId, "dependentId");
+    filter.subjectDependentId = dependentId;
+  }
+  if (resourceId) {
+    assertObjectId(resourceId, "resourceId");
+    filter.resourceId = resourceId;
+  }
+  if (resource) {
+    if (!AUDIT_RESOURCES.includes(resource)) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        `resource must be one of: ${AUDIT_RESOURCES.join(", ")}`,
+      );
+    }
+    filter.resource = resource;
+  }
+  if (action) {
+    if (!AUDIT_ACTIONS.includes(action)) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        `action must be one of: ${AUDIT_ACTIONS.join(", ")}`,
+      );
+    }
+    filter.action = action;
+  }
+  if (ip) filter.ip = String(ip).trim();
+
+  const fromDate = parseDateParam(from, "from");
+  const toDate = parseDateParam(to, "to");
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+
+  const { logs, pagination } = await runQuery(filter, parsePaging(req.query));
+  await AuditLog.populate(logs, { path: "subject", select: "fullName role" });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Audit logs fetched",
+    data: { logs, pagination },
+  });
+});
+
+/**
+ * Patient: who accessed my records (and my dependents')
+ * GET /audit-log/me?dependentId=&includeOwn=true&page=&limit=
+ * By default only access by other people is listed.
+ */
+export const getMyAccessHistory = catchAsync(async (req, res) => {
+  const { dependentId, includeOwn } = req.query;
+
+  const filter = { subject: req.user._id };
+  if (includeOwn !== "true") filter.actor = { $ne: req.user._id };
+  if (dependentId) {
+    assertObjectId(dependentId, "dependentId");
+    filter.subjectDependentId = dependentId;
+  }
+
+  const { logs, pagination } = await runQuery(filter, parsePaging(req.query));
+
+  const data = logs.map((log) => ({
+    _id: log._id,
+    actor: log.actor,
+    actorRole: log.actorRole,
+    subjectDependentId: log.subjectDependentId,
+    resource: log.resource,
+    resourceId: log.resourceId,
+    action: log.action,
+    createdAt: log.createdAt,
+  }));
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Access history fetched",
+    data: { logs: data, pagination },
+  });
+});
@@ -0,0 +1,121 @@
+// controller/cancellationReason.controller.js
+import httpStatus from "http-status";
+import AppError from "../errors/AppError.js";
+import { CancellationReason } from "../model/cancellationReason.model.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+
+const ROLES = ["patient", "doctor", "admin"];
+
+const parseAppliesTo = (value) => {
+  if (value === undefined) return undefined;
+  const roles = (Array.isArray(value) ? value : [value]).map((r) =>
+    String(r).trim().toLowerCase(),
+  );
+  if (roles.length === 0 || roles.some((r) => !ROLES.includes(r))) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `appliesTo must list roles from: ${ROLES.join(", ")}`,
+    );
+  }
+  return [...new Set(roles)];
+};
+
+/**
+ * GET /cancellation-reason
+ * - patient/doctor: active reasons they may pick
+ * - admin: all reasons (?active=true to filter)
+ */
+export const getCancellationReasons = catchAsync(async (req, res) => {
+  const role = req.user.role;
+
+  const filter = {};
+  if (role !== "admin") {
+    filter.isActive = true;
+    filter.appliesTo = role;
+  } else if (req.query.active === "true") {
+    filter.isActive = true;
+  }
+
+  const reasons = await CancellationReason.find(filter).sort({
+    sortOrder: 1,
+    label: 1,
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Cancellation reasons fetched",
+    data: reasons,
+  });
+});
+
+// POST /cancellation-reason (admin)
+export const createCancellationReason = catchAsync(async (req, res) => {
+  const { code, label, appliesTo, sortOrder } = req.body;
+
+  if (!code || !label) {
+    throw new AppError(httpStatus.BAD_REQUEST, "code and label are required");
+  }
+
+  const exists = await CancellationReason.exists({
+    code: String(code).trim().toLowerCase(),
+  });
+  if (exists) {
+    throw new AppError(httpStatus.CONFLICT, "Reason code already exists");
+  }
+
+  const reason = await CancellationReason.create({
+    code,
+    label,
+    appliesTo: parseAppliesTo(appliesTo),
+    sortOrder: Number(sortOrder) || 0,
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Cancellation reason created",
+    data: reason,
+  });
+});
+
+// PATCH /cancellation-reason/:id (admin) - code is immutable
+export const updateCancellationReason = catchAsync(async (req, res) => {
+  const { label, appliesTo, isActive, sortOrder } = req.body;
+
+  const reason = await CancellationReason.findById(req.params.id);
+  if (!reason) {
+    throw new AppError(httpStatus.NOT_FOUND, "Cancellation reason not found");
+  }
+
+  if (label !== undefined) reason.label = label;
+  if (appliesTo !== undefined) reason.appliesTo = parseAppliesTo(appliesTo);
+  if (isActive !== undefined) reason.isActive = isActive === true || isActive === "true";
+  if (sortOrder !== undefined) reason.sortOrder = Number(sortOrder) || 0;
+
+  await reason.save();
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Cancellation reason updated",
+    data: reason,
+  });
+});
+
+// DELETE /cancellation-reason/:id (admin)
+// Past cancellations keep their code/label snapshot
+export const deleteCancellationReason = catchAsync(async (req, res) => {
+  const reason = await CancellationReason.findByIdAndDelete(req.params.id);
+  if (!reason) {
+    throw new AppError(httpStatus.NOT_FOUND, "Cancellation reason not found");
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Cancellation reason deleted",
+    data: { _id: reason._id },
+  });
+});
@@ -0,0 +1,272 @@
+// controller/clinic.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import { Clinic } from "../model/clinic.model.js";
+import { User } from "../model/user.model.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+
+const trimmed = (v) => (v === undefined || v === null ? undefined : String(v).trim());
+
+// lat/lng -> GeoJSON point, or undefined when not provided
+const parseLocation = (lat, lng) => {
+  if (lat === undefined && lng === undefined) return undefined;
+
+  const latNum = Number(lat);
+  const lngNum = Number(lng);
+  if (
+    !Number.isFinite(latNum) ||
+    !Number.isFinite(lngNum) ||
+    latNum < -90 ||
+    latNum > 90 ||
+    lngNum < -180 ||
+    lngNum > 180
+  ) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "lat must be between -90 and 90 and lng between -180 and 180",
+    );
+  }
+
+  return { type: "Point", coordinates: [lngNum, latNum] };
+};
+
+const parseContact = (contact) => {
+  if (contact === undefined) return undefined;
+  let c = contact || {};
+  if (typeof contact === "string") {
+    try {
+      c = JSON.parse(contact);
+    } catch {
+      throw new AppError(httpStatus.BAD_REQUEST, "contact must be a JSON object");
+    }
+  }
+  return {
+    phone: trimmed(c.phone) || "",
+    email: trimmed(c.email) || "",
+    website: trimmed(c.website) || "",
+  };
+};
+
+const canManageClinic = (clinic, user) =>
+  user.role === "admin" || String(clinic.createdBy) === String(user._id);
+
+const loadClinic = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid clinic id");
+  }
+  const clinic = await Clinic.findById(id);
+  if (!clinic) throw new AppError(httpStatus.NOT_FOUND, "Clinic not found");
+  return clinic;
+};
+
+// Doctors' weeklySchedule days stop pointing at a clinic they left
+const unlinkClinicFromSchedules = (clinicId, doctorIds) =>
+  User.updateMany(
+    { _id: { $in: doctorIds }, "weeklySchedule.clinic": clinicId },
+    { $set: { "weeklySchedule.$[d].clinic": null } },
+    { arrayFilters: [{ "d.clinic": clinicId }] },
+  );
+
+/**
+ * Doctor/Admin: create a clinic
+ * body: { name, address, city?, country?, lat, lng, contact?: { phone, email, website } }
+ * Doctors are linked to the clinic they create.
+ */
+export const createClinic = catchAsync(async (req, res) => {
+  if (!["doctor", "admin"].includes(req.user.role)) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "Only doctors and admins can create clinics",
+    );
+  }
+
+  const { name, address, city, country, lat, lng, contact } = req.body;
+
+  if (!trimmed(name) || !trimmed(address)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "name and address are required");
+  }
+
+  const location = parseLocation(lat, lng);
+  if (!location) {
+    throw new AppError(httpStatus.BAD_REQUEST, "lat and lng are required");
+  }
+
+  const clinic = await Clinic.create({
+    name: trimmed(name),
+    address: trimmed(address),
+    city: trimmed(city) || "",
+    country: trimmed(country) || "",
+    location,
+    contact: parseContact(contact),
+    doctors: req.user.role === "doctor" ? [req.user._id] : [],
+    createdBy: req.user._id,
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Clinic created",
+    data: clinic,
+  });
+});
+
+/**
+ * List active clinics
+ * GET /clinic?doctorId=...
+ */
+export const getClinics = catchAsync(async (req, res) => {
+  const { doctorId } = req.query;
+
+  const filter = { isActive: true };
+  if (doctorId) {
+    if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+      throw new AppError(httpStatus.BAD_REQUEST, "Invalid doctorId");
+    }
+    filter.doctors = doctorId;
+  }
+
+  const clinics = await Clinic.find(filter)
+    .populate("doctors", "fullName specialty avatar")
+    .sort({ name: 1 });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Clinics fetched",
+    data: clinics,
+  });
+});
+
+export const getClinic = catchAsync(async (req, res) => {
+  const clinic = await loadClinic(req.params.id);
+  await clinic.populate("doctors", "fullName specialty avatar");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Clinic fetched",
+    data: clinic,
+  });
+});
+
+/**
+ * Creator/Admin: update clinic details
+ */
+export const updateClinic = catchAsync(async (req, res) => {
+  const clinic = await loadClinic(req.params.id);
+  if (!canManageClinic(clinic, req.user)) {
+    throw new AppError(httpStatus.FORBIDDEN, "You can't edit this clinic");
+  }
+
+  const { name, address, city, country, lat, lng, contact } = req.body;
+
+  if (name !== undefined) {
+    if (!trimmed(name)) throw new AppError(httpStatus.BAD_REQUEST, "name cannot be empty");
+    clinic.name = trimmed(name);
+  }
+  if (address !== undefined) {
+    if (!trimmed(address)) {
+      throw new AppError(httpStatus.BAD_REQUEST, "address cannot be empty");
+    }
+    clinic.address = trimmed(address);
+  }
+  if (city !== undefined) clinic.city = trimmed(city);
+  if (country !== undefined) clinic.country = trimmed(country);
+
+  const location = parseLocation(lat, lng);
+  if (location) clinic.location = location;
+
+  const parsedContact = parseContact(contact);
+  if (parsedContact) clinic.contact = parsedContact;
+
+  await clinic.save();
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Clinic updated",
+    data: clinic,
+  });
+});
+
+/**
+ * Creator/Admin: deactivate a clinic. Booked appointments keep their
+ * clinic snapshot; schedules stop referencing it.
+ */
+export const deleteClinic = catchAsync(async (req, res) => {
+  const clinic = await loadClinic(req.params.id);
+  if (!canManageClinic(clinic, req.user)) {
+    throw new AppError(httpStatus.FORBIDDEN, "You can't delete this clinic");
+  }
+
+  clinic.isActive = false;
+  await clinic.save();
+  await unlinkClinicFromSchedules(clinic._id, clinic.doctors);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Clinic removed",
+    data: { _id: clinic._id },
+  });
+});
+
+/**
+ * Creator/Admin: link a doctor to the clinic
+ * body: { doctorId }
+ */
+export const addClinicDoctor = catchAsync(async (req, res) => {
+  const clinic = await loadClinic(req.params.id);
+  if (!canManageClinic(clinic, req.user)) {
+    throw new AppError(httpStatus.FORBIDDEN, "You can't manage this clinic");
+  }
+
+  const { doctorId } = req.body;
+  const doctor = mongoose.Types.ObjectId.isValid(doctorId)
+    ? await User.findById(doctorId).select("role")
+    : null;
+  if (!doctor || doctor.role !== "doctor") {
+    throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+  }
+
+  await Clinic.updateOne(
+    { _id: clinic._id },
+    { $addToSet: { doctors: doctor._id } },
+  );
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Doctor linked to clinic",
+    data: { clinicId: clinic._id, doctorId: doctor._id },
+  });
+});
+
+/**
+ * Creator/Admin, or the doctor themself: unlink a doctor from the clinic
+ */
+export const removeClinicDoctor = catchAsync(async (req, res) => {
+  const clinic = await loadClinic(req.params.id);
+  const { doctorId } = req.params;
+
+  const isSelf = String(req.user._id) === String(doctorId);
+  if (!isSelf && !canManageClinic(clinic, req.user)) {
+    throw new AppError(httpStatus.FORBIDDEN, "You can't manage this clinic");
+  }
+
+  if (!clinic.doctors.some((d) => String(d) === String(doctorId))) {
+    throw new AppError(httpStatus.NOT_FOUND, "Doctor is not linked to this clinic");
+  }
+
+  await Clinic.updateOne({ _id: clinic._id }, { $pull: { doctors: doctorId } });
+  await unlinkClinicFromSchedules(clinic._id, [doctorId]);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Doctor unlinked from clinic",
+    data: { clinicId: clinic._id, doctorId },
+  });
+});
@@ -0,0 +1,220 @@
+// controller/consultation.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import { Appointment } from "../model/appointment.model.js";
+import { ConsultationNote } from "../model/consultationNote.model.js";
+import { createNotification } from "../utils/notify.js";
+import { assertCanReadClinicalRecord } from "../utils/clinicalAccess.js";
+import { buildConsultationPdf } from "../utils/consultationPdf.js";
+import { appointmentDependentId, recordAudit } from "../utils/audit.js";
+import { io } from "../server.js";
+
+const MAX_PRESCRIPTION_ITEMS = 30;
+const NOTE_FIELDS = ["complaint", "findings", "diagnosis", "plan"];
+
+const loadAppointment = async (id) => {
+  const appointment = mongoose.Types.ObjectId.isValid(id)
+    ? await Appointment.findById(id).populate("patient", "fullName")
+    : null;
+  if (!appointment) {
+    throw new AppError(httpStatus.NOT_FOUND, "Appointment not found");
+  }
+  return appointment;
+};
+
+// body.prescriptions (array or JSON string) -> validated items
+const parsePrescriptions = (input) => {
+  let items = input;
+  if (typeof input === "string") {
+    try {
+      items = JSON.parse(input);
+    } catch {
+      throw new AppError(httpStatus.BAD_REQUEST, "prescriptions must be valid JSON");
+    }
+  }
+  if (!Array.isArray(items)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "prescriptions must be an array");
+  }
+  if (items.length > MAX_PRESCRIPTION_ITEMS) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `A prescription can have at most ${MAX_PRESCRIPTION_ITEMS} items`,
+    );
+  }
+
+  return items.map((item, i) => {
+    const parsed = {};
+    for (const field of ["drug", "dose", "frequency", "duration"]) {
+      parsed[field] = String(item?.[field] || "").trim();
+      if (!parsed[field]) {
+        throw new AppError(
+          httpStatus.BAD_REQUEST,
+          `prescriptions[${i}].${field} is required`,
+        );
+      }
+    }
+    if (item.instructions) parsed.instructions = String(item.instructions).trim();
+    return parsed;
+  });
+};
+
+/**
+ * Treating doctor: write or update visit notes and the e-prescription of a
+ * completed appointment
+ * PUT /appointment/:id/consultation
+ * body: { complaint?, findings?, diagnosis?, plan?,
+ *         prescriptions?: [{ drug, dose, frequency, duration, instructions? }] }
+ */
+export const upsertConsultationNote = catchAsync(async (req, res) => {
+  const appointment = await loadAppointment(req.params.id);
+
+  if (String(appointment.doctor) !== String(req.user._id)) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "Only the treating doctor can write consultation notes",
+    );
+  }
+  if (appointment.status !== "completed") {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Consultation notes can only be added to completed appointments",
+    );
+  }
+
+  const update = {};
+  for (const field of NOTE_FIELDS) {
+    if (req.body[field] !== undefined) update[field] = String(req.body[field]).trim();
+  }
+  if (req.body.prescriptions !== undefined) {
+    update.prescriptions = parsePrescriptions(req.body.prescriptions);
+  }
+
+  const existing = await ConsultationNote.findOne({ appointment: appointment._id });
+
+  if (!existing) {
+    const hasContent =
+      NOTE_FIELDS.some((f) => update[f]) || update.prescriptions?.length;
+    if (!hasContent) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        "Add at least one note field or prescription item",
+      );
+    }
+  }
+
+  const isDependent = appointment.bookedFor?.type === "dependent";
+  const note = await ConsultationNote.findOneAndUpdate(
+    { appointment: appointment._id },
+    {
+      $set: update,
+      $setOnInsert: {
+        doctor: appointment.doctor,
+        patient: appointment.patient._id,
+        subject: {
+          type: isDependent ? "dependent" : "self",
+          dependentId: isDependent ? appointment.bookedFor.dependentId : null,
+          name: isDependent
+            ? appointment.bookedFor.dependentName
+            : appointment.patient.fullName,
+        },
+        issuedAt: new Date(),
+      },
+    },
+    { new: true, upsert: true, runValidators: true },
+  );
+
+  // 🔔 Let the patient know their notes / prescription are available
+  const payload = {
+    userId: appointment.patient._id,
+    fromUserId: req.user._id,
+    type: "consultation_notes_ready",
+    title: existing ? "Consultation notes updated" : "Consultation notes ready",
+    content: `Dr. ${req.user.fullName} ${existing ? "updated" : "shared"} your visit notes${note.prescriptions.length ? " and prescription" : ""}.`,
+    appointmentId: appointment._id,
+    meta: { consultationNoteId: note._id },
+  };
+  await createNotification(payload);
+  io.to(String(appointment.patient._id)).emit("consultation_notes_ready", payload);
+
+  await recordAudit(req, {
+    subject: appointment.patient._id,
+    subjectDependentId: appointmentDependentId(appointment),
+    resource: "consultation_note",
+    resourceId: note._id,
+    action: existing ? "update" : "create",
+  });
+
+  sendResponse(res, {
+    statusCode: existing ? httpStatus.OK : httpStatus.CREATED,
+    success: true,
+    message: existing ? "Consultation notes updated" : "Consultation notes saved",
+    data: note,
+  });
+});
+
+/**
+ * Treating doctor / patient / guardian: an appointment's consultation notes
+ * GET /appointment/:id/consultation
+ */
+export const getConsultationNote = catchAsync(async (req, res) => {
+  const appointment = await loadAppointment(req.params.id);
+  await assertCanReadClinicalRecord(appointment, req.user);
+
+  const note = await ConsultationNote.findOne({
+    appointment: appointment._id,
+  }).populate("doctor", "fullName specialty avatar");
+  if (!note) {
+    throw new AppError(httpStatus.NOT_FOUND, "No consultation notes yet");
+  }
+
+  await recordAudit(req, {
+    subject: appointment.patient._id,
+    subjectDependentId: appointmentDependentId(appointment),
+    resource: "consultation_note",
+    resourceId: note._id,
+    action: "read",
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Consultation notes fetched",
+    data: note,
+  });
+});
+
+/**
+ * Download consultation notes + prescription as PDF
+ * GET /appointment/:id/consultation/pdf
+ */
+export const downloadConsultationPdf = catchAsync(async (req, res) => {
+  const appointment = await loadAppointment(req.params.id);
+  await assertCanReadClinicalRecord(appointment, req.user);
+
+  const note = await ConsultationNote.findOne({
+    appointment: appointment._id,
+  }).populate("doctor", "fullName specialty medicalLicenseNumber");
+  if (!note) {
+    throw new AppError(httpStatus.NOT_FOUND, "No consultation notes yet");
+  }
+
+  const pdf = await buildConsultationPdf(note, appointment);
+
+  await recordAudit(req, {
+    subject: appointment.patient._id,
+    subjectDependentId: appointmentDependentId(appointment),
+    resource: "consultation_note",
+    resourceId: note._id,
+    action: "export",
+  });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="consultation-${appointment._id}.pdf"`,
+  );
+  res.send(pdf);
+});
@@ -0,0 +1,82 @@
+// controller/fhir.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import { User } from "../model/user.model.js";
+import { Appointment } from "../model/appointment.model.js";
+import { ConsultationNote } from "../model/consultationNote.model.js";
+import { buildPatientBundle } from "../utils/fhir.js";
+import { recordAudit } from "../utils/audit.js";
+
+// Base of the fullUrl of every bundle entry
+const fhirBaseUrl = (req) =>
+  process.env.FHIR_BASE_URL || `${req.protocol}://${req.get("host")}/fhir`;
+
+const sendPatientBundle = async (req, res, patient) => {
+  const appointments = await Appointment.find({ patient: patient._id })
+    .populate(
+      "doctor",
+      "fullName specialty medicalLicenseNumber degrees slotDuration",
+    )
+    .populate("patient", "fullName")
+    .sort({ scheduledAt: 1, createdAt: 1 });
+
+  const notes = await ConsultationNote.find({
+    appointment: { $in: appointments.map((a) => a._id) },
+  });
+
+  const bundle = buildPatientBundle({
+    patient,
+    appointments,
+    notes,
+    baseUrl: fhirBaseUrl(req),
+  });
+
+  await recordAudit(req, {
+    subject: patient._id,
+    resource: "patient_export",
+    action: "export",
+    meta: {
+      format: "fhir-r4",
+      bundleId: bundle.id,
+      entries: bundle.entry.length,
+    },
+  });
+
+  res.setHeader("Content-Type", "application/fhir+json; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="patient-${patient._id}-fhir.json"`,
+  );
+  res.status(httpStatus.OK).send(JSON.stringify(bundle));
+};
+
+/**
+ * Patient: my data (and my dependents') as a FHIR R4 Bundle
+ * GET /user/me/export/fhir
+ */
+export const exportMyFhirBundle = catchAsync(async (req, res) => {
+  const patient = await User.findById(req.user._id);
+  if (!patient) throw new AppError(httpStatus.NOT_FOUND, "User not found");
+
+  await sendPatientBundle(req, res, patient);
+});
+
+/**
+ * Admin: a patient's data as a FHIR R4 Bundle
+ * GET /user/:id/export/fhir
+ */
+export const exportPatientFhirBundle = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid user id");
+  }
+
+  const patient = await User.findById(id);
+  if (!patient || patient.role !== "patient") {
+    throw new AppError(httpStatus.NOT_FOUND, "Patient not found");
+  }
+
+  await sendPatientBundle(req, res, patient);
+});
@@ -0,0 +1,272 @@
+// controller/followUp.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import { Appointment } from "../model/appointment.model.js";
+import { FollowUp } from "../model/followUp.model.js";
+import { createNotification } from "../utils/notify.js";
+import { refreshFollowUpStatus } from "../utils/followUp.js";
+import { assertCanReadClinicalRecord } from "../utils/clinicalAccess.js";
+import {
+  addCalendarDays,
+  formatCalendarDate,
+  resolveTimeZone,
+  toCalendarDate,
+  todayInZone,
+} from "../utils/timezone.js";
+import { createAppointment } from "./appointment.controller.js";
+import { io } from "../server.js";
+
+const MAX_WINDOW_AHEAD_DAYS = 365;
+const FEE_TYPES = ["standard", "discount", "free"];
+
+const loadFollowUp = async (id) => {
+  const followUp = mongoose.Types.ObjectId.isValid(id)
+    ? await FollowUp.findById(id)
+    : null;
+  if (!followUp) throw new AppError(httpStatus.NOT_FOUND, "Follow-up not found");
+  return followUp;
+};
+
+/**
+ * Treating doctor: recommend a follow-up visit after a completed appointment
+ * POST /appointment/:id/follow-up
+ * body: { windowStart: "yyyy-mm-dd", windowEnd: "yyyy-mm-dd",
+ *         appointmentType?, feeType?: standard|discount|free,
+ *         discountPercent? (discount), note? }
+ */
+export const createFollowUp = catchAsync(async (req, res) => {
+  const { windowStart, windowEnd, appointmentType, feeType = "standard", note } =
+    req.body;
+
+  const parent = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Appointment.findById(req.params.id)
+    : null;
+  if (!parent) throw new AppError(httpStatus.NOT_FOUND, "Appointment not found");
+
+  if (String(parent.doctor) !== String(req.user._id)) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "Only the treating doctor can recommend a follow-up",
+    );
+  }
+  if (parent.status !== "completed") {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Follow-ups can only be recommended after a completed appointment",
+    );
+  }
+
+  const timezone = resolveTimeZone(req.user.timezone);
+  const start = toCalendarDate(windowStart, timezone);
+  const end = toCalendarDate(windowEnd, timezone);
+  if (!start || !end) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "windowStart and windowEnd must be dates (yyyy-mm-dd)",
+    );
+  }
+
+  const today = todayInZone(timezone);
+  if (start < today || end < start) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "The follow-up window must start today or later and end on or after its start",
+    );
+  }
+  if (end > addCalendarDays(today, MAX_WINDOW_AHEAD_DAYS)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `The follow-up window must end within ${MAX_WINDOW_AHEAD_DAYS} days`,
+    );
+  }
+
+  const type = appointmentType
+    ? String(appointmentType).toLowerCase().trim()
+    : parent.appointmentType;
+  if (!["physical", "video"].includes(type)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "appointmentType must be physical or video",
+    );
+  }
+
+  if (!FEE_TYPES.includes(feeType)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `feeType must be one of: ${FEE_TYPES.join(", ")}`,
+    );
+  }
+  let discountPercent = 0;
+  if (feeType === "discount") {
+    discountPercent = Number(req.body.discountPercent);
+    if (!Number.isFinite(discountPercent) || discountPercent <= 0 || discountPercent >= 100) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        "discountPercent must be between 0 and 100",
+      );
+    }
+  }
+
+  const followUp = await FollowUp.create({
+    parentAppointment: parent._id,
+    doctor: parent.doctor,
+    patient: parent.patient,
+    bookedFor: parent.bookedFor?.toObject?.() ?? parent.bookedFor,
+    appointmentType: type,
+    windowStart: start,
+    windowEnd: end,
+    feeType,
+    discountPercent,
+    note: note ? String(note).trim() : "",
+  });
+
+  // 🔔 Notification – doctor recommended a follow-up → notify patient
+  const feeText =
+    feeType === "free"
+      ? " (free of charge)"
+      : feeType === "discount"
+        ? ` (${discountPercent}% off)`
+        : "";
+  const payload = {
+    userId: parent.patient,
+    fromUserId: req.user._id,
+    type: "follow_up_recommended",
+    title: "Follow-up recommended",
+    content: `Dr. ${req.user.fullName} recommends a follow-up visit between ${formatCalendarDate(start)} and ${formatCalendarDate(end)}${feeText}.`,
+    appointmentId: parent._id,
+    meta: {
+      followUpId: followUp._id,
+      windowStart: formatCalendarDate(start),
+      windowEnd: formatCalendarDate(end),
+      appointmentType: type,
+      feeType,
+      discountPercent,
+    },
+  };
+  await createNotification(payload);
+  io.to(String(parent.patient)).emit("follow_up_recommended", payload);
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Follow-up recommended",
+    data: followUp,
+  });
+});
+
+/**
+ * Doctor / patient / guardian: follow-up recommendations of an appointment
+ * GET /appointment/:id/follow-up
+ */
+export const getAppointmentFollowUps = catchAsync(async (req, res) => {
+  const parent = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Appointment.findById(req.params.id)
+    : null;
+  if (!parent) throw new AppError(httpStatus.NOT_FOUND, "Appointment not found");
+  await assertCanReadClinicalRecord(parent, req.user);
+
+  const followUps = await FollowUp.find({ parentAppointment: parent._id })
+    .populate("appointment", "appointmentDate time status appointmentType")
+    .sort({ createdAt: -1 });
+
+  for (const followUp of followUps) {
+    await refreshFollowUpStatus(followUp, parent.timezone);
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Follow-ups fetched",
+    data: followUps,
+  });
+});
+
+/**
+ * Patient: follow-ups waiting to be booked
+ * GET /appointment/follow-up
+ */
+export const getMyFollowUps = catchAsync(async (req, res) => {
+  const followUps = await FollowUp.find({
+    patient: req.user._id,
+    status: "pending",
+  })
+    .populate("doctor", "fullName specialty avatar fees timezone")
+    .sort({ windowEnd: 1 });
+
+  const data = [];
+  for (const followUp of followUps) {
+    await refreshFollowUpStatus(followUp, followUp.doctor?.timezone);
+    if (followUp.status === "pending") data.push(followUp);
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Follow-ups fetched",
+    data,
+  });
+});
+
+/**
+ * Patient: one-tap booking of a follow-up. Books the recommended doctor,
+ * person and appointment type; the visit is linked to the original one.
+ * POST /appointment/follow-up/:followUpId/book
+ * form-data: date, time, appointmentType?, symptoms?, reservationId?,
+ * files: medicalDocuments[], paymentScreenshot (paid video follow-ups)
+ */
+export const bookFollowUp = catchAsync(async (req, res, next) => {
+  const followUp = await loadFollowUp(req.params.followUpId);
+  if (String(followUp.patient) !== String(req.user._id)) {
+    throw new AppError(httpStatus.NOT_FOUND, "Follow-up not found");
+  }
+
+  req.body = {
+    ...req.body,
+    doctorId: String(followUp.doctor),
+    appointmentType: req.body?.appointmentType || followUp.appointmentType,
+    followUpId: String(followUp._id),
+  };
+
+  return createAppointment(req, res, next);
+});
+
+/**
+ * Doctor withdraws / patient declines a pending follow-up
+ * PATCH /appointment/follow-up/:followUpId/cancel
+ */
+export const cancelFollowUp = catchAsync(async (req, res) => {
+  const followUp = await loadFollowUp(req.params.followUpId);
+
+  const userId = String(req.user._id);
+  if (String(followUp.doctor) !== userId && String(followUp.patient) !== userId) {
+    throw new AppError(httpStatus.FORBIDDEN, "Not allowed");
+  }
+
+  const cancelled = await FollowUp.findOneAndUpdate(
+    { _id: followUp._id, status: "pending" },
+    {
+      $set: {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancelledBy: req.user._id,
+      },
+    },
+    { new: true },
+  );
+  if (!cancelled) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `This follow-up is already ${followUp.status}`,
+    );
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Follow-up cancelled",
+    data: cancelled,
+  });
+});
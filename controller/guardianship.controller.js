@@ -0,0 +1,386 @@
+// controller/guardianship.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import { User } from "../model/user.model.js";
+import { Appointment } from "../model/appointment.model.js";
+import { GuardianConsent } from "../model/guardianConsent.model.js";
+import { DependentTransfer } from "../model/dependentTransfer.model.js";
+import {
+  getGuardianshipStatus,
+  isAdultDependent,
+  moveDependentRecords,
+} from "../utils/guardianship.js";
+import { createNotification } from "../utils/notify.js";
+import { recordAudit } from "../utils/audit.js";
+import { io } from "../server.js";
+
+const loadOwnDependent = async (userId, dependentId) => {
+  const user = mongoose.Types.ObjectId.isValid(dependentId)
+    ? await User.findById(userId)
+    : null;
+  const dependent = user?.dependents.id(dependentId);
+  if (!dependent) throw new AppError(httpStatus.NOT_FOUND, "Dependent not found");
+  return { user, dependent };
+};
+
+const loadTransfer = async (transferId) => {
+  const transfer = mongoose.Types.ObjectId.isValid(transferId)
+    ? await DependentTransfer.findById(transferId)
+    : null;
+  if (!transfer) throw new AppError(httpStatus.NOT_FOUND, "Transfer not found");
+  return transfer;
+};
+
+const assertPending = (transfer) => {
+  if (transfer.status !== "pending") {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      `This transfer is already ${transfer.status}`,
+    );
+  }
+};
+
+const notify = async (payload) => {
+  await createNotification(payload);
+  io.to(String(payload.userId)).emit(payload.type, payload);
+};
+
+/**
+ * Guardian: consent history of an adult dependent + current status
+ * GET /user/me/dependents/:dependentId/consents
+ */
+export const getDependentConsents = catchAsync(async (req, res) => {
+  const { dependent } = await loadOwnDependent(req.user._id, req.params.dependentId);
+
+  const [status, consents] = await Promise.all([
+    getGuardianshipStatus(req.user._id, dependent),
+    GuardianConsent.find({
+      guardian: req.user._id,
+      dependentId: dependent._id,
+    }).sort({ consentedAt: -1 }),
+  ]);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Consents fetched",
+    data: { ...status, consents },
+  });
+});
+
+/**
+ * Guardian: record an adult dependent's consent to being booked for
+ * POST /user/me/dependents/:dependentId/consents
+ * body: { signedByName, statement?, expiresAt? }
+ */
+export const recordDependentConsent = catchAsync(async (req, res) => {
+  const { dependent } = await loadOwnDependent(req.user._id, req.params.dependentId);
+  const { signedByName, statement, expiresAt } = req.body;
+
+  if (!isAdultDependent(dependent)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Consent is only needed for dependents who are adults",
+    );
+  }
+
+  const signer = String(signedByName || "").trim();
+  if (!signer) {
+    throw new AppError(httpStatus.BAD_REQUEST, "signedByName is required");
+  }
+
+  let expiry = null;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      throw new AppError(httpStatus.BAD_REQUEST, "expiresAt must be a future date");
+    }
+  }
+
+  const consent = await GuardianConsent.create({
+    guardian: req.user._id,
+    dependentId: dependent._id,
+    dependentName: dependent.fullName,
+    signedByName: signer,
+    statement:
+      String(statement || "").trim() ||
+      `I, ${signer}, allow ${req.user.fullName} to book and manage medical appointments on my behalf.`,
+    expiresAt: expiry,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Consent recorded",
+    data: consent,
+  });
+});
+
+/**
+ * Guardian: revoke a consent
+ * DELETE /user/me/dependents/:dependentId/consents/:consentId
+ */
+export const revokeDependentConsent = catchAsync(async (req, res) => {
+  const { dependentId, consentId } = req.params;
+
+  const validIds =
+    mongoose.Types.ObjectId.isValid(dependentId) &&
+    mongoose.Types.ObjectId.isValid(consentId);
+
+  const consent = validIds
+    ? await GuardianConsent.findOneAndUpdate(
+      {
+        _id: consentId,
+        guardian: req.user._id,
+        dependentId,
+        revokedAt: null,
+      },
+      { $set: { revokedAt: new Date(), revokedBy: req.user._id } },
+      { new: true },
+    )
+    : null;
+  if (!consent) {
+    throw new AppError(httpStatus.NOT_FOUND, "Active consent not found");
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Consent revoked",
+    data: consent,
+  });
+});
+
+/**
+ * Guardian: hand a dependent over to their own account (by email or phone).
+ * The other account has to accept.
+ * POST /user/me/dependents/:dependentId/transfer
+ * body: { email? , phone? }
+ */
+export const requestDependentTransfer = catchAsync(async (req, res) => {
+  const { dependent } = await loadOwnDependent(req.user._id, req.params.dependentId);
+  const email = String(req.body.email || "").trim();
+  const phone = String(req.body.phone || "").trim();
+
+  if (!email && !phone) {
+    throw new AppError(httpStatus.BAD_REQUEST, "email or phone is required");
+  }
+
+  const target = await User.findOne(email ? { email } : { phone });
+  if (!target || target.isDeleted || target.role !== "patient") {
+    throw new AppError(httpStatus.NOT_FOUND, "No patient account found");
+  }
+  if (String(target._id) === String(req.user._id)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "A dependent cannot be transferred to your own account",
+    );
+  }
+
+  const existing = await DependentTransfer.exists({
+    fromUser: req.user._id,
+    dependentId: dependent._id,
+    status: "pending",
+  });
+  if (existing) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      "A transfer for this dependent is already pending",
+    );
+  }
+
+  const transfer = await DependentTransfer.create({
+    fromUser: req.user._id,
+    toUser: target._id,
+    dependentId: dependent._id,
+    dependentName: dependent.fullName,
+  });
+
+  // 🔔 Notification – guardian offered the dependent's records → notify new owner
+  await notify({
+    userId: target._id,
+    fromUserId: req.user._id,
+    type: "dependent_transfer_requested",
+    title: "Take over your health records",
+    content: `${req.user.fullName} wants to move ${dependent.fullName}'s appointments and records to your account.`,
+    meta: { transferId: transfer._id },
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Transfer requested",
+    data: transfer,
+  });
+});
+
+/**
+ * Transfers I started and transfers waiting for me
+ * GET /user/dependent-transfers
+ */
+export const getDependentTransfers = catchAsync(async (req, res) => {
+  const [outgoing, incoming] = await Promise.all([
+    DependentTransfer.find({ fromUser: req.user._id })
+      .populate("toUser", "fullName email avatar")
+      .sort({ createdAt: -1 }),
+    DependentTransfer.find({ toUser: req.user._id })
+      .populate("fromUser", "fullName email avatar")
+      .sort({ createdAt: -1 }),
+  ]);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Transfers fetched",
+    data: { outgoing, incoming },
+  });
+});
+
+/**
+ * New owner: accept a transfer. The dependent's appointments, notes,
+ * follow-ups, health profile and vault documents move to my account and
+ * the dependent is removed from the guardian's list.
+ * PATCH /user/dependent-transfers/:transferId/accept
+ */
+export const acceptDependentTransfer = catchAsync(async (req, res) => {
+  const transfer = await loadTransfer(req.params.transferId);
+  if (String(transfer.toUser) !== String(req.user._id)) {
+    throw new AppError(httpStatus.NOT_FOUND, "Transfer not found");
+  }
+  assertPending(transfer);
+
+  const guardian = await User.findById(transfer.fromUser);
+  const dependent = guardian?.dependents.id(transfer.dependentId);
+  if (!dependent) {
+    transfer.status = "cancelled";
+    transfer.respondedAt = new Date();
+    await transfer.save();
+    throw new AppError(httpStatus.GONE, "The dependent no longer exists");
+  }
+
+  const activeCount = await Appointment.countDocuments({
+    patient: guardian._id,
+    "bookedFor.dependentId": dependent._id,
+    status: { $in: ["pending", "accepted"] },
+  });
+  if (activeCount > 0) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      `${dependent.fullName} has ${activeCount} upcoming appointment(s). They have to be completed or cancelled before the transfer.`,
+    );
+  }
+
+  // Claim the transfer first so a double accept can't move records twice
+  const claimed = await DependentTransfer.findOneAndUpdate(
+    { _id: transfer._id, status: "pending" },
+    { $set: { status: "accepted", respondedAt: new Date() } },
+    { new: true },
+  );
+  if (!claimed) {
+    throw new AppError(httpStatus.CONFLICT, "This transfer was already answered");
+  }
+
+  const moved = await moveDependentRecords({
+    fromUserId: guardian._id,
+    toUserId: req.user._id,
+    dependentId: dependent._id,
+    nameSnapshot: String(req.user.fullName || dependent.fullName).trim(),
+  });
+
+  claimed.moved = moved;
+  await claimed.save();
+
+  await User.updateOne(
+    { _id: guardian._id },
+    { $pull: { dependents: { _id: dependent._id } } },
+  );
+  if (!req.user.dob && dependent.dob) {
+    await User.updateOne({ _id: req.user._id }, { $set: { dob: dependent.dob } });
+  }
+
+  await recordAudit(req, {
+    subject: req.user._id,
+    resource: "user",
+    resourceId: req.user._id,
+    action: "update",
+    meta: { transferId: claimed._id, fromUser: guardian._id, moved },
+  });
+
+  // 🔔 Notification – new owner accepted → notify guardian
+  await notify({
+    userId: guardian._id,
+    fromUserId: req.user._id,
+    type: "dependent_transfer_accepted",
+    title: "Dependent transferred",
+    content: `${dependent.fullName}'s records now belong to ${req.user.fullName}'s account.`,
+    meta: { transferId: claimed._id },
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Transfer accepted",
+    data: claimed,
+  });
+});
+
+/**
+ * New owner: decline a transfer
+ * PATCH /user/dependent-transfers/:transferId/decline
+ */
+export const declineDependentTransfer = catchAsync(async (req, res) => {
+  const transfer = await loadTransfer(req.params.transferId);
+  if (String(transfer.toUser) !== String(req.user._id)) {
+    throw new AppError(httpStatus.NOT_FOUND, "Transfer not found");
+  }
+  assertPending(transfer);
+
+  transfer.status = "declined";
+  transfer.respondedAt = new Date();
+  await transfer.save();
+
+  // 🔔 Notification – new owner declined → notify guardian
+  await notify({
+    userId: transfer.fromUser,
+    fromUserId: req.user._id,
+    type: "dependent_transfer_declined",
+    title: "Transfer declined",
+    content: `${req.user.fullName} declined to take over ${transfer.dependentName}'s records.`,
+    meta: { transferId: transfer._id },
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Transfer declined",
+    data: transfer,
+  });
+});
+
+/**
+ * Guardian: withdraw a pending transfer
+ * PATCH /user/dependent-transfers/:transferId/cancel
+ */
+export const cancelDependentTransfer = catchAsync(async (req, res) => {
+  const transfer = await loadTransfer(req.params.transferId);
+  if (String(transfer.fromUser) !== String(req.user._id)) {
+    throw new AppError(httpStatus.NOT_FOUND, "Transfer not found");
+  }
+  assertPending(transfer);
+
+  transfer.status = "cancelled";
+  transfer.respondedAt = new Date();
+  await transfer.save();
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Transfer cancelled",
+    data: transfer,
+  });
+});
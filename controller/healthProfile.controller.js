@@ -0,0 +1,256 @@
+// controller/healthProfile.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import { User } from "../model/user.model.js";
+import { BLOOD_GROUPS, HealthProfile } from "../model/healthProfile.model.js";
+import { getDoctorHealthAccessUntil } from "../utils/clinicalAccess.js";
+import { recordAudit } from "../utils/audit.js";
+
+const LIST_FIELDS = ["allergies", "chronicConditions", "medications", "vaccinations"];
+const MAX_LIST_ITEMS = 100;
+
+// Owner + dependentId of the profile addressed by the route
+// (/me/health or /me/dependents/:dependentId/health)
+const resolveOwnTarget = async (req) => {
+  const { dependentId } = req.params;
+  if (!dependentId) return { ownerId: req.user._id, dependentId: null };
+
+  const exists =
+    mongoose.Types.ObjectId.isValid(dependentId) &&
+    (await User.exists({ _id: req.user._id, "dependents._id": dependentId }));
+  if (!exists) throw new AppError(httpStatus.NOT_FOUND, "Dependent not found");
+
+  return { ownerId: req.user._id, dependentId };
+};
+
+const findProfile = ({ ownerId, dependentId }) =>
+  HealthProfile.findOne({ owner: ownerId, dependentId: dependentId || null });
+
+const auditProfile = (req, { ownerId, dependentId }, profile, action) =>
+  recordAudit(req, {
+    subject: ownerId,
+    subjectDependentId: dependentId,
+    resource: "health_profile",
+    resourceId: profile?._id,
+    action,
+  });
+
+const parseList = (value, field) => {
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch {
+      throw new AppError(httpStatus.BAD_REQUEST, `${field} must be valid JSON`);
+    }
+  }
+  if (!Array.isArray(list)) {
+    throw new AppError(httpStatus.BAD_REQUEST, `${field} must be an array`);
+  }
+  if (list.length > MAX_LIST_ITEMS) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `${field} can have at most ${MAX_LIST_ITEMS} items`,
+    );
+  }
+  return list;
+};
+
+/**
+ * My / my dependent's health profile
+ * GET /user/me/health
+ * GET /user/me/dependents/:dependentId/health
+ */
+export const getHealthProfile = catchAsync(async (req, res) => {
+  const target = await resolveOwnTarget(req);
+  const profile = await findProfile(target);
+  await auditProfile(req, target, profile, "read");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: profile ? "Health profile fetched" : "No health profile yet",
+    data: profile,
+  });
+});
+
+/**
+ * Create or update a health profile. Lists that are sent replace the
+ * stored list; omitted fields are left unchanged.
+ * PUT /user/me/health
+ * PUT /user/me/dependents/:dependentId/health
+ * body: { bloodGroup?, allergies?, chronicConditions?, medications?, vaccinations? }
+ */
+export const upsertHealthProfile = catchAsync(async (req, res) => {
+  const target = await resolveOwnTarget(req);
+
+  const profile =
+    (await findProfile(target)) ||
+    new HealthProfile({ owner: target.ownerId, dependentId: target.dependentId });
+
+  const { bloodGroup } = req.body;
+  if (bloodGroup !== undefined) {
+    const value = bloodGroup ? String(bloodGroup).trim().toUpperCase() : null;
+    if (value && !BLOOD_GROUPS.includes(value)) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        `bloodGroup must be one of: ${BLOOD_GROUPS.join(", ")}`,
+      );
+    }
+    profile.bloodGroup = value;
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (req.body[field] !== undefined) {
+      profile.set(field, parseList(req.body[field], field));
+    }
+  }
+
+  const isNew = profile.isNew;
+  await profile.save();
+  await auditProfile(req, target, profile, isNew ? "create" : "update");
+
+  sendResponse(res, {
+    statusCode: isNew ? httpStatus.CREATED : httpStatus.OK,
+    success: true,
+    message: isNew ? "Health profile created" : "Health profile updated",
+    data: profile,
+  });
+});
+
+/**
+ * Delete a health profile
+ * DELETE /user/me/health
+ * DELETE /user/me/dependents/:dependentId/health
+ */
+export const deleteHealthProfile = catchAsync(async (req, res) => {
+  const target = await resolveOwnTarget(req);
+  const profile = await findProfile(target);
+  if (!profile) {
+    throw new AppError(httpStatus.NOT_FOUND, "No health profile found");
+  }
+  await profile.deleteOne();
+  await auditProfile(req, target, profile, "delete");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Health profile deleted",
+    data: null,
+  });
+});
+
+/**
+ * Add a height / weight entry
+ * POST /user/me/health/measurements
+ * POST /user/me/dependents/:dependentId/health/measurements
+ * body: { heightCm?, weightKg?, recordedAt? }
+ */
+export const addMeasurement = catchAsync(async (req, res) => {
+  const target = await resolveOwnTarget(req);
+  const { heightCm, weightKg, recordedAt } = req.body;
+
+  const toNumber = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
+  const height = toNumber(heightCm);
+  const weight = toNumber(weightKg);
+  if (height === null && weight === null) {
+    throw new AppError(httpStatus.BAD_REQUEST, "heightCm or weightKg is required");
+  }
+  if ([height, weight].some((v) => v !== null && !Number.isFinite(v))) {
+    throw new AppError(httpStatus.BAD_REQUEST, "heightCm and weightKg must be numbers");
+  }
+
+  const date = recordedAt ? new Date(recordedAt) : new Date();
+  if (Number.isNaN(date.getTime()) || date > new Date()) {
+    throw new AppError(httpStatus.BAD_REQUEST, "recordedAt must be a past date");
+  }
+
+  const profile =
+    (await findProfile(target)) ||
+    new HealthProfile({ owner: target.ownerId, dependentId: target.dependentId });
+
+  profile.measurements.push({
+    recordedAt: date,
+    heightCm: height,
+    weightKg: weight,
+    recordedBy: req.user._id,
+  });
+  profile.measurements.sort((a, b) => a.recordedAt - b.recordedAt);
+  await profile.save();
+  await auditProfile(req, target, profile, "update");
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Measurement added",
+    data: profile.measurements,
+  });
+});
+
+/**
+ * Remove a height / weight entry
+ * DELETE /user/me/health/measurements/:measurementId
+ * DELETE /user/me/dependents/:dependentId/health/measurements/:measurementId
+ */
+export const deleteMeasurement = catchAsync(async (req, res) => {
+  const target = await resolveOwnTarget(req);
+  const profile = await findProfile(target);
+
+  const measurement = profile?.measurements.id(req.params.measurementId);
+  if (!measurement) {
+    throw new AppError(httpStatus.NOT_FOUND, "Measurement not found");
+  }
+
+  measurement.deleteOne();
+  await profile.save();
+  await auditProfile(req, target, profile, "update");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Measurement removed",
+    data: profile.measurements,
+  });
+});
+
+/**
+ * Doctor: read-only health profile of a patient (or a patient's dependent)
+ * they have an accepted/completed appointment with
+ * GET /user/patient/:id/health
+ * GET /user/patient/:id/dependents/:dependentId/health
+ */
+export const getPatientHealthProfile = catchAsync(async (req, res) => {
+  const { id, dependentId } = req.params;
+
+  if (
+    !mongoose.Types.ObjectId.isValid(id) ||
+    (dependentId && !mongoose.Types.ObjectId.isValid(dependentId))
+  ) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid id");
+  }
+
+  const accessUntil = await getDoctorHealthAccessUntil({
+    doctorId: req.user._id,
+    ownerId: id,
+    dependentId,
+  });
+  if (!accessUntil) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "You need a recent accepted or completed appointment with this patient to view their health profile",
+    );
+  }
+
+  const profile = await findProfile({ ownerId: id, dependentId });
+  await auditProfile(req, { ownerId: id, dependentId }, profile, "read");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: profile ? "Health profile fetched" : "No health profile yet",
+    data: { profile, accessUntil },
+  });
+});
@@ -0,0 +1,363 @@
+// controller/intake.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import Category from "../model/category.model.js";
+import { User } from "../model/user.model.js";
+import { Appointment } from "../model/appointment.model.js";
+import { IntakeForm } from "../model/intakeForm.model.js";
+import { IntakeResponse } from "../model/intakeResponse.model.js";
+import {
+  findApplicableForms,
+  loadFormForDoctor,
+  parseQuestions,
+  saveIntakeResponse,
+  validateIntakeAnswers,
+} from "../utils/intake.js";
+import { appointmentDependentId, recordAudit } from "../utils/audit.js";
+
+const parseJsonField = (value, field) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new AppError(httpStatus.BAD_REQUEST, `${field} must be valid JSON`);
+  }
+};
+
+const canManageForm = (form, user) =>
+  user.role === "admin" ||
+  (user.role === "doctor" && String(form.doctor) === String(user._id));
+
+const loadLatestForm = async (formKey) => {
+  if (!mongoose.Types.ObjectId.isValid(formKey)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid formKey");
+  }
+  const form = await IntakeForm.findOne({ formKey, isLatest: true });
+  if (!form) throw new AppError(httpStatus.NOT_FOUND, "Intake form not found");
+  return form;
+};
+
+// Appointment visible to the patient, its doctor or an admin
+const loadAppointmentForIntake = async (appointmentId, user) => {
+  const appointment = mongoose.Types.ObjectId.isValid(appointmentId)
+    ? await Appointment.findById(appointmentId)
+    : null;
+  if (!appointment) {
+    throw new AppError(httpStatus.NOT_FOUND, "Appointment not found");
+  }
+
+  const isParty =
+    String(appointment.patient) === String(user._id) ||
+    String(appointment.doctor) === String(user._id);
+  if (!isParty && user.role !== "admin") {
+    throw new AppError(httpStatus.FORBIDDEN, "Not allowed");
+  }
+
+  return appointment;
+};
+
+/**
+ * Admin: create a form for a specialty (categoryId) or a doctor (doctorId).
+ * Doctor: create a form for their own appointments.
+ * POST /intake/forms
+ * body: { title, description?, categoryId?, doctorId?, questions: [...] }
+ */
+export const createIntakeForm = catchAsync(async (req, res) => {
+  const { title, description, categoryId, doctorId } = req.body;
+  const isAdmin = req.user.role === "admin";
+
+  if (!["doctor", "admin"].includes(req.user.role)) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "Only doctors and admins can create intake forms",
+    );
+  }
+  if (!String(title || "").trim()) {
+    throw new AppError(httpStatus.BAD_REQUEST, "title is required");
+  }
+
+  let category = null;
+  let doctor = null;
+
+  if (!isAdmin) {
+    if (categoryId) {
+      throw new AppError(
+        httpStatus.FORBIDDEN,
+        "Only admins can create specialty-wide forms",
+      );
+    }
+    doctor = req.user._id;
+  } else {
+    if (Boolean(categoryId) === Boolean(doctorId)) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        "Provide exactly one of categoryId or doctorId",
+      );
+    }
+    if (categoryId) {
+      const exists =
+        mongoose.Types.ObjectId.isValid(categoryId) &&
+        (await Category.exists({ _id: categoryId }));
+      if (!exists) throw new AppError(httpStatus.NOT_FOUND, "Category not found");
+      category = categoryId;
+    } else {
+      const doc = mongoose.Types.ObjectId.isValid(doctorId)
+        ? await User.findById(doctorId).select("role")
+        : null;
+      if (!doc || doc.role !== "doctor") {
+        throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+      }
+      doctor = doc._id;
+    }
+  }
+
+  const form = await IntakeForm.create({
+    formKey: new mongoose.Types.ObjectId(),
+    version: 1,
+    title: String(title).trim(),
+    description: description ? String(description).trim() : undefined,
+    category,
+    doctor,
+    questions: parseQuestions(parseJsonField(req.body.questions, "questions")),
+    createdBy: req.user._id,
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Intake form created",
+    data: form,
+  });
+});
+
+/**
+ * List latest versions of intake forms.
+ * Doctors see their own forms; admins can filter by categoryId / doctorId.
+ * GET /intake/forms?categoryId=&doctorId=&includeInactive=true
+ */
+export const getIntakeForms = catchAsync(async (req, res) => {
+  const { categoryId, doctorId, includeInactive } = req.query;
+
+  const filter = { isLatest: true };
+  if (includeInactive !== "true") filter.isActive = true;
+
+  if (req.user.role === "doctor") {
+    filter.doctor = req.user._id;
+  } else {
+    if (categoryId) filter.category = categoryId;
+    if (doctorId) filter.doctor = doctorId;
+  }
+
+  const forms = await IntakeForm.find(filter)
+    .populate("category", "speciality_name")
+    .populate("doctor", "fullName")
+    .sort({ createdAt: -1 });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Intake forms fetched",
+    data: forms,
+  });
+});
+
+/**
+ * A form's latest version, or a specific one
+ * GET /intake/forms/:formKey?version=2
+ */
+export const getIntakeForm = catchAsync(async (req, res) => {
+  const { formKey } = req.params;
+  const { version } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(formKey)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid formKey");
+  }
+
+  const form = version
+    ? await IntakeForm.findOne({ formKey, version: Number(version) })
+    : await loadLatestForm(formKey);
+  if (!form) throw new AppError(httpStatus.NOT_FOUND, "Intake form not found");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Intake form fetched",
+    data: form,
+  });
+});
+
+/**
+ * Owner/Admin: publish a new version of a form. Earlier answers stay linked
+ * to the version they were given against.
+ * PUT /intake/forms/:formKey
+ * body: { title?, description?, questions? }
+ */
+export const updateIntakeForm = catchAsync(async (req, res) => {
+  const current = await loadLatestForm(req.params.formKey);
+  if (!canManageForm(current, req.user)) {
+    throw new AppError(httpStatus.FORBIDDEN, "You can't edit this form");
+  }
+
+  const { title, description, questions } = req.body;
+
+  const next = await IntakeForm.create({
+    formKey: current.formKey,
+    version: current.version + 1,
+    isActive: current.isActive,
+    title: title !== undefined ? String(title).trim() : current.title,
+    description:
+      description !== undefined ? String(description).trim() : current.description,
+    category: current.category,
+    doctor: current.doctor,
+    questions:
+      questions !== undefined
+        ? parseQuestions(parseJsonField(questions, "questions"))
+        : current.questions,
+    createdBy: req.user._id,
+  });
+
+  current.isLatest = false;
+  await current.save();
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: `Intake form published as version ${next.version}`,
+    data: next,
+  });
+});
+
+/**
+ * Owner/Admin: retire a form (existing answers are kept)
+ * DELETE /intake/forms/:formKey
+ */
+export const deleteIntakeForm = catchAsync(async (req, res) => {
+  const current = await loadLatestForm(req.params.formKey);
+  if (!canManageForm(current, req.user)) {
+    throw new AppError(httpStatus.FORBIDDEN, "You can't delete this form");
+  }
+
+  await IntakeForm.updateMany(
+    { formKey: current.formKey },
+    { $set: { isActive: false } },
+  );
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Intake form removed",
+    data: { formKey: current.formKey },
+  });
+});
+
+/**
+ * Forms a patient should fill when booking this doctor
+ * GET /intake/doctor/:doctorId/forms
+ */
+export const getDoctorIntakeForms = catchAsync(async (req, res) => {
+  const { doctorId } = req.params;
+
+  const doctor = mongoose.Types.ObjectId.isValid(doctorId)
+    ? await User.findById(doctorId).select("role specialty specialties")
+    : null;
+  if (!doctor || doctor.role !== "doctor") {
+    throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+  }
+
+  const forms = await findApplicableForms(doctor);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Intake forms fetched",
+    data: forms,
+  });
+});
+
+/**
+ * Patient: answer (or re-answer) an intake form for a booked appointment
+ * POST /intake/appointments/:appointmentId/forms/:formId
+ * form-data: answers (JSON { [questionKey]: value }), files named after
+ * their file question's key
+ */
+export const submitIntakeResponse = catchAsync(async (req, res) => {
+  const { appointmentId, formId } = req.params;
+
+  const appointment = await loadAppointmentForIntake(appointmentId, req.user);
+  if (String(appointment.patient) !== String(req.user._id)) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "Only the patient can fill intake forms",
+    );
+  }
+  if (!["pending", "accepted"].includes(appointment.status)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Intake forms can only be filled for upcoming appointments",
+    );
+  }
+
+  const doctor = await User.findById(appointment.doctor).select(
+    "specialty specialties",
+  );
+  const form = await loadFormForDoctor(formId, doctor);
+
+  const answers = validateIntakeAnswers(
+    form,
+    parseJsonField(req.body.answers, "answers") || {},
+    req.files || [],
+  );
+  const response = await saveIntakeResponse({ appointment, form, answers });
+
+  await recordAudit(req, {
+    subject: appointment.patient,
+    subjectDependentId: appointmentDependentId(appointment),
+    resource: "intake_response",
+    resourceId: response._id,
+    action: "update",
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Intake form submitted",
+    data: response,
+  });
+});
+
+/**
+ * Patient / doctor / admin: an appointment's intake answers, with the form
+ * version each was answered against
+ * GET /intake/appointments/:appointmentId
+ */
+export const getAppointmentIntake = catchAsync(async (req, res) => {
+  const appointment = await loadAppointmentForIntake(
+    req.params.appointmentId,
+    req.user,
+  );
+
+  const responses = await IntakeResponse.find({ appointment: appointment._id })
+    .populate("form", "title description version questions")
+    .sort({ submittedAt: 1 });
+
+  await recordAudit(
+    req,
+    responses.map((response) => ({
+      subject: appointment.patient,
+      subjectDependentId: appointmentDependentId(appointment),
+      resource: "intake_response",
+      resourceId: response._id,
+      action: "read",
+    })),
+  );
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Intake responses fetched",
+    data: responses,
+  });
+});
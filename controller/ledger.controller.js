@@ -0,0 +1,481 @@
+// controller/ledger.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import { User } from "../model/user.model.js";
+import { Appointment } from "../model/appointment.model.js";
+import { LedgerEntry, LEDGER_ENTRY_TYPES } from "../model/ledgerEntry.model.js";
+import { PayoutBatch } from "../model/payoutBatch.model.js";
+import {
+  balanceDelta,
+  buildSettlementStatement,
+  getLedgerBalances,
+  getPayableBalances,
+  postLedgerEntry,
+  settlementStatementToCsv,
+} from "../utils/ledger.js";
+import { buildStatementPdf } from "../utils/statementPdf.js";
+import { createNotification } from "../utils/notify.js";
+import { io } from "../server.js";
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new AppError(httpStatus.BAD_REQUEST, `${field} must be a valid date`);
+  }
+  return date;
+};
+
+// The doctor themself, or (admin routes) the doctor in :doctorId
+const loadLedgerDoctor = async (req) => {
+  const doctorId = req.params.doctorId || req.user._id;
+  const doctor = mongoose.Types.ObjectId.isValid(doctorId)
+    ? await User.findOne({ _id: doctorId, role: "doctor" }).select("fullName timezone")
+    : null;
+  if (!doctor) throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+  return doctor;
+};
+
+const loadBatch = async (batchId) => {
+  const batch = mongoose.Types.ObjectId.isValid(batchId)
+    ? await PayoutBatch.findById(batchId)
+    : null;
+  if (!batch) throw new AppError(httpStatus.NOT_FOUND, "Payout batch not found");
+  return batch;
+};
+
+/**
+ * Doctor: current balance per currency
+ * GET /ledger/me/balance
+ * Admin: GET /ledger/doctors/:doctorId/balance
+ */
+export const getDoctorBalance = catchAsync(async (req, res) => {
+  const doctor = await loadLedgerDoctor(req);
+  const balances = await getLedgerBalances({ doctorId: doctor._id });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Balance fetched",
+    data: {
+      doctorId: doctor._id,
+      balances: balances.map(({ currency, balance }) => ({ currency, balance })),
+    },
+  });
+});
+
+/**
+ * Doctor: ledger entries, newest first. `amount` is signed: positive
+ * entries add to the balance.
+ * GET /ledger/me/entries?from=&to=&type=&page=&limit=
+ * Admin: GET /ledger/doctors/:doctorId/entries
+ */
+export const getDoctorLedgerEntries = catchAsync(async (req, res) => {
+  const doctor = await loadLedgerDoctor(req);
+  const { from, to, type } = req.query;
+
+  const filter = { doctor: doctor._id };
+  if (type) {
+    if (!LEDGER_ENTRY_TYPES.includes(type)) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        `type must be one of: ${LEDGER_ENTRY_TYPES.join(", ")}`,
+      );
+    }
+    filter.type = type;
+  }
+  if (from || to) {
+    filter.occurredAt = {};
+    if (from) filter.occurredAt.$gte = parseDate(from, "from");
+    if (to) filter.occurredAt.$lt = parseDate(to, "to");
+  }
+
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+  const [total, entries] = await Promise.all([
+    LedgerEntry.countDocuments(filter),
+    LedgerEntry.find(filter)
+      .sort({ occurredAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Ledger entries fetched",
+    data: {
+      entries: entries.map((entry) => ({ ...entry, signedAmount: balanceDelta(entry) })),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * Doctor: monthly settlement statement (month in the doctor's timezone)
+ * GET /ledger/me/statements/:month?format=json|csv|pdf   month: YYYY-MM
+ * Admin: GET /ledger/doctors/:doctorId/statements/:month
+ */
+export const getSettlementStatement = catchAsync(async (req, res) => {
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!["json", "csv", "pdf"].includes(format)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "format must be one of: json, csv, pdf",
+    );
+  }
+
+  const doctor = await loadLedgerDoctor(req);
+  const statement = await buildSettlementStatement(doctor, req.params.month);
+  const filename = `statement-${statement.month}`;
+
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    return res.send(settlementStatementToCsv(statement));
+  }
+
+  if (format === "pdf") {
+    const pdf = await buildStatementPdf(statement);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+    return res.send(pdf);
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Settlement statement fetched",
+    data: statement,
+  });
+});
+
+/**
+ * Doctor: paid payouts (only the doctor's own items)
+ * GET /ledger/me/payouts
+ */
+export const getMyPayouts = catchAsync(async (req, res) => {
+  const batches = await PayoutBatch.find({
+    status: "paid",
+    "items.doctor": req.user._id,
+  })
+    .select("periodStart periodEnd paidAt reference items")
+    .sort({ paidAt: -1 })
+    .lean();
+
+  const payouts = batches.map((batch) => ({
+    batchId: batch._id,
+    periodStart: batch.periodStart,
+    periodEnd: batch.periodEnd,
+    paidAt: batch.paidAt,
+    reference: batch.reference,
+    items: batch.items
+      .filter((item) => String(item.doctor) === String(req.user._id))
+      .map(({ amount, currency }) => ({ amount, currency })),
+  }));
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Payouts fetched",
+    data: payouts,
+  });
+});
+
+/**
+ * Admin: balances of all doctors
+ * GET /ledger/balances
+ */
+export const getAllBalances = catchAsync(async (req, res) => {
+  const balances = await getLedgerBalances();
+  const doctors = await User.find({
+    _id: { $in: balances.map((b) => b.doctor) },
+  })
+    .select("fullName specialty avatar")
+    .lean();
+  const byId = new Map(doctors.map((d) => [String(d._id), d]));
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Balances fetched",
+    data: balances.map((b) => ({ ...b, doctor: byId.get(String(b.doctor)) || b.doctor })),
+  });
+});
+
+/**
+ * Admin: manual correction of a doctor's balance
+ * POST /ledger/adjustments
+ * body: { doctorId, amount (negative to debit), currency, memo, appointmentId? }
+ */
+export const createAdjustment = catchAsync(async (req, res) => {
+  const { doctorId, amount, currency, memo, appointmentId } = req.body;
+
+  const value = roundMoney(Number(amount));
+  if (!Number.isFinite(value) || value === 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, "amount must be a non-zero number");
+  }
+  const note = String(memo || "").trim();
+  if (!note) throw new AppError(httpStatus.BAD_REQUEST, "memo is required");
+  const code = String(currency || "").trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "currency must be a 3-letter code");
+  }
+
+  const doctor = mongoose.Types.ObjectId.isValid(doctorId)
+    ? await User.findOne({ _id: doctorId, role: "doctor" }).select("_id")
+    : null;
+  if (!doctor) throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+
+  let appointment = null;
+  if (appointmentId) {
+    appointment = mongoose.Types.ObjectId.isValid(appointmentId)
+      ? await Appointment.findOne({ _id: appointmentId, doctor: doctor._id }).select("_id")
+      : null;
+    if (!appointment) throw new AppError(httpStatus.NOT_FOUND, "Appointment not found");
+  }
+
+  const entry = await postLedgerEntry({
+    doctor: doctor._id,
+    type: "adjustment",
+    direction: value > 0 ? "credit" : "debit",
+    amount: Math.abs(value),
+    currency: code,
+    appointment: appointment?._id || null,
+    memo: note,
+    createdBy: req.user._id,
+    createdByRole: "admin",
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Adjustment posted",
+    data: entry,
+  });
+});
+
+/**
+ * Admin: payout batches, newest first
+ * GET /ledger/payout-batches?status=draft|paid|cancelled
+ */
+export const getPayoutBatches = catchAsync(async (req, res) => {
+  const filter = {};
+  if (req.query.status) filter.status = req.query.status;
+
+  const batches = await PayoutBatch.find(filter)
+    .select("-items")
+    .sort({ periodEnd: -1, createdAt: -1 })
+    .lean();
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Payout batches fetched",
+    data: batches,
+  });
+});
+
+/**
+ * Admin: one payout batch with its items
+ * GET /ledger/payout-batches/:batchId
+ */
+export const getPayoutBatch = catchAsync(async (req, res) => {
+  const batch = await loadBatch(req.params.batchId);
+  await batch.populate("items.doctor", "fullName specialty email");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Payout batch fetched",
+    data: batch,
+  });
+});
+
+/**
+ * Admin: draft a payout batch of every positive balance earned before
+ * periodEnd. Only one draft can be open at a time.
+ * POST /ledger/payout-batches
+ * body: { periodEnd, periodStart?, note? }
+ */
+export const createPayoutBatch = catchAsync(async (req, res) => {
+  const periodEnd = parseDate(req.body.periodEnd, "periodEnd");
+  if (periodEnd > new Date()) {
+    throw new AppError(httpStatus.BAD_REQUEST, "periodEnd can't be in the future");
+  }
+
+  const [open, lastPaid] = await Promise.all([
+    PayoutBatch.findOne({ status: "draft" }).select("_id"),
+    PayoutBatch.findOne({ status: "paid" }).sort({ periodEnd: -1 }).select("periodEnd"),
+  ]);
+  if (open) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      "Pay or cancel the open payout batch first",
+    );
+  }
+  if (lastPaid && periodEnd <= lastPaid.periodEnd) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "periodEnd must be after the end of the last paid period",
+    );
+  }
+
+  const periodStart = req.body.periodStart
+    ? parseDate(req.body.periodStart, "periodStart")
+    : lastPaid?.periodEnd || null;
+  if (periodStart && periodStart >= periodEnd) {
+    throw new AppError(httpStatus.BAD_REQUEST, "periodStart must be before periodEnd");
+  }
+
+  const items = await getPayableBalances(periodEnd);
+  if (!items.length) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Nothing to pay out for this period");
+  }
+
+  const totals = new Map();
+  for (const item of items) {
+    totals.set(item.currency, roundMoney((totals.get(item.currency) || 0) + item.amount));
+  }
+
+  let batch;
+  try {
+    batch = await PayoutBatch.create({
+      periodStart,
+      periodEnd,
+      items,
+      totals: [...totals].map(([currency, amount]) => ({ currency, amount })),
+      note: String(req.body.note || "").trim() || undefined,
+      createdBy: req.user._id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(
+        httpStatus.CONFLICT,
+        "Pay or cancel the open payout batch first",
+      );
+    }
+    throw error;
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Payout batch created",
+    data: batch,
+  });
+});
+
+/**
+ * Admin: mark a draft batch as paid once the transfers are made. Posts a
+ * payout entry per item and notifies the doctors.
+ * PATCH /ledger/payout-batches/:batchId/paid
+ * body: { reference? }
+ */
+export const markPayoutBatchPaid = catchAsync(async (req, res) => {
+  const reference = String(req.body.reference || "").trim() || undefined;
+  const existing = await loadBatch(req.params.batchId);
+
+  // Claimed atomically so two admins can't post the payouts twice
+  const batch = await PayoutBatch.findOneAndUpdate(
+    { _id: existing._id, status: "draft" },
+    {
+      $set: {
+        status: "paid",
+        paidAt: new Date(),
+        paidBy: req.user._id,
+        reference,
+      },
+    },
+    { new: true },
+  );
+  if (!batch) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `This batch is already ${existing.status}`,
+    );
+  }
+
+  for (const item of batch.items) {
+    await postLedgerEntry({
+      doctor: item.doctor,
+      type: "payout",
+      amount: item.amount,
+      currency: item.currency,
+      occurredAt: batch.paidAt,
+      payoutBatch: batch._id,
+      memo: reference ? `Payout (ref. ${reference})` : "Payout",
+      sourceKey: `payout:${batch._id}:${item._id}`,
+      createdBy: req.user._id,
+      createdByRole: "admin",
+    });
+
+    // 🔔 Notification – payout sent → notify doctor
+    const payload = {
+      userId: item.doctor,
+      fromUserId: req.user._id,
+      type: "payout_paid",
+      title: "Payout sent",
+      content: `A payout of ${item.amount} ${item.currency} has been sent to you.`,
+      meta: {
+        batchId: batch._id,
+        amount: item.amount,
+        currency: item.currency,
+        reference,
+      },
+    };
+    await createNotification(payload);
+    io.to(String(item.doctor)).emit("payout_paid", payload);
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Payout batch marked as paid",
+    data: batch,
+  });
+});
+
+/**
+ * Admin: discard a draft batch
+ * PATCH /ledger/payout-batches/:batchId/cancel
+ */
+export const cancelPayoutBatch = catchAsync(async (req, res) => {
+  const existing = await loadBatch(req.params.batchId);
+
+  const batch = await PayoutBatch.findOneAndUpdate(
+    { _id: existing._id, status: "draft" },
+    {
+      $set: {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancelledBy: req.user._id,
+      },
+    },
+    { new: true },
+  );
+  if (!batch) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `This batch is already ${existing.status}`,
+    );
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Payout batch cancelled",
+    data: batch,
+  });
+});
@@ -0,0 +1,197 @@
+// controller/payment.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import { User } from "../model/user.model.js";
+import { paymentInfo } from "../model/payment.model.js";
+import {
+  buildFollowUpFee,
+  getAppointmentFee,
+  loadBookableFollowUp,
+} from "../utils/followUp.js";
+import { getPaymentGateway } from "../utils/paymentGateway.js";
+
+const loadOwnPayment = async (paymentId, userId) => {
+  const payment = mongoose.Types.ObjectId.isValid(paymentId)
+    ? await paymentInfo.findOne({
+      _id: paymentId,
+      userId,
+      type: "appointment",
+    })
+    : null;
+  if (!payment) throw new AppError(httpStatus.NOT_FOUND, "Payment not found");
+  return payment;
+};
+
+/**
+ * Patient: start paying for a video appointment. Returns what the client
+ * SDK of the active gateway needs (Stripe client secret / Braintree token).
+ * Pass the returned paymentId to POST /appointment once captured.
+ * POST /appointment/payments/intent
+ * body: { doctorId, followUpId? }
+ */
+export const createPaymentIntent = catchAsync(async (req, res) => {
+  const { doctorId, followUpId } = req.body;
+
+  const doctor = mongoose.Types.ObjectId.isValid(doctorId)
+    ? await User.findById(doctorId)
+    : null;
+  if (!doctor || doctor.role !== "doctor") {
+    throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+  }
+
+  const followUp = followUpId
+    ? await loadBookableFollowUp(followUpId, req.user._id, doctor)
+    : null;
+  const feeOverride = followUp ? buildFollowUpFee(followUp, doctor) : null;
+  const { amount, currency } = getAppointmentFee({ feeOverride }, doctor);
+
+  if (!(amount > 0)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "This appointment does not need a payment",
+    );
+  }
+
+  let gateway;
+  try {
+    gateway = getPaymentGateway();
+  } catch (error) {
+    console.error("❌ Payment gateway unavailable:", error.message);
+    throw new AppError(
+      httpStatus.SERVICE_UNAVAILABLE,
+      "Online payments are not available, please upload a payment screenshot",
+    );
+  }
+
+  const payment = await paymentInfo.create({
+    userId: req.user._id,
+    doctor: doctor._id,
+    followUp: followUp?._id || null,
+    type: "appointment",
+    price: amount,
+    currency,
+    gateway: gateway.name,
+  });
+
+  let intent;
+  try {
+    intent = await gateway.createIntent({
+      amount,
+      currency,
+      paymentId: payment._id,
+      metadata: { doctorId: String(doctor._id), patientId: String(req.user._id) },
+    });
+  } catch (error) {
+    payment.paymentStatus = "failed";
+    payment.failureReason = error.message;
+    await payment.save();
+    throw new AppError(
+      httpStatus.BAD_GATEWAY,
+      "Could not start the payment, please try again",
+    );
+  }
+
+  payment.intentId = intent.intentId || undefined;
+  await payment.save();
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Payment started",
+    data: {
+      paymentId: payment._id,
+      gateway: gateway.name,
+      amount,
+      currency,
+      clientSecret: intent.clientSecret,
+      clientToken: intent.clientToken,
+    },
+  });
+});
+
+/**
+ * Patient: capture a payment after the client confirmed it with the
+ * gateway (Braintree: pass the paymentMethodNonce)
+ * POST /appointment/payments/:paymentId/capture
+ * body: { paymentMethodNonce? }
+ */
+export const capturePayment = catchAsync(async (req, res) => {
+  const payment = await loadOwnPayment(req.params.paymentId, req.user._id);
+
+  if (payment.paymentStatus === "complete") {
+    return sendResponse(res, {
+      statusCode: httpStatus.OK,
+      success: true,
+      message: "Payment already captured",
+      data: payment,
+    });
+  }
+  if (payment.paymentStatus === "failed") {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "This payment failed, please start a new one",
+    );
+  }
+
+  const gateway = getPaymentGateway(payment.gateway);
+
+  let result;
+  try {
+    result = await gateway.capture({
+      intentId: payment.intentId,
+      amount: payment.price,
+      currency: payment.currency,
+      paymentId: payment._id,
+      paymentMethodNonce: req.body.paymentMethodNonce,
+    });
+  } catch {
+    throw new AppError(
+      httpStatus.BAD_GATEWAY,
+      "Could not reach the payment provider, please try again",
+    );
+  }
+
+  payment.paymentStatus = result.status;
+  payment.transactionId = result.transactionId || payment.transactionId;
+  payment.failureReason = result.failureReason;
+  if (req.body.paymentMethodNonce) {
+    payment.paymentMethodNonce = req.body.paymentMethodNonce;
+  }
+  if (result.status === "complete") payment.capturedAt = new Date();
+  await payment.save();
+
+  if (result.status === "failed") {
+    throw new AppError(
+      httpStatus.PAYMENT_REQUIRED,
+      result.failureReason || "Payment failed",
+    );
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message:
+      result.status === "complete"
+        ? "Payment captured"
+        : "Payment needs to be confirmed with your card issuer first",
+    data: payment,
+  });
+});
+
+/**
+ * Patient: payment status
+ * GET /appointment/payments/:paymentId
+ */
+export const getPayment = catchAsync(async (req, res) => {
+  const payment = await loadOwnPayment(req.params.paymentId, req.user._id);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Payment fetched",
+    data: payment,
+  });
+});
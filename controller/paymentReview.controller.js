@@ -0,0 +1,229 @@
+// controller/paymentReview.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import { Appointment } from "../model/appointment.model.js";
+import { createNotification } from "../utils/notify.js";
+import {
+  appointmentAuditEntries,
+  appointmentDependentId,
+  recordAudit,
+} from "../utils/audit.js";
+import { formatAppointmentTime } from "../utils/timezone.js";
+import { io } from "../server.js";
+
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+const assertReviewer = (user) => {
+  if (!["admin", "doctor"].includes(user.role)) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "Only admins and doctors can review payments",
+    );
+  }
+};
+
+// Video appointments paid by screenshot (not online) with the given review
+// state; screenshots uploaded before reviews existed count as pending
+const queueFilter = (status) => {
+  const filter = {
+    appointmentType: "video",
+    payment: null,
+    "paymentScreenshot.url": { $exists: true, $ne: "" },
+  };
+
+  if (status === "pending") {
+    filter.status = { $in: ["pending", "accepted"] };
+    filter.$or = [
+      { "paymentReview.status": "pending" },
+      { paymentReview: null, paymentVerified: false },
+    ];
+  } else {
+    filter["paymentReview.status"] = status;
+  }
+  return filter;
+};
+
+/**
+ * Admin / doctor: payment screenshots to review (doctors see their own
+ * appointments only), oldest first
+ * GET /appointment/payment-review?status=pending|approved|rejected&doctorId=&page=&limit=
+ */
+export const getPaymentReviewQueue = catchAsync(async (req, res) => {
+  assertReviewer(req.user);
+
+  const { status = "pending", doctorId } = req.query;
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `status must be one of: ${REVIEW_STATUSES.join(", ")}`,
+    );
+  }
+
+  const filter = queueFilter(status);
+  if (req.user.role === "doctor") {
+    filter.doctor = req.user._id;
+  } else if (doctorId) {
+    if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+      throw new AppError(httpStatus.BAD_REQUEST, "Invalid doctorId");
+    }
+    filter.doctor = doctorId;
+  }
+
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+  const [total, appointments] = await Promise.all([
+    Appointment.countDocuments(filter),
+    Appointment.find(filter)
+      .select(
+        "doctor patient bookedFor appointmentDate time timezone status feeOverride paymentScreenshot paymentVerified paymentReview createdAt",
+      )
+      .populate("doctor", "fullName avatar fees")
+      .populate("patient", "fullName avatar")
+      .populate("paymentReview.reviewedBy", "fullName role")
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+  ]);
+
+  await recordAudit(
+    req,
+    appointmentAuditEntries(appointments, "read", { paymentReview: status }),
+  );
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Payment review queue fetched",
+    data: {
+      appointments,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    },
+  });
+});
+
+/**
+ * Admin / treating doctor: approve or reject a payment screenshot.
+ * Rejecting asks the patient for a new upload unless requestReupload=false;
+ * the doctor can't accept the appointment while the proof is rejected.
+ * PATCH /appointment/:id/payment-review
+ * body: { decision: "approve" | "reject", reason?, requestReupload? }
+ */
+export const reviewPaymentProof = catchAsync(async (req, res) => {
+  assertReviewer(req.user);
+
+  const { decision, reason, requestReupload } = req.body;
+  if (!["approve", "reject"].includes(decision)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "decision must be 'approve' or 'reject'",
+    );
+  }
+
+  const note = String(reason || "").trim();
+  if (decision === "reject" && !note) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "A reason is required to reject a payment",
+    );
+  }
+
+  const appointment = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Appointment.findById(req.params.id)
+    : null;
+  if (!appointment) {
+    throw new AppError(httpStatus.NOT_FOUND, "Appointment not found");
+  }
+  if (
+    req.user.role === "doctor" &&
+    String(appointment.doctor) !== String(req.user._id)
+  ) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "You can only review payments for your own appointments",
+    );
+  }
+  if (appointment.appointmentType !== "video" || !appointment.paymentScreenshot?.url) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "This appointment has no payment screenshot to review",
+    );
+  }
+  if (appointment.payment) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "This appointment was paid online",
+    );
+  }
+  if (appointment.status === "cancelled") {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "This appointment is cancelled",
+    );
+  }
+
+  const approved = decision === "approve";
+  const review = {
+    status: approved ? "approved" : "rejected",
+    reason: note || undefined,
+    reuploadRequested: !approved && String(requestReupload) !== "false",
+    reviewedBy: req.user._id,
+    reviewedByRole: req.user.role,
+    reviewedAt: new Date(),
+    screenshot: appointment.paymentScreenshot,
+  };
+
+  appointment.paymentReview = review;
+  appointment.paymentReviewHistory.push(review);
+  appointment.paymentVerified = approved;
+  await appointment.save();
+
+  await recordAudit(req, {
+    subject: appointment.patient,
+    subjectDependentId: appointmentDependentId(appointment),
+    resource: "appointment",
+    resourceId: appointment._id,
+    action: "update",
+    meta: { paymentReview: review.status },
+  });
+
+  // 🔔 Notification – payment proof reviewed → notify patient
+  const when = formatAppointmentTime(
+    appointment.appointmentDate,
+    appointment.time,
+    appointment.timezone,
+  );
+  const type = approved ? "payment_proof_approved" : "payment_proof_rejected";
+  const payload = {
+    userId: appointment.patient,
+    fromUserId: req.user._id,
+    type,
+    title: approved ? "Payment verified" : "Payment proof rejected",
+    content: approved
+      ? `Your payment for the appointment on ${when} was verified.`
+      : `Your payment proof for the appointment on ${when} was rejected: ${note}.${review.reuploadRequested ? " Please upload a new screenshot." : ""}`,
+    appointmentId: appointment._id,
+    meta: {
+      decision,
+      reason: note || undefined,
+      reuploadRequested: review.reuploadRequested,
+    },
+  };
+  await createNotification(payload);
+  io.to(String(appointment.patient)).emit(type, payload);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: approved ? "Payment approved" : "Payment rejected",
+    data: appointment,
+  });
+});
@@ -0,0 +1,429 @@
+// controller/queue.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import { User } from "../model/user.model.js";
+import { Appointment } from "../model/appointment.model.js";
+import { DailyQueue } from "../model/dailyQueue.model.js";
+import { QueueEntry } from "../model/queueEntry.model.js";
+import { Clinic } from "../model/clinic.model.js";
+import { broadcastQueueUpdate, getQueueSnapshot } from "../utils/queue.js";
+import { findClinicForDate } from "../utils/clinic.js";
+import { assertCanBook } from "../utils/patientReliability.js";
+import { resolveTimeZone, todayInZone } from "../utils/timezone.js";
+import { io } from "../server.js";
+
+const ACTIVE_ENTRY_STATUSES = ["waiting", "serving"];
+
+const getToday = (doctor) => todayInZone(resolveTimeZone(doctor.timezone));
+
+// Position / ETA of one entry within its queue snapshot
+const describeEntry = (snapshot, entry) => {
+  const waiting = snapshot.entries.find(
+    (e) => String(e._id) === String(entry._id),
+  );
+  return {
+    ...(entry.toObject?.() ?? entry),
+    nowServing: snapshot.nowServing,
+    position: waiting?.position ?? null,
+    estimatedWaitMinutes: waiting?.estimatedWaitMinutes ?? null,
+  };
+};
+
+/**
+ * Doctor: open (or re-open) today's walk-in queue
+ * POST /queue/open
+ * body: { clinicId?, avgServiceMinutes? }
+ */
+export const openQueue = catchAsync(async (req, res) => {
+  const { clinicId, avgServiceMinutes } = req.body;
+
+  const doctor = await User.findById(req.user._id).select(
+    "timezone weeklySchedule slotDuration",
+  );
+  const queueDate = getToday(doctor);
+
+  let clinic = null;
+  if (clinicId) {
+    const linked =
+      mongoose.Types.ObjectId.isValid(clinicId) &&
+      (await Clinic.exists({ _id: clinicId, doctors: doctor._id, isActive: true }));
+    if (!linked) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        "clinicId must be an active clinic you are linked to",
+      );
+    }
+    clinic = clinicId;
+  } else {
+    clinic = (await findClinicForDate(doctor, queueDate))?._id || null;
+  }
+
+  const estimate =
+    avgServiceMinutes !== undefined
+      ? Number(avgServiceMinutes)
+      : doctor.slotDuration || 15;
+  if (!Number.isFinite(estimate) || estimate < 1 || estimate > 240) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "avgServiceMinutes must be between 1 and 240",
+    );
+  }
+
+  const queue = await DailyQueue.findOneAndUpdate(
+    { doctor: doctor._id, queueDate },
+    {
+      $set: {
+        isOpen: true,
+        clinic,
+        avgServiceMinutes: estimate,
+        closedAt: null,
+      },
+      $setOnInsert: { openedAt: new Date() },
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true },
+  );
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Queue is open for check-ins",
+    data: queue,
+  });
+});
+
+/**
+ * Doctor: stop accepting check-ins today (waiting patients are still served)
+ * POST /queue/close
+ */
+export const closeQueue = catchAsync(async (req, res) => {
+  const queue = await DailyQueue.findOneAndUpdate(
+    { doctor: req.user._id, queueDate: getToday(req.user) },
+    { $set: { isOpen: false, closedAt: new Date() } },
+    { new: true },
+  );
+  if (!queue) {
+    throw new AppError(httpStatus.NOT_FOUND, "No queue opened today");
+  }
+
+  await broadcastQueueUpdate(queue._id);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Queue closed for new check-ins",
+    data: queue,
+  });
+});
+
+/**
+ * Patient: check in to a doctor's queue today and get a token number
+ * POST /queue/check-in
+ * body: { doctorId, appointmentId? } - appointmentId for a booked physical
+ * appointment today; without it the patient joins as a walk-in
+ */
+export const checkIn = catchAsync(async (req, res) => {
+  const { doctorId, appointmentId } = req.body;
+  const patientId = req.user._id;
+
+  const doctor = mongoose.Types.ObjectId.isValid(doctorId)
+    ? await User.findById(doctorId).select("role timezone")
+    : null;
+  if (!doctor || doctor.role !== "doctor") {
+    throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+  }
+
+  const queueDate = getToday(doctor);
+  const queue = await DailyQueue.findOne({
+    doctor: doctor._id,
+    queueDate,
+    isOpen: true,
+  });
+  if (!queue) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "This doctor is not accepting queue check-ins right now",
+    );
+  }
+
+  let appointment = null;
+  if (appointmentId) {
+    appointment = mongoose.Types.ObjectId.isValid(appointmentId)
+      ? await Appointment.findOne({
+        _id: appointmentId,
+        patient: patientId,
+        doctor: doctor._id,
+      })
+      : null;
+    if (!appointment) {
+      throw new AppError(httpStatus.NOT_FOUND, "Appointment not found");
+    }
+    if (
+      appointment.appointmentType !== "physical" ||
+      !["pending", "accepted"].includes(appointment.status) ||
+      new Date(appointment.appointmentDate).getTime() !== queueDate.getTime()
+    ) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        "Only today's active physical appointments can check in",
+      );
+    }
+  } else {
+    assertCanBook(req.user);
+  }
+
+  const existing = await QueueEntry.findOne({
+    queue: queue._id,
+    patient: patientId,
+    status: { $in: ACTIVE_ENTRY_STATUSES },
+  });
+  if (existing) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      `You are already in this queue with token #${existing.tokenNumber}`,
+    );
+  }
+
+  const { lastToken } = await DailyQueue.findOneAndUpdate(
+    { _id: queue._id },
+    { $inc: { lastToken: 1 } },
+    { new: true },
+  );
+
+  const entry = await QueueEntry.create({
+    queue: queue._id,
+    doctor: doctor._id,
+    patient: patientId,
+    appointment: appointment?._id || null,
+    tokenNumber: lastToken,
+  });
+
+  await broadcastQueueUpdate(queue._id);
+
+  const snapshot = await getQueueSnapshot(queue);
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: `Checked in with token #${entry.tokenNumber}`,
+    data: describeEntry(snapshot, entry),
+  });
+});
+
+/**
+ * Doctor: finish the current patient and call the next token
+ * POST /queue/next
+ */
+export const callNext = catchAsync(async (req, res) => {
+  const queue = await DailyQueue.findOne({
+    doctor: req.user._id,
+    queueDate: getToday(req.user),
+  });
+  if (!queue) {
+    throw new AppError(httpStatus.NOT_FOUND, "No queue opened today");
+  }
+
+  const now = new Date();
+
+  await QueueEntry.updateMany(
+    { queue: queue._id, status: "serving" },
+    { $set: { status: "served", servedAt: now } },
+  );
+
+  const next = await QueueEntry.findOneAndUpdate(
+    { queue: queue._id, status: "waiting" },
+    { $set: { status: "serving", calledAt: now } },
+    { sort: { tokenNumber: 1 }, new: true },
+  );
+
+  queue.nowServing = next?.tokenNumber ?? null;
+  await queue.save();
+
+  if (next) {
+    io.to(String(next.patient)).emit("queue_called", {
+      queueId: queue._id,
+      entryId: next._id,
+      tokenNumber: next.tokenNumber,
+    });
+  }
+
+  await broadcastQueueUpdate(queue._id);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: next
+      ? `Now serving token #${next.tokenNumber}`
+      : "No more patients waiting",
+    data: { nowServing: queue.nowServing, entry: next },
+  });
+});
+
+/**
+ * Doctor: skip a waiting/serving patient (e.g. not present when called)
+ * PATCH /queue/entries/:entryId/skip
+ */
+export const skipEntry = catchAsync(async (req, res) => {
+  const entry = await QueueEntry.findOneAndUpdate(
+    {
+      _id: req.params.entryId,
+      doctor: req.user._id,
+      status: { $in: ACTIVE_ENTRY_STATUSES },
+    },
+    { $set: { status: "skipped" } },
+    { new: true },
+  );
+  if (!entry) {
+    throw new AppError(httpStatus.NOT_FOUND, "Queue entry not found");
+  }
+
+  await broadcastQueueUpdate(entry.queue);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: `Token #${entry.tokenNumber} skipped`,
+    data: entry,
+  });
+});
+
+/**
+ * Patient: leave the queue
+ * DELETE /queue/entries/:entryId
+ */
+export const leaveQueue = catchAsync(async (req, res) => {
+  const entry = await QueueEntry.findOneAndUpdate(
+    {
+      _id: req.params.entryId,
+      patient: req.user._id,
+      status: "waiting",
+    },
+    { $set: { status: "left" } },
+    { new: true },
+  );
+  if (!entry) {
+    throw new AppError(httpStatus.NOT_FOUND, "Queue entry not found");
+  }
+
+  await broadcastQueueUpdate(entry.queue);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "You left the queue",
+    data: null,
+  });
+});
+
+/**
+ * Doctor: today's queue with everyone waiting
+ * GET /queue/today
+ */
+export const getTodayQueue = catchAsync(async (req, res) => {
+  const queue = await DailyQueue.findOne({
+    doctor: req.user._id,
+    queueDate: getToday(req.user),
+  }).populate("clinic", "name address");
+
+  if (!queue) {
+    return sendResponse(res, {
+      statusCode: httpStatus.OK,
+      success: true,
+      message: "No queue opened today",
+      data: null,
+    });
+  }
+
+  const snapshot = await getQueueSnapshot(queue);
+  const serving = await QueueEntry.findOne({
+    queue: queue._id,
+    status: "serving",
+  }).populate("patient", "fullName avatar phone");
+
+  await QueueEntry.populate(snapshot.entries, {
+    path: "patient",
+    select: "fullName avatar phone",
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Today's queue fetched",
+    data: { queue, serving, ...snapshot },
+  });
+});
+
+/**
+ * Public status of a doctor's queue today
+ * GET /queue/doctor/:doctorId
+ */
+export const getQueueStatus = catchAsync(async (req, res) => {
+  const { doctorId } = req.params;
+
+  const doctor = mongoose.Types.ObjectId.isValid(doctorId)
+    ? await User.findById(doctorId).select("role timezone")
+    : null;
+  if (!doctor || doctor.role !== "doctor") {
+    throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+  }
+
+  const queue = await DailyQueue.findOne({
+    doctor: doctor._id,
+    queueDate: getToday(doctor),
+  }).populate("clinic", "name address");
+
+  if (!queue) {
+    return sendResponse(res, {
+      statusCode: httpStatus.OK,
+      success: true,
+      message: "No queue opened today",
+      data: { isOpen: false },
+    });
+  }
+
+  const { nowServing, isOpen, waitingCount, avgServiceMinutes } =
+    await getQueueSnapshot(queue);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Queue status fetched",
+    data: {
+      queueId: queue._id,
+      clinic: queue.clinic,
+      isOpen,
+      nowServing,
+      waitingCount,
+      estimatedWaitMinutes: waitingCount * avgServiceMinutes,
+    },
+  });
+});
+
+/**
+ * Patient: my active queue entries with live position
+ * GET /queue/me
+ */
+export const getMyQueueEntries = catchAsync(async (req, res) => {
+  const entries = await QueueEntry.find({
+    patient: req.user._id,
+    status: { $in: ACTIVE_ENTRY_STATUSES },
+  })
+    .populate("doctor", "fullName avatar specialty")
+    .sort({ createdAt: -1 });
+
+  const data = [];
+  for (const entry of entries) {
+    const queue = await DailyQueue.findById(entry.queue);
+    if (!queue) continue;
+    data.push(describeEntry(await getQueueSnapshot(queue), entry));
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Queue entries fetched",
+    data,
+  });
+});
@@ -0,0 +1,159 @@
+// controller/refund.controller.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import { Appointment } from "../model/appointment.model.js";
+import { paymentInfo } from "../model/payment.model.js";
+import {
+  completeManualRefund,
+  getAppointmentPayment,
+  getRefundableAmount,
+  issueRefund,
+} from "../utils/refunds.js";
+
+const loadAppointment = async (id) => {
+  const appointment = mongoose.Types.ObjectId.isValid(id)
+    ? await Appointment.findById(id).populate("doctor", "fullName fees")
+    : null;
+  if (!appointment) {
+    throw new AppError(httpStatus.NOT_FOUND, "Appointment not found");
+  }
+  return appointment;
+};
+
+const paymentSummary = (payment) =>
+  payment && {
+    paymentId: payment._id,
+    gateway: payment.gateway,
+    price: payment.price,
+    currency: payment.currency,
+    refundedAmount: payment.refundedAmount,
+    refundableAmount: getRefundableAmount(payment),
+    refundStatus: payment.refundStatus,
+    refunds: payment.refunds,
+  };
+
+/**
+ * Payment and refunds of an appointment (patient, doctor or admin)
+ * GET /appointment/:id/refunds
+ */
+export const getAppointmentRefunds = catchAsync(async (req, res) => {
+  const appointment = await loadAppointment(req.params.id);
+
+  const userId = String(req.user._id);
+  const allowed =
+    req.user.role === "admin" ||
+    String(appointment.patient) === userId ||
+    String(appointment.doctor._id) === userId;
+  if (!allowed) {
+    throw new AppError(httpStatus.FORBIDDEN, "You don't have access to this appointment");
+  }
+
+  const payment = await paymentInfo.findOne({
+    appointment: appointment._id,
+    type: "appointment",
+    paymentStatus: "complete",
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: payment ? "Refunds fetched" : "No payment recorded for this appointment",
+    data: paymentSummary(payment),
+  });
+});
+
+/**
+ * Admin: discretionary (partial) refund, e.g. a goodwill gesture
+ * POST /appointment/:id/refunds
+ * body: { amount, reason }
+ */
+export const issueDiscretionaryRefund = catchAsync(async (req, res) => {
+  const { amount, reason } = req.body;
+
+  const note = String(reason || "").trim();
+  if (!note) {
+    throw new AppError(httpStatus.BAD_REQUEST, "reason is required");
+  }
+
+  const appointment = await loadAppointment(req.params.id);
+  const payment = await getAppointmentPayment(appointment, appointment.doctor);
+  if (!payment) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "No payment recorded for this appointment",
+    );
+  }
+
+  const { refund } = await issueRefund({
+    payment,
+    amount,
+    kind: "discretionary",
+    reason: note,
+    user: req.user,
+    appointmentId: appointment._id,
+  });
+
+  if (refund.status === "failed") {
+    throw new AppError(
+      httpStatus.BAD_GATEWAY,
+      `Refund failed: ${refund.failureReason || "unknown error"}`,
+    );
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message:
+      refund.method === "manual"
+        ? "Refund recorded, confirm it once the money has been sent"
+        : "Refund issued",
+    data: paymentSummary(payment),
+  });
+});
+
+/**
+ * Admin: confirm (or fail) a manual refund once the transfer is done
+ * PATCH /appointment/:id/refunds/:refundId
+ * body: { status: "succeeded" | "failed", reference? }
+ */
+export const updateManualRefund = catchAsync(async (req, res) => {
+  const { status, reference } = req.body;
+  if (!["succeeded", "failed"].includes(status)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "status must be 'succeeded' or 'failed'",
+    );
+  }
+
+  const appointment = await loadAppointment(req.params.id);
+  const payment = await paymentInfo.findOne({
+    appointment: appointment._id,
+    type: "appointment",
+  });
+  const refund = payment?.refunds.id(req.params.refundId);
+  if (!refund) throw new AppError(httpStatus.NOT_FOUND, "Refund not found");
+
+  if (refund.method !== "manual" || refund.status !== "pending") {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "Only pending manual refunds can be updated",
+    );
+  }
+
+  await completeManualRefund({
+    payment,
+    refund,
+    status,
+    reference: String(reference || "").trim() || undefined,
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: status === "succeeded" ? "Refund confirmed" : "Refund marked as failed",
+    data: paymentSummary(payment),
+  });
+});
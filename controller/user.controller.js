@@ -10,7 +10,19 @@ import AppError from "../errors/AppError.js";
 import sendResponse from "../utils/sendResponse.js";
 import catchAsync from "../utils/catchAsync.js";
 import { DoctorReview } from "../model/doctorReview.model.js";
+import { Clinic } from "../model/clinic.model.js";
 import { createNotification } from "../utils/notify.js";
+import {
+  formatCalendarDate,
+  isValidTimeZone,
+  resolveTimeZone,
+  toCalendarDate,
+  todayInZone,
+} from "../utils/timezone.js";
+import { isBlockedByException } from "../utils/appointmentSlots.js";
+import { parseCancellationPolicy } from "../utils/cancellationPolicy.js";
+import { recordAudit } from "../utils/audit.js";
+import { getGuardianshipStatus } from "../utils/guardianship.js";
 
 /**
  * Helpers
@@ -49,6 +61,19 @@ const parseIfString = (v) => {
   }
 };
 
+const sanitizeSlots = (input) =>
+  Array.isArray(input)
+    ? input
+      .map((s) => {
+        const start = String(s?.start || "").trim();
+        const end = String(s?.end || "").trim();
+        if (!isValidTime(start) || !isValidTime(end)) return null;
+        if (start >= end) return null;
+        return { start, end };
+      })
+      .filter(Boolean)
+    : [];
+
 const sanitizeWeeklySchedule = (input) => {
   if (!Array.isArray(input)) return undefined;
 
@@ -59,19 +84,13 @@ const sanitizeWeeklySchedule = (input) => {
 
       const isActive = Boolean(item?.isActive);
 
-      const slots = Array.isArray(item?.slots)
-        ? item.slots
-          .map((s) => {
-            const start = String(s?.start || "").trim();
-            const end = String(s?.end || "").trim();
-            if (!isValidTime(start) || !isValidTime(end)) return null;
-            if (start >= end) return null;
-            return { start, end };
-          })
-          .filter(Boolean)
-        : [];
-
-      return { day, isActive, slots };
+      const slots = sanitizeSlots(item?.slots);
+
+      const clinic = mongoose.Types.ObjectId.isValid(item?.clinic)
+        ? String(item.clinic)
+        : null;
+
+      return { day, isActive, slots, clinic };
     })
     .filter(Boolean);
 
@@ -145,6 +164,101 @@ const parseBooleanInput = (value) => {
   return Boolean(value);
 };
 
+const parseScheduleException = (input, timezone) => {
+  const date = toCalendarDate(trimmedOrUndefined(input?.date), timezone);
+  if (!date) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "date must be a valid date (yyyy-mm-dd)",
+    );
+  }
+  if (date < todayInZone(timezone)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "date cannot be in the past");
+  }
+
+  const type = String(input?.type || "").trim().toLowerCase();
+  if (!["blocked", "extra"].includes(type)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "type must be either blocked or extra",
+    );
+  }
+
+  const allDay = type === "blocked" && parseBooleanInput(input?.allDay) === true;
+  const slots = allDay ? [] : sanitizeSlots(parseIfString(input?.slots));
+  if (!allDay && slots.length === 0) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "slots are required unless the whole day is blocked",
+    );
+  }
+
+  const reason = trimmedOrUndefined(input?.reason);
+  if (reason && reason.length > 200) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "reason cannot exceed 200 characters",
+    );
+  }
+
+  return { date, type, allDay, slots, reason };
+};
+
+/**
+ * Re-flag pending/accepted appointments against a schedule exception.
+ * Flags previously set by the exception are cleared first, so this also
+ * handles updates and (with exception = null) deletes.
+ */
+const syncExceptionConflicts = async (doctor, exceptionId, exception = null) => {
+  const { Appointment } = await import("../model/appointment.model.js");
+
+  await Appointment.updateMany(
+    { "scheduleConflict.exceptionId": exceptionId },
+    {
+      $set: {
+        scheduleConflict: {
+          flagged: false,
+          exceptionId: null,
+          reason: "",
+          flaggedAt: null,
+        },
+      },
+    },
+  );
+
+  if (!exception || exception.type !== "blocked") return [];
+
+  const candidates = await Appointment.find({
+    doctor: doctor._id,
+    appointmentDate: exception.date,
+    status: { $in: ["pending", "accepted"] },
+  }).select("time");
+
+  const affectedIds = candidates
+    .filter((a) =>
+      isBlockedByException(exception, a.time, doctor.slotDuration),
+    )
+    .map((a) => a._id);
+
+  if (affectedIds.length) {
+    await Appointment.updateMany(
+      { _id: { $in: affectedIds } },
+      {
+        $set: {
+          scheduleConflict: {
+            flagged: true,
+            exceptionId,
+            reason: exception.reason || "Doctor is unavailable at this time",
+            flaggedAt: new Date(),
+          },
+        },
+      },
+    );
+  }
+
+  return affectedIds;
+};
+
 const percentageChange = (current, previous) => {
   if (previous === 0) return current > 0 ? 100 : 0;
   const change = ((current - previous) / previous) * 100;
@@ -225,8 +339,82 @@ export const searchDoctors = catchAsync(async (req, res) => {
   });
 });
 
+// Earth radius in km
+const EARTH_RADIUS_KM = 6371;
+
+// Doctors with no active clinic within maxDistanceKm of their profile
+// location (lat/lng strings), distance by the haversine formula
+const clinicLessDoctorsNearPipeline = (userLat, userLng, maxDistanceKm) => [
+  { $match: { role: "doctor" } },
+  {
+    $lookup: {
+      from: "clinics",
+      let: { docId: "$_id" },
+      pipeline: [
+        {
+          $match: {
+            isActive: true,
+            $expr: { $in: ["$$docId", { $ifNull: ["$doctors", []] }] },
+          },
+        },
+        { $limit: 1 },
+        { $project: { _id: 1 } },
+      ],
+      as: "activeClinics",
+    },
+  },
+  { $match: { activeClinics: { $size: 0 } } },
+  // Convert string location to doubles
+  {
+    $addFields: {
+      docLat: { $convert: { input: "$location.lat", to: "double", onError: null, onNull: null } },
+      docLng: { $convert: { input: "$location.lng", to: "double", onError: null, onNull: null } },
+    },
+  },
+  // Filter valid coordinates
+  { $match: { docLat: { $type: "number" }, docLng: { $type: "number" } } },
+  {
+    $addFields: {
+      dLat: { $degreesToRadians: { $subtract: ["$docLat", userLat] } },
+      dLng: { $degreesToRadians: { $subtract: ["$docLng", userLng] } },
+      lat1: { $degreesToRadians: "$docLat" },
+      lat2: { $degreesToRadians: userLat },
+    },
+  },
+  {
+    $addFields: {
+      a: {
+        $add: [
+          { $pow: [{ $sin: { $divide: ["$dLat", 2] } }, 2] },
+          {
+            $multiply: [
+              { $cos: "$lat1" },
+              { $cos: "$lat2" },
+              { $pow: [{ $sin: { $divide: ["$dLng", 2] } }, 2] },
+            ],
+          },
+        ],
+      },
+    },
+  },
+  {
+    $addFields: {
+      distanceKm: {
+        $multiply: [
+          EARTH_RADIUS_KM,
+          2,
+          { $atan2: [{ $sqrt: "$a" }, { $sqrt: { $subtract: [1, "$a"] } }] },
+        ],
+      },
+      nearestClinic: null,
+    },
+  },
+  { $match: { distanceKm: { $lte: maxDistanceKm } } },
+  { $project: { activeClinics: 0, docLat: 0, docLng: 0, dLat: 0, dLng: 0, lat1: 0, lat2: 0, a: 0 } },
+];
+
 /**
- * Get nearby doctors using Haversine formula
+ * Get nearby doctors by distance to their clinics ($geoNear)
  * Filters within ~50km radius
  */
 export const getNearbyDoctors = catchAsync(async (req, res) => {
@@ -241,73 +429,72 @@ export const getNearbyDoctors = catchAsync(async (req, res) => {
   const userLng = parseFloat(lng);
   const maxDistance = parseFloat(radiusKm) || 50; // Default 50km
 
-  // Earth radius in km
-  const R = 6371;
+  if (!Number.isFinite(userLat) || !Number.isFinite(userLng)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "lat and lng must be numbers");
+  }
 
-  const doctors = await User.aggregate([
-    { $match: { role: "doctor" } },
-    // Convert string location to doubles
+  // Distance is measured to the doctors' clinics; a doctor practising at
+  // several clinics is listed once, at the nearest one. Doctors without a
+  // clinic fall back to their profile location.
+  const doctors = await Clinic.aggregate([
     {
-      $addFields: {
-        docLat: { $toDouble: "$location.lat" },
-        docLng: { $toDouble: "$location.lng" },
+      $geoNear: {
+        near: { type: "Point", coordinates: [userLng, userLat] },
+        distanceField: "distanceM",
+        maxDistance: maxDistance * 1000,
+        spherical: true,
+        query: { isActive: true },
       },
     },
-    // Filter valid coordinates
+    { $unwind: "$doctors" },
+    { $sort: { distanceM: 1 } },
     {
-      $match: {
-        docLat: { $type: "number" },
-        docLng: { $type: "number" },
+      $group: {
+        _id: "$doctors",
+        distanceM: { $first: "$distanceM" },
+        nearestClinic: {
+          $first: {
+            _id: "$_id",
+            name: "$name",
+            address: "$address",
+            city: "$city",
+            location: "$location",
+            contact: "$contact",
+          },
+        },
       },
     },
-    // Calculate distance (Haversine Formula via Aggregation)
     {
-      $addFields: {
-        dLat: { $degreesToRadians: { $subtract: ["$docLat", userLat] } },
-        dLng: { $degreesToRadians: { $subtract: ["$docLng", userLng] } },
-        lat1: { $degreesToRadians: "$docLat" },
-        lat2: { $degreesToRadians: userLat },
+      $lookup: {
+        from: "users",
+        localField: "_id",
+        foreignField: "_id",
+        as: "doctor",
       },
     },
+    { $unwind: "$doctor" },
+    { $match: { "doctor.role": "doctor" } },
     {
-      $addFields: {
-        a: {
-          $add: [
+      $replaceRoot: {
+        newRoot: {
+          $mergeObjects: [
+            "$doctor",
             {
-              $pow: [{ $sin: { $divide: ["$dLat", 2] } }, 2],
+              distanceKm: { $divide: ["$distanceM", 1000] },
+              nearestClinic: "$nearestClinic",
             },
-            {
-              $multiply: [
-                { $cos: "$lat1" },
-                { $cos: "$lat2" },
-                { $pow: [{ $sin: { $divide: ["$dLng", 2] } }, 2] },
-              ],
-            },
-          ],
-        },
-      },
-    },
-    {
-      $addFields: {
-        c: {
-          $multiply: [
-            2,
-            { $atan2: [{ $sqrt: "$a" }, { $sqrt: { $subtract: [1, "$a"] } }] },
           ],
         },
       },
     },
+    // Doctors without an active clinic are still found by their own location
     {
-      $addFields: {
-        distanceKm: { $multiply: [R, "$c"] },
-      },
-    },
-    // Filter by max distance
-    {
-      $match: {
-        distanceKm: { $lte: maxDistance },
+      $unionWith: {
+        coll: "users",
+        pipeline: clinicLessDoctorsNearPipeline(userLat, userLng, maxDistance),
       },
     },
+    { $sort: { distanceKm: 1 } },
     // Lookup ratings
     {
       $lookup: {
@@ -350,6 +537,7 @@ export const getNearbyDoctors = catchAsync(async (req, res) => {
         address: 1,
         ratingSummary: 1, // Keep calculated rating
         distanceKm: 1, // Keep calculated distance
+        nearestClinic: 1,
       },
     },
   ]);
@@ -728,6 +916,15 @@ export const getUserDetails = catchAsync(async (req, res) => {
       .lean();
   }
 
+  if (user.role === "patient") {
+    await recordAudit(req, {
+      subject: user._id,
+      resource: "user",
+      resourceId: user._id,
+      action: "read",
+    });
+  }
+
   sendResponse(res, {
     statusCode: httpStatus.OK,
     success: true,
@@ -758,6 +955,9 @@ export const updateProfile = catchAsync(async (req, res) => {
     degrees,
     fees,
     weeklySchedule,
+    slotDuration,
+    bufferTime,
+    timezone,
     visitingHoursText,
     medicalLicenseNumber,
     isVideoCallAvailable, // ✅ NEW: Support for main key
@@ -814,6 +1014,17 @@ export const updateProfile = catchAsync(async (req, res) => {
   if (country !== undefined) user.country = String(country).trim();
   if (language !== undefined) user.language = String(language).trim();
 
+  if (timezone !== undefined) {
+    const tz = String(timezone).trim();
+    if (!isValidTimeZone(tz)) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        "timezone must be a valid IANA timezone (e.g. Asia/Dhaka)",
+      );
+    }
+    user.timezone = tz;
+  }
+
   if (
     profileImage &&
     typeof profileImage === "string" &&
@@ -869,6 +1080,8 @@ export const updateProfile = catchAsync(async (req, res) => {
     degrees !== undefined ||
     fees !== undefined ||
     weeklySchedule !== undefined ||
+    slotDuration !== undefined ||
+    bufferTime !== undefined ||
     visitingHoursText !== undefined ||
     medicalLicenseNumber !== undefined;
 
@@ -901,7 +1114,46 @@ export const updateProfile = catchAsync(async (req, res) => {
     }
 
     const ws = sanitizeWeeklySchedule(parseIfString(weeklySchedule));
-    if (ws !== undefined) user.weeklySchedule = ws;
+    if (ws !== undefined) {
+      // Days may only point at active clinics this doctor practises at
+      const clinicIds = [...new Set(ws.map((d) => d.clinic).filter(Boolean))];
+      if (clinicIds.length) {
+        const linked = await Clinic.countDocuments({
+          _id: { $in: clinicIds },
+          doctors: user._id,
+          isActive: true,
+        });
+        if (linked !== clinicIds.length) {
+          throw new AppError(
+            httpStatus.BAD_REQUEST,
+            "weeklySchedule references a clinic you are not linked to",
+          );
+        }
+      }
+      user.weeklySchedule = ws;
+    }
+
+    if (slotDuration !== undefined) {
+      const duration = asNumber(slotDuration);
+      if (duration === undefined || duration < 5 || duration > 480) {
+        throw new AppError(
+          httpStatus.BAD_REQUEST,
+          "slotDuration must be between 5 and 480 minutes",
+        );
+      }
+      user.slotDuration = duration;
+    }
+
+    if (bufferTime !== undefined) {
+      const buffer = asNumber(bufferTime);
+      if (buffer === undefined || buffer < 0 || buffer > 240) {
+        throw new AppError(
+          httpStatus.BAD_REQUEST,
+          "bufferTime must be between 0 and 240 minutes",
+        );
+      }
+      user.bufferTime = buffer;
+    }
 
     if (visitingHoursText !== undefined) {
       user.visitingHoursText = String(visitingHoursText).trim();
@@ -985,17 +1237,181 @@ export const changePassword = catchAsync(async (req, res) => {
 });
 
 /**
- * Get my dependents
+ * Doctor: list schedule exceptions (optional ?from=yyyy-mm-dd&to=yyyy-mm-dd)
+ */
+export const getScheduleExceptions = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user._id).select(
+    "scheduleExceptions timezone",
+  );
+  if (!user) throw new AppError(httpStatus.NOT_FOUND, "User not found");
+
+  const timezone = resolveTimeZone(user.timezone);
+  const from = toCalendarDate(req.query.from, timezone);
+  const to = toCalendarDate(req.query.to, timezone);
+
+  const exceptions = (user.scheduleExceptions || [])
+    .filter((e) => (!from || e.date >= from) && (!to || e.date <= to))
+    .sort((a, b) => a.date - b.date);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Schedule exceptions fetched",
+    data: exceptions,
+  });
+});
+
+/**
+ * Doctor: add a schedule exception (day off, partial block or extra hours)
+ */
+export const addScheduleException = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (!user) throw new AppError(httpStatus.NOT_FOUND, "User not found");
+
+  if ((user.scheduleExceptions || []).length >= 200) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "You can keep up to 200 schedule exceptions",
+    );
+  }
+
+  const payload = parseScheduleException(
+    req.body,
+    resolveTimeZone(user.timezone),
+  );
+
+  user.scheduleExceptions.push(payload);
+  await user.save();
+
+  const created = user.scheduleExceptions[user.scheduleExceptions.length - 1];
+  const flaggedAppointments = await syncExceptionConflicts(
+    user,
+    created._id,
+    created,
+  );
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Schedule exception added",
+    data: { exception: created, flaggedAppointments },
+  });
+});
+
+/**
+ * Doctor: update a schedule exception
+ */
+export const updateScheduleException = catchAsync(async (req, res) => {
+  const { exceptionId } = req.params;
+
+  const user = await User.findById(req.user._id);
+  if (!user) throw new AppError(httpStatus.NOT_FOUND, "User not found");
+
+  const exception = user.scheduleExceptions.id(exceptionId);
+  if (!exception) {
+    throw new AppError(httpStatus.NOT_FOUND, "Schedule exception not found");
+  }
+
+  const payload = parseScheduleException(
+    {
+      date: req.body.date ?? formatCalendarDate(exception.date),
+      type: req.body.type ?? exception.type,
+      allDay: req.body.allDay ?? exception.allDay,
+      slots: req.body.slots ?? exception.slots,
+      reason: req.body.reason ?? exception.reason,
+    },
+    resolveTimeZone(user.timezone),
+  );
+
+  exception.set(payload);
+  await user.save();
+
+  const updated = user.scheduleExceptions.id(exceptionId);
+  const flaggedAppointments = await syncExceptionConflicts(
+    user,
+    updated._id,
+    updated,
+  );
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Schedule exception updated",
+    data: { exception: updated, flaggedAppointments },
+  });
+});
+
+/**
+ * Doctor: remove a schedule exception
+ */
+export const deleteScheduleException = catchAsync(async (req, res) => {
+  const { exceptionId } = req.params;
+
+  const user = await User.findById(req.user._id);
+  if (!user) throw new AppError(httpStatus.NOT_FOUND, "User not found");
+
+  const exception = user.scheduleExceptions.id(exceptionId);
+  if (!exception) {
+    throw new AppError(httpStatus.NOT_FOUND, "Schedule exception not found");
+  }
+
+  exception.deleteOne();
+  await user.save();
+
+  await syncExceptionConflicts(user, exception._id);
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Schedule exception removed",
+    data: null,
+  });
+});
+
+/**
+ * Doctor: set own cancellation fee policy, or { useGlobal: true } to
+ * fall back to the admin default
+ */
+export const updateCancellationPolicy = catchAsync(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (!user) throw new AppError(httpStatus.NOT_FOUND, "User not found");
+
+  user.cancellationPolicy =
+    req.body.useGlobal === true || req.body.useGlobal === "true"
+      ? null
+      : parseCancellationPolicy(req.body);
+  await user.save();
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: user.cancellationPolicy
+      ? "Cancellation policy updated"
+      : "Using the default cancellation policy",
+    data: user.cancellationPolicy,
+  });
+});
+
+/**
+ * Get my dependents, each with its guardianship status
+ * (adult / consent on file)
  */
 export const getMyDependents = catchAsync(async (req, res) => {
   const user = await User.findById(req.user._id).select("dependents");
   if (!user) throw new AppError(httpStatus.NOT_FOUND, "User not found");
 
+  const dependents = await Promise.all(
+    (user.dependents || []).map(async (dependent) => ({
+      ...dependent.toObject(),
+      guardianship: await getGuardianshipStatus(user._id, dependent),
+    })),
+  );
+
   sendResponse(res, {
     statusCode: httpStatus.OK,
     success: true,
     message: "Dependents fetched",
-    data: user.dependents || [],
+    data: dependents,
   });
 });
 
@@ -1167,6 +1583,9 @@ export const deleteDependent = catchAsync(async (req, res) => {
   dependent.deleteOne();
   await user.save();
 
+  const { HealthProfile } = await import("../model/healthProfile.model.js");
+  await HealthProfile.deleteOne({ owner: user._id, dependentId });
+
   sendResponse(res, {
     statusCode: httpStatus.OK,
     success: true,
@@ -1263,6 +1682,66 @@ export const deleteUser = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * Admin: set or lift a patient's booking restriction
+ * body: { until: ISO date | null, reason? } - until null lifts it
+ */
+export const updateBookingRestriction = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { until, reason } = req.body;
+
+  const patient = await User.findById(id);
+  if (!patient || patient.role !== "patient") {
+    throw new AppError(httpStatus.NOT_FOUND, "Patient not found");
+  }
+
+  if (until === null || until === undefined || until === "") {
+    patient.bookingRestriction = {
+      until: null,
+      reason: "",
+      appliedBy: null,
+      appliedAt: null,
+    };
+  } else {
+    const untilDate = new Date(until);
+    if (Number.isNaN(untilDate.getTime()) || untilDate <= new Date()) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        "until must be a future date, or null to lift the restriction",
+      );
+    }
+
+    patient.bookingRestriction = {
+      until: untilDate,
+      reason: String(reason || "").trim().slice(0, 200),
+      appliedBy: "admin",
+      appliedAt: new Date(),
+    };
+
+    await createNotification({
+      userId: patient._id,
+      fromUserId: req.user._id,
+      type: "booking_restricted",
+      title: "Booking temporarily restricted",
+      content: `New bookings are paused until ${untilDate.toDateString()}.`,
+      meta: { until: untilDate, reason: patient.bookingRestriction.reason },
+    });
+  }
+
+  await patient.save();
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: until ? "Booking restriction applied" : "Booking restriction lifted",
+    data: {
+      _id: patient._id,
+      fullName: patient.fullName,
+      bookingRestriction: patient.bookingRestriction,
+    },
+  });
+});
+
 /**
  * ✅ Delete current user account (Hard delete + Deep Data wipe)
  */
@@ -1285,6 +1764,9 @@ export const deleteMyAccount = catchAsync(async (req, res) => {
   const { Notification } = await import("../model/notification.model.js");
   const { paymentInfo } = await import("../model/payment.model.js");
   const { ReferralCode } = await import("../model/referralCode.model.js");
+  const { HealthProfile } = await import("../model/healthProfile.model.js");
+  const { MedicalDocument } = await import("../model/medicalDocument.model.js");
+  const { DocumentShare } = await import("../model/documentShare.model.js");
 
   // Delete avatars from Cloudinary
   if (user.avatar?.public_id) {
@@ -1372,7 +1854,20 @@ export const deleteMyAccount = catchAsync(async (req, res) => {
   // 10. Delete Referral codes
   await ReferralCode.deleteMany({ generatedBy: uid });
 
-  // 11. Final: Delete the User Record
+  // 11. Delete health profiles and vault documents (own + dependents')
+  await HealthProfile.deleteMany({ owner: uid });
+
+  const vaultDocuments = await MedicalDocument.find({ owner: uid }).select("file");
+  for (const doc of vaultDocuments) {
+    await deleteFromCloudinary(doc.file.public_id, {
+      resource_type: doc.file.resourceType,
+      type: "authenticated",
+    }).catch(() => { });
+  }
+  await DocumentShare.deleteMany({ $or: [{ owner: uid }, { doctor: uid }] });
+  await MedicalDocument.deleteMany({ owner: uid });
+
+  // 12. Final: Delete the User Record
   await User.findByIdAndDelete(userId);
 
   sendResponse(res, {
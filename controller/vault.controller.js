@@ -0,0 +1,504 @@
+// controller/vault.controller.js
+import path from "path";
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import { User } from "../model/user.model.js";
+import {
+  DOCUMENT_CATEGORIES,
+  MedicalDocument,
+} from "../model/medicalDocument.model.js";
+import { DocumentShare } from "../model/documentShare.model.js";
+import { DocumentViewLog } from "../model/documentViewLog.model.js";
+import {
+  deleteFromCloudinary,
+  getSignedDownloadUrl,
+  uploadOnCloudinary,
+} from "../utils/commonMethod.js";
+import { createNotification } from "../utils/notify.js";
+import { recordAudit } from "../utils/audit.js";
+import { io } from "../server.js";
+
+const MAX_SHARE_DAYS = 90;
+const DEFAULT_SHARE_DAYS = 7;
+
+const isPdf = (file) =>
+  file.mimetype === "application/pdf" ||
+  path.extname(file.originalname).toLowerCase() === ".pdf";
+
+const parseOptionalDate = (value, field) => {
+  if (value === undefined || value === null || value === "") return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    throw new AppError(httpStatus.BAD_REQUEST, `${field} must be a valid date`);
+  }
+  return d;
+};
+
+const parseCategory = (value) => {
+  const category = String(value || "other").trim();
+  if (!DOCUMENT_CATEGORIES.includes(category)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `category must be one of: ${DOCUMENT_CATEGORIES.join(", ")}`,
+    );
+  }
+  return category;
+};
+
+const loadDocument = async (id) => {
+  const document = mongoose.Types.ObjectId.isValid(id)
+    ? await MedicalDocument.findById(id)
+    : null;
+  if (!document) throw new AppError(httpStatus.NOT_FOUND, "Document not found");
+  return document;
+};
+
+const loadOwnDocument = async (id, user) => {
+  const document = await loadDocument(id);
+  if (String(document.owner) !== String(user._id)) {
+    throw new AppError(httpStatus.NOT_FOUND, "Document not found");
+  }
+  return document;
+};
+
+const auditDocument = (req, document, action, meta) =>
+  recordAudit(req, {
+    subject: document.owner,
+    subjectDependentId: document.dependentId,
+    resource: "medical_document",
+    resourceId: document._id,
+    action,
+    meta,
+  });
+
+// Grant currently giving `doctorId` access to the document
+const findActiveShare = (documentId, doctorId) =>
+  DocumentShare.findOne({
+    document: documentId,
+    doctor: doctorId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ expiresAt: -1 });
+
+/**
+ * Patient: upload a lab report, scan or prescription (image or PDF)
+ * POST /vault/documents
+ * form-data: file, title, category?, documentDate?, notes?, dependentId?
+ */
+export const uploadDocument = catchAsync(async (req, res) => {
+  const { title, category, documentDate, notes, dependentId } = req.body;
+
+  if (!req.file) {
+    throw new AppError(httpStatus.BAD_REQUEST, "file is required");
+  }
+  if (!String(title || "").trim()) {
+    throw new AppError(httpStatus.BAD_REQUEST, "title is required");
+  }
+
+  if (dependentId) {
+    const exists =
+      mongoose.Types.ObjectId.isValid(dependentId) &&
+      (await User.exists({ _id: req.user._id, "dependents._id": dependentId }));
+    if (!exists) throw new AppError(httpStatus.NOT_FOUND, "Dependent not found");
+  }
+
+  // Validate everything before uploading, so a 400 leaves no stray file
+  const fields = {
+    owner: req.user._id,
+    dependentId: dependentId || null,
+    title: String(title).trim(),
+    category: parseCategory(category),
+    documentDate: parseOptionalDate(documentDate, "documentDate"),
+    notes: notes ? String(notes).trim() : "",
+  };
+
+  const pdf = isPdf(req.file);
+  const resourceType = pdf ? "raw" : "image";
+  const up = await uploadOnCloudinary(req.file.buffer, {
+    folder: "docmobi/vault",
+    resource_type: resourceType,
+    type: "authenticated",
+    ...(pdf ? { format: "pdf" } : {}),
+  });
+
+  let document;
+  try {
+    document = await MedicalDocument.create({
+      ...fields,
+      file: {
+        public_id: up.public_id,
+        resourceType,
+        format: up.format || (pdf ? "pdf" : path.extname(req.file.originalname).slice(1)),
+        mimeType: req.file.mimetype,
+        originalName: req.file.originalname,
+        bytes: up.bytes || req.file.size,
+      },
+    });
+  } catch (error) {
+    await deleteFromCloudinary(up.public_id, {
+      resource_type: resourceType,
+      type: "authenticated",
+    }).catch(() => { });
+    throw error;
+  }
+
+  await auditDocument(req, document, "create");
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Document added to your vault",
+    data: document,
+  });
+});
+
+/**
+ * Patient: my vault
+ * GET /vault/documents?dependentId=&category=
+ * dependentId=self lists only the account holder's own documents
+ */
+export const getMyDocuments = catchAsync(async (req, res) => {
+  const { dependentId, category } = req.query;
+
+  const filter = { owner: req.user._id };
+  if (dependentId === "self") filter.dependentId = null;
+  else if (dependentId) filter.dependentId = dependentId;
+  if (category) filter.category = category;
+
+  const documents = await MedicalDocument.find(filter).sort({ createdAt: -1 });
+
+  await recordAudit(
+    req,
+    documents.map((document) => ({
+      subject: document.owner,
+      subjectDependentId: document.dependentId,
+      resource: "medical_document",
+      resourceId: document._id,
+      action: "read",
+    })),
+  );
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Documents fetched",
+    data: documents,
+  });
+});
+
+/**
+ * Owner, or a doctor with an active grant: document details
+ * GET /vault/documents/:id
+ */
+export const getDocument = catchAsync(async (req, res) => {
+  const document = await loadDocument(req.params.id);
+
+  if (String(document.owner) !== String(req.user._id)) {
+    const share = await findActiveShare(document._id, req.user._id);
+    if (!share) throw new AppError(httpStatus.NOT_FOUND, "Document not found");
+  }
+
+  await auditDocument(req, document, "read");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Document fetched",
+    data: document,
+  });
+});
+
+/**
+ * Patient: edit document details
+ * PATCH /vault/documents/:id
+ * body: { title?, category?, documentDate?, notes? }
+ */
+export const updateDocument = catchAsync(async (req, res) => {
+  const document = await loadOwnDocument(req.params.id, req.user);
+  const { title, category, documentDate, notes } = req.body;
+
+  if (title !== undefined) {
+    if (!String(title).trim()) {
+      throw new AppError(httpStatus.BAD_REQUEST, "title cannot be empty");
+    }
+    document.title = String(title).trim();
+  }
+  if (category !== undefined) document.category = parseCategory(category);
+  if (documentDate !== undefined) {
+    document.documentDate = parseOptionalDate(documentDate, "documentDate");
+  }
+  if (notes !== undefined) document.notes = String(notes || "").trim();
+
+  await document.save();
+  await auditDocument(req, document, "update");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Document updated",
+    data: document,
+  });
+});
+
+/**
+ * Patient: delete a document and every grant on it (the view log is kept)
+ * DELETE /vault/documents/:id
+ */
+export const deleteDocument = catchAsync(async (req, res) => {
+  const document = await loadOwnDocument(req.params.id, req.user);
+
+  await deleteFromCloudinary(document.file.public_id, {
+    resource_type: document.file.resourceType,
+    type: "authenticated",
+  }).catch(() => { });
+
+  await DocumentShare.deleteMany({ document: document._id });
+  await document.deleteOne();
+  await auditDocument(req, document, "delete");
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Document deleted",
+    data: null,
+  });
+});
+
+/**
+ * Owner, or a doctor with an active grant: short-lived link to the file.
+ * Every call is recorded in the document's view log.
+ * GET /vault/documents/:id/view
+ */
+export const viewDocument = catchAsync(async (req, res) => {
+  const document = await loadDocument(req.params.id);
+
+  let share = null;
+  if (String(document.owner) !== String(req.user._id)) {
+    share = await findActiveShare(document._id, req.user._id);
+    if (!share) throw new AppError(httpStatus.NOT_FOUND, "Document not found");
+  }
+
+  await DocumentViewLog.create({
+    document: document._id,
+    owner: document.owner,
+    viewer: req.user._id,
+    viewerRole: req.user.role,
+    share: share?._id || null,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+  await auditDocument(req, document, "read", { shareId: share?._id });
+
+  const link = getSignedDownloadUrl(document.file.public_id, {
+    format: document.file.format,
+    resourceType: document.file.resourceType,
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Document link generated",
+    data: {
+      url: link.url,
+      expiresAt: link.expiresAt,
+      mimeType: document.file.mimeType,
+    },
+  });
+});
+
+/**
+ * Patient: give a doctor time-limited access to a document
+ * POST /vault/documents/:id/shares
+ * body: { doctorId, expiresInDays? (default 7, max 90) }
+ */
+export const shareDocument = catchAsync(async (req, res) => {
+  const document = await loadOwnDocument(req.params.id, req.user);
+  const { doctorId, expiresInDays = DEFAULT_SHARE_DAYS } = req.body;
+
+  const doctor = mongoose.Types.ObjectId.isValid(doctorId)
+    ? await User.findById(doctorId).select("role fullName")
+    : null;
+  if (!doctor || doctor.role !== "doctor") {
+    throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+  }
+
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_SHARE_DAYS) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `expiresInDays must be between 1 and ${MAX_SHARE_DAYS}`,
+    );
+  }
+  const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  // A new grant replaces the doctor's current one
+  await DocumentShare.updateMany(
+    { document: document._id, doctor: doctor._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+  );
+
+  const share = await DocumentShare.create({
+    document: document._id,
+    owner: req.user._id,
+    doctor: doctor._id,
+    expiresAt,
+  });
+
+  // 🔔 Notification – patient shared a document → notify doctor
+  const payload = {
+    userId: doctor._id,
+    fromUserId: req.user._id,
+    type: "document_shared",
+    title: "Document shared with you",
+    content: `${req.user.fullName} shared "${document.title}" with you until ${expiresAt.toISOString().slice(0, 10)}.`,
+    meta: { documentId: document._id, shareId: share._id, expiresAt },
+  };
+  await createNotification(payload);
+  io.to(String(doctor._id)).emit("document_shared", payload);
+
+  await auditDocument(req, document, "share", {
+    shareId: share._id,
+    doctorId: doctor._id,
+    expiresAt,
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: `Document shared with Dr. ${doctor.fullName}`,
+    data: share,
+  });
+});
+
+/**
+ * Patient: grants of a document (active and past)
+ * GET /vault/documents/:id/shares
+ */
+export const getDocumentShares = catchAsync(async (req, res) => {
+  const document = await loadOwnDocument(req.params.id, req.user);
+
+  const shares = await DocumentShare.find({ document: document._id })
+    .populate("doctor", "fullName specialty avatar")
+    .sort({ createdAt: -1 });
+
+  const now = new Date();
+  const data = shares.map((share) => ({
+    ...share.toObject(),
+    isActive: !share.revokedAt && share.expiresAt > now,
+  }));
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Document shares fetched",
+    data,
+  });
+});
+
+/**
+ * Patient: revoke a grant
+ * DELETE /vault/shares/:shareId
+ */
+export const revokeShare = catchAsync(async (req, res) => {
+  const share = mongoose.Types.ObjectId.isValid(req.params.shareId)
+    ? await DocumentShare.findOneAndUpdate(
+      { _id: req.params.shareId, owner: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true },
+    )
+    : null;
+  if (!share) {
+    throw new AppError(httpStatus.NOT_FOUND, "Active share not found");
+  }
+
+  await recordAudit(req, {
+    subject: share.owner,
+    resource: "medical_document",
+    resourceId: share.document,
+    action: "share",
+    meta: { shareId: share._id, doctorId: share.doctor, revoked: true },
+  });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Access revoked",
+    data: share,
+  });
+});
+
+/**
+ * Patient: who opened a document, and when
+ * GET /vault/documents/:id/views
+ */
+export const getDocumentViews = catchAsync(async (req, res) => {
+  const document = await loadOwnDocument(req.params.id, req.user);
+
+  const views = await DocumentViewLog.find({ document: document._id })
+    .populate("viewer", "fullName role avatar")
+    .sort({ viewedAt: -1 });
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Document views fetched",
+    data: views,
+  });
+});
+
+/**
+ * Doctor: documents currently shared with me
+ * GET /vault/shared-with-me
+ */
+export const getSharedWithMe = catchAsync(async (req, res) => {
+  const shares = await DocumentShare.find({
+    doctor: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .populate("document", "title category documentDate dependentId file.mimeType createdAt")
+    .populate("owner", "fullName avatar dependents")
+    .sort({ createdAt: -1 });
+
+  const data = shares
+    .filter((share) => share.document)
+    .map((share) => {
+      const { owner, document } = share;
+      const dependent = document.dependentId
+        ? owner?.dependents?.find((d) => String(d._id) === String(document.dependentId))
+        : null;
+      return {
+        shareId: share._id,
+        expiresAt: share.expiresAt,
+        document,
+        patient: {
+          _id: owner?._id,
+          fullName: dependent?.fullName || owner?.fullName,
+          avatar: dependent ? null : owner?.avatar,
+          isDependent: Boolean(dependent),
+        },
+      };
+    });
+
+  await recordAudit(
+    req,
+    data.map(({ shareId, document, patient }) => ({
+      subject: patient._id,
+      subjectDependentId: document.dependentId,
+      resource: "medical_document",
+      resourceId: document._id,
+      action: "read",
+      meta: { shareId },
+    })),
+  );
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Shared documents fetched",
+    data,
+  });
+});
@@ -0,0 +1,194 @@
+// controller/waitlist.controller.js
+import httpStatus from "http-status";
+import AppError from "../errors/AppError.js";
+import catchAsync from "../utils/catchAsync.js";
+import sendResponse from "../utils/sendResponse.js";
+import { User } from "../model/user.model.js";
+import { Waitlist } from "../model/waitlist.model.js";
+import { offerFreedSlot } from "../utils/waitlist.js";
+import {
+  addCalendarDays,
+  resolveTimeZone,
+  toCalendarDate,
+  todayInZone,
+} from "../utils/timezone.js";
+
+const MAX_RANGE_DAYS = 60;
+
+// Rank among the doctor's waiting patients, first come first served
+const attachPositions = async (entries) =>
+  Promise.all(
+    entries.map(async (entry) => {
+      if (entry.status !== "waiting") return { ...entry, position: null };
+      const ahead = await Waitlist.countDocuments({
+        doctor: entry.doctor?._id || entry.doctor,
+        status: "waiting",
+        createdAt: { $lt: entry.createdAt },
+      });
+      return { ...entry, position: ahead + 1 };
+    }),
+  );
+
+/**
+ * Patient: join a doctor's waitlist for a date range
+ * POST /api/v1/waitlist
+ * body: { doctorId, dateFrom: "yyyy-mm-dd", dateTo: "yyyy-mm-dd", appointmentType?, note? }
+ */
+export const joinWaitlist = catchAsync(async (req, res) => {
+  const { doctorId, dateFrom, dateTo, appointmentType, note } = req.body;
+  const patientId = req.user._id;
+
+  if (!doctorId || !dateFrom || !dateTo) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "doctorId, dateFrom and dateTo are required",
+    );
+  }
+
+  const doctor = await User.findById(doctorId).select("role timezone");
+  if (!doctor || doctor.role !== "doctor") {
+    throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+  }
+
+  const timezone = resolveTimeZone(doctor.timezone);
+  const from = toCalendarDate(dateFrom, timezone);
+  const to = toCalendarDate(dateTo, timezone);
+  if (!from || !to) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid date format");
+  }
+  if (from > to) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "dateFrom must be on or before dateTo",
+    );
+  }
+  if (to < todayInZone(timezone)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Date range is in the past");
+  }
+  if (to > addCalendarDays(from, MAX_RANGE_DAYS)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `Date range cannot exceed ${MAX_RANGE_DAYS} days`,
+    );
+  }
+
+  let type = null;
+  if (appointmentType) {
+    type = String(appointmentType).toLowerCase().trim();
+    if (!["physical", "video"].includes(type)) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        "appointmentType must be physical or video",
+      );
+    }
+  }
+
+  const existing = await Waitlist.findOne({
+    doctor: doctorId,
+    patient: patientId,
+    status: { $in: ["waiting", "offered"] },
+  });
+  if (existing) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      "You are already on this doctor's waitlist",
+    );
+  }
+
+  const entry = await Waitlist.create({
+    doctor: doctorId,
+    patient: patientId,
+    dateFrom: from,
+    dateTo: to,
+    appointmentType: type,
+    note: note ? String(note).trim().slice(0, 500) : undefined,
+  });
+
+  const [withPosition] = await attachPositions([entry.toObject()]);
+
+  sendResponse(res, {
+    statusCode: httpStatus.CREATED,
+    success: true,
+    message: "Added to waitlist",
+    data: withPosition,
+  });
+});
+
+/**
+ * Waitlist entries of the current user
+ * GET /api/v1/waitlist?status=waiting
+ *  - patient: own entries
+ *  - doctor: patients waiting for them
+ */
+export const getMyWaitlist = catchAsync(async (req, res) => {
+  const { role, _id: userId } = req.user;
+  const { status } = req.query;
+
+  const filter = {};
+  if (role === "patient") filter.patient = userId;
+  else if (role === "doctor") filter.doctor = userId;
+  else throw new AppError(httpStatus.FORBIDDEN, "Invalid role");
+
+  filter.status = status && status !== "all"
+    ? status
+    : { $in: ["waiting", "offered"] };
+
+  const entries = await Waitlist.find(filter)
+    .sort({ createdAt: 1 })
+    .populate("doctor", "fullName specialty avatar")
+    .populate("patient", "fullName avatar")
+    .lean();
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Waitlist fetched",
+    data: await attachPositions(entries),
+  });
+});
+
+/**
+ * Patient: leave a waitlist (also releases an unclaimed offer)
+ * DELETE /api/v1/waitlist/:entryId
+ */
+export const leaveWaitlist = catchAsync(async (req, res) => {
+  const { entryId } = req.params;
+
+  const entry = await Waitlist.findById(entryId);
+  if (!entry) {
+    throw new AppError(httpStatus.NOT_FOUND, "Waitlist entry not found");
+  }
+  if (String(entry.patient) !== String(req.user._id)) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "You can only leave your own waitlist entries",
+    );
+  }
+  if (!["waiting", "offered"].includes(entry.status)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `This waitlist entry is already ${entry.status}`,
+    );
+  }
+
+  const wasOffered = entry.status === "offered";
+  entry.status = "cancelled";
+  await entry.save();
+
+  // Hand the declined slot to the next patient in line
+  if (wasOffered && entry.offer?.date) {
+    await offerFreedSlot({
+      doctorId: entry.doctor,
+      date: entry.offer.date,
+      time: entry.offer.time,
+      appointmentType: entry.offer.appointmentType,
+    });
+  }
+
+  sendResponse(res, {
+    statusCode: httpStatus.OK,
+    success: true,
+    message: "Removed from waitlist",
+    data: null,
+  });
+});
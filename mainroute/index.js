@@ -14,6 +14,14 @@ import referralCodeRoute from "../route/referralCode.route.js";
 import appSettingRoute from "../route/appSeeting.route.js";
 import callRoute from "../route/call.route.js";
 import reportRoute from "../route/report.route.js"; // ✅ UGC Safety
+import waitlistRoute from "../route/waitlist.route.js";
+import cancellationReasonRoute from "../route/cancellationReason.route.js";
+import clinicRoute from "../route/clinic.route.js";
+import queueRoute from "../route/queue.route.js";
+import intakeRoute from "../route/intake.route.js";
+import vaultRoute from "../route/vault.route.js";
+import auditLogRoute from "../route/auditLog.route.js";
+import ledgerRoute from "../route/ledger.route.js";
 
 const router = express.Router();
 
@@ -29,6 +37,30 @@ router.use("/category", categoryRoute);
 // Appointment routes
 router.use("/appointment", appointmentRoutes);
 
+// Clinic / practice locations
+router.use("/clinic", clinicRoute);
+
+// Same-day walk-in queue
+router.use("/queue", queueRoute);
+
+// Pre-visit intake questionnaires
+router.use("/intake", intakeRoute);
+
+// Medical document vault
+router.use("/vault", vaultRoute);
+
+// PHI access audit trail
+router.use("/audit-log", auditLogRoute);
+
+// Doctor earnings ledger, statements and payouts
+router.use("/ledger", ledgerRoute);
+
+// Waitlist routes
+router.use("/waitlist", waitlistRoute);
+
+// Cancellation reason codes
+router.use("/cancellation-reason", cancellationReasonRoute);
+
 // Posts routes
 router.use("/posts", postRoute);
 
@@ -65,6 +97,14 @@ router.use("/report", reportRoute);
 // /api/v1/user/blocked      - Get blocked user list
 // /api/v1/category          - Categories
 // /api/v1/appointment       - Appointments
+// /api/v1/clinic            - Clinic / practice locations
+// /api/v1/queue             - Walk-in queue / token numbers
+// /api/v1/intake            - Pre-visit intake questionnaires
+// /api/v1/vault             - Medical document vault / sharing
+// /api/v1/audit-log         - PHI access audit trail
+// /api/v1/ledger            - Doctor ledger / payouts
+// /api/v1/waitlist          - Appointment waitlist
+// /api/v1/cancellation-reason - Cancellation reason codes
 // /api/v1/posts             - Posts
 // /api/v1/reels             - Reels
 // /api/v1/doctor-review     - Doctor reviews
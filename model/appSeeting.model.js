@@ -1,11 +1,67 @@
 import mongoose from "mongoose";
 
+// Platform commission on a completed visit. The most specific rule wins:
+// doctor > specialty > appointment type; empty scope fields match anything.
+const commissionRuleSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true },
+    doctor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    category: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+    specialty: { type: String, trim: true, default: null },
+    appointmentType: {
+      type: String,
+      enum: ["physical", "video", null],
+      default: null,
+    },
+    feeType: { type: String, enum: ["percent", "flat"], required: true },
+    value: { type: Number, required: true, min: 0 },
+    // Flat rules only apply to fees in this currency
+    currency: { type: String, uppercase: true, trim: true, default: null },
+    effectiveFrom: { type: Date, required: true },
+    effectiveTo: { type: Date, default: null },
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true },
+);
+
 const appSettingSchema = new mongoose.Schema(
   {
     referralSystemEnabled: {
       type: Boolean,
       default: true,
     },
+    // Minutes before an appointment when reminders go out (24h and 1h)
+    reminderOffsetsMinutes: {
+      type: [Number],
+      default: [1440, 60],
+    },
+    // A patient cancelling fewer than this many hours before the start
+    // counts as a late cancellation
+    lateCancellationWindowHours: {
+      type: Number,
+      default: 24,
+      min: 0,
+    },
+    // Block booking for patients who repeatedly don't show up
+    noShowPolicy: {
+      enabled: { type: Boolean, default: false },
+      maxNoShows: { type: Number, default: 3, min: 1 },
+      periodDays: { type: Number, default: 90, min: 1 },
+      countLateCancellations: { type: Boolean, default: false },
+      restrictionDays: { type: Number, default: 30, min: 1 },
+    },
+    // Default cancellation fee rule; doctors may override it on their profile
+    cancellationPolicy: {
+      enabled: { type: Boolean, default: false },
+      freeCancellationHours: { type: Number, default: 12, min: 0 },
+      feeType: { type: String, enum: ["percent", "flat"], default: "percent" },
+      feeValue: { type: Number, default: 0, min: 0 },
+    },
+    commissionRules: {
+      type: [commissionRuleSchema],
+      default: [],
+    },
   },
   { timestamps: true },
 );
@@ -1,5 +1,6 @@
 // model/appointment.model.js
 import mongoose, { Schema } from "mongoose";
+import { DEFAULT_TIMEZONE } from "../utils/timezone.js";
 
 const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/; // "10:30"
 
@@ -11,6 +12,124 @@ const fileSchema = new Schema(
   { _id: false }
 );
 
+// One reschedule proposal; a counter-proposal closes the previous one
+// as "countered" and opens a new one from the other party.
+const rescheduleRequestSchema = new Schema(
+  {
+    proposedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    proposedByRole: {
+      type: String,
+      enum: ["patient", "doctor"],
+      required: true,
+    },
+    fromDate: { type: Date, required: true },
+    fromTime: { type: String, required: true, match: timeRegex },
+    date: { type: Date, required: true },
+    time: { type: String, required: true, match: timeRegex },
+    reason: { type: String, trim: true, maxlength: 500 },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "rejected", "countered", "cancelled"],
+      default: "pending",
+    },
+    respondedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    respondedAt: { type: Date, default: null },
+    responseNote: { type: String, trim: true, maxlength: 500 },
+  },
+  { timestamps: true }
+);
+
+const clinicSnapshotSchema = new Schema(
+  {
+    clinicId: { type: Schema.Types.ObjectId, ref: "Clinic" },
+    name: { type: String, trim: true },
+    address: { type: String, trim: true },
+    city: { type: String, trim: true },
+    country: { type: String, trim: true },
+    location: {
+      lat: { type: Number },
+      lng: { type: Number },
+    },
+    phone: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const cancellationSchema = new Schema(
+  {
+    cancelledBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    cancelledByRole: {
+      type: String,
+      enum: ["patient", "doctor", "admin"],
+      required: true,
+    },
+    reasonCode: { type: String, trim: true, required: true },
+    reasonLabel: { type: String, trim: true },
+    note: { type: String, trim: true, maxlength: 500 },
+    hoursBeforeStart: { type: Number },
+    amountPaid: { type: Number, default: 0 },
+    feeRetained: { type: Number, default: 0 },
+    refundDue: { type: Number, default: 0 },
+    currency: { type: String, default: "USD" },
+    policy: {
+      source: { type: String, enum: ["doctor", "global"] },
+      enabled: { type: Boolean },
+      freeCancellationHours: { type: Number },
+      feeType: { type: String },
+      feeValue: { type: Number },
+    },
+  },
+  { _id: false }
+);
+
+const feeOverrideSchema = new Schema(
+  {
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, trim: true, default: "USD" },
+  },
+  { _id: false },
+);
+
+// Copy of the commission rule applied at completion; later rule edits
+// don't change historical earnings
+const commissionSnapshotSchema = new Schema(
+  {
+    source: { type: String, enum: ["rule", "default"], required: true },
+    ruleId: { type: Schema.Types.ObjectId, default: null },
+    scope: {
+      type: String,
+      enum: ["doctor", "specialty", "appointmentType", "global"],
+    },
+    feeType: { type: String, enum: ["percent", "flat"] },
+    value: { type: Number },
+    baseAmount: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    currency: { type: String, default: "USD" },
+    appliedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+// Manual review of a payment screenshot by an admin or the doctor
+const paymentReviewSchema = new Schema(
+  {
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    reason: { type: String, trim: true, maxlength: 500 },
+    // Patient was asked for a new screenshot after a rejection
+    reuploadRequested: { type: Boolean, default: false },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    reviewedByRole: { type: String, enum: ["doctor", "admin", null], default: null },
+    reviewedAt: { type: Date, default: null },
+    // Proof the decision was made on (kept in history after a re-upload)
+    screenshot: fileSchema,
+  },
+  { _id: false },
+);
+
 const appointmentSchema = new Schema(
   {
     doctor: {
@@ -60,6 +179,7 @@ const appointmentSchema = new Schema(
       required: true,
     },
 
+    // Calendar date in the doctor's timezone (stored as UTC midnight)
     appointmentDate: {
       type: Date,
       required: true,
@@ -72,6 +192,24 @@ const appointmentSchema = new Schema(
       match: timeRegex,
     },
 
+    // Doctor's IANA timezone at booking time; date + time are wall-clock in it
+    timezone: {
+      type: String,
+      trim: true,
+      default: DEFAULT_TIMEZONE,
+    },
+
+    // Absolute start instant (appointmentDate + time resolved in timezone)
+    scheduledAt: {
+      type: Date,
+    },
+
+    // Where a physical appointment takes place (copied at booking time)
+    clinic: {
+      type: clinicSnapshotSchema,
+      default: null,
+    },
+
     symptoms: {
       type: String,
       maxlength: 2000,
@@ -84,18 +222,77 @@ const appointmentSchema = new Schema(
 
     paymentScreenshot: fileSchema,
 
+    // Online payment captured through the payment gateway (video visits)
+    payment: {
+      type: Schema.Types.ObjectId,
+      ref: "paymentInfo",
+      default: null,
+    },
+
     paymentVerified: {
       type: Boolean,
       default: false,
     },
 
-    // ✅ Status: "pending" -> "accepted" -> "completed" or "cancelled"
+    // Review state of paymentScreenshot, and earlier decisions
+    paymentReview: { type: paymentReviewSchema, default: null },
+    paymentReviewHistory: { type: [paymentReviewSchema], default: [] },
+
+    // ✅ Status: "pending" -> "accepted" -> "completed", "cancelled" or "no_show"
     status: {
       type: String,
-      enum: ["pending", "accepted", "cancelled", "completed"],
+      enum: ["pending", "accepted", "cancelled", "completed", "no_show"],
       default: "pending",
     },
 
+    cancelledAt: { type: Date, default: null },
+
+    // Patient cancelled inside the admin-configured late-cancellation window
+    lateCancellation: { type: Boolean, default: false },
+
+    noShowMarkedAt: { type: Date, default: null },
+
+    // Who cancelled, why, and the money outcome under the policy in effect
+    cancellation: {
+      type: cancellationSchema,
+      default: null,
+    },
+
+    // Set when a doctor's schedule exception blocks this appointment's slot
+    scheduleConflict: {
+      flagged: { type: Boolean, default: false },
+      exceptionId: { type: Schema.Types.ObjectId, default: null },
+      reason: { type: String, trim: true, default: "" },
+      flaggedAt: { type: Date, default: null },
+    },
+
+    // Recurring booking this appointment belongs to (1-based position)
+    series: {
+      type: Schema.Types.ObjectId,
+      ref: "AppointmentSeries",
+      default: null,
+    },
+    seriesIndex: { type: Number, default: null },
+
+    // Follow-up visit: the consultation it follows and the recommendation
+    // it was booked from
+    parentAppointment: {
+      type: Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+    followUp: { type: Schema.Types.ObjectId, ref: "FollowUp", default: null },
+
+    // Fee agreed at booking when it differs from the doctor's standard fee
+    // (discounted or free follow-ups)
+    feeOverride: { type: feeOverrideSchema, default: null },
+
+    // History of reschedule proposals (latest last)
+    rescheduleRequests: {
+      type: [rescheduleRequestSchema],
+      default: [],
+    },
+
     // ✅ Optional: Paid amount tracking
     paidAmount: {
       type: Number,
@@ -106,6 +303,11 @@ const appointmentSchema = new Schema(
       type: Number,
       default: 0,
     },
+    // Commission rule in effect when the visit was completed
+    commission: {
+      type: commissionSnapshotSchema,
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -114,5 +316,15 @@ const appointmentSchema = new Schema(
 appointmentSchema.index({ doctor: 1, appointmentDate: 1, time: 1 });
 appointmentSchema.index({ patient: 1, status: 1 });
 appointmentSchema.index({ status: 1, appointmentDate: 1 });
+appointmentSchema.index({ status: 1, scheduledAt: 1 });
+appointmentSchema.index({ "scheduleConflict.exceptionId": 1 });
+appointmentSchema.index({ "clinic.clinicId": 1, appointmentDate: 1 });
+appointmentSchema.index({ series: 1, seriesIndex: 1 });
+appointmentSchema.index({ parentAppointment: 1 });
+appointmentSchema.index({
+  appointmentType: 1,
+  "paymentReview.status": 1,
+  createdAt: 1,
+});
 
 export const Appointment = mongoose.model("Appointment", appointmentSchema);
\ No newline at end of file
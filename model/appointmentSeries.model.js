@@ -0,0 +1,43 @@
+// model/appointmentSeries.model.js
+import mongoose, { Schema } from "mongoose";
+
+const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/; // "10:30"
+
+// Parent of a recurring booking (e.g. every Tuesday 10:00 for 8 weeks).
+// Each occurrence is a normal Appointment with `series` pointing here.
+const appointmentSeriesSchema = new Schema(
+  {
+    doctor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    patient: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    appointmentType: {
+      type: String,
+      enum: ["physical", "video"],
+      required: true,
+    },
+
+    // First occurrence (calendar date in the doctor's timezone)
+    startDate: { type: Date, required: true },
+    time: { type: String, required: true, match: timeRegex },
+    timezone: { type: String, trim: true },
+
+    intervalWeeks: { type: Number, default: 1, min: 1, max: 4 },
+    occurrences: { type: Number, required: true, min: 2, max: 26 },
+
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+    cancelledAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+appointmentSeriesSchema.index({ patient: 1, createdAt: -1 });
+appointmentSeriesSchema.index({ doctor: 1, createdAt: -1 });
+
+export const AppointmentSeries = mongoose.model(
+  "AppointmentSeries",
+  appointmentSeriesSchema,
+);
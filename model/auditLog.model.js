@@ -0,0 +1,66 @@
+// model/auditLog.model.js
+import mongoose, { Schema } from "mongoose";
+
+export const AUDIT_ACTIONS = ["read", "create", "update", "delete", "export", "share"];
+
+export const AUDIT_RESOURCES = [
+  "user",
+  "appointment",
+  "consultation_note",
+  "health_profile",
+  "medical_document",
+  "intake_response",
+  "patient_export",
+];
+
+// Append-only trail of reads / writes of patient-identifying or clinical data
+const auditLogSchema = new Schema(
+  {
+    actor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    actorRole: { type: String, trim: true },
+
+    // Patient whose data was touched (account holder) and, for a
+    // dependent's data, which dependent
+    subject: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    subjectDependentId: { type: Schema.Types.ObjectId, default: null },
+
+    resource: { type: String, enum: AUDIT_RESOURCES, required: true },
+    resourceId: { type: Schema.Types.ObjectId, default: null },
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+
+    method: { type: String, trim: true },
+    path: { type: String, trim: true },
+    ip: { type: String, trim: true },
+    userAgent: { type: String, trim: true },
+
+    meta: { type: Schema.Types.Mixed, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ resource: 1, resourceId: 1, createdAt: -1 });
+
+// ❌ Entries can never be changed or removed
+const rejectMutation = function (next) {
+  next(new Error("Audit log entries are append-only"));
+};
+for (const op of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  auditLogSchema.pre(op, rejectMutation);
+}
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
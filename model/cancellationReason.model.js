@@ -0,0 +1,33 @@
+// model/cancellationReason.model.js
+import mongoose, { Schema } from "mongoose";
+
+// Admin-managed reason codes offered when cancelling an appointment
+const cancellationReasonSchema = new Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      match: /^[a-z0-9_]+$/,
+      maxlength: 50,
+    },
+    label: { type: String, required: true, trim: true, maxlength: 120 },
+
+    // Who may pick this reason
+    appliesTo: {
+      type: [{ type: String, enum: ["patient", "doctor", "admin"] }],
+      default: ["patient", "doctor", "admin"],
+    },
+
+    isActive: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 0 },
+  },
+  { timestamps: true },
+);
+
+export const CancellationReason = mongoose.model(
+  "CancellationReason",
+  cancellationReasonSchema,
+);
@@ -0,0 +1,51 @@
+// model/clinic.model.js
+import mongoose, { Schema } from "mongoose";
+
+// Practice location where doctors see physical appointments
+const clinicSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 120 },
+
+    address: { type: String, required: true, trim: true, maxlength: 300 },
+    city: { type: String, trim: true, default: "" },
+    country: { type: String, trim: true, default: "" },
+
+    // GeoJSON point, coordinates are [lng, lat]
+    location: {
+      type: { type: String, enum: ["Point"], default: "Point" },
+      coordinates: {
+        type: [Number],
+        required: true,
+        validate: {
+          validator: (c) =>
+            Array.isArray(c) &&
+            c.length === 2 &&
+            c[0] >= -180 &&
+            c[0] <= 180 &&
+            c[1] >= -90 &&
+            c[1] <= 90,
+          message: "location.coordinates must be [lng, lat]",
+        },
+      },
+    },
+
+    contact: {
+      phone: { type: String, trim: true, default: "" },
+      email: { type: String, trim: true, lowercase: true, default: "" },
+      website: { type: String, trim: true, default: "" },
+    },
+
+    // Doctors practising here
+    doctors: [{ type: Schema.Types.ObjectId, ref: "User" }],
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true },
+);
+
+clinicSchema.index({ location: "2dsphere" });
+clinicSchema.index({ doctors: 1 });
+
+export const Clinic = mongoose.model("Clinic", clinicSchema);
@@ -0,0 +1,53 @@
+// model/consultationNote.model.js
+import mongoose, { Schema } from "mongoose";
+
+const prescriptionItemSchema = new Schema(
+  {
+    drug: { type: String, required: true, trim: true, maxlength: 200 },
+    dose: { type: String, required: true, trim: true, maxlength: 100 }, // "500 mg"
+    frequency: { type: String, required: true, trim: true, maxlength: 100 }, // "twice daily"
+    duration: { type: String, required: true, trim: true, maxlength: 100 }, // "7 days"
+    instructions: { type: String, trim: true, maxlength: 500 }, // "after meals"
+  },
+  { _id: true },
+);
+
+// Visit notes + e-prescription written by the treating doctor for a
+// completed appointment (one per appointment)
+const consultationNoteSchema = new Schema(
+  {
+    appointment: {
+      type: Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+      unique: true,
+    },
+    doctor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    patient: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    // Who was seen: the account holder or one of their dependents
+    subject: {
+      type: { type: String, enum: ["self", "dependent"], default: "self" },
+      dependentId: { type: Schema.Types.ObjectId, default: null },
+      name: { type: String, trim: true, default: "" },
+    },
+
+    complaint: { type: String, trim: true, maxlength: 2000, default: "" },
+    findings: { type: String, trim: true, maxlength: 4000, default: "" },
+    diagnosis: { type: String, trim: true, maxlength: 2000, default: "" },
+    plan: { type: String, trim: true, maxlength: 4000, default: "" },
+
+    prescriptions: { type: [prescriptionItemSchema], default: [] },
+
+    issuedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true },
+);
+
+consultationNoteSchema.index({ patient: 1, issuedAt: -1 });
+consultationNoteSchema.index({ doctor: 1, issuedAt: -1 });
+
+export const ConsultationNote = mongoose.model(
+  "ConsultationNote",
+  consultationNoteSchema,
+);
@@ -0,0 +1,30 @@
+// model/dailyQueue.model.js
+import mongoose, { Schema } from "mongoose";
+
+// A doctor's walk-in queue for one day; hands out token numbers atomically
+const dailyQueueSchema = new Schema(
+  {
+    doctor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    // Calendar date in the doctor's timezone (UTC midnight)
+    queueDate: { type: Date, required: true },
+
+    clinic: { type: Schema.Types.ObjectId, ref: "Clinic", default: null },
+
+    isOpen: { type: Boolean, default: true },
+
+    lastToken: { type: Number, default: 0 },
+    nowServing: { type: Number, default: null },
+
+    // Fallback per-patient estimate until served visits give an average
+    avgServiceMinutes: { type: Number, default: 15, min: 1 },
+
+    openedAt: { type: Date, default: Date.now },
+    closedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+dailyQueueSchema.index({ doctor: 1, queueDate: 1 }, { unique: true });
+
+export const DailyQueue = mongoose.model("DailyQueue", dailyQueueSchema);
@@ -0,0 +1,32 @@
+// model/dependentTransfer.model.js
+import mongoose, { Schema } from "mongoose";
+
+// Hand-over of a dependent to their own account. On acceptance the
+// dependent's appointments, notes and records move to `toUser`.
+const dependentTransferSchema = new Schema(
+  {
+    fromUser: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    toUser: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    dependentId: { type: Schema.Types.ObjectId, required: true },
+    dependentName: { type: String, trim: true, required: true },
+
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "cancelled"],
+      default: "pending",
+    },
+    respondedAt: { type: Date, default: null },
+
+    // Counts of what was moved, filled in on acceptance
+    moved: { type: Schema.Types.Mixed, default: null },
+  },
+  { timestamps: true },
+);
+
+dependentTransferSchema.index({ fromUser: 1, dependentId: 1, status: 1 });
+dependentTransferSchema.index({ toUser: 1, status: 1 });
+
+export const DependentTransfer = mongoose.model(
+  "DependentTransfer",
+  dependentTransferSchema,
+);
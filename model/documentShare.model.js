@@ -0,0 +1,24 @@
+// model/documentShare.model.js
+import mongoose, { Schema } from "mongoose";
+
+// Time-limited read access to one vault document for one doctor
+const documentShareSchema = new Schema(
+  {
+    document: {
+      type: Schema.Types.ObjectId,
+      ref: "MedicalDocument",
+      required: true,
+    },
+    owner: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    doctor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+documentShareSchema.index({ document: 1, doctor: 1, createdAt: -1 });
+documentShareSchema.index({ doctor: 1, expiresAt: 1 });
+
+export const DocumentShare = mongoose.model("DocumentShare", documentShareSchema);
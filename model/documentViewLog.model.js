@@ -0,0 +1,29 @@
+// model/documentViewLog.model.js
+import mongoose, { Schema } from "mongoose";
+
+// One opened download link of a vault document
+const documentViewLogSchema = new Schema(
+  {
+    document: {
+      type: Schema.Types.ObjectId,
+      ref: "MedicalDocument",
+      required: true,
+    },
+    owner: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    viewer: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    viewerRole: { type: String, trim: true },
+    // Grant that allowed the view (null for the owner)
+    share: { type: Schema.Types.ObjectId, ref: "DocumentShare", default: null },
+    ip: { type: String, trim: true },
+    userAgent: { type: String, trim: true },
+  },
+  { timestamps: { createdAt: "viewedAt", updatedAt: false } },
+);
+
+documentViewLogSchema.index({ document: 1, viewedAt: -1 });
+documentViewLogSchema.index({ owner: 1, viewedAt: -1 });
+
+export const DocumentViewLog = mongoose.model(
+  "DocumentViewLog",
+  documentViewLogSchema,
+);
@@ -0,0 +1,57 @@
+// model/followUp.model.js
+import mongoose, { Schema } from "mongoose";
+
+// Doctor's recommendation to come back within a date window after a
+// completed visit. Booking it creates an Appointment whose
+// parentAppointment is the original visit.
+const followUpSchema = new Schema(
+  {
+    parentAppointment: {
+      type: Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+    },
+    doctor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    patient: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    // Same person as the parent visit (self or dependent)
+    bookedFor: { type: Schema.Types.Mixed, default: null },
+
+    appointmentType: {
+      type: String,
+      enum: ["physical", "video"],
+      required: true,
+    },
+
+    // Suggested window (calendar dates in the doctor's timezone, inclusive)
+    windowStart: { type: Date, required: true },
+    windowEnd: { type: Date, required: true },
+
+    // Price of the follow-up visit
+    feeType: {
+      type: String,
+      enum: ["standard", "discount", "free"],
+      default: "standard",
+    },
+    discountPercent: { type: Number, min: 0, max: 100, default: 0 },
+
+    note: { type: String, trim: true, maxlength: 1000, default: "" },
+
+    status: {
+      type: String,
+      enum: ["pending", "booked", "expired", "cancelled"],
+      default: "pending",
+    },
+    appointment: { type: Schema.Types.ObjectId, ref: "Appointment", default: null },
+    bookedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true },
+);
+
+followUpSchema.index({ parentAppointment: 1, createdAt: -1 });
+followUpSchema.index({ patient: 1, status: 1 });
+followUpSchema.index({ doctor: 1, status: 1 });
+
+export const FollowUp = mongoose.model("FollowUp", followUpSchema);
@@ -0,0 +1,32 @@
+// model/guardianConsent.model.js
+import mongoose, { Schema } from "mongoose";
+
+// An adult dependent's permission for their guardian to keep booking and
+// managing care on their behalf. Records are never edited except to revoke.
+const guardianConsentSchema = new Schema(
+  {
+    guardian: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    dependentId: { type: Schema.Types.ObjectId, required: true },
+    dependentName: { type: String, trim: true, required: true },
+
+    // Name the dependent signed with and the wording they agreed to
+    signedByName: { type: String, trim: true, required: true, maxlength: 120 },
+    statement: { type: String, trim: true, required: true, maxlength: 1000 },
+
+    consentedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, default: null }, // null = until revoked
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+
+    ip: { type: String, trim: true },
+    userAgent: { type: String, trim: true },
+  },
+  { timestamps: true },
+);
+
+guardianConsentSchema.index({ guardian: 1, dependentId: 1, consentedAt: -1 });
+
+export const GuardianConsent = mongoose.model(
+  "GuardianConsent",
+  guardianConsentSchema,
+);
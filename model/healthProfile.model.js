@@ -0,0 +1,64 @@
+// model/healthProfile.model.js
+import mongoose, { Schema } from "mongoose";
+
+export const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+
+const allergySchema = new Schema({
+  substance: { type: String, required: true, trim: true, maxlength: 200 },
+  reaction: { type: String, trim: true, maxlength: 300 },
+  severity: {
+    type: String,
+    enum: ["mild", "moderate", "severe", null],
+    default: null,
+  },
+});
+
+const conditionSchema = new Schema({
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  diagnosedAt: { type: Date, default: null },
+  notes: { type: String, trim: true, maxlength: 500 },
+});
+
+const medicationSchema = new Schema({
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  dose: { type: String, trim: true, maxlength: 100 },
+  frequency: { type: String, trim: true, maxlength: 100 },
+  startedAt: { type: Date, default: null },
+});
+
+const vaccinationSchema = new Schema({
+  vaccine: { type: String, required: true, trim: true, maxlength: 200 },
+  doseNumber: { type: Number, min: 1, default: null },
+  date: { type: Date, required: true },
+  notes: { type: String, trim: true, maxlength: 500 },
+});
+
+const measurementSchema = new Schema({
+  recordedAt: { type: Date, required: true },
+  heightCm: { type: Number, min: 20, max: 300, default: null },
+  weightKg: { type: Number, min: 0.5, max: 700, default: null },
+  recordedBy: { type: Schema.Types.ObjectId, ref: "User" },
+});
+
+// Personal health record of an account holder (dependentId null) or of one
+// of their dependents
+const healthProfileSchema = new Schema(
+  {
+    owner: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    dependentId: { type: Schema.Types.ObjectId, default: null },
+
+    bloodGroup: { type: String, enum: [...BLOOD_GROUPS, null], default: null },
+    allergies: { type: [allergySchema], default: [] },
+    chronicConditions: { type: [conditionSchema], default: [] },
+    medications: { type: [medicationSchema], default: [] },
+    vaccinations: { type: [vaccinationSchema], default: [] },
+
+    // Height / weight history, oldest first
+    measurements: { type: [measurementSchema], default: [] },
+  },
+  { timestamps: true },
+);
+
+healthProfileSchema.index({ owner: 1, dependentId: 1 }, { unique: true });
+
+export const HealthProfile = mongoose.model("HealthProfile", healthProfileSchema);
@@ -0,0 +1,60 @@
+// model/intakeForm.model.js
+import mongoose, { Schema } from "mongoose";
+
+export const INTAKE_QUESTION_TYPES = [
+  "text",
+  "choice",
+  "number",
+  "date",
+  "yes_no",
+  "file",
+];
+
+const questionSchema = new Schema(
+  {
+    key: { type: String, required: true, trim: true, match: /^[a-z0-9_]+$/ },
+    label: { type: String, required: true, trim: true, maxlength: 300 },
+    type: { type: String, enum: INTAKE_QUESTION_TYPES, required: true },
+    required: { type: Boolean, default: false },
+    helpText: { type: String, trim: true, maxlength: 500 },
+
+    // choice
+    options: { type: [String], default: undefined },
+    multiple: { type: Boolean, default: false },
+
+    // number: value range / text: max length
+    min: { type: Number },
+    max: { type: Number },
+  },
+  { _id: false },
+);
+
+// One version of an intake questionnaire. Editing a form publishes a new
+// version under the same formKey; answers keep pointing at the version
+// they were given against.
+const intakeFormSchema = new Schema(
+  {
+    formKey: { type: Schema.Types.ObjectId, required: true },
+    version: { type: Number, required: true, min: 1 },
+    isLatest: { type: Boolean, default: true },
+    isActive: { type: Boolean, default: true },
+
+    title: { type: String, required: true, trim: true, maxlength: 150 },
+    description: { type: String, trim: true, maxlength: 1000 },
+
+    // Exactly one scope: a specialty (Category) or a single doctor
+    category: { type: Schema.Types.ObjectId, ref: "Category", default: null },
+    doctor: { type: Schema.Types.ObjectId, ref: "User", default: null },
+
+    questions: { type: [questionSchema], default: [] },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true },
+);
+
+intakeFormSchema.index({ formKey: 1, version: 1 }, { unique: true });
+intakeFormSchema.index({ category: 1, isLatest: 1, isActive: 1 });
+intakeFormSchema.index({ doctor: 1, isLatest: 1, isActive: 1 });
+
+export const IntakeForm = mongoose.model("IntakeForm", intakeFormSchema);
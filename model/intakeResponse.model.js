@@ -0,0 +1,49 @@
+// model/intakeResponse.model.js
+import mongoose, { Schema } from "mongoose";
+
+const fileSchema = new Schema(
+  {
+    public_id: { type: String },
+    url: { type: String },
+  },
+  { _id: false },
+);
+
+const answerSchema = new Schema(
+  {
+    key: { type: String, required: true },
+    label: { type: String },
+    type: { type: String, required: true },
+    value: { type: Schema.Types.Mixed, default: null },
+    files: { type: [fileSchema], default: undefined },
+  },
+  { _id: false },
+);
+
+// A patient's answers to one intake form version for one appointment
+const intakeResponseSchema = new Schema(
+  {
+    appointment: {
+      type: Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+    },
+    patient: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    doctor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    form: { type: Schema.Types.ObjectId, ref: "IntakeForm", required: true },
+    formKey: { type: Schema.Types.ObjectId, required: true },
+    version: { type: Number, required: true },
+
+    answers: { type: [answerSchema], default: [] },
+    submittedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true },
+);
+
+intakeResponseSchema.index({ appointment: 1, formKey: 1 }, { unique: true });
+
+export const IntakeResponse = mongoose.model(
+  "IntakeResponse",
+  intakeResponseSchema,
+);
@@ -0,0 +1,39 @@
+// model/job.model.js
+import mongoose, { Schema } from "mongoose";
+
+// Persistent background job (e.g. appointment reminders). Jobs live in
+// Mongo so they survive restarts; utils/jobRunner.js polls and runs them.
+const jobSchema = new Schema(
+  {
+    type: { type: String, required: true, trim: true },
+
+    // Optional dedupe key – only one pending job per key
+    key: { type: String, trim: true },
+
+    runAt: { type: Date, required: true },
+
+    payload: { type: Schema.Types.Mixed, default: {} },
+
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed", "cancelled"],
+      default: "pending",
+    },
+
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+
+    lockedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    lastError: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+export const Job = mongoose.model("Job", jobSchema);
@@ -0,0 +1,75 @@
+// model/ledgerEntry.model.js
+import mongoose, { Schema } from "mongoose";
+
+export const LEDGER_ENTRY_TYPES = [
+  "fee_collected",
+  "commission",
+  "refund",
+  "adjustment",
+  "payout",
+];
+
+// patient_payments: money received from patients
+// doctor_payable:   what the platform owes a doctor (their balance)
+// platform_revenue: commissions kept by the platform
+// payouts:          money sent out to doctors
+export const LEDGER_ACCOUNTS = [
+  "patient_payments",
+  "doctor_payable",
+  "platform_revenue",
+  "payouts",
+];
+
+// One movement of `amount` from creditAccount to debitAccount for a doctor.
+// Corrections are new "adjustment" entries; entries are never edited.
+const ledgerEntrySchema = new Schema(
+  {
+    doctor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: LEDGER_ENTRY_TYPES, required: true },
+    debitAccount: { type: String, enum: LEDGER_ACCOUNTS, required: true },
+    creditAccount: { type: String, enum: LEDGER_ACCOUNTS, required: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    currency: { type: String, trim: true, uppercase: true, default: "USD" },
+    occurredAt: { type: Date, default: Date.now },
+
+    appointment: { type: Schema.Types.ObjectId, ref: "Appointment", default: null },
+    payment: { type: Schema.Types.ObjectId, ref: "paymentInfo", default: null },
+    refundId: { type: Schema.Types.ObjectId, default: null },
+    payoutBatch: { type: Schema.Types.ObjectId, ref: "PayoutBatch", default: null },
+
+    memo: { type: String, trim: true, maxlength: 500 },
+    // Identifies the event an entry was posted for so it's never posted twice
+    sourceKey: { type: String, trim: true },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    createdByRole: { type: String, enum: ["doctor", "admin", "patient", "system"] },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+ledgerEntrySchema.index({ doctor: 1, occurredAt: 1 });
+ledgerEntrySchema.index({ appointment: 1, type: 1 });
+ledgerEntrySchema.index({ sourceKey: 1 }, { unique: true, sparse: true });
+
+// ❌ Entries can never be changed or removed
+const rejectMutation = function (next) {
+  next(new Error("Ledger entries are append-only"));
+};
+for (const op of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  ledgerEntrySchema.pre(op, rejectMutation);
+}
+ledgerEntrySchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+export const LedgerEntry = mongoose.model("LedgerEntry", ledgerEntrySchema);
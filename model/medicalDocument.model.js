@@ -0,0 +1,50 @@
+// model/medicalDocument.model.js
+import mongoose, { Schema } from "mongoose";
+
+export const DOCUMENT_CATEGORIES = [
+  "lab_report",
+  "scan",
+  "prescription",
+  "discharge_summary",
+  "other",
+];
+
+// A file in a patient's document vault. Files are uploaded to Cloudinary as
+// "authenticated" assets and only reachable through short-lived signed links.
+const medicalDocumentSchema = new Schema(
+  {
+    owner: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    // Set when the document belongs to one of the owner's dependents
+    dependentId: { type: Schema.Types.ObjectId, default: null },
+
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    category: { type: String, enum: DOCUMENT_CATEGORIES, default: "other" },
+    documentDate: { type: Date, default: null },
+    notes: { type: String, trim: true, maxlength: 1000, default: "" },
+
+    file: {
+      public_id: { type: String, required: true },
+      resourceType: { type: String, enum: ["image", "raw"], default: "image" },
+      format: { type: String, trim: true },
+      mimeType: { type: String, trim: true },
+      originalName: { type: String, trim: true },
+      bytes: { type: Number, default: 0 },
+    },
+
+    // Appointment the document was first uploaded with, if any
+    sourceAppointment: {
+      type: Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+medicalDocumentSchema.index({ owner: 1, dependentId: 1, createdAt: -1 });
+medicalDocumentSchema.index({ "file.public_id": 1 });
+
+export const MedicalDocument = mongoose.model(
+  "MedicalDocument",
+  medicalDocumentSchema,
+);
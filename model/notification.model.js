@@ -17,13 +17,33 @@ const notificationSchema = new Schema(
           "appointment_cancelled",
           "appointment_completed",
           "appointment_status_change",
+          "appointment_reschedule_requested",
+          "appointment_rescheduled",
+          "appointment_reschedule_rejected",
+          "appointment_reminder",
+          "waitlist_offer",
+          "waitlist_offer_expired",
+          "appointment_no_show",
+          "booking_restricted",
+          "queue_next",
+          "consultation_notes_ready",
+          "follow_up_recommended",
+          "document_shared",
+          "dependent_transfer_requested",
+          "dependent_transfer_accepted",
+          "dependent_transfer_declined",
+          "payment_proof_approved",
+          "payment_proof_rejected",
+          "refund_issued",
+          "refund_processing",
+          "payout_paid",
           "post_liked",
           "post_commented",
           "reel_liked",
           "reel_commented",
         ],
         message:
-          "Invalid notification type. Allowed values: doctor_signup, doctor_approved, appointment_booked, appointment_confirmed, appointment_cancelled, appointment_completed, appointment_status_change, post_liked, post_commented, reel_liked, reel_commented",
+          "Invalid notification type. Allowed values: doctor_signup, doctor_approved, appointment_booked, appointment_confirmed, appointment_cancelled, appointment_completed, appointment_status_change, appointment_reschedule_requested, appointment_rescheduled, appointment_reschedule_rejected, appointment_reminder, waitlist_offer, waitlist_offer_expired, appointment_no_show, booking_restricted, queue_next, consultation_notes_ready, follow_up_recommended, document_shared, dependent_transfer_requested, dependent_transfer_accepted, dependent_transfer_declined, payment_proof_approved, payment_proof_rejected, refund_issued, refund_processing, payout_paid, post_liked, post_commented, reel_liked, reel_commented",
       },
       required: [true, "Notification type is required"],
     },
@@ -1,5 +1,33 @@
 import mongoose from "mongoose";
 
+// Money returned to the payer, through the gateway or by hand ("manual")
+const refundSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true, min: 0.01 },
+    currency: { type: String, trim: true, default: "USD" },
+    kind: {
+      type: String,
+      enum: ["cancellation", "discretionary"],
+      required: true,
+    },
+    method: { type: String, enum: ["gateway", "manual"], required: true },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    reason: { type: String, trim: true, maxlength: 500 },
+    issuedBy: { type: mongoose.Types.ObjectId, ref: "User", default: null },
+    issuedByRole: { type: String, enum: ["patient", "doctor", "admin", "system"] },
+    gatewayRefundId: { type: String },
+    // Bank / transfer reference of a manual refund
+    reference: { type: String, trim: true, maxlength: 200 },
+    failureReason: { type: String },
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
 const paymentInfoSchema = new mongoose.Schema(
   {
     userId: {
@@ -11,9 +39,10 @@ const paymentInfoSchema = new mongoose.Schema(
       ref: "Order",
     },
     price: { type: Number, required: true },
+    currency: { type: String, trim: true, default: "USD" },
     paymentStatus: {
       type: String,
-      enum: ['complete', 'pending', 'failed'],
+      enum: ['complete', 'pending', 'requires_action', 'failed'],
       default: 'pending',
     },
     seasonId: { type: String },
@@ -21,7 +50,31 @@ const paymentInfoSchema = new mongoose.Schema(
     paymentMethodNonce: { type: String },
     paymentMethod: { type: String },
     type: { type: String ,
-        enum: ['donation','order']
+        enum: ['donation','order','appointment']
+    },
+
+    // Online appointment payments (type "appointment")
+    doctor: { type: mongoose.Types.ObjectId, ref: "User" },
+    appointment: {
+      type: mongoose.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+    // "manual": bank transfer proven by a payment screenshot
+    gateway: { type: String, enum: ["braintree", "stripe", "fake", "manual"] },
+    intentId: { type: String },
+    // Follow-up recommendation the price was computed for, if any
+    followUp: { type: mongoose.Types.ObjectId, ref: "FollowUp", default: null },
+    failureReason: { type: String },
+    capturedAt: { type: Date, default: null },
+
+    refunds: { type: [refundSchema], default: [] },
+    // Sum of succeeded refunds
+    refundedAmount: { type: Number, default: 0 },
+    refundStatus: {
+      type: String,
+      enum: ["none", "partial", "full"],
+      default: "none",
     },
   },
   {
@@ -29,5 +82,8 @@ const paymentInfoSchema = new mongoose.Schema(
   }
 );
 
+paymentInfoSchema.index({ userId: 1, type: 1, createdAt: -1 });
+paymentInfoSchema.index({ appointment: 1 });
+
 export const paymentInfo = mongoose.model("paymentInfo", paymentInfoSchema);
 
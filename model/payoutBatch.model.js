@@ -0,0 +1,54 @@
+// model/payoutBatch.model.js
+import mongoose, { Schema } from "mongoose";
+
+// What one doctor is paid in a batch (one item per doctor and currency)
+const payoutItemSchema = new Schema(
+  {
+    doctor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    currency: { type: String, trim: true, uppercase: true, default: "USD" },
+    entryCount: { type: Number, default: 0 },
+  },
+  { _id: true },
+);
+
+// Admin payout run: balances owed up to periodEnd, paid out together
+const payoutBatchSchema = new Schema(
+  {
+    periodStart: { type: Date, default: null },
+    periodEnd: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["draft", "paid", "cancelled"],
+      default: "draft",
+    },
+    items: { type: [payoutItemSchema], default: [] },
+    totals: [
+      {
+        _id: false,
+        currency: { type: String },
+        amount: { type: Number },
+      },
+    ],
+    note: { type: String, trim: true, maxlength: 500 },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    paidAt: { type: Date, default: null },
+    paidBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    // Bank / transfer reference of the payout run
+    reference: { type: String, trim: true, maxlength: 200 },
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true },
+);
+
+payoutBatchSchema.index({ status: 1, periodEnd: -1 });
+payoutBatchSchema.index({ "items.doctor": 1, periodEnd: -1 });
+// Only one batch can be open at a time so a balance is never paid twice
+payoutBatchSchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: "draft" } },
+);
+
+export const PayoutBatch = mongoose.model("PayoutBatch", payoutBatchSchema);
@@ -0,0 +1,40 @@
+// model/queueEntry.model.js
+import mongoose, { Schema } from "mongoose";
+
+// A patient's place in a doctor's daily queue
+const queueEntrySchema = new Schema(
+  {
+    queue: { type: Schema.Types.ObjectId, ref: "DailyQueue", required: true },
+    doctor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    patient: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    // Booked physical appointment the patient checked in for (null = walk-in)
+    appointment: {
+      type: Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+
+    tokenNumber: { type: Number, required: true },
+
+    status: {
+      type: String,
+      enum: ["waiting", "serving", "served", "skipped", "left"],
+      default: "waiting",
+    },
+
+    checkedInAt: { type: Date, default: Date.now },
+    calledAt: { type: Date, default: null },
+    servedAt: { type: Date, default: null },
+
+    // "You're next" push already sent
+    nextNotifiedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+queueEntrySchema.index({ queue: 1, tokenNumber: 1 }, { unique: true });
+queueEntrySchema.index({ queue: 1, status: 1, tokenNumber: 1 });
+queueEntrySchema.index({ patient: 1, createdAt: -1 });
+
+export const QueueEntry = mongoose.model("QueueEntry", queueEntrySchema);
@@ -0,0 +1,42 @@
+// model/slotReservation.model.js
+import mongoose, { Schema } from "mongoose";
+
+// One document per occupied doctor slot. The unique slotKey makes the
+// database reject a second hold/booking for the same doctor/date/time.
+// "held" rows are short-lived (TTL on expiresAt); "booked" rows belong
+// to an active appointment and have no expiry.
+const slotReservationSchema = new Schema(
+  {
+    doctor: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    patient: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+    appointmentDate: { type: Date, required: true },
+    time: { type: String, required: true },
+
+    // "<doctorId>:<yyyy-mm-dd>:<HH:MM>"
+    slotKey: { type: String, required: true, unique: true },
+
+    status: {
+      type: String,
+      enum: ["held", "booked"],
+      default: "held",
+    },
+
+    appointment: {
+      type: Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+slotReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+slotReservationSchema.index({ appointment: 1 });
+
+export const SlotReservation = mongoose.model(
+  "SlotReservation",
+  slotReservationSchema
+);
@@ -1,5 +1,6 @@
 import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcryptjs";
+import { DEFAULT_TIMEZONE, isValidTimeZone } from "../utils/timezone.js";
 
 const DAYS = [
   "monday",
@@ -35,6 +36,32 @@ const dayScheduleSchema = new Schema(
     day: { type: String, enum: DAYS, required: true },
     isActive: { type: Boolean, default: false },
     slots: { type: [slotSchema], default: [] },
+    // Clinic where physical appointments on this day take place
+    clinic: { type: Schema.Types.ObjectId, ref: "Clinic", default: null },
+  },
+  { _id: false },
+);
+
+// Date-specific override of weeklySchedule: a day off / partial block,
+// or extra hours (e.g. a one-off Saturday clinic)
+const scheduleExceptionSchema = new Schema(
+  {
+    date: { type: Date, required: true }, // calendar date in doctor's timezone
+    type: { type: String, enum: ["blocked", "extra"], required: true },
+    allDay: { type: Boolean, default: false },
+    slots: { type: [slotSchema], default: [] },
+    reason: { type: String, trim: true, maxlength: 200 },
+  },
+  { timestamps: true },
+);
+
+// Doctor override of the global cancellation policy
+const cancellationPolicySchema = new Schema(
+  {
+    enabled: { type: Boolean, default: true },
+    freeCancellationHours: { type: Number, default: 12, min: 0 },
+    feeType: { type: String, enum: ["percent", "flat"], required: true },
+    feeValue: { type: Number, default: 0, min: 0 },
   },
   { _id: false },
 );
@@ -94,6 +121,27 @@ const userSchema = new Schema(
 
     weeklySchedule: { type: [dayScheduleSchema], default: [] },
 
+    // Consultation length and gap between consultations (minutes).
+    // weeklySchedule ranges are split into bookable sub-slots using these.
+    slotDuration: { type: Number, default: 30, min: 5, max: 480 },
+    bufferTime: { type: Number, default: 0, min: 0, max: 240 },
+
+    scheduleExceptions: { type: [scheduleExceptionSchema], default: [] },
+
+    // null = use the global policy from AppSetting
+    cancellationPolicy: { type: cancellationPolicySchema, default: null },
+
+    // IANA timezone (e.g. "Asia/Dhaka") the schedule is expressed in
+    timezone: {
+      type: String,
+      trim: true,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: "timezone must be a valid IANA timezone",
+      },
+    },
+
     // ✅ NEW: Video call availability for doctors
     isVideoCallAvailable: {
       type: Boolean,
@@ -201,6 +249,14 @@ const userSchema = new Schema(
 
     dependents: { type: [dependentSchema], default: [] },
 
+    // Patient booking ban, set automatically by the no-show policy or by an admin
+    bookingRestriction: {
+      until: { type: Date, default: null },
+      reason: { type: String, trim: true, default: "" },
+      appliedBy: { type: String, enum: ["system", "admin", null], default: null },
+      appliedAt: { type: Date, default: null },
+    },
+
     // ✅ ONLY roles
     role: {
       type: String,
@@ -0,0 +1,67 @@
+// model/waitlist.model.js
+import mongoose, { Schema } from "mongoose";
+
+const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/; // "10:30"
+
+// Patient waiting for a freed slot with a doctor; ranked by createdAt
+const waitlistSchema = new Schema(
+  {
+    doctor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    patient: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Calendar dates (doctor's timezone) the patient can attend
+    dateFrom: { type: Date, required: true },
+    dateTo: { type: Date, required: true },
+
+    // Patient's preferred visit type (null = either)
+    appointmentType: {
+      type: String,
+      enum: ["physical", "video", null],
+      default: null,
+    },
+
+    note: { type: String, trim: true, maxlength: 500 },
+
+    // "waiting" -> "offered" -> "claimed" | "expired"; "cancelled" by patient
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "claimed", "expired", "cancelled"],
+      default: "waiting",
+    },
+
+    // Freed slot currently held for this patient
+    offer: {
+      date: { type: Date, default: null },
+      time: { type: String, match: timeRegex, default: null },
+      // Visit type of the freed booking (null = unknown)
+      appointmentType: {
+        type: String,
+        enum: ["physical", "video", null],
+        default: null,
+      },
+      offeredAt: { type: Date, default: null },
+      expiresAt: { type: Date, default: null },
+    },
+
+    appointment: {
+      type: Schema.Types.ObjectId,
+      ref: "Appointment",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+waitlistSchema.index({ doctor: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ patient: 1, status: 1 });
+waitlistSchema.index({ doctor: 1, "offer.date": 1, "offer.time": 1, status: 1 });
+
+export const Waitlist = mongoose.model("Waitlist", waitlistSchema);
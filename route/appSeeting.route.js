@@ -2,11 +2,26 @@ import express from "express";
 import {
     getAppSetting,
   toggleReferralSystem,
+  updateReminderOffsets,
+  updateNoShowPolicy,
+  updateCancellationPolicy,
+  getCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
 } from "../controller/appSeeting.controller.js";
+import { protect, isAdmin } from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
 router.patch("/toggle-referral-system", toggleReferralSystem);
 router.get("/get-referral-setting", getAppSetting);
+router.patch("/reminder-offsets", protect, isAdmin, updateReminderOffsets);
+router.patch("/no-show-policy", protect, isAdmin, updateNoShowPolicy);
+router.patch("/cancellation-policy", protect, isAdmin, updateCancellationPolicy);
+router.get("/commission-rules", protect, isAdmin, getCommissionRules);
+router.post("/commission-rules", protect, isAdmin, createCommissionRule);
+router.patch("/commission-rules/:ruleId", protect, isAdmin, updateCommissionRule);
+router.delete("/commission-rules/:ruleId", protect, isAdmin, deleteCommissionRule);
 
 export default router;
@@ -8,14 +8,50 @@ import {
   updateAppointmentStatus,
   deleteAppointment,
   confirmAppointment,
+  proposeReschedule,
+  respondToReschedule,
+  getRescheduleHistory,
+  reserveSlot,
+  releaseSlotReservation,
+  createAppointmentSeries,
+  getAppointmentSeries,
+  cancelAppointmentSeries,
 } from "../controller/appointment.controller.js";
-import { protect } from "../middleware/auth.middleware.js";
+import {
+  upsertConsultationNote,
+  getConsultationNote,
+  downloadConsultationPdf,
+} from "../controller/consultation.controller.js";
+import {
+  createFollowUp,
+  getAppointmentFollowUps,
+  getMyFollowUps,
+  bookFollowUp,
+  cancelFollowUp,
+} from "../controller/followUp.controller.js";
+import {
+  createPaymentIntent,
+  capturePayment,
+  getPayment,
+} from "../controller/payment.controller.js";
+import {
+  getPaymentReviewQueue,
+  reviewPaymentProof,
+} from "../controller/paymentReview.controller.js";
+import {
+  getAppointmentRefunds,
+  issueDiscretionaryRefund,
+  updateManualRefund,
+} from "../controller/refund.controller.js";
+import { protect, isAdmin } from "../middleware/auth.middleware.js";
 import upload from "../middleware/multer.middleware.js";
 
 const router = express.Router();
 
 // POST /appointment/:doctorId
 // form-data: appointmentType, date, startTime, endTime, symptoms,
+// intakeResponses? (JSON [{ formId, answers }], see /intake),
+// paymentId? (captured online payment, see /appointment/payments),
 // files: medicalDocuments[], paymentScreenshot
 router.post(
   "/",
@@ -27,6 +63,84 @@ router.post(
   createAppointment
 );
 
+/**
+ * Hold a slot while the patient finishes booking (expires after a few minutes)
+ * POST   /appointment/reserve                 body: { doctorId, date, time }
+ * DELETE /appointment/reserve/:reservationId
+ * Pass the reservationId to POST /appointment to book the held slot.
+ */
+router.post("/reserve", protect, reserveSlot);
+router.delete("/reserve/:reservationId", protect, releaseSlotReservation);
+
+/**
+ * Online payment for video appointments (gateway from PAYMENT_GATEWAY)
+ * POST /appointment/payments/intent              body: { doctorId, followUpId? }
+ * POST /appointment/payments/:paymentId/capture  body: { paymentMethodNonce? }
+ * GET  /appointment/payments/:paymentId
+ * Pass the captured paymentId to POST /appointment.
+ */
+router.post("/payments/intent", protect, createPaymentIntent);
+router.post("/payments/:paymentId/capture", protect, capturePayment);
+router.get("/payments/:paymentId", protect, getPayment);
+
+/**
+ * Payment screenshot review (admin, or the doctor for own appointments)
+ * GET   /appointment/payment-review?status=pending|approved|rejected&doctorId=
+ * PATCH /appointment/:id/payment-review
+ *       body: { decision: "approve" | "reject", reason?, requestReupload? }
+ * Re-upload: PATCH /appointment/:id with a new paymentScreenshot.
+ */
+router.get("/payment-review", protect, getPaymentReviewQueue);
+router.patch("/:id/payment-review", protect, reviewPaymentProof);
+
+/**
+ * Refunds (cancellations are refunded automatically per the policy)
+ * GET   /appointment/:id/refunds             patient / doctor / admin
+ * POST  /appointment/:id/refunds             admin, body: { amount, reason }
+ * PATCH /appointment/:id/refunds/:refundId   admin, settle a manual refund
+ *       body: { status: "succeeded" | "failed", reference? }
+ */
+router.get("/:id/refunds", protect, getAppointmentRefunds);
+router.post("/:id/refunds", protect, isAdmin, issueDiscretionaryRefund);
+router.patch("/:id/refunds/:refundId", protect, isAdmin, updateManualRefund);
+
+/**
+ * Recurring appointment series (each occurrence is a normal appointment)
+ * POST  /appointment/series                   form-data: doctorId, appointmentType,
+ *        startDate, time, occurrences, intervalWeeks?, symptoms?, bookedFor?,
+ *        video: paymentIds (one per occurrence) or files: paymentScreenshot
+ *        (one per occurrence)
+ * GET   /appointment/series/:seriesId         series + occurrences
+ * PATCH /appointment/series/:seriesId/cancel  body: { reasonCode, note?, fromAppointmentId? }
+ */
+router.post(
+  "/series",
+  protect,
+  upload.fields([{ name: "paymentScreenshot", maxCount: 26 }]),
+  createAppointmentSeries,
+);
+router.get("/series/:seriesId", protect, getAppointmentSeries);
+router.patch("/series/:seriesId/cancel", protect, cancelAppointmentSeries);
+
+/**
+ * Follow-up recommendations (patient side)
+ * GET   /appointment/follow-up                        pending follow-ups to book
+ * POST  /appointment/follow-up/:followUpId/book       form-data: date, time,
+ *        appointmentType?, symptoms?, reservationId?, files: paymentScreenshot
+ * PATCH /appointment/follow-up/:followUpId/cancel     doctor withdraws / patient declines
+ */
+router.get("/follow-up", protect, getMyFollowUps);
+router.post(
+  "/follow-up/:followUpId/book",
+  protect,
+  upload.fields([
+    { name: "medicalDocuments", maxCount: 5 },
+    { name: "paymentScreenshot", maxCount: 1 },
+  ]),
+  bookFollowUp,
+);
+router.patch("/follow-up/:followUpId/cancel", protect, cancelFollowUp);
+
 // POST /:appointmentId/confirm - Doctor confirms appointment
 router.patch("/:appointmentId/confirm", protect, confirmAppointment);
 router.post("/available", getAvailableAppointments);
@@ -41,16 +155,50 @@ router.post("/available", getAvailableAppointments);
  *    - ?doctorId=...
  *    - ?patientId=...
  *    - ?status=pending|approved|rejected|cancelled|completed
+ *  - ?flagged=true: only appointments blocked by a schedule exception
  */
 router.get("/", protect, getMyAppointments);
 
 /**
  * Update appointment status (doctor/admin)
  * PATCH /appointment/:id/status
- * body: { status: "pending" | "confirmed" | "completed" | "cancelled" }
+ * body: { status: "pending" | "confirmed" | "completed" | "cancelled" | "no_show" }
+ *  - no_show: doctor/admin, only after the appointment start time
+ *  - cancelled: requires reasonCode (GET /cancellation-reason), optional note
+ *  - patient cancels inside the late-cancellation window are marked lateCancellation
  */
 router.patch("/:id/status", protect, updateAppointmentStatus);
 
+/**
+ * Reschedule flow (patient or doctor of the appointment)
+ * POST  /appointment/:id/reschedule             body: { date, time, reason? }
+ * PATCH /appointment/:id/reschedule/:requestId  body: { action, note?, date?, time? }
+ * GET   /appointment/:id/reschedule             proposal history
+ */
+router.post("/:id/reschedule", protect, proposeReschedule);
+router.patch("/:id/reschedule/:requestId", protect, respondToReschedule);
+router.get("/:id/reschedule", protect, getRescheduleHistory);
+
+/**
+ * Consultation notes + e-prescription of a completed appointment
+ * PUT /appointment/:id/consultation       treating doctor
+ *      body: { complaint?, findings?, diagnosis?, plan?, prescriptions? }
+ * GET /appointment/:id/consultation       doctor / patient / guardian
+ * GET /appointment/:id/consultation/pdf   same, as a PDF download
+ */
+router.put("/:id/consultation", protect, upsertConsultationNote);
+router.get("/:id/consultation", protect, getConsultationNote);
+router.get("/:id/consultation/pdf", protect, downloadConsultationPdf);
+
+/**
+ * Follow-up recommendation from a completed appointment
+ * POST /appointment/:id/follow-up   treating doctor
+ *      body: { windowStart, windowEnd, appointmentType?, feeType?, discountPercent?, note? }
+ * GET  /appointment/:id/follow-up   doctor / patient / guardian
+ */
+router.post("/:id/follow-up", protect, createFollowUp);
+router.get("/:id/follow-up", protect, getAppointmentFollowUps);
+
 /**
  * Update appointment details
  * PATCH /appointment/:id
@@ -0,0 +1,17 @@
+// route/auditLog.route.js
+import express from "express";
+import {
+  getAuditLogs,
+  getMyAccessHistory,
+} from "../controller/auditLog.controller.js";
+import { protect, isAdmin } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// Patient: access history of my own records
+router.get("/me", protect, getMyAccessHistory);
+
+// Admin: filtered PHI audit trail
+router.get("/", protect, isAdmin, getAuditLogs);
+
+export default router;
@@ -0,0 +1,21 @@
+// route/cancellationReason.route.js
+import express from "express";
+import {
+  getCancellationReasons,
+  createCancellationReason,
+  updateCancellationReason,
+  deleteCancellationReason,
+} from "../controller/cancellationReason.controller.js";
+import { protect, isAdmin } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// Reasons the current user may pick when cancelling (admin: all)
+router.get("/", protect, getCancellationReasons);
+
+// Admin only
+router.post("/", protect, isAdmin, createCancellationReason);
+router.patch("/:id", protect, isAdmin, updateCancellationReason);
+router.delete("/:id", protect, isAdmin, deleteCancellationReason);
+
+export default router;
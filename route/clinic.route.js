@@ -0,0 +1,27 @@
+// route/clinic.route.js
+import express from "express";
+import {
+  createClinic,
+  getClinics,
+  getClinic,
+  updateClinic,
+  deleteClinic,
+  addClinicDoctor,
+  removeClinicDoctor,
+} from "../controller/clinic.controller.js";
+import { protect } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// Public: active clinics (?doctorId= for one doctor's practices)
+router.get("/", getClinics);
+router.get("/:id", getClinic);
+
+// Doctor/Admin: create; creator or admin: edit, remove, manage doctors
+router.post("/", protect, createClinic);
+router.patch("/:id", protect, updateClinic);
+router.delete("/:id", protect, deleteClinic);
+router.post("/:id/doctors", protect, addClinicDoctor);
+router.delete("/:id/doctors/:doctorId", protect, removeClinicDoctor);
+
+export default router;
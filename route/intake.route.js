@@ -0,0 +1,49 @@
+// route/intake.route.js
+import express from "express";
+import {
+  createIntakeForm,
+  getIntakeForms,
+  getIntakeForm,
+  updateIntakeForm,
+  deleteIntakeForm,
+  getDoctorIntakeForms,
+  submitIntakeResponse,
+  getAppointmentIntake,
+} from "../controller/intake.controller.js";
+import { protect } from "../middleware/auth.middleware.js";
+import upload from "../middleware/multer.middleware.js";
+
+const router = express.Router();
+
+/**
+ * Intake form definitions (admin: per specialty or doctor, doctor: own)
+ * POST   /intake/forms             body: { title, description?, categoryId?, doctorId?, questions }
+ * GET    /intake/forms             ?categoryId=&doctorId=&includeInactive=true
+ * GET    /intake/forms/:formKey    ?version=
+ * PUT    /intake/forms/:formKey    publishes a new version
+ * DELETE /intake/forms/:formKey
+ */
+router.post("/forms", protect, createIntakeForm);
+router.get("/forms", protect, getIntakeForms);
+router.get("/forms/:formKey", protect, getIntakeForm);
+router.put("/forms/:formKey", protect, updateIntakeForm);
+router.delete("/forms/:formKey", protect, deleteIntakeForm);
+
+// Forms to fill when booking a doctor
+router.get("/doctor/:doctorId/forms", getDoctorIntakeForms);
+
+/**
+ * Appointment answers
+ * POST /intake/appointments/:appointmentId/forms/:formId
+ *      form-data: answers (JSON), files named after their question key
+ * GET  /intake/appointments/:appointmentId
+ */
+router.post(
+  "/appointments/:appointmentId/forms/:formId",
+  protect,
+  upload.any(),
+  submitIntakeResponse,
+);
+router.get("/appointments/:appointmentId", protect, getAppointmentIntake);
+
+export default router;
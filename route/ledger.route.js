@@ -0,0 +1,65 @@
+// route/ledger.route.js
+import express from "express";
+import {
+  getDoctorBalance,
+  getDoctorLedgerEntries,
+  getSettlementStatement,
+  getMyPayouts,
+  getAllBalances,
+  createAdjustment,
+  getPayoutBatches,
+  getPayoutBatch,
+  createPayoutBatch,
+  markPayoutBatchPaid,
+  cancelPayoutBatch,
+} from "../controller/ledger.controller.js";
+import { protect, isAdmin, isDoctor } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+/**
+ * Doctor: own balance, entries, statements and payouts
+ * GET /ledger/me/balance
+ * GET /ledger/me/entries             ?from=&to=&type=&page=&limit=
+ * GET /ledger/me/statements/:month   ?format=json|csv|pdf   month: YYYY-MM
+ * GET /ledger/me/payouts
+ */
+router.get("/me/balance", protect, isDoctor, getDoctorBalance);
+router.get("/me/entries", protect, isDoctor, getDoctorLedgerEntries);
+router.get("/me/statements/:month", protect, isDoctor, getSettlementStatement);
+router.get("/me/payouts", protect, isDoctor, getMyPayouts);
+
+/**
+ * Admin: balances, a doctor's ledger and manual adjustments
+ * GET  /ledger/balances
+ * GET  /ledger/doctors/:doctorId/balance
+ * GET  /ledger/doctors/:doctorId/entries
+ * GET  /ledger/doctors/:doctorId/statements/:month
+ * POST /ledger/adjustments   body: { doctorId, amount, currency, memo, appointmentId? }
+ */
+router.get("/balances", protect, isAdmin, getAllBalances);
+router.get("/doctors/:doctorId/balance", protect, isAdmin, getDoctorBalance);
+router.get("/doctors/:doctorId/entries", protect, isAdmin, getDoctorLedgerEntries);
+router.get(
+  "/doctors/:doctorId/statements/:month",
+  protect,
+  isAdmin,
+  getSettlementStatement,
+);
+router.post("/adjustments", protect, isAdmin, createAdjustment);
+
+/**
+ * Admin: payout batches
+ * GET   /ledger/payout-batches             ?status=draft|paid|cancelled
+ * POST  /ledger/payout-batches             body: { periodEnd, periodStart?, note? }
+ * GET   /ledger/payout-batches/:batchId
+ * PATCH /ledger/payout-batches/:batchId/paid     body: { reference? }
+ * PATCH /ledger/payout-batches/:batchId/cancel
+ */
+router.get("/payout-batches", protect, isAdmin, getPayoutBatches);
+router.post("/payout-batches", protect, isAdmin, createPayoutBatch);
+router.get("/payout-batches/:batchId", protect, isAdmin, getPayoutBatch);
+router.patch("/payout-batches/:batchId/paid", protect, isAdmin, markPayoutBatchPaid);
+router.patch("/payout-batches/:batchId/cancel", protect, isAdmin, cancelPayoutBatch);
+
+export default router;
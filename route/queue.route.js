@@ -0,0 +1,33 @@
+// route/queue.route.js
+import express from "express";
+import {
+  openQueue,
+  closeQueue,
+  checkIn,
+  callNext,
+  skipEntry,
+  leaveQueue,
+  getTodayQueue,
+  getQueueStatus,
+  getMyQueueEntries,
+} from "../controller/queue.controller.js";
+import { protect, isDoctor, isPatient } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// Doctor: run today's walk-in queue
+router.post("/open", protect, isDoctor, openQueue);
+router.post("/close", protect, isDoctor, closeQueue);
+router.post("/next", protect, isDoctor, callNext);
+router.get("/today", protect, isDoctor, getTodayQueue);
+router.patch("/entries/:entryId/skip", protect, isDoctor, skipEntry);
+
+// Patient: check in for a token, follow position (socket "queue_update"), leave
+router.post("/check-in", protect, isPatient, checkIn);
+router.get("/me", protect, isPatient, getMyQueueEntries);
+router.delete("/entries/:entryId", protect, isPatient, leaveQueue);
+
+// Public: now serving / waiting count for a doctor today
+router.get("/doctor/:doctorId", getQueueStatus);
+
+export default router;
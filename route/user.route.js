@@ -19,9 +19,37 @@ import {
   blockUser,
   unblockUser,
   getBlockedUsers,
+  getScheduleExceptions,
+  addScheduleException,
+  updateScheduleException,
+  deleteScheduleException,
+  updateBookingRestriction,
+  updateCancellationPolicy,
 } from "../controller/user.controller.js";
+import {
+  getHealthProfile,
+  upsertHealthProfile,
+  deleteHealthProfile,
+  addMeasurement,
+  deleteMeasurement,
+  getPatientHealthProfile,
+} from "../controller/healthProfile.controller.js";
+import {
+  exportMyFhirBundle,
+  exportPatientFhirBundle,
+} from "../controller/fhir.controller.js";
+import {
+  getDependentConsents,
+  recordDependentConsent,
+  revokeDependentConsent,
+  requestDependentTransfer,
+  getDependentTransfers,
+  acceptDependentTransfer,
+  declineDependentTransfer,
+  cancelDependentTransfer,
+} from "../controller/guardianship.controller.js";
 import { registerFCMToken, removeFCMToken } from "../controller/fcm.controller.js";
-import { protect, isAdmin } from "../middleware/auth.middleware.js";
+import { protect, isAdmin, isDoctor } from "../middleware/auth.middleware.js";
 import upload from "../middleware/multer.middleware.js";
 
 const router = express.Router();
@@ -30,6 +58,28 @@ router.get("/profile", protect, getProfile);
 router.put("/profile", protect, upload.single("avatar"), updateProfile);
 router.patch("/profile", protect, upload.single("avatar"), updateProfile);
 router.put("/password", protect, changePassword);
+
+// Doctor schedule exceptions (days off, blocked ranges, extra hours)
+router.get("/profile/schedule-exceptions", protect, isDoctor, getScheduleExceptions);
+router.post("/profile/schedule-exceptions", protect, isDoctor, addScheduleException);
+router.patch(
+  "/profile/schedule-exceptions/:exceptionId",
+  protect,
+  isDoctor,
+  updateScheduleException,
+);
+router.delete(
+  "/profile/schedule-exceptions/:exceptionId",
+  protect,
+  isDoctor,
+  deleteScheduleException,
+);
+router.patch(
+  "/profile/cancellation-policy",
+  protect,
+  isDoctor,
+  updateCancellationPolicy,
+);
 router.delete("/delete-account", protect, deleteMyAccount);
 
 router.get("/me/dependents", protect, getMyDependents);
@@ -37,6 +87,61 @@ router.post("/me/dependents", protect, addDependent);
 router.patch("/me/dependents/:dependentId", protect, updateDependent);
 router.delete("/me/dependents/:dependentId", protect, deleteDependent);
 
+// Adult dependents: consent records and hand-over to their own account
+router.get("/me/dependents/:dependentId/consents", protect, getDependentConsents);
+router.post("/me/dependents/:dependentId/consents", protect, recordDependentConsent);
+router.delete(
+  "/me/dependents/:dependentId/consents/:consentId",
+  protect,
+  revokeDependentConsent,
+);
+router.post("/me/dependents/:dependentId/transfer", protect, requestDependentTransfer);
+router.get("/dependent-transfers", protect, getDependentTransfers);
+router.patch("/dependent-transfers/:transferId/accept", protect, acceptDependentTransfer);
+router.patch("/dependent-transfers/:transferId/decline", protect, declineDependentTransfer);
+router.patch("/dependent-transfers/:transferId/cancel", protect, cancelDependentTransfer);
+
+/**
+ * Personal health record (self or a dependent)
+ * GET|PUT|DELETE /user/me/health
+ * GET|PUT|DELETE /user/me/dependents/:dependentId/health
+ *   PUT body: { bloodGroup?, allergies?, chronicConditions?, medications?, vaccinations? }
+ * POST   .../health/measurements                  body: { heightCm?, weightKg?, recordedAt? }
+ * DELETE .../health/measurements/:measurementId
+ */
+router.get("/me/health", protect, getHealthProfile);
+router.put("/me/health", protect, upsertHealthProfile);
+router.delete("/me/health", protect, deleteHealthProfile);
+router.post("/me/health/measurements", protect, addMeasurement);
+router.delete("/me/health/measurements/:measurementId", protect, deleteMeasurement);
+
+router.get("/me/dependents/:dependentId/health", protect, getHealthProfile);
+router.put("/me/dependents/:dependentId/health", protect, upsertHealthProfile);
+router.delete("/me/dependents/:dependentId/health", protect, deleteHealthProfile);
+router.post(
+  "/me/dependents/:dependentId/health/measurements",
+  protect,
+  addMeasurement,
+);
+router.delete(
+  "/me/dependents/:dependentId/health/measurements/:measurementId",
+  protect,
+  deleteMeasurement,
+);
+
+// Doctor: read-only access after an accepted/completed appointment
+router.get("/patient/:id/health", protect, isDoctor, getPatientHealthProfile);
+router.get(
+  "/patient/:id/dependents/:dependentId/health",
+  protect,
+  isDoctor,
+  getPatientHealthProfile,
+);
+
+// FHIR R4 export: patient (own data) / admin (any patient)
+router.get("/me/export/fhir", protect, exportMyFhirBundle);
+router.get("/:id/export/fhir", protect, isAdmin, exportPatientFhirBundle);
+
 // Block / Unblock routes
 router.get("/blocked", protect, getBlockedUsers);
 router.post("/block/:targetUserId", protect, blockUser);
@@ -48,6 +153,12 @@ router.get("/dashboard/overview", protect, isAdmin, getDashboardOverview);
 router.get("/:id", protect, getUserDetails);
 router.delete("/:id", protect, isAdmin, deleteUser);
 router.patch("/doctor/:id/approval", protect, updateDoctorApprovalStatus);
+router.patch(
+  "/patient/:id/booking-restriction",
+  protect,
+  isAdmin,
+  updateBookingRestriction,
+);
 
 router.patch("/update-realtime-location", protect, updateLocation);
 router.post("/find-doctors", searchDoctors);
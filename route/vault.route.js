@@ -0,0 +1,52 @@
+// route/vault.route.js
+import express from "express";
+import {
+  uploadDocument,
+  getMyDocuments,
+  getDocument,
+  updateDocument,
+  deleteDocument,
+  viewDocument,
+  shareDocument,
+  getDocumentShares,
+  revokeShare,
+  getDocumentViews,
+  getSharedWithMe,
+} from "../controller/vault.controller.js";
+import { protect, isDoctor } from "../middleware/auth.middleware.js";
+import { documentUpload } from "../middleware/multer.middleware.js";
+
+const router = express.Router();
+
+/**
+ * Patient document vault (images and PDFs)
+ * POST   /vault/documents        form-data: file, title, category?, documentDate?, notes?, dependentId?
+ * GET    /vault/documents        ?dependentId=self|<id>&category=
+ * GET    /vault/documents/:id
+ * PATCH  /vault/documents/:id    body: { title?, category?, documentDate?, notes? }
+ * DELETE /vault/documents/:id
+ * GET    /vault/documents/:id/view   short-lived link (owner or granted doctor, logged)
+ */
+router.post("/documents", protect, documentUpload.single("file"), uploadDocument);
+router.get("/documents", protect, getMyDocuments);
+router.get("/documents/:id", protect, getDocument);
+router.patch("/documents/:id", protect, updateDocument);
+router.delete("/documents/:id", protect, deleteDocument);
+router.get("/documents/:id/view", protect, viewDocument);
+
+/**
+ * Sharing grants and view log
+ * POST   /vault/documents/:id/shares   body: { doctorId, expiresInDays? }
+ * GET    /vault/documents/:id/shares
+ * DELETE /vault/shares/:shareId        revoke
+ * GET    /vault/documents/:id/views    who viewed the document
+ */
+router.post("/documents/:id/shares", protect, shareDocument);
+router.get("/documents/:id/shares", protect, getDocumentShares);
+router.delete("/shares/:shareId", protect, revokeShare);
+router.get("/documents/:id/views", protect, getDocumentViews);
+
+// Doctor: documents currently shared with me
+router.get("/shared-with-me", protect, isDoctor, getSharedWithMe);
+
+export default router;
@@ -0,0 +1,21 @@
+// route/waitlist.route.js
+import express from "express";
+import {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+} from "../controller/waitlist.controller.js";
+import { protect, isPatient } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// Patient: join a doctor's waitlist for a date range
+router.post("/", protect, isPatient, joinWaitlist);
+
+// Patient: own entries / Doctor: patients waiting for them
+router.get("/", protect, getMyWaitlist);
+
+// Patient: leave the waitlist (releases an unclaimed offer)
+router.delete("/:entryId", protect, isPatient, leaveWaitlist);
+
+export default router;
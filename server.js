@@ -17,10 +17,19 @@ import globalErrorHandler from "./middleware/globalErrorHandler.js";
 import notFound from "./middleware/notFound.js";
 import { serverRunningTemplate } from "./template/serverRunning.template.js";
 import { rateLimiter } from "./middleware/rateLimiter.js";
+import { startJobRunner } from "./utils/jobRunner.js";
+import { registerAppointmentReminderJobs } from "./utils/appointmentReminders.js";
+import { registerWaitlistJobs } from "./utils/waitlist.js";
+import { registerRefundJobs } from "./utils/refunds.js";
+import { seedCancellationReasons } from "./utils/cancellationPolicy.js";
+import { checkPaymentGatewayConfig } from "./utils/paymentGateway.js";
 import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
 
+// Online payments need an explicit gateway (see .env.sample)
+checkPaymentGatewayConfig();
+
 const app = express();
 
 app.use(morgan("dev"));
@@ -75,6 +84,9 @@ const mongoConnect = async () => {
         conn.connection.host,
       ),
     );
+
+    // Default cancellation reason codes for a fresh database
+    await seedCancellationReasons();
   } catch (err) {
     console.error(chalk.red.bold("MongoDB connection error:", err));
     process.exit(1);
@@ -88,6 +100,12 @@ await mongoConnect().then(() => {
         chalk.green.bold(`Server is running on http://localhost:${PORT}  `),
       );
     });
+
+    // Background jobs (appointment reminders, waitlist offers, pending refunds) – persisted in MongoDB
+    registerAppointmentReminderJobs();
+    registerWaitlistJobs();
+    registerRefundJobs();
+    startJobRunner();
   } catch (error) {
     console.error(chalk.red.bold("Server error:", error));
     process.exit(1);
@@ -0,0 +1,128 @@
+// test/jobRunner.test.js
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { Job } from "../model/job.model.js";
+import {
+  registerJobHandler,
+  startJobRunner,
+  stopJobRunner,
+} from "../utils/jobRunner.js";
+
+const duplicateKeyError = () => Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+
+afterEach(() => {
+  stopJobRunner();
+  mock.restoreAll();
+});
+
+// Run one tick: `jobs` are claimed in order, then the queue is empty
+const runTick = ({ stale = [], jobs = [] }) =>
+  new Promise((resolve) => {
+    const queue = [...jobs];
+    mock.method(Job, "find", () => ({ select: async () => stale }));
+    mock.method(Job, "findOneAndUpdate", async () => {
+      const job = queue.shift() || null;
+      if (!job) setImmediate(resolve);
+      return job;
+    });
+    mock.method(console, "log", () => { });
+    mock.method(console, "error", () => { });
+    startJobRunner();
+  });
+
+// In-memory job whose save() rejects a pending status when `keyTaken`
+const fakeJob = ({ type, attempts = 1, maxAttempts = 3, keyTaken = false }) => {
+  const job = {
+    _id: `job-${type}`,
+    type,
+    key: `key-${type}`,
+    status: "running",
+    attempts,
+    maxAttempts,
+    saved: [],
+    async save() {
+      if (keyTaken && job.status === "pending") throw duplicateKeyError();
+      job.saved.push(job.status);
+    },
+  };
+  return job;
+};
+
+describe("job runner", () => {
+  it("completes a job whose handler succeeds", async () => {
+    registerJobHandler("ok_job", async () => { });
+    const job = fakeJob({ type: "ok_job" });
+
+    await runTick({ jobs: [job] });
+
+    assert.deepEqual(job.saved, ["completed"]);
+    assert.equal(job.lockedAt, null);
+  });
+
+  it("puts a failed attempt back in the queue", async () => {
+    registerJobHandler("flaky_job", async () => {
+      throw new Error("boom");
+    });
+    const job = fakeJob({ type: "flaky_job" });
+
+    await runTick({ jobs: [job] });
+
+    assert.deepEqual(job.saved, ["pending"]);
+    assert.equal(job.lastError, "boom");
+    assert.ok(job.runAt > new Date());
+  });
+
+  it("fails a job after its last attempt", async () => {
+    registerJobHandler("dead_job", async () => {
+      throw new Error("boom");
+    });
+    const job = fakeJob({ type: "dead_job", attempts: 3 });
+
+    await runTick({ jobs: [job] });
+
+    assert.deepEqual(job.saved, ["failed"]);
+  });
+
+  it("cancels a retry when a newer job holds the key, and keeps running", async () => {
+    registerJobHandler("superseded_job", async () => {
+      throw new Error("boom");
+    });
+    registerJobHandler("next_job", async () => { });
+    const superseded = fakeJob({ type: "superseded_job", keyTaken: true });
+    const next = fakeJob({ type: "next_job" });
+
+    await runTick({ jobs: [superseded, next] });
+
+    assert.deepEqual(superseded.saved, ["cancelled"]);
+    assert.match(superseded.lastError, /Superseded/);
+    assert.deepEqual(next.saved, ["completed"]);
+  });
+
+  it("requeues stale jobs one by one, cancelling superseded ones", async () => {
+    const updates = [];
+    mock.method(Job, "updateOne", async (filter, update) => {
+      if (filter._id === "stale-2" && update.$set.status === "pending") {
+        throw duplicateKeyError();
+      }
+      updates.push([filter._id, update.$set.status]);
+      return { matchedCount: 1 };
+    });
+    registerJobHandler("after_stale", async () => { });
+    const job = fakeJob({ type: "after_stale" });
+
+    await runTick({
+      stale: [
+        { _id: "stale-1", lockedAt: new Date(0) },
+        { _id: "stale-2", lockedAt: new Date(0) },
+      ],
+      jobs: [job],
+    });
+
+    assert.deepEqual(updates, [
+      ["stale-1", "pending"],
+      ["stale-2", "cancelled"],
+    ]);
+    // The tick went on to claim and run due jobs
+    assert.deepEqual(job.saved, ["completed"]);
+  });
+});
@@ -0,0 +1,172 @@
+// test/ledger.test.js
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { LedgerEntry } from "../model/ledgerEntry.model.js";
+import { paymentInfo } from "../model/payment.model.js";
+import {
+  balanceDelta,
+  parseStatementMonth,
+  postAppointmentLedger,
+  settlementStatementToCsv,
+} from "../utils/ledger.js";
+
+afterEach(() => mock.restoreAll());
+
+const doctor = { _id: "64b000000000000000000001", fees: { amount: 100, currency: "USD" } };
+
+const completedVisit = (extra = {}) => ({
+  _id: "64b000000000000000000002",
+  status: "completed",
+  appointmentType: "physical",
+  doctor,
+  commission: {
+    feeType: "percent",
+    value: 20,
+    baseAmount: 100,
+    amount: 20,
+    currency: "USD",
+  },
+  ...extra,
+});
+
+// Capture posted entries; `price` is the captured online payment, if any
+const stubLedger = ({ price = null } = {}) => {
+  const posted = [];
+  mock.method(LedgerEntry, "create", async (entry) => {
+    posted.push(entry);
+    return entry;
+  });
+  mock.method(paymentInfo, "findOne", () => ({
+    select: async () => (price === null ? null : { price }),
+  }));
+  return posted;
+};
+
+describe("balanceDelta", () => {
+  it("adds credits to and subtracts debits from doctor_payable", () => {
+    assert.equal(balanceDelta({ creditAccount: "doctor_payable", debitAccount: "patient_payments", amount: 50 }), 50);
+    assert.equal(balanceDelta({ creditAccount: "platform_revenue", debitAccount: "doctor_payable", amount: 10 }), -10);
+    assert.equal(balanceDelta({ creditAccount: "payouts", debitAccount: "platform_revenue", amount: 10 }), 0);
+  });
+});
+
+describe("postAppointmentLedger", () => {
+  it("credits the fee and debits the commission for an online-paid visit", async () => {
+    const posted = stubLedger({ price: 100 });
+    await postAppointmentLedger(completedVisit({ appointmentType: "video" }));
+
+    assert.deepEqual(
+      posted.map((e) => [e.type, e.amount, balanceDelta(e)]),
+      [
+        ["fee_collected", 100, 100],
+        ["commission", 20, -20],
+      ],
+    );
+  });
+
+  it("credits the fee for a verified transfer screenshot", async () => {
+    const posted = stubLedger();
+    await postAppointmentLedger(
+      completedVisit({
+        appointmentType: "video",
+        paymentScreenshot: { url: "https://example.com/proof.jpg" },
+        paymentReview: { status: "approved" },
+      }),
+    );
+
+    assert.deepEqual(posted.map((e) => e.type), ["fee_collected", "commission"]);
+  });
+
+  it("posts only the commission, owed by the doctor, for a visit paid at the clinic", async () => {
+    const posted = stubLedger();
+    await postAppointmentLedger(completedVisit({ paymentVerified: true }));
+
+    assert.equal(posted.length, 1);
+    assert.equal(posted[0].type, "commission");
+    assert.equal(balanceDelta(posted[0]), -20);
+    assert.match(posted[0].memo, /paid at the clinic/);
+  });
+
+  it("credits a retained cancellation fee", async () => {
+    const posted = stubLedger();
+    await postAppointmentLedger({
+      _id: "64b000000000000000000003",
+      status: "cancelled",
+      doctor,
+      cancellation: { feeRetained: 30, currency: "USD" },
+    });
+
+    assert.deepEqual(posted.map((e) => [e.type, e.amount, e.memo]), [
+      ["fee_collected", 30, "Retained cancellation fee"],
+    ]);
+  });
+
+  it("never throws", async () => {
+    mock.method(paymentInfo, "findOne", () => {
+      throw new Error("db down");
+    });
+    mock.method(console, "error", () => { });
+    await assert.doesNotReject(postAppointmentLedger(completedVisit()));
+  });
+});
+
+describe("parseStatementMonth", () => {
+  it("returns the month boundaries in the given timezone", () => {
+    const { start, end } = parseStatementMonth("2026-03", "Asia/Dhaka");
+    assert.equal(start.toISOString(), "2026-02-28T18:00:00.000Z");
+    assert.equal(end.toISOString(), "2026-03-31T18:00:00.000Z");
+  });
+
+  it("rolls December over into the next year", () => {
+    const { end } = parseStatementMonth("2026-12", "UTC");
+    assert.equal(end.toISOString(), "2027-01-01T00:00:00.000Z");
+  });
+
+  it("rejects malformed months", () => {
+    for (const month of ["2026-13", "2026-1", "march", undefined]) {
+      assert.throws(() => parseStatementMonth(month, "UTC"), /YYYY-MM/);
+    }
+  });
+});
+
+describe("settlementStatementToCsv", () => {
+  it("writes opening, entries with running balance and closing rows", () => {
+    const csv = settlementStatementToCsv({
+      periodStart: new Date("2026-03-01T00:00:00Z"),
+      periodEnd: new Date("2026-04-01T00:00:00Z"),
+      currencies: [
+        {
+          currency: "USD",
+          openingBalance: 10,
+          closingBalance: 90,
+          entries: [
+            {
+              occurredAt: new Date("2026-03-05T10:00:00Z"),
+              type: "fee_collected",
+              memo: "Consultation fee, follow-up",
+              appointment: "a1",
+              amount: 100,
+              balance: 110,
+            },
+            {
+              occurredAt: new Date("2026-03-05T10:00:00Z"),
+              type: "commission",
+              memo: "Platform commission (20%)",
+              appointment: "a1",
+              amount: -20,
+              balance: 90,
+            },
+          ],
+        },
+      ],
+    });
+
+    assert.deepEqual(csv.split("\r\n"), [
+      "date,type,memo,appointment,currency,amount,balance",
+      "2026-03-01T00:00:00.000Z,opening_balance,,,USD,,10.00",
+      '2026-03-05T10:00:00.000Z,fee_collected,"Consultation fee, follow-up",a1,USD,100.00,110.00',
+      "2026-03-05T10:00:00.000Z,commission,Platform commission (20%),a1,USD,-20.00,90.00",
+      "2026-04-01T00:00:00.000Z,closing_balance,,,USD,,90.00",
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+// test/paymentGateway.test.js
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkPaymentGatewayConfig,
+  getPaymentGateway,
+} from "../utils/paymentGateway.js";
+
+const env = { ...process.env };
+
+beforeEach(() => {
+  process.env.NODE_ENV = "test";
+  process.env.PAYMENT_GATEWAY = "fake";
+});
+
+afterEach(() => {
+  process.env.NODE_ENV = env.NODE_ENV;
+  process.env.PAYMENT_GATEWAY = env.PAYMENT_GATEWAY;
+  if (env.NODE_ENV === undefined) delete process.env.NODE_ENV;
+  if (env.PAYMENT_GATEWAY === undefined) delete process.env.PAYMENT_GATEWAY;
+});
+
+describe("getPaymentGateway", () => {
+  it("uses PAYMENT_GATEWAY by default", () => {
+    assert.equal(getPaymentGateway().name, "fake");
+  });
+
+  it("picks a gateway by name, case-insensitively", () => {
+    assert.equal(getPaymentGateway("Stripe").name, "stripe");
+    assert.equal(getPaymentGateway("braintree").name, "braintree");
+  });
+
+  it("throws when PAYMENT_GATEWAY is not set", () => {
+    delete process.env.PAYMENT_GATEWAY;
+    assert.throws(() => getPaymentGateway(), /PAYMENT_GATEWAY is not set/);
+  });
+
+  it("only warns at startup when PAYMENT_GATEWAY is not set", () => {
+    delete process.env.PAYMENT_GATEWAY;
+    const warn = mock.method(console, "warn", () => { });
+    try {
+      assert.equal(checkPaymentGatewayConfig(), false);
+      assert.match(warn.mock.calls[0].arguments[0], /PAYMENT_GATEWAY is not set/);
+    } finally {
+      warn.mock.restore();
+    }
+  });
+
+  it("throws for an unknown gateway", () => {
+    assert.throws(() => getPaymentGateway("paypal"), /not available/);
+  });
+
+  for (const nodeEnv of ["production", "staging", undefined]) {
+    it(`refuses the fake gateway when NODE_ENV is ${nodeEnv}`, () => {
+      if (nodeEnv === undefined) delete process.env.NODE_ENV;
+      else process.env.NODE_ENV = nodeEnv;
+      assert.throws(() => getPaymentGateway("fake"), /not available/);
+    });
+  }
+
+  it("allows the fake gateway in development", () => {
+    process.env.NODE_ENV = "development";
+    assert.equal(checkPaymentGatewayConfig(), true);
+  });
+});
+
+describe("fake gateway", () => {
+  const gateway = () => getPaymentGateway("fake");
+
+  it("creates a unique intent with a client secret", async () => {
+    const a = await gateway().createIntent({ amount: 25, currency: "USD", paymentId: "p1" });
+    const b = await gateway().createIntent({ amount: 25, currency: "USD", paymentId: "p2" });
+
+    assert.match(a.intentId, /^fake_pi_/);
+    assert.equal(a.clientSecret, `${a.intentId}_secret`);
+    assert.notEqual(a.intentId, b.intentId);
+  });
+
+  it("captures with the default nonce", async () => {
+    const { intentId } = await gateway().createIntent({});
+    const result = await gateway().capture({ intentId });
+
+    assert.equal(result.status, "complete");
+    assert.equal(result.transactionId, `fake_ch_${intentId.slice(8)}`);
+  });
+
+  it("declines with fake-declined-nonce", async () => {
+    const { intentId } = await gateway().createIntent({});
+    const result = await gateway().capture({
+      intentId,
+      paymentMethodNonce: "fake-declined-nonce",
+    });
+
+    assert.deepEqual(result, { status: "failed", failureReason: "Card declined" });
+  });
+
+  it("asks for another attempt with fake-requires-action-nonce", async () => {
+    const { intentId } = await gateway().createIntent({});
+    const result = await gateway().capture({
+      intentId,
+      paymentMethodNonce: "fake-requires-action-nonce",
+    });
+
+    assert.deepEqual(result, { status: "requires_action" });
+  });
+
+  it("refunds immediately", async () => {
+    const result = await gateway().refund({ refundId: "r1", amount: 10, fullAmount: 25 });
+    assert.deepEqual(result, { status: "succeeded", gatewayRefundId: "fake_re_r1" });
+  });
+
+  it("reports refunds as settled", async () => {
+    const result = await gateway().getRefundStatus({ gatewayRefundId: "fake_re_r1" });
+    assert.deepEqual(result, { status: "succeeded", gatewayRefundId: "fake_re_r1" });
+  });
+});
@@ -0,0 +1,55 @@
+// test/paymentProof.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { hasVerifiedPaymentProof } from "../utils/followUp.js";
+
+const screenshot = { public_id: "p", url: "https://example.com/proof.jpg" };
+
+describe("hasVerifiedPaymentProof", () => {
+  it("is false without a screenshot", () => {
+    assert.equal(hasVerifiedPaymentProof({ paymentVerified: true }), false);
+  });
+
+  it("is false while the screenshot waits for review", () => {
+    assert.equal(
+      hasVerifiedPaymentProof({
+        paymentScreenshot: screenshot,
+        paymentReview: { status: "pending" },
+        paymentVerified: false,
+      }),
+      false,
+    );
+  });
+
+  it("is false for a never-reviewed screenshot", () => {
+    assert.equal(hasVerifiedPaymentProof({ paymentScreenshot: screenshot }), false);
+  });
+
+  it("is true once the screenshot was approved", () => {
+    assert.equal(
+      hasVerifiedPaymentProof({
+        paymentScreenshot: screenshot,
+        paymentReview: { status: "approved" },
+      }),
+      true,
+    );
+  });
+
+  it("is true when the payment was verified otherwise", () => {
+    assert.equal(
+      hasVerifiedPaymentProof({ paymentScreenshot: screenshot, paymentVerified: true }),
+      true,
+    );
+  });
+
+  it("is false after a rejection even if paymentVerified is stale", () => {
+    assert.equal(
+      hasVerifiedPaymentProof({
+        paymentScreenshot: screenshot,
+        paymentReview: { status: "rejected" },
+        paymentVerified: true,
+      }),
+      false,
+    );
+  });
+});
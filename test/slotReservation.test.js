@@ -0,0 +1,77 @@
+// test/slotReservation.test.js
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { SlotReservation } from "../model/slotReservation.model.js";
+import { acquireSlot, buildSlotKey, confirmSlot } from "../utils/slotReservation.js";
+
+afterEach(() => mock.restoreAll());
+
+describe("buildSlotKey", () => {
+  it("combines doctor, calendar day and time", () => {
+    assert.equal(
+      buildSlotKey("doc1", new Date("2026-03-05T00:00:00Z"), "09:30"),
+      "doc1:2026-03-05:09:30",
+    );
+  });
+});
+
+describe("acquireSlot", () => {
+  it("turns a duplicate slot key into a 409", async () => {
+    mock.method(SlotReservation, "deleteOne", async () => ({ deletedCount: 0 }));
+    mock.method(SlotReservation, "create", async () => {
+      throw Object.assign(new Error("E11000"), { code: 11000 });
+    });
+
+    await assert.rejects(
+      acquireSlot({
+        doctorId: "doc1",
+        patientId: "pat1",
+        date: new Date("2026-03-05T00:00:00Z"),
+        time: "09:30",
+      }),
+      (error) => error.statusCode === 409,
+    );
+  });
+
+  it("clears a lapsed hold on the slot before claiming it", async () => {
+    const deleteOne = mock.method(SlotReservation, "deleteOne", async () => ({ deletedCount: 1 }));
+    mock.method(SlotReservation, "create", async (doc) => doc);
+
+    const reservation = await acquireSlot({
+      doctorId: "doc1",
+      patientId: "pat1",
+      date: new Date("2026-03-05T00:00:00Z"),
+      time: "09:30",
+    });
+
+    const [filter] = deleteOne.mock.calls[0].arguments;
+    assert.equal(filter.slotKey, "doc1:2026-03-05:09:30");
+    assert.equal(filter.status, "held");
+    assert.ok(filter.expiresAt.$lte instanceof Date);
+    assert.equal(reservation.status, "held");
+    assert.ok(reservation.expiresAt > new Date());
+  });
+});
+
+describe("confirmSlot", () => {
+  it("books a live hold", async () => {
+    const updateOne = mock.method(SlotReservation, "updateOne", async () => ({ matchedCount: 1 }));
+
+    await confirmSlot({ _id: "r1" }, "appt1");
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.equal(filter._id, "r1");
+    assert.equal(filter.status, "held");
+    assert.ok(filter.expiresAt.$gt instanceof Date);
+    assert.deepEqual(update.$set, { status: "booked", appointment: "appt1", expiresAt: null });
+  });
+
+  it("rejects with 409 when the hold lapsed or was taken", async () => {
+    mock.method(SlotReservation, "updateOne", async () => ({ matchedCount: 0 }));
+
+    await assert.rejects(
+      confirmSlot({ _id: "r1" }, "appt1"),
+      (error) => error.statusCode === 409,
+    );
+  });
+});
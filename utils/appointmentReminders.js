@@ -0,0 +1,134 @@
+// utils/appointmentReminders.js
+import { Appointment } from "../model/appointment.model.js";
+import AppSetting from "../model/appSeeting.model.js";
+import { createNotification } from "./notify.js";
+import { cancelJobs, registerJobHandler, scheduleJob } from "./jobRunner.js";
+import { formatAppointmentTime, zonedTimeToUtc } from "./timezone.js";
+import { io } from "../server.js";
+
+export const REMINDER_JOB = "appointment_reminder";
+export const DEFAULT_REMINDER_OFFSETS = [24 * 60, 60]; // minutes before start
+
+const ACTIVE_STATUSES = ["pending", "accepted"];
+
+const getReminderOffsets = async () => {
+  const settings = await AppSetting.findOne().select("reminderOffsetsMinutes");
+  const offsets = settings?.reminderOffsetsMinutes;
+  return Array.isArray(offsets) && offsets.length
+    ? offsets
+    : DEFAULT_REMINDER_OFFSETS;
+};
+
+const getStartInstant = (appointment) =>
+  appointment.scheduledAt ||
+  zonedTimeToUtc(appointment.appointmentDate, appointment.time, appointment.timezone);
+
+const describeOffset = (minutes) => {
+  if (minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60);
+    return days === 1 ? "tomorrow" : `in ${days} days`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return hours === 1 ? "in 1 hour" : `in ${hours} hours`;
+  }
+  return `in ${minutes} minutes`;
+};
+
+export const cancelAppointmentReminders = (appointmentId) =>
+  cancelJobs({ type: REMINDER_JOB, "payload.appointmentId": String(appointmentId) });
+
+/**
+ * Bring an appointment's reminder jobs in line with its current state:
+ * pending/accepted appointments get one job per configured offset,
+ * anything else has its reminders cancelled.
+ */
+export const syncAppointmentReminders = async (appointment) => {
+  try {
+    await cancelAppointmentReminders(appointment._id);
+    if (!ACTIVE_STATUSES.includes(appointment.status)) return;
+
+    const startsAt = getStartInstant(appointment);
+    const offsets = await getReminderOffsets();
+
+    for (const offset of offsets) {
+      const runAt = new Date(startsAt.getTime() - offset * 60 * 1000);
+      if (runAt <= new Date()) continue;
+
+      await scheduleJob({
+        type: REMINDER_JOB,
+        key: `${REMINDER_JOB}:${appointment._id}:${offset}`,
+        runAt,
+        payload: {
+          appointmentId: String(appointment._id),
+          offsetMinutes: offset,
+          scheduledAt: startsAt.toISOString(),
+        },
+      });
+    }
+  } catch (error) {
+    // Reminders are best-effort; never fail the appointment request
+    console.error("❌ Failed to sync appointment reminders:", error.message);
+  }
+};
+
+const sendAppointmentReminder = async (job) => {
+  const { appointmentId, offsetMinutes, scheduledAt } = job.payload || {};
+
+  const appointment = await Appointment.findById(appointmentId)
+    .populate("doctor", "fullName")
+    .populate("patient", "fullName");
+
+  if (!appointment || !ACTIVE_STATUSES.includes(appointment.status)) return;
+
+  // Appointment moved since this job was queued – a newer job covers it
+  if (getStartInstant(appointment).toISOString() !== scheduledAt) return;
+
+  const whenText = formatAppointmentTime(
+    appointment.appointmentDate,
+    appointment.time,
+    appointment.timezone,
+  );
+  const dueText = describeOffset(offsetMinutes);
+
+  const recipients = [
+    {
+      userId: appointment.patient?._id,
+      fromUserId: appointment.doctor?._id,
+      content: `Reminder: your appointment with Dr. ${appointment.doctor?.fullName || "Doctor"} is ${dueText} (${whenText}).`,
+    },
+    {
+      userId: appointment.doctor?._id,
+      fromUserId: appointment.patient?._id,
+      content: `Reminder: appointment with ${appointment.patient?.fullName || "your patient"} is ${dueText} (${whenText}).`,
+    },
+  ];
+
+  for (const recipient of recipients) {
+    if (!recipient.userId) continue;
+
+    const notificationPayload = {
+      ...recipient,
+      type: "appointment_reminder",
+      title: "Upcoming appointment",
+      appointmentId: appointment._id,
+      meta: {
+        appointmentType: appointment.appointmentType,
+        date: appointment.appointmentDate,
+        time: appointment.time,
+        timezone: appointment.timezone,
+        offsetMinutes,
+      },
+    };
+
+    await createNotification(notificationPayload);
+    io.to(String(recipient.userId)).emit(
+      "appointment_reminder",
+      notificationPayload,
+    );
+  }
+};
+
+export const registerAppointmentReminderJobs = () => {
+  registerJobHandler(REMINDER_JOB, sendAppointmentReminder);
+};
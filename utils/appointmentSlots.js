@@ -0,0 +1,124 @@
+// utils/appointmentSlots.js
+
+export const DEFAULT_SLOT_DURATION = 30; // minutes
+export const DEFAULT_BUFFER_TIME = 0; // minutes
+
+/**
+ * "10:30" -> 630
+ */
+export const timeToMinutes = (time) => {
+  const [h, m] = String(time || "").split(":").map(Number);
+  if (!Number.isFinite(h) || !Number.isFinite(m)) return null;
+  return h * 60 + m;
+};
+
+/**
+ * 630 -> "10:30"
+ */
+export const minutesToTime = (minutes) => {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+};
+
+/**
+ * Split raw weeklySchedule ranges (e.g. 09:00–12:00) into bookable
+ * sub-slots of `duration` minutes, separated by `buffer` minutes.
+ * A trailing piece shorter than `duration` is dropped.
+ */
+export const generateSubSlots = (
+  ranges = [],
+  { duration = DEFAULT_SLOT_DURATION, buffer = DEFAULT_BUFFER_TIME } = {},
+) => {
+  const step = Number(duration) || DEFAULT_SLOT_DURATION;
+  const gap = Math.max(Number(buffer) || 0, 0);
+
+  const subSlots = [];
+  for (const range of ranges) {
+    const rangeStart = timeToMinutes(range?.start);
+    const rangeEnd = timeToMinutes(range?.end);
+    if (rangeStart === null || rangeEnd === null) continue;
+
+    for (let cursor = rangeStart; cursor + step <= rangeEnd; cursor += step + gap) {
+      subSlots.push({
+        start: minutesToTime(cursor),
+        end: minutesToTime(cursor + step),
+      });
+    }
+  }
+
+  return subSlots.sort((a, b) => a.start.localeCompare(b.start));
+};
+
+const rangesOverlap = (aStart, aEnd, bStart, bEnd) =>
+  aStart < bEnd && bStart < aEnd;
+
+const slotOverlapsRange = (slot, range) =>
+  rangesOverlap(
+    timeToMinutes(slot.start),
+    timeToMinutes(slot.end),
+    timeToMinutes(range.start),
+    timeToMinutes(range.end),
+  );
+
+/**
+ * Generated sub-slots for a doctor's day, using the doctor's
+ * slotDuration / bufferTime settings. `exceptions` are the doctor's
+ * scheduleExceptions for that date: "extra" ranges add sub-slots,
+ * "blocked" ranges (or an all-day block) remove them.
+ */
+export const getDoctorSubSlots = (doctor, daySchedule, exceptions = []) => {
+  if (exceptions.some((e) => e.type === "blocked" && e.allDay)) return [];
+
+  const options = {
+    duration: doctor?.slotDuration,
+    buffer: doctor?.bufferTime,
+  };
+
+  const weekly = daySchedule?.isActive
+    ? generateSubSlots(daySchedule.slots || [], options)
+    : [];
+
+  const extra = generateSubSlots(
+    exceptions.filter((e) => e.type === "extra").flatMap((e) => e.slots || []),
+    options,
+  ).filter((s) => !weekly.some((w) => slotOverlapsRange(s, w)));
+
+  const blocked = exceptions
+    .filter((e) => e.type === "blocked")
+    .flatMap((e) => e.slots || []);
+
+  return [...weekly, ...extra]
+    .filter((s) => !blocked.some((b) => slotOverlapsRange(s, b)))
+    .sort((a, b) => a.start.localeCompare(b.start));
+};
+
+/**
+ * Whether an appointment starting at `time` and lasting `duration`
+ * minutes falls (even partly) inside a blocking exception.
+ */
+export const isBlockedByException = (exception, time, duration) => {
+  if (exception?.type !== "blocked") return false;
+  if (exception.allDay) return true;
+
+  const start = timeToMinutes(time);
+  if (start === null) return false;
+  const end = start + (Number(duration) || DEFAULT_SLOT_DURATION);
+
+  return (exception.slots || []).some((b) =>
+    rangesOverlap(start, end, timeToMinutes(b.start), timeToMinutes(b.end)),
+  );
+};
+
+/**
+ * Sub-slot that contains the given "HH:MM" time, or null.
+ */
+export const findSubSlot = (subSlots, time) => {
+  const t = timeToMinutes(time);
+  if (t === null) return null;
+  return (
+    subSlots.find(
+      (s) => timeToMinutes(s.start) <= t && t < timeToMinutes(s.end),
+    ) || null
+  );
+};
@@ -0,0 +1,68 @@
+// utils/audit.js
+import { AuditLog } from "../model/auditLog.model.js";
+
+const idOf = (ref) => ref?._id || ref || null;
+
+/**
+ * Append PHI access entries for the current request.
+ * `entries`: one or many { subject, subjectDependentId?, resource,
+ * resourceId?, action, meta? }. Best-effort: never fails the request.
+ */
+export const recordAudit = async (req, entries) => {
+  const list = (Array.isArray(entries) ? entries : [entries]).filter(
+    (e) => e && idOf(e.subject),
+  );
+  if (!list.length || !req.user) return;
+
+  try {
+    await AuditLog.insertMany(
+      list.map((entry) => ({
+        actor: req.user._id,
+        actorRole: req.user.role,
+        subject: idOf(entry.subject),
+        subjectDependentId: entry.subjectDependentId || null,
+        resource: entry.resource,
+        resourceId: idOf(entry.resourceId),
+        action: entry.action,
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+        userAgent: req.get?.("user-agent"),
+        meta: entry.meta || null,
+      })),
+    );
+  } catch (error) {
+    console.error("❌ Failed to write audit log:", error.message);
+  }
+};
+
+// Dependent an appointment was booked for, if any
+export const appointmentDependentId = (appointment) =>
+  appointment?.bookedFor?.type === "dependent"
+    ? appointment.bookedFor.dependentId
+    : null;
+
+/**
+ * Entries for a batch of appointments: one per patient / dependent, with
+ * the appointment ids in meta
+ */
+export const appointmentAuditEntries = (appointments, action, meta = {}) => {
+  const entries = new Map();
+  for (const appt of appointments) {
+    const subject = idOf(appt.patient);
+    if (!subject) continue;
+    const dependentId = appointmentDependentId(appt);
+    const key = `${subject}:${dependentId || ""}`;
+    if (!entries.has(key)) {
+      entries.set(key, {
+        subject,
+        subjectDependentId: dependentId,
+        resource: "appointment",
+        action,
+        meta: { ...meta, appointmentIds: [] },
+      });
+    }
+    entries.get(key).meta.appointmentIds.push(appt._id);
+  }
+  return [...entries.values()];
+};
@@ -0,0 +1,199 @@
+// utils/cancellationPolicy.js
+import httpStatus from "http-status";
+import AppError from "../errors/AppError.js";
+import AppSetting from "../model/appSeeting.model.js";
+import { CancellationReason } from "../model/cancellationReason.model.js";
+import { getAppointmentStart } from "./patientReliability.js";
+import { paymentInfo } from "../model/payment.model.js";
+import { getAppointmentFee, hasVerifiedPaymentProof } from "./followUp.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const FEE_TYPES = ["percent", "flat"];
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Validate a policy body: { enabled, freeCancellationHours, feeType, feeValue }
+ */
+export const parseCancellationPolicy = (input = {}) => {
+  const policy = {
+    enabled: input.enabled === undefined ? true : Boolean(input.enabled),
+    freeCancellationHours: Number(input.freeCancellationHours ?? 12),
+    feeType: input.feeType || "percent",
+    feeValue: Number(input.feeValue ?? 0),
+  };
+
+  if (
+    !Number.isFinite(policy.freeCancellationHours) ||
+    policy.freeCancellationHours < 0 ||
+    policy.freeCancellationHours > 30 * 24
+  ) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "freeCancellationHours must be between 0 and 720",
+    );
+  }
+
+  if (!FEE_TYPES.includes(policy.feeType)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `feeType must be one of: ${FEE_TYPES.join(", ")}`,
+    );
+  }
+
+  if (
+    !Number.isFinite(policy.feeValue) ||
+    policy.feeValue < 0 ||
+    (policy.feeType === "percent" && policy.feeValue > 100)
+  ) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "feeValue must be a positive number (at most 100 for percent)",
+    );
+  }
+
+  return policy;
+};
+
+const pickPolicy = (p) => ({
+  enabled: Boolean(p?.enabled),
+  freeCancellationHours: p?.freeCancellationHours ?? 0,
+  feeType: p?.feeType || "percent",
+  feeValue: p?.feeValue ?? 0,
+});
+
+/**
+ * Doctor's own policy when set, otherwise the global one from AppSetting
+ */
+export const resolveCancellationPolicy = async (doctor) => {
+  if (doctor?.cancellationPolicy?.feeType) {
+    return { source: "doctor", ...pickPolicy(doctor.cancellationPolicy) };
+  }
+
+  const settings = await AppSetting.findOne().select("cancellationPolicy");
+  return { source: "global", ...pickPolicy(settings?.cancellationPolicy) };
+};
+
+// Reason codes a fresh install starts with; admins can edit or replace them
+const DEFAULT_CANCELLATION_REASONS = [
+  { code: "schedule_conflict", label: "Schedule conflict" },
+  { code: "feeling_better", label: "Feeling better / no longer needed", appliesTo: ["patient"] },
+  { code: "booked_elsewhere", label: "Booked with another doctor", appliesTo: ["patient"] },
+  { code: "personal_emergency", label: "Personal emergency" },
+  { code: "doctor_unavailable", label: "Doctor unavailable", appliesTo: ["doctor", "admin"] },
+  { code: "patient_request", label: "Cancelled at the patient's request", appliesTo: ["doctor", "admin"] },
+  { code: "other", label: "Other" },
+];
+
+/**
+ * Create the default reason codes when none exist yet, so cancelling works
+ * on a fresh deploy. Runs on startup; codes an admin removed stay removed.
+ */
+export const seedCancellationReasons = async () => {
+  if (await CancellationReason.exists({})) return;
+
+  try {
+    await CancellationReason.insertMany(
+      DEFAULT_CANCELLATION_REASONS.map((reason, i) => ({ ...reason, sortOrder: i })),
+      { ordered: false },
+    );
+  } catch (error) {
+    // Another instance seeded at the same time
+    if (error.code !== 11000) throw error;
+    return;
+  }
+  console.log(`🌱 Seeded ${DEFAULT_CANCELLATION_REASONS.length} cancellation reasons`);
+};
+
+/**
+ * Active reason code the given role may use, or a 400
+ */
+export const findCancellationReason = async (code, role) => {
+  if (!code || !String(code).trim()) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "reasonCode is required when cancelling an appointment",
+    );
+  }
+
+  const reason = await CancellationReason.findOne({
+    code: String(code).trim().toLowerCase(),
+    isActive: true,
+    appliesTo: role,
+  });
+
+  if (!reason) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Invalid cancellation reason code");
+  }
+
+  return reason;
+};
+
+/**
+ * What the patient provably paid for an appointment: a captured online
+ * payment, or the fee when a payment screenshot was verified. 0 otherwise.
+ */
+export const getVerifiedAmountPaid = async (appointment, doctor) => {
+  const payment = await paymentInfo
+    .findOne({
+      appointment: appointment._id,
+      type: "appointment",
+      paymentStatus: "complete",
+    })
+    .select("price");
+  if (payment) return payment.price;
+
+  return hasVerifiedPaymentProof(appointment)
+    ? getAppointmentFee(appointment, doctor).amount
+    : 0;
+};
+
+/**
+ * Money outcome of cancelling now, given what was verifiably paid (see
+ * getVerifiedAmountPaid). Fees are only retained when the patient cancels
+ * inside the policy window. Doctor/admin cancellations are always
+ * refunded in full.
+ */
+export const computeCancellationOutcome = ({
+  appointment,
+  doctor,
+  role,
+  policy,
+  amountPaid = 0,
+}) => {
+  const hoursBeforeStart = roundMoney(
+    (getAppointmentStart(appointment).getTime() - Date.now()) / HOUR_MS,
+  );
+
+  const fee = getAppointmentFee(appointment, doctor);
+
+  let feeRetained = 0;
+  if (
+    role === "patient" &&
+    policy?.enabled &&
+    hoursBeforeStart < policy.freeCancellationHours
+  ) {
+    feeRetained =
+      policy.feeType === "flat"
+        ? Math.min(policy.feeValue, amountPaid)
+        : (amountPaid * policy.feeValue) / 100;
+  }
+
+  feeRetained = roundMoney(feeRetained);
+
+  return {
+    hoursBeforeStart,
+    amountPaid,
+    feeRetained,
+    refundDue: roundMoney(amountPaid - feeRetained),
+    currency: fee.currency,
+    policy: {
+      source: policy?.source || "global",
+      enabled: Boolean(policy?.enabled),
+      freeCancellationHours: policy?.freeCancellationHours ?? null,
+      feeType: policy?.feeType ?? null,
+      feeValue: policy?.feeValue ?? null,
+    },
+  };
+};
@@ -0,0 +1,45 @@
+// utils/clinic.js
+import { Clinic } from "../model/clinic.model.js";
+import { getCalendarWeekday } from "./timezone.js";
+
+/**
+ * Copy of the clinic stored on a physical appointment, so later edits to
+ * the clinic don't rewrite where a past visit took place
+ */
+export const buildClinicSnapshot = (clinic) => ({
+  clinicId: clinic._id,
+  name: clinic.name,
+  address: clinic.address,
+  city: clinic.city,
+  country: clinic.country,
+  location: {
+    lat: clinic.location?.coordinates?.[1] ?? null,
+    lng: clinic.location?.coordinates?.[0] ?? null,
+  },
+  phone: clinic.contact?.phone || "",
+});
+
+/**
+ * Clinic the doctor's weeklySchedule assigns to the weekday of `dateObj`,
+ * or null when the day has no clinic (or it was removed/deactivated)
+ */
+export const findClinicForDate = async (doctor, dateObj) => {
+  const dayName = getCalendarWeekday(dateObj);
+  const day = (doctor.weeklySchedule || []).find((d) => d.day === dayName);
+  if (!day?.clinic) return null;
+
+  return Clinic.findOne({
+    _id: day.clinic,
+    doctors: doctor._id,
+    isActive: true,
+  });
+};
+
+/**
+ * Snapshot for a physical appointment on `dateObj`; null for video visits
+ */
+export const getClinicSnapshotForDate = async (doctor, dateObj, appointmentType) => {
+  if (appointmentType !== "physical") return null;
+  const clinic = await findClinicForDate(doctor, dateObj);
+  return clinic ? buildClinicSnapshot(clinic) : null;
+};
@@ -0,0 +1,76 @@
+// utils/clinicalAccess.js
+import httpStatus from "http-status";
+import AppError from "../errors/AppError.js";
+import { User } from "../model/user.model.js";
+import { Appointment } from "../model/appointment.model.js";
+import { getAppointmentStart } from "./patientReliability.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const idOf = (ref) => String(ref?._id || ref);
+
+/**
+ * Clinical records of an appointment are readable by the treating doctor
+ * and by the person seen: the patient themself, or the guardian (the
+ * account holding the dependent) when booked for a dependent.
+ */
+export const canReadClinicalRecord = async (appointment, user) => {
+  const userId = String(user._id);
+
+  if (idOf(appointment.doctor) === userId) return true;
+
+  if (appointment.bookedFor?.type === "dependent" && appointment.bookedFor.dependentId) {
+    return Boolean(
+      await User.exists({
+        _id: user._id,
+        "dependents._id": appointment.bookedFor.dependentId,
+      }),
+    );
+  }
+
+  return idOf(appointment.patient) === userId;
+};
+
+export const assertCanReadClinicalRecord = async (appointment, user) => {
+  if (!(await canReadClinicalRecord(appointment, user))) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      "Only the treating doctor and the patient (or their guardian) can view this record",
+    );
+  }
+};
+
+/**
+ * Days after an accepted/completed appointment during which its doctor can
+ * read the patient's health profile
+ */
+export const HEALTH_RECORD_ACCESS_DAYS =
+  Number(process.env.HEALTH_RECORD_ACCESS_DAYS) || 30;
+
+/**
+ * Until when `doctorId` may read the health profile of a person (the
+ * account holder, or one of their dependents); null when not allowed.
+ * Access comes from an accepted or completed appointment with that person
+ * and lasts HEALTH_RECORD_ACCESS_DAYS after the appointment starts.
+ */
+export const getDoctorHealthAccessUntil = async ({ doctorId, ownerId, dependentId }) => {
+  const appointments = await Appointment.find({
+    doctor: doctorId,
+    patient: ownerId,
+    status: { $in: ["accepted", "completed"] },
+    ...(dependentId
+      ? { "bookedFor.dependentId": dependentId }
+      : { "bookedFor.type": { $ne: "dependent" } }),
+  }).select("appointmentDate time timezone scheduledAt");
+
+  let until = null;
+  for (const appointment of appointments) {
+    const end = new Date(
+      getAppointmentStart(appointment).getTime() +
+      HEALTH_RECORD_ACCESS_DAYS * DAY_MS,
+    );
+    if (!until || end > until) until = end;
+  }
+
+  return until && until > new Date() ? until : null;
+};
@@ -0,0 +1,227 @@
+// utils/commission.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import AppSetting from "../model/appSeeting.model.js";
+import Category from "../model/category.model.js";
+import { User } from "../model/user.model.js";
+import { FEE_TYPES } from "./cancellationPolicy.js";
+import { getAppointmentFee } from "./followUp.js";
+
+const APPOINTMENT_TYPES = ["physical", "video"];
+
+// Flat commission used before any rule was configured
+const DEFAULT_COMMISSION = { video: 40, physical: 20 };
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(httpStatus.BAD_REQUEST, `${field} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Validate a rule body: { label, doctorId, categoryId | specialty,
+ * appointmentType, feeType, value, currency, effectiveFrom, effectiveTo,
+ * active }. With `existing`, only the given fields change.
+ */
+export const parseCommissionRule = async (input = {}, existing = null) => {
+  const has = (field) => input[field] !== undefined;
+  const rule = existing
+    ? {
+      label: existing.label,
+      doctor: existing.doctor,
+      category: existing.category,
+      specialty: existing.specialty,
+      appointmentType: existing.appointmentType,
+      feeType: existing.feeType,
+      value: existing.value,
+      currency: existing.currency,
+      effectiveFrom: existing.effectiveFrom,
+      effectiveTo: existing.effectiveTo,
+      active: existing.active,
+    }
+    : { effectiveFrom: new Date(), active: true };
+
+  if (has("label")) rule.label = String(input.label || "").trim() || undefined;
+  if (has("active")) rule.active = Boolean(input.active);
+
+  if (has("doctorId")) {
+    rule.doctor = null;
+    if (input.doctorId) {
+      const doctor = mongoose.Types.ObjectId.isValid(input.doctorId)
+        ? await User.findOne({ _id: input.doctorId, role: "doctor" }).select("_id")
+        : null;
+      if (!doctor) throw new AppError(httpStatus.NOT_FOUND, "Doctor not found");
+      rule.doctor = doctor._id;
+    }
+  }
+
+  if (has("categoryId")) {
+    rule.category = null;
+    rule.specialty = null;
+    if (input.categoryId) {
+      const category = mongoose.Types.ObjectId.isValid(input.categoryId)
+        ? await Category.findById(input.categoryId).select("speciality_name")
+        : null;
+      if (!category) throw new AppError(httpStatus.NOT_FOUND, "Category not found");
+      rule.category = category._id;
+      rule.specialty = category.speciality_name;
+    }
+  } else if (has("specialty")) {
+    rule.category = null;
+    rule.specialty = String(input.specialty || "").trim() || null;
+  }
+
+  if (has("appointmentType")) {
+    rule.appointmentType = input.appointmentType || null;
+    if (rule.appointmentType && !APPOINTMENT_TYPES.includes(rule.appointmentType)) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        `appointmentType must be one of: ${APPOINTMENT_TYPES.join(", ")}`,
+      );
+    }
+  }
+
+  if (has("feeType")) rule.feeType = input.feeType;
+  if (!FEE_TYPES.includes(rule.feeType)) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `feeType must be one of: ${FEE_TYPES.join(", ")}`,
+    );
+  }
+
+  if (has("value")) rule.value = Number(input.value);
+  if (
+    !Number.isFinite(rule.value) ||
+    rule.value < 0 ||
+    (rule.feeType === "percent" && rule.value > 100)
+  ) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "value must be a positive number (at most 100 for percent)",
+    );
+  }
+
+  if (has("currency")) {
+    rule.currency = String(input.currency || "").trim().toUpperCase() || null;
+  }
+  if (rule.feeType === "percent") rule.currency = null;
+
+  if (has("effectiveFrom")) {
+    rule.effectiveFrom = parseDate(input.effectiveFrom, "effectiveFrom");
+  }
+  if (has("effectiveTo")) {
+    rule.effectiveTo = input.effectiveTo
+      ? parseDate(input.effectiveTo, "effectiveTo")
+      : null;
+  }
+  if (rule.effectiveTo && rule.effectiveTo <= rule.effectiveFrom) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "effectiveTo must be after effectiveFrom",
+    );
+  }
+
+  return rule;
+};
+
+export const getRuleScope = (rule) => {
+  if (rule.doctor) return "doctor";
+  if (rule.specialty) return "specialty";
+  if (rule.appointmentType) return "appointmentType";
+  return "global";
+};
+
+const SCOPE_WEIGHT = { doctor: 4, specialty: 2, appointmentType: 1, global: 0 };
+
+const doctorSpecialties = (doctor) =>
+  [doctor?.specialty, ...(doctor?.specialties || [])]
+    .filter(Boolean)
+    .map((s) => String(s).trim().toLowerCase());
+
+const ruleMatches = (rule, { doctor, appointmentType, currency, at }) => {
+  if (!rule.active) return false;
+  if (new Date(rule.effectiveFrom) > at) return false;
+  if (rule.effectiveTo && new Date(rule.effectiveTo) <= at) return false;
+  if (rule.doctor && String(rule.doctor) !== String(doctor?._id)) return false;
+  if (
+    rule.specialty &&
+    !doctorSpecialties(doctor).includes(rule.specialty.toLowerCase())
+  ) {
+    return false;
+  }
+  if (rule.appointmentType && rule.appointmentType !== appointmentType) return false;
+  if (rule.feeType === "flat" && rule.currency && rule.currency !== currency) {
+    return false;
+  }
+  return true;
+};
+
+// Specificity: a doctor override beats a specialty rule, which beats a
+// type-only rule; ties go to the most recently effective rule
+const ruleWeight = (rule) =>
+  (rule.doctor ? SCOPE_WEIGHT.doctor : 0) +
+  (rule.specialty ? SCOPE_WEIGHT.specialty : 0) +
+  (rule.appointmentType ? SCOPE_WEIGHT.appointmentType : 0);
+
+/**
+ * Commission rule in effect for a doctor's appointment type at `at`,
+ * or null when none is configured
+ */
+export const resolveCommissionRule = async ({
+  doctor,
+  appointmentType,
+  currency,
+  at = new Date(),
+}) => {
+  const settings = await AppSetting.findOne().select("commissionRules").lean();
+  const candidates = (settings?.commissionRules || []).filter((rule) =>
+    ruleMatches(rule, { doctor, appointmentType, currency, at }),
+  );
+
+  candidates.sort(
+    (a, b) =>
+      ruleWeight(b) - ruleWeight(a) ||
+      new Date(b.effectiveFrom) - new Date(a.effectiveFrom) ||
+      new Date(b.createdAt || 0) - new Date(a.createdAt || 0),
+  );
+  return candidates[0] || null;
+};
+
+/**
+ * Appointment.commission for a completed visit. The doctor must have
+ * fees and specialty/specialties loaded. Commission never exceeds the fee.
+ */
+export const buildCommissionSnapshot = async (appointment, doctor) => {
+  const fee = getAppointmentFee(appointment, doctor);
+  const at = new Date(appointment.scheduledAt || appointment.appointmentDate || Date.now());
+
+  const rule = await resolveCommissionRule({
+    doctor,
+    appointmentType: appointment.appointmentType,
+    currency: fee.currency,
+    at,
+  });
+
+  const feeType = rule ? rule.feeType : "flat";
+  const value = rule
+    ? rule.value
+    : DEFAULT_COMMISSION[appointment.appointmentType] ?? DEFAULT_COMMISSION.physical;
+  const raw = feeType === "percent" ? (fee.amount * value) / 100 : value;
+
+  return {
+    source: rule ? "rule" : "default",
+    ruleId: rule?._id || null,
+    scope: rule ? getRuleScope(rule) : "appointmentType",
+    feeType,
+    value,
+    baseAmount: fee.amount,
+    amount: roundMoney(Math.min(raw, fee.amount)),
+    currency: fee.currency,
+    appliedAt: new Date(),
+  };
+};
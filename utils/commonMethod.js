@@ -55,9 +55,9 @@ export const uploadOnCloudinary = (fileBuffer, options = {}) => {
   });
 };
 
-export const deleteFromCloudinary = (publicId) => {
+export const deleteFromCloudinary = (publicId, options = {}) => {
   return new Promise((resolve, reject) => {
-    cloudinary.uploader.destroy(publicId, (error, result) => {
+    cloudinary.uploader.destroy(publicId, { ...options }, (error, result) => {
       if (error) {
         return reject(error);
       }
@@ -65,3 +65,19 @@ export const deleteFromCloudinary = (publicId) => {
     });
   });
 };
+
+// Short-lived download link for an asset uploaded with type "authenticated"
+export const getSignedDownloadUrl = (
+  publicId,
+  { format, resourceType = "image", expiresInSeconds = 300 } = {},
+) => {
+  const expiresAt = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  return {
+    url: cloudinary.utils.private_download_url(publicId, format, {
+      resource_type: resourceType,
+      type: "authenticated",
+      expires_at: expiresAt,
+    }),
+    expiresAt: new Date(expiresAt * 1000),
+  };
+};
@@ -0,0 +1,74 @@
+// utils/consultationPdf.js
+import PDFDocument from "pdfkit";
+import { formatAppointmentTime } from "./timezone.js";
+
+const section = (doc, heading, text) => {
+  if (!text) return;
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(12).text(heading);
+  doc.font("Helvetica").fontSize(11).text(text);
+};
+
+/**
+ * Render a consultation note (visit notes + prescription) as a PDF buffer.
+ * `note.doctor` must be populated.
+ */
+export const buildConsultationPdf = (note, appointment) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { doctor } = note;
+
+    // Header
+    doc.font("Helvetica-Bold").fontSize(18).text(`Dr. ${doctor.fullName}`);
+    doc.font("Helvetica").fontSize(10);
+    if (doctor.specialty) doc.text(doctor.specialty);
+    if (doctor.medicalLicenseNumber) doc.text(`License: ${doctor.medicalLicenseNumber}`);
+    if (appointment.clinic?.name) {
+      doc.text([appointment.clinic.name, appointment.clinic.address].filter(Boolean).join(", "));
+    }
+
+    doc.moveDown();
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.5);
+
+    doc.fontSize(11);
+    doc.text(`Patient: ${note.subject?.name || "-"}`);
+    doc.text(
+      `Visit: ${formatAppointmentTime(appointment.appointmentDate, appointment.time, appointment.timezone)}`,
+    );
+    doc.text(`Issued: ${new Date(note.issuedAt).toISOString().slice(0, 10)}`);
+
+    section(doc, "Chief complaint", note.complaint);
+    section(doc, "Findings", note.findings);
+    section(doc, "Diagnosis", note.diagnosis);
+    section(doc, "Plan", note.plan);
+
+    if (note.prescriptions?.length) {
+      doc.moveDown(0.8);
+      doc.font("Helvetica-Bold").fontSize(14).text("Rx");
+      doc.font("Helvetica").fontSize(11);
+      note.prescriptions.forEach((item, i) => {
+        doc.moveDown(0.4);
+        doc.font("Helvetica-Bold").text(`${i + 1}. ${item.drug}`);
+        doc
+          .font("Helvetica")
+          .text(`${item.dose} - ${item.frequency} - for ${item.duration}`);
+        if (item.instructions) doc.text(item.instructions);
+      });
+    }
+
+    doc.moveDown(2);
+    doc
+      .fontSize(9)
+      .fillColor("gray")
+      .text(
+        `Electronically issued by Dr. ${doctor.fullName}. Reference: ${note._id}`,
+      );
+
+    doc.end();
+  });
@@ -0,0 +1,406 @@
+// utils/fhir.js
+// Maps patient records to FHIR R4 resources (http://hl7.org/fhir/R4)
+import { v4 as uuidv4 } from "uuid";
+import { formatCalendarDate } from "./timezone.js";
+
+const ACT_CODE = "http://terminology.hl7.org/CodeSystem/v3-ActCode";
+const ROLE_CODE = "http://terminology.hl7.org/CodeSystem/v3-RoleCode";
+const ID_TYPE = "http://terminology.hl7.org/CodeSystem/v2-0203";
+const APPOINTMENT_REASON = "http://terminology.hl7.org/CodeSystem/v2-0276";
+const CONDITION_CATEGORY =
+  "http://terminology.hl7.org/CodeSystem/condition-category";
+
+const APPOINTMENT_STATUS = {
+  pending: "pending",
+  accepted: "booked",
+  completed: "fulfilled",
+  cancelled: "cancelled",
+  no_show: "noshow",
+};
+
+// Dependent's relationship to the account holder -> the account holder's
+// role towards the dependent (RelatedPerson.relationship points that way)
+const GUARDIAN_ROLE = {
+  son: { code: "PRN", display: "parent" },
+  daughter: { code: "PRN", display: "parent" },
+  child: { code: "PRN", display: "parent" },
+  father: { code: "CHILD", display: "child" },
+  mother: { code: "CHILD", display: "child" },
+  brother: { code: "SIB", display: "sibling" },
+  sister: { code: "SIB", display: "sibling" },
+  spouse: { code: "SPS", display: "spouse" },
+};
+
+const GUARDIAN = { code: "GUARD", display: "guardian" };
+
+const FHIR_GENDERS = ["male", "female", "other", "unknown"];
+
+const compact = (obj) => {
+  for (const key of Object.keys(obj)) {
+    const value = obj[key];
+    if (
+      value === undefined ||
+      value === null ||
+      value === "" ||
+      (Array.isArray(value) && !value.length)
+    ) {
+      delete obj[key];
+    }
+  }
+  return obj;
+};
+
+const ref = (resourceType, id, display) =>
+  compact({ reference: `${resourceType}/${id}`, display });
+
+const toInstant = (date) => (date ? new Date(date).toISOString() : undefined);
+
+const toDate = (date) => (date ? formatCalendarDate(date) : undefined);
+
+const toGender = (value) => {
+  const gender = String(value || "").trim().toLowerCase();
+  if (!gender) return undefined;
+  return FHIR_GENDERS.includes(gender) ? gender : "other";
+};
+
+const escapeXhtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const narrative = (sections) => {
+  const body = sections
+    .filter(([, text]) => text)
+    .map(([label, text]) => `<p><b>${label}:</b> ${escapeXhtml(text)}</p>`)
+    .join("");
+  if (!body) return undefined;
+  return {
+    status: "additional",
+    div: `<div xmlns="http://www.w3.org/1999/xhtml">${body}</div>`,
+  };
+};
+
+const telecom = ({ phone, email }) =>
+  [
+    phone && { system: "phone", value: phone },
+    email && { system: "email", value: email },
+  ].filter(Boolean);
+
+export const toPatient = (user) =>
+  compact({
+    resourceType: "Patient",
+    id: String(user._id),
+    active: !user.isDeleted,
+    name: [{ text: user.fullName }],
+    telecom: telecom(user),
+    gender: toGender(user.gender),
+    birthDate: toDate(user.dob),
+    address: user.address || user.country
+      ? [compact({ text: user.address, country: user.country })]
+      : undefined,
+    communication: user.language
+      ? [{ language: { coding: [{ system: "urn:ietf:bcp:47", code: user.language }] } }]
+      : undefined,
+  });
+
+// Dependent profile (or the name snapshot left on an appointment when the
+// dependent has since been removed) as its own Patient
+export const toDependentPatient = (dependent, guardian) =>
+  compact({
+    resourceType: "Patient",
+    id: String(dependent._id),
+    active: dependent.isActive !== false,
+    name: [{ text: dependent.fullName }],
+    telecom: telecom(dependent),
+    gender: toGender(dependent.gender),
+    birthDate: toDate(dependent.dob),
+    contact: [
+      {
+        name: { text: guardian.fullName },
+        telecom: telecom(guardian),
+      },
+    ],
+  });
+
+// The account holder as the dependent's related person
+export const toRelatedPerson = (dependent, guardian) => {
+  const role = GUARDIAN_ROLE[String(dependent.relationship || "").toLowerCase()];
+  return compact({
+    resourceType: "RelatedPerson",
+    id: String(dependent._id),
+    active: dependent.isActive !== false,
+    patient: ref("Patient", dependent._id, dependent.fullName),
+    relationship: [role, GUARDIAN]
+      .filter(Boolean)
+      .map((code) => ({ coding: [{ system: ROLE_CODE, ...code }] })),
+    name: [{ text: guardian.fullName }],
+    telecom: telecom(guardian),
+    birthDate: toDate(guardian.dob),
+  });
+};
+
+export const toPractitioner = (doctor) =>
+  compact({
+    resourceType: "Practitioner",
+    id: String(doctor._id),
+    identifier: doctor.medicalLicenseNumber
+      ? [
+        {
+          type: { coding: [{ system: ID_TYPE, code: "MD", display: "Medical License number" }] },
+          value: doctor.medicalLicenseNumber,
+        },
+      ]
+      : undefined,
+    name: [{ text: doctor.fullName, prefix: ["Dr."] }],
+    telecom: telecom(doctor),
+    qualification: (doctor.degrees || []).map((degree) =>
+      compact({
+        code: { text: degree.title },
+        issuer: degree.institute ? { display: degree.institute } : undefined,
+        period: degree.year ? { end: String(degree.year) } : undefined,
+      }),
+    ),
+  });
+
+// Who the visit was for: the account holder or one of their dependents
+const subjectOf = (appointment) => {
+  const patient = appointment.patient;
+  if (appointment.bookedFor?.type === "dependent" && appointment.bookedFor.dependentId) {
+    return {
+      id: String(appointment.bookedFor.dependentId),
+      display:
+        appointment.bookedFor.nameSnapshot ||
+        appointment.bookedFor.dependentName ||
+        undefined,
+      isDependent: true,
+    };
+  }
+  return { id: String(patient._id || patient), display: patient.fullName };
+};
+
+const periodOf = (appointment) => {
+  const start = appointment.scheduledAt ? new Date(appointment.scheduledAt) : null;
+  if (!start) return {};
+  const minutes = appointment.doctor?.slotDuration || 30;
+  return {
+    start: start.toISOString(),
+    end: new Date(start.getTime() + minutes * 60000).toISOString(),
+    minutes,
+  };
+};
+
+export const toAppointment = (appointment) => {
+  const subject = subjectOf(appointment);
+  const doctor = appointment.doctor;
+  const { start, end, minutes } = periodOf(appointment);
+  const status = APPOINTMENT_STATUS[appointment.status] || "proposed";
+
+  return compact({
+    resourceType: "Appointment",
+    id: String(appointment._id),
+    status,
+    cancelationReason:
+      status === "cancelled" && appointment.cancellation
+        ? { text: appointment.cancellation.reasonLabel || appointment.cancellation.reasonCode }
+        : undefined,
+    serviceType: [
+      {
+        text: appointment.appointmentType === "video"
+          ? "Video consultation"
+          : "In-person consultation",
+      },
+    ],
+    specialty: doctor?.specialty ? [{ text: doctor.specialty }] : undefined,
+    appointmentType: {
+      coding: [
+        appointment.parentAppointment
+          ? { system: APPOINTMENT_REASON, code: "FOLLOWUP", display: "A follow up visit from a previous appointment" }
+          : { system: APPOINTMENT_REASON, code: "ROUTINE", display: "Routine appointment" },
+      ],
+    },
+    description: appointment.symptoms,
+    start,
+    end,
+    minutesDuration: start ? minutes : undefined,
+    created: toInstant(appointment.createdAt),
+    participant: [
+      {
+        actor: ref("Patient", subject.id, subject.display),
+        required: "required",
+        status: "accepted",
+      },
+      subject.isDependent && {
+        actor: ref("RelatedPerson", subject.id, appointment.patient.fullName),
+        required: "information-only",
+        status: "accepted",
+      },
+      doctor && {
+        actor: ref("Practitioner", doctor._id, doctor.fullName),
+        required: "required",
+        status: status === "pending" ? "needs-action" : "accepted",
+      },
+    ].filter(Boolean),
+    patientInstruction: appointment.clinic
+      ? [appointment.clinic.name, appointment.clinic.address, appointment.clinic.city]
+        .filter(Boolean)
+        .join(", ")
+      : undefined,
+  });
+};
+
+// A visit that took place; clinical notes go into the narrative, diagnosis
+// and prescriptions into their own resources
+export const toEncounter = (appointment, note) => {
+  const subject = subjectOf(appointment);
+  const doctor = appointment.doctor;
+  const { start, end } = periodOf(appointment);
+  const video = appointment.appointmentType === "video";
+
+  return compact({
+    resourceType: "Encounter",
+    id: String(appointment._id),
+    text: note
+      ? narrative([
+        ["Complaint", note.complaint],
+        ["Findings", note.findings],
+        ["Diagnosis", note.diagnosis],
+        ["Plan", note.plan],
+      ])
+      : undefined,
+    status: "finished",
+    class: video
+      ? { system: ACT_CODE, code: "VR", display: "virtual" }
+      : { system: ACT_CODE, code: "AMB", display: "ambulatory" },
+    subject: ref("Patient", subject.id, subject.display),
+    participant: doctor
+      ? [{ individual: ref("Practitioner", doctor._id, doctor.fullName) }]
+      : undefined,
+    appointment: [ref("Appointment", appointment._id)],
+    period: start ? { start, end } : undefined,
+    reasonCode: note?.complaint || appointment.symptoms
+      ? [{ text: note?.complaint || appointment.symptoms }]
+      : undefined,
+    diagnosis: note?.diagnosis
+      ? [{ condition: ref("Condition", note._id), rank: 1 }]
+      : undefined,
+    partOf: appointment.parentAppointment
+      ? ref("Encounter", appointment.parentAppointment._id || appointment.parentAppointment)
+      : undefined,
+  });
+};
+
+export const toCondition = (note, appointment) => {
+  const subject = subjectOf(appointment);
+  return compact({
+    resourceType: "Condition",
+    id: String(note._id),
+    category: [
+      {
+        coding: [
+          { system: CONDITION_CATEGORY, code: "encounter-diagnosis", display: "Encounter Diagnosis" },
+        ],
+      },
+    ],
+    code: { text: note.diagnosis },
+    subject: ref("Patient", subject.id, subject.display),
+    encounter: ref("Encounter", appointment._id),
+    recordedDate: toInstant(note.issuedAt),
+    recorder: ref("Practitioner", note.doctor._id || note.doctor),
+  });
+};
+
+export const toMedicationRequests = (note, appointment) => {
+  const subject = subjectOf(appointment);
+  return (note.prescriptions || []).map((item) =>
+    compact({
+      resourceType: "MedicationRequest",
+      id: String(item._id),
+      status: "unknown",
+      intent: "order",
+      medicationCodeableConcept: { text: item.drug },
+      subject: ref("Patient", subject.id, subject.display),
+      encounter: ref("Encounter", appointment._id),
+      authoredOn: toInstant(note.issuedAt),
+      requester: ref("Practitioner", note.doctor._id || note.doctor),
+      dosageInstruction: [
+        compact({
+          text: `${item.dose}, ${item.frequency}, for ${item.duration}`,
+          patientInstruction: item.instructions,
+        }),
+      ],
+    }),
+  );
+};
+
+/**
+ * Bundle (type "collection") of everything we hold on a patient account:
+ * the account holder and their dependents, the doctors they saw, all
+ * appointments, and an Encounter (+ notes) for every completed visit.
+ * `appointments` need `doctor` and `patient` populated; `notes` are the
+ * consultation notes of those appointments.
+ */
+export const buildPatientBundle = ({ patient, appointments, notes, baseUrl }) => {
+  const resources = new Map();
+  const add = (resource) => {
+    const key = `${resource.resourceType}/${resource.id}`;
+    if (!resources.has(key)) resources.set(key, resource);
+  };
+
+  add(toPatient(patient));
+
+  const dependents = new Map(
+    (patient.dependents || []).map((d) => [String(d._id), d]),
+  );
+  for (const appointment of appointments) {
+    const { dependentId } = appointment.bookedFor || {};
+    if (
+      appointment.bookedFor?.type === "dependent" &&
+      dependentId &&
+      !dependents.has(String(dependentId))
+    ) {
+      dependents.set(String(dependentId), {
+        _id: dependentId,
+        fullName:
+          appointment.bookedFor.nameSnapshot ||
+          appointment.bookedFor.dependentName ||
+          "Dependent",
+        relationship: appointment.bookedFor.relationship,
+        isActive: false,
+      });
+    }
+  }
+  for (const dependent of dependents.values()) {
+    add(toDependentPatient(dependent, patient));
+    add(toRelatedPerson(dependent, patient));
+  }
+
+  const notesByAppointment = new Map(
+    notes.map((note) => [String(note.appointment), note]),
+  );
+
+  for (const appointment of appointments) {
+    if (appointment.doctor?._id) add(toPractitioner(appointment.doctor));
+    add(toAppointment(appointment));
+
+    const note = notesByAppointment.get(String(appointment._id));
+    if (appointment.status !== "completed" && !note) continue;
+
+    add(toEncounter(appointment, note));
+    if (note?.diagnosis) add(toCondition(note, appointment));
+    if (note) toMedicationRequests(note, appointment).forEach(add);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    resourceType: "Bundle",
+    id: uuidv4(),
+    meta: { lastUpdated: now },
+    type: "collection",
+    timestamp: now,
+    entry: [...resources.values()].map((resource) => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+    })),
+  };
+};
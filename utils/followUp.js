@@ -0,0 +1,89 @@
+// utils/followUp.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import { FollowUp } from "../model/followUp.model.js";
+import { resolveTimeZone, todayInZone } from "./timezone.js";
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Fee of an appointment: the fee agreed at booking (follow-ups) or the
+ * doctor's standard fee
+ */
+export const getAppointmentFee = (appointment, doctor) => {
+  if (appointment.feeOverride) {
+    return {
+      amount: Number(appointment.feeOverride.amount || 0),
+      currency: appointment.feeOverride.currency || doctor?.fees?.currency || "USD",
+    };
+  }
+  return {
+    amount: Number(doctor?.fees?.amount || 0),
+    currency: doctor?.fees?.currency || "USD",
+  };
+};
+
+/**
+ * A bank-transfer screenshot counts as payment only once it was approved
+ * (or the payment was otherwise verified), never while pending review
+ */
+export const hasVerifiedPaymentProof = (appointment) =>
+  Boolean(appointment.paymentScreenshot?.url) &&
+  (appointment.paymentReview?.status === "approved" ||
+    (appointment.paymentVerified === true &&
+      appointment.paymentReview?.status !== "rejected"));
+
+/**
+ * Appointment.feeOverride for a booking made from a follow-up
+ * recommendation (null when the standard fee applies)
+ */
+export const buildFollowUpFee = (followUp, doctor) => {
+  const currency = doctor?.fees?.currency || "USD";
+  if (followUp.feeType === "free") return { amount: 0, currency };
+  if (followUp.feeType === "discount") {
+    const standard = Number(doctor?.fees?.amount || 0);
+    return {
+      amount: roundMoney(standard * (1 - followUp.discountPercent / 100)),
+      currency,
+    };
+  }
+  return null;
+};
+
+/**
+ * Mark a pending recommendation whose window has passed as expired
+ */
+export const refreshFollowUpStatus = async (followUp, timezone) => {
+  if (followUp.status !== "pending") return followUp;
+
+  const today = todayInZone(resolveTimeZone(timezone));
+  if (new Date(followUp.windowEnd) < today) {
+    followUp.status = "expired";
+    await FollowUp.updateOne(
+      { _id: followUp._id, status: "pending" },
+      { $set: { status: "expired" } },
+    );
+  }
+  return followUp;
+};
+
+// Pending follow-up recommendation the patient may book with this doctor
+export const loadBookableFollowUp = async (followUpId, patientId, doctor) => {
+  const followUp = mongoose.Types.ObjectId.isValid(followUpId)
+    ? await FollowUp.findOne({ _id: followUpId, patient: patientId })
+    : null;
+  if (!followUp || String(followUp.doctor) !== String(doctor._id)) {
+    throw new AppError(httpStatus.NOT_FOUND, "Follow-up not found");
+  }
+
+  await refreshFollowUpStatus(followUp, doctor.timezone);
+  if (followUp.status !== "pending") {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `This follow-up is ${followUp.status} and can no longer be booked`,
+    );
+  }
+
+  return followUp;
+};
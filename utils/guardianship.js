@@ -0,0 +1,179 @@
+// utils/guardianship.js
+import httpStatus from "http-status";
+import AppError from "../errors/AppError.js";
+import { GuardianConsent } from "../model/guardianConsent.model.js";
+import { Appointment } from "../model/appointment.model.js";
+import { ConsultationNote } from "../model/consultationNote.model.js";
+import { FollowUp } from "../model/followUp.model.js";
+import { HealthProfile } from "../model/healthProfile.model.js";
+import { IntakeResponse } from "../model/intakeResponse.model.js";
+import { MedicalDocument } from "../model/medicalDocument.model.js";
+import { DocumentShare } from "../model/documentShare.model.js";
+
+export const AGE_OF_MAJORITY = Number(process.env.AGE_OF_MAJORITY) || 18;
+
+// Relationships that always describe an adult, whatever dob says
+const ADULT_RELATIONSHIPS = [
+  "father",
+  "mother",
+  "parent",
+  "spouse",
+  "husband",
+  "wife",
+  "partner",
+  "grandfather",
+  "grandmother",
+  "grandparent",
+];
+
+// Whole years between dob and `at`, or null when dob is unknown
+export const getAge = (dob, at = new Date()) => {
+  if (!dob) return null;
+  const birth = new Date(dob);
+  if (Number.isNaN(birth.getTime())) return null;
+
+  let age = at.getUTCFullYear() - birth.getUTCFullYear();
+  const beforeBirthday =
+    at.getUTCMonth() < birth.getUTCMonth() ||
+    (at.getUTCMonth() === birth.getUTCMonth() &&
+      at.getUTCDate() < birth.getUTCDate());
+  if (beforeBirthday) age -= 1;
+  return age;
+};
+
+export const isAdultDependent = (dependent, at = new Date()) => {
+  const relationship = String(dependent?.relationship || "").trim().toLowerCase();
+  if (ADULT_RELATIONSHIPS.includes(relationship)) return true;
+
+  const age = getAge(dependent?.dob, at);
+  return age !== null && age >= AGE_OF_MAJORITY;
+};
+
+export const findActiveConsent = (guardianId, dependentId, at = new Date()) =>
+  GuardianConsent.findOne({
+    guardian: guardianId,
+    dependentId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: at } }],
+  }).sort({ consentedAt: -1 });
+
+/**
+ * Guardianship state of one dependent, as shown to the guardian:
+ * { isAdult, age, requiresConsent, consent }
+ */
+export const getGuardianshipStatus = async (guardianId, dependent) => {
+  const isAdult = isAdultDependent(dependent);
+  const consent = isAdult
+    ? await findActiveConsent(guardianId, dependent._id)
+    : null;
+
+  return {
+    isAdult,
+    age: getAge(dependent.dob),
+    requiresConsent: isAdult && !consent,
+    consent,
+  };
+};
+
+// Adult dependents can only be booked for with recorded consent
+export const assertGuardianCanBook = async (guardian, dependent) => {
+  if (!isAdultDependent(dependent)) return;
+
+  const consent = await findActiveConsent(guardian._id, dependent._id);
+  if (!consent) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      `${dependent.fullName} is an adult. They need to claim their own account, or you need to record their consent before booking for them.`,
+    );
+  }
+};
+
+/**
+ * Move everything recorded for a dependent of `fromUserId` to `toUserId`,
+ * who becomes the patient of record (bookedFor "self").
+ * Returns counts of moved records.
+ */
+export const moveDependentRecords = async ({
+  fromUserId,
+  toUserId,
+  dependentId,
+  nameSnapshot,
+}) => {
+  const appointmentFilter = {
+    patient: fromUserId,
+    "bookedFor.type": "dependent",
+    "bookedFor.dependentId": dependentId,
+  };
+  const appointmentIds = await Appointment.find(appointmentFilter).distinct("_id");
+
+  const appointments = await Appointment.updateMany(appointmentFilter, {
+    $set: {
+      patient: toUserId,
+      bookedFor: { type: "self", nameSnapshot },
+    },
+  });
+
+  const notes = await ConsultationNote.updateMany(
+    { appointment: { $in: appointmentIds } },
+    {
+      $set: {
+        patient: toUserId,
+        subject: { type: "self", dependentId: null, name: nameSnapshot },
+      },
+    },
+  );
+
+  const intake = await IntakeResponse.updateMany(
+    { appointment: { $in: appointmentIds } },
+    { $set: { patient: toUserId } },
+  );
+
+  const followUps = await FollowUp.updateMany(
+    { patient: fromUserId, "bookedFor.dependentId": dependentId },
+    {
+      $set: {
+        patient: toUserId,
+        bookedFor: { type: "self", nameSnapshot },
+      },
+    },
+  );
+
+  // The new account's own profile wins if it already has one; the
+  // guardian's copy is dropped either way so no orphan stays behind
+  let healthProfile = 0;
+  const hasProfile = await HealthProfile.exists({
+    owner: toUserId,
+    dependentId: null,
+  });
+  if (hasProfile) {
+    await HealthProfile.deleteOne({ owner: fromUserId, dependentId });
+  } else {
+    const result = await HealthProfile.updateOne(
+      { owner: fromUserId, dependentId },
+      { $set: { owner: toUserId, dependentId: null } },
+    );
+    healthProfile = result.modifiedCount;
+  }
+
+  const documentIds = await MedicalDocument.find({
+    owner: fromUserId,
+    dependentId,
+  }).distinct("_id");
+  const documents = await MedicalDocument.updateMany(
+    { _id: { $in: documentIds } },
+    { $set: { owner: toUserId, dependentId: null } },
+  );
+  await DocumentShare.updateMany(
+    { document: { $in: documentIds } },
+    { $set: { owner: toUserId } },
+  );
+
+  return {
+    appointments: appointments.modifiedCount,
+    consultationNotes: notes.modifiedCount,
+    intakeResponses: intake.modifiedCount,
+    followUps: followUps.modifiedCount,
+    healthProfile,
+    documents: documents.modifiedCount,
+  };
+};
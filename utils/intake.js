@@ -0,0 +1,329 @@
+// utils/intake.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import Category from "../model/category.model.js";
+import { INTAKE_QUESTION_TYPES, IntakeForm } from "../model/intakeForm.model.js";
+import { IntakeResponse } from "../model/intakeResponse.model.js";
+import { uploadOnCloudinary } from "./commonMethod.js";
+import { toCalendarDate } from "./timezone.js";
+
+const MAX_QUESTIONS = 50;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_FILES_PER_QUESTION = 5;
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Validate a form definition's questions
+ */
+export const parseQuestions = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new AppError(httpStatus.BAD_REQUEST, "questions must be a non-empty array");
+  }
+  if (input.length > MAX_QUESTIONS) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `A form can have at most ${MAX_QUESTIONS} questions`,
+    );
+  }
+
+  const keys = new Set();
+
+  return input.map((q, i) => {
+    const key = String(q?.key || "").trim().toLowerCase();
+    const label = String(q?.label || "").trim();
+    const type = String(q?.type || "").trim();
+
+    if (!/^[a-z0-9_]+$/.test(key) || keys.has(key)) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        `questions[${i}].key must be unique and use only a-z, 0-9 and _`,
+      );
+    }
+    keys.add(key);
+
+    if (!label) {
+      throw new AppError(httpStatus.BAD_REQUEST, `questions[${i}].label is required`);
+    }
+    if (!INTAKE_QUESTION_TYPES.includes(type)) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        `questions[${i}].type must be one of: ${INTAKE_QUESTION_TYPES.join(", ")}`,
+      );
+    }
+
+    const question = {
+      key,
+      label,
+      type,
+      required: Boolean(q.required),
+      helpText: q.helpText ? String(q.helpText).trim() : undefined,
+    };
+
+    if (type === "choice") {
+      const options = [
+        ...new Set((q.options || []).map((o) => String(o).trim()).filter(Boolean)),
+      ];
+      if (options.length < 2) {
+        throw new AppError(
+          httpStatus.BAD_REQUEST,
+          `questions[${i}] needs at least two options`,
+        );
+      }
+      question.options = options;
+      question.multiple = Boolean(q.multiple);
+    }
+
+    if (["number", "text"].includes(type)) {
+      for (const bound of ["min", "max"]) {
+        if (q[bound] === undefined || q[bound] === null || q[bound] === "") continue;
+        const n = Number(q[bound]);
+        if (!Number.isFinite(n)) {
+          throw new AppError(
+            httpStatus.BAD_REQUEST,
+            `questions[${i}].${bound} must be a number`,
+          );
+        }
+        question[bound] = n;
+      }
+    }
+
+    return question;
+  });
+};
+
+// Categories whose speciality_name matches the doctor's specialties
+const getDoctorCategoryIds = async (doctor) => {
+  const names = [doctor.specialty, ...(doctor.specialties || [])]
+    .map((s) => String(s || "").trim())
+    .filter(Boolean);
+  if (!names.length) return [];
+
+  const categories = await Category.find({
+    speciality_name: {
+      $in: names.map((n) => new RegExp(`^${escapeRegex(n)}$`, "i")),
+    },
+  }).select("_id");
+  return categories.map((c) => c._id);
+};
+
+/**
+ * Latest active forms that apply when booking this doctor: the doctor's
+ * own forms plus the forms of their specialty categories
+ */
+export const findApplicableForms = async (doctor) => {
+  const categoryIds = await getDoctorCategoryIds(doctor);
+  return IntakeForm.find({
+    isLatest: true,
+    isActive: true,
+    $or: [{ doctor: doctor._id }, { category: { $in: categoryIds } }],
+  }).sort({ createdAt: 1 });
+};
+
+/**
+ * Form version `formId` if its form is active and applies to the doctor
+ */
+export const loadFormForDoctor = async (formId, doctor) => {
+  const form = mongoose.Types.ObjectId.isValid(formId)
+    ? await IntakeForm.findById(formId)
+    : null;
+  if (!form || !form.isActive) {
+    throw new AppError(httpStatus.NOT_FOUND, "Intake form not found");
+  }
+
+  const applies =
+    String(form.doctor) === String(doctor._id) ||
+    (form.category &&
+      (await getDoctorCategoryIds(doctor)).some(
+        (id) => String(id) === String(form.category),
+      ));
+  if (!applies) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      "This intake form does not apply to the appointment's doctor",
+    );
+  }
+
+  return form;
+};
+
+/**
+ * Booking-time answers: [{ formId, answers }] (JSON string or array).
+ * Validates every entry against the doctor's forms before anything is
+ * reserved or uploaded.
+ */
+export const parseBookingIntake = async (input, doctor) => {
+  if (input === undefined || input === null || input === "") return [];
+
+  let entries = input;
+  if (typeof input === "string") {
+    try {
+      entries = JSON.parse(input);
+    } catch {
+      throw new AppError(httpStatus.BAD_REQUEST, "intakeResponses must be valid JSON");
+    }
+  }
+  if (!Array.isArray(entries)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "intakeResponses must be an array");
+  }
+
+  const seen = new Set();
+  const parsed = [];
+  for (const entry of entries) {
+    const form = await loadFormForDoctor(entry?.formId, doctor);
+    if (seen.has(String(form.formKey))) {
+      throw new AppError(
+        httpStatus.BAD_REQUEST,
+        `"${form.title}" was answered more than once`,
+      );
+    }
+    seen.add(String(form.formKey));
+    parsed.push({ form, answers: validateIntakeAnswers(form, entry.answers, null) });
+  }
+  return parsed;
+};
+
+const parseBoolean = (v) => {
+  if (typeof v === "boolean") return v;
+  const s = String(v).trim().toLowerCase();
+  if (["true", "yes", "1"].includes(s)) return true;
+  if (["false", "no", "0"].includes(s)) return false;
+  return null;
+};
+
+const isEmpty = (v) =>
+  v === undefined ||
+  v === null ||
+  v === "" ||
+  (Array.isArray(v) && v.length === 0);
+
+/**
+ * Check answers ({ [questionKey]: value }) against a form version.
+ * `files` are multer files whose fieldname is the question key; pass
+ * `files: null` where uploads aren't accepted (e.g. during booking).
+ * Returns normalised answers; throws 400 listing every problem.
+ */
+export const validateIntakeAnswers = (form, answers = {}, files = []) => {
+  const errors = [];
+  const normalized = [];
+
+  const known = new Set(form.questions.map((q) => q.key));
+  for (const key of Object.keys(answers || {})) {
+    if (!known.has(key)) errors.push(`${key}: unknown question`);
+  }
+
+  for (const q of form.questions) {
+    if (q.type === "file") {
+      if (!files) {
+        if (q.required) {
+          errors.push(
+            `${q.key}: needs a file upload - submit this form after booking`,
+          );
+        }
+        continue;
+      }
+      const questionFiles = files.filter((f) => f.fieldname === q.key);
+      if (!questionFiles.length) {
+        if (q.required) errors.push(`${q.key}: a file upload is required`);
+        continue;
+      }
+      if (questionFiles.length > MAX_FILES_PER_QUESTION) {
+        errors.push(`${q.key}: at most ${MAX_FILES_PER_QUESTION} files`);
+        continue;
+      }
+      normalized.push({ key: q.key, label: q.label, type: q.type, pendingFiles: questionFiles });
+      continue;
+    }
+
+    const raw = answers?.[q.key];
+    if (isEmpty(raw)) {
+      if (q.required) errors.push(`${q.key}: answer is required`);
+      continue;
+    }
+
+    let value = null;
+
+    if (q.type === "text") {
+      value = String(raw).trim();
+      const maxLength = q.max ?? MAX_TEXT_LENGTH;
+      if (value.length > maxLength) {
+        errors.push(`${q.key}: must be at most ${maxLength} characters`);
+      }
+    } else if (q.type === "number") {
+      value = Number(raw);
+      if (!Number.isFinite(value)) errors.push(`${q.key}: must be a number`);
+      else if (q.min !== undefined && value < q.min) errors.push(`${q.key}: must be >= ${q.min}`);
+      else if (q.max !== undefined && value > q.max) errors.push(`${q.key}: must be <= ${q.max}`);
+    } else if (q.type === "date") {
+      value = toCalendarDate(raw, "UTC");
+      if (!value) errors.push(`${q.key}: must be a date (yyyy-mm-dd)`);
+    } else if (q.type === "yes_no") {
+      value = parseBoolean(raw);
+      if (value === null) errors.push(`${q.key}: must be yes or no`);
+    } else if (q.type === "choice") {
+      const picked = (Array.isArray(raw) ? raw : [raw]).map((v) => String(v).trim());
+      if (!q.multiple && picked.length > 1) {
+        errors.push(`${q.key}: pick a single option`);
+      } else if (picked.some((v) => !q.options.includes(v))) {
+        errors.push(`${q.key}: must be one of ${q.options.join(", ")}`);
+      }
+      value = q.multiple ? picked : picked[0];
+    }
+
+    normalized.push({ key: q.key, label: q.label, type: q.type, value });
+  }
+
+  if (errors.length) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `Invalid answers for "${form.title}" (v${form.version}): ${errors.join("; ")}`,
+    );
+  }
+
+  return normalized;
+};
+
+/**
+ * Upload file answers and store (or replace) the appointment's response to
+ * the form. `answers` must come from validateIntakeAnswers.
+ */
+export const saveIntakeResponse = async ({ appointment, form, answers }) => {
+  const stored = [];
+  for (const answer of answers) {
+    if (!answer.pendingFiles) {
+      stored.push(answer);
+      continue;
+    }
+
+    const uploaded = [];
+    for (const file of answer.pendingFiles) {
+      const up = await uploadOnCloudinary(file.buffer, {
+        folder: "docmobi/appointments/intake",
+        resource_type: "image",
+      });
+      uploaded.push({ public_id: up.public_id, url: up.secure_url });
+    }
+    stored.push({
+      key: answer.key,
+      label: answer.label,
+      type: answer.type,
+      files: uploaded,
+    });
+  }
+
+  return IntakeResponse.findOneAndUpdate(
+    { appointment: appointment._id, formKey: form.formKey },
+    {
+      $set: {
+        patient: appointment.patient?._id || appointment.patient,
+        doctor: appointment.doctor?._id || appointment.doctor,
+        form: form._id,
+        version: form.version,
+        answers: stored,
+        submittedAt: new Date(),
+      },
+    },
+    { new: true, upsert: true },
+  );
+};
@@ -0,0 +1,142 @@
+// utils/jobRunner.js
+import { Job } from "../model/job.model.js";
+
+const handlers = new Map();
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 30 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const RETRY_DELAY_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Register the function that runs jobs of `type`.
+ * The handler receives the job document; throwing marks the attempt failed.
+ */
+export const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Queue a job. With a `key`, an existing pending job for that key is
+ * replaced so re-scheduling never leaves duplicates behind.
+ */
+export const scheduleJob = async ({ type, runAt, payload = {}, key, maxAttempts }) => {
+  if (key) {
+    await Job.updateMany(
+      { key, status: "pending" },
+      { $set: { status: "cancelled" } },
+    );
+  }
+
+  return Job.create({ type, runAt, payload, key, maxAttempts });
+};
+
+/**
+ * Cancel pending jobs matching the filter (e.g. { type, "payload.appointmentId": id })
+ */
+export const cancelJobs = (filter) =>
+  Job.updateMany({ ...filter, status: "pending" }, { $set: { status: "cancelled" } });
+
+// Claim the next due job atomically so parallel instances never run it twice
+const claimNextJob = () =>
+  Job.findOneAndUpdate(
+    { status: "pending", runAt: { $lte: new Date() } },
+    { $set: { status: "running", lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true },
+  );
+
+const SUPERSEDED = "Superseded by a newer job with the same key";
+
+// Only one pending job may hold a key. When a newer one was queued while
+// this job ran, putting it back would break that rule, so it is dropped.
+const isDuplicateKey = (error) => error?.code === 11000;
+
+const requeueStaleJobs = async () => {
+  const stale = await Job.find({
+    status: "running",
+    lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+  }).select("_id lockedAt");
+
+  for (const job of stale) {
+    const filter = { _id: job._id, status: "running", lockedAt: job.lockedAt };
+    try {
+      await Job.updateOne(filter, { $set: { status: "pending", lockedAt: null } });
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+      await Job.updateOne(filter, {
+        $set: { status: "cancelled", lockedAt: null, lastError: SUPERSEDED },
+      });
+    }
+  }
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) throw new Error(`No handler registered for job type: ${job.type}`);
+    await handler(job);
+
+    job.status = "completed";
+    job.completedAt = new Date();
+    job.lastError = "";
+  } catch (error) {
+    console.error(`❌ Job ${job.type} (${job._id}) failed:`, error.message);
+    job.lastError = error.message;
+
+    if (job.attempts < job.maxAttempts) {
+      job.status = "pending";
+      job.runAt = new Date(Date.now() + RETRY_DELAY_MS * job.attempts);
+    } else {
+      job.status = "failed";
+    }
+  }
+
+  job.lockedAt = null;
+  try {
+    await job.save();
+  } catch (error) {
+    if (!isDuplicateKey(error)) throw error;
+    job.status = "cancelled";
+    job.lastError = SUPERSEDED;
+    await job.save();
+  }
+};
+
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    // Jobs left "running" by a crashed process go back to the queue
+    await requeueStaleJobs();
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const job = await claimNextJob();
+      if (!job) break;
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error("❌ Job runner error:", error.message);
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Start polling for due jobs. Call once after MongoDB is connected.
+ */
+export const startJobRunner = () => {
+  if (timer) return;
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+  console.log(`⏱️ Job runner started (every ${POLL_INTERVAL_MS / 1000}s)`);
+};
+
+export const stopJobRunner = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,345 @@
+// utils/ledger.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import { LedgerEntry } from "../model/ledgerEntry.model.js";
+import { getAppointmentFee } from "./followUp.js";
+import { getVerifiedAmountPaid } from "./cancellationPolicy.js";
+import { resolveTimeZone, zonedTimeToUtc } from "./timezone.js";
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+// Debit / credit side of each entry type (adjustments go either way)
+const ENTRY_ACCOUNTS = {
+  fee_collected: { debitAccount: "patient_payments", creditAccount: "doctor_payable" },
+  commission: { debitAccount: "doctor_payable", creditAccount: "platform_revenue" },
+  refund: { debitAccount: "doctor_payable", creditAccount: "patient_payments" },
+  adjustment_credit: { debitAccount: "platform_revenue", creditAccount: "doctor_payable" },
+  adjustment_debit: { debitAccount: "doctor_payable", creditAccount: "platform_revenue" },
+  payout: { debitAccount: "doctor_payable", creditAccount: "payouts" },
+};
+
+// Effect of an entry on the doctor's balance (what the platform owes them)
+export const balanceDelta = (entry) => {
+  if (entry.creditAccount === "doctor_payable") return entry.amount;
+  if (entry.debitAccount === "doctor_payable") return -entry.amount;
+  return 0;
+};
+
+const DELTA_EXPR = {
+  $switch: {
+    branches: [
+      { case: { $eq: ["$creditAccount", "doctor_payable"] }, then: "$amount" },
+      {
+        case: { $eq: ["$debitAccount", "doctor_payable"] },
+        then: { $multiply: ["$amount", -1] },
+      },
+    ],
+    default: 0,
+  },
+};
+
+/**
+ * Post one entry. Entries with a sourceKey are posted once: a repeat
+ * returns null instead of a duplicate.
+ */
+export const postLedgerEntry = async ({ type, direction, ...entry }) => {
+  const accounts = ENTRY_ACCOUNTS[type === "adjustment" ? `adjustment_${direction}` : type];
+  try {
+    return await LedgerEntry.create({ type, ...accounts, ...entry });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const doctorIdOf = (appointment) => appointment.doctor?._id || appointment.doctor;
+
+/**
+ * Ledger entries of a completed visit or a retained cancellation fee.
+ * The doctor is credited the fee only when the platform collected it
+ * (online or verified transfer); for visits paid at the clinic only the
+ * commission is posted, as owed by the doctor. Never throws: a ledger
+ * problem must not undo the status change.
+ */
+export const postAppointmentLedger = async (appointment) => {
+  try {
+    const base = {
+      doctor: doctorIdOf(appointment),
+      appointment: appointment._id,
+      payment: appointment.payment?._id || appointment.payment || null,
+      createdByRole: "system",
+    };
+
+    if (appointment.status === "completed") {
+      const fee = appointment.commission
+        ? { amount: appointment.commission.baseAmount, currency: appointment.commission.currency }
+        : getAppointmentFee(appointment, appointment.doctor);
+      const collected =
+        (await getVerifiedAmountPaid(appointment, appointment.doctor)) > 0;
+
+      if (collected && fee.amount > 0) {
+        await postLedgerEntry({
+          ...base,
+          type: "fee_collected",
+          amount: roundMoney(fee.amount),
+          currency: fee.currency,
+          memo: "Consultation fee",
+          sourceKey: `fee:${appointment._id}`,
+        });
+      }
+      if (appointment.commission?.amount > 0) {
+        await postLedgerEntry({
+          ...base,
+          type: "commission",
+          amount: appointment.commission.amount,
+          currency: appointment.commission.currency,
+          memo: [
+            appointment.commission.feeType === "percent"
+              ? `Platform commission (${appointment.commission.value}%)`
+              : "Platform commission",
+            collected ? "" : " – fee paid at the clinic",
+          ].join(""),
+          sourceKey: `commission:${appointment._id}`,
+        });
+      }
+    } else if (
+      appointment.status === "cancelled" &&
+      appointment.cancellation?.feeRetained > 0
+    ) {
+      await postLedgerEntry({
+        ...base,
+        type: "fee_collected",
+        amount: appointment.cancellation.feeRetained,
+        currency: appointment.cancellation.currency,
+        memo: "Retained cancellation fee",
+        sourceKey: `fee:${appointment._id}`,
+      });
+    }
+  } catch (error) {
+    console.error("❌ Ledger posting failed:", error.message);
+  }
+};
+
+/**
+ * Debit the doctor for a succeeded discretionary refund, up to what they
+ * were credited for the appointment. Cancellation refunds give back money
+ * the doctor was never credited, so they don't touch the ledger.
+ */
+export const postRefundLedger = async (payment, refund) => {
+  if (refund.kind !== "discretionary" || refund.status !== "succeeded") return;
+  if (!payment.appointment) return;
+
+  try {
+    const entries = await LedgerEntry.find({
+      appointment: payment.appointment,
+      type: { $in: ["fee_collected", "refund"] },
+    }).lean();
+    const credited = entries.find((e) => e.type === "fee_collected");
+    if (!credited) return;
+
+    const alreadyRefunded = entries
+      .filter((e) => e.type === "refund")
+      .reduce((sum, e) => sum + e.amount, 0);
+    const amount = roundMoney(Math.min(refund.amount, credited.amount - alreadyRefunded));
+    if (!(amount > 0)) return;
+
+    await postLedgerEntry({
+      doctor: credited.doctor,
+      type: "refund",
+      amount,
+      currency: refund.currency,
+      appointment: payment.appointment,
+      payment: payment._id,
+      refundId: refund._id,
+      memo: refund.reason ? `Refund: ${refund.reason}` : "Refund to patient",
+      sourceKey: `refund:${refund._id}`,
+      createdBy: refund.issuedBy,
+      createdByRole: refund.issuedByRole,
+    });
+  } catch (error) {
+    console.error("❌ Refund ledger posting failed:", error.message);
+  }
+};
+
+/**
+ * Balances per doctor and currency from entries before `before`
+ * (all entries when omitted). Pass doctorId to limit to one doctor.
+ */
+export const getLedgerBalances = async ({ doctorId, before } = {}) => {
+  const match = {};
+  if (doctorId) match.doctor = new mongoose.Types.ObjectId(String(doctorId));
+  if (before) match.occurredAt = { $lt: before };
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { doctor: "$doctor", currency: "$currency" },
+        balance: { $sum: DELTA_EXPR },
+        entryCount: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return rows.map((r) => ({
+    doctor: r._id.doctor,
+    currency: r._id.currency,
+    balance: roundMoney(r.balance),
+    entryCount: r.entryCount,
+  }));
+};
+
+/**
+ * What each doctor can be paid for activity before periodEnd: earnings
+ * up to periodEnd minus every payout already made (payouts are posted
+ * when a batch is paid, which may be after its period ended)
+ */
+export const getPayableBalances = async (periodEnd) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { $or: [{ occurredAt: { $lt: periodEnd } }, { type: "payout" }] } },
+    {
+      $group: {
+        _id: { doctor: "$doctor", currency: "$currency" },
+        balance: { $sum: DELTA_EXPR },
+        entryCount: {
+          $sum: { $cond: [{ $eq: ["$type", "payout"] }, 0, 1] },
+        },
+      },
+    },
+  ]);
+
+  return rows
+    .map((r) => ({
+      doctor: r._id.doctor,
+      currency: r._id.currency,
+      amount: roundMoney(r.balance),
+      entryCount: r.entryCount,
+    }))
+    .filter((r) => r.amount > 0);
+};
+
+/**
+ * "YYYY-MM" -> { start, end } of that month in the given timezone
+ */
+export const parseStatementMonth = (month, timezone) => {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(month || ""));
+  if (!match) {
+    throw new AppError(httpStatus.BAD_REQUEST, "month must be in YYYY-MM format");
+  }
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+  const tz = resolveTimeZone(timezone);
+
+  return {
+    start: zonedTimeToUtc(new Date(Date.UTC(year, monthIndex, 1)), "00:00", tz),
+    end: zonedTimeToUtc(new Date(Date.UTC(year, monthIndex + 1, 1)), "00:00", tz),
+    timezone: tz,
+  };
+};
+
+/**
+ * Monthly settlement statement of a doctor: per currency the opening
+ * balance, the month's entries with a running balance, totals per entry
+ * type and the closing balance.
+ */
+export const buildSettlementStatement = async (doctor, month) => {
+  const { start, end, timezone } = parseStatementMonth(month, doctor.timezone);
+
+  const [opening, entries] = await Promise.all([
+    getLedgerBalances({ doctorId: doctor._id, before: start }),
+    LedgerEntry.find({
+      doctor: doctor._id,
+      occurredAt: { $gte: start, $lt: end },
+    })
+      .sort({ occurredAt: 1, _id: 1 })
+      .lean(),
+  ]);
+
+  const sections = new Map();
+  const sectionFor = (currency) => {
+    if (!sections.has(currency)) {
+      const openingBalance =
+        opening.find((o) => o.currency === currency)?.balance || 0;
+      sections.set(currency, {
+        currency,
+        openingBalance,
+        closingBalance: openingBalance,
+        totals: {},
+        entries: [],
+      });
+    }
+    return sections.get(currency);
+  };
+
+  opening.forEach((o) => sectionFor(o.currency));
+
+  for (const entry of entries) {
+    const section = sectionFor(entry.currency);
+    const delta = balanceDelta(entry);
+    section.closingBalance = roundMoney(section.closingBalance + delta);
+    section.totals[entry.type] = roundMoney((section.totals[entry.type] || 0) + delta);
+    section.entries.push({
+      id: entry._id,
+      occurredAt: entry.occurredAt,
+      type: entry.type,
+      memo: entry.memo || "",
+      appointment: entry.appointment,
+      amount: delta,
+      balance: section.closingBalance,
+    });
+  }
+
+  return {
+    doctor: { id: doctor._id, fullName: doctor.fullName },
+    month,
+    timezone,
+    periodStart: start,
+    periodEnd: end,
+    generatedAt: new Date(),
+    currencies: [...sections.values()],
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const settlementStatementToCsv = (statement) => {
+  const rows = [["date", "type", "memo", "appointment", "currency", "amount", "balance"]];
+
+  for (const section of statement.currencies) {
+    rows.push([
+      statement.periodStart.toISOString(),
+      "opening_balance",
+      "",
+      "",
+      section.currency,
+      "",
+      section.openingBalance.toFixed(2),
+    ]);
+    for (const entry of section.entries) {
+      rows.push([
+        new Date(entry.occurredAt).toISOString(),
+        entry.type,
+        entry.memo,
+        entry.appointment || "",
+        section.currency,
+        entry.amount.toFixed(2),
+        entry.balance.toFixed(2),
+      ]);
+    }
+    rows.push([
+      statement.periodEnd.toISOString(),
+      "closing_balance",
+      "",
+      "",
+      section.currency,
+      "",
+      section.closingBalance.toFixed(2),
+    ]);
+  }
+
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n");
+};
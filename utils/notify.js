@@ -66,6 +66,26 @@ export const createNotification = async ({
       "appointment_cancelled",
       "appointment_completed",
       "appointment_status_change",
+      "appointment_reschedule_requested",
+      "appointment_rescheduled",
+      "appointment_reschedule_rejected",
+      "appointment_reminder",
+      "waitlist_offer",
+      "waitlist_offer_expired",
+      "appointment_no_show",
+      "booking_restricted",
+      "queue_next",
+      "consultation_notes_ready",
+      "follow_up_recommended",
+      "document_shared",
+      "dependent_transfer_requested",
+      "dependent_transfer_accepted",
+      "dependent_transfer_declined",
+      "payment_proof_approved",
+      "payment_proof_rejected",
+      "refund_issued",
+      "refund_processing",
+      "payout_paid",
       "post_liked",
       "post_commented",
       "reel_liked",
@@ -139,10 +159,40 @@ const getClickAction = (type, appointmentId) => {
     case "appointment_confirmed":
     case "appointment_cancelled":
     case "appointment_reminder":
+    case "appointment_reschedule_requested":
+    case "appointment_rescheduled":
+    case "appointment_reschedule_rejected":
+    case "appointment_no_show":
+    case "consultation_notes_ready":
+    case "follow_up_recommended":
+    case "payment_proof_approved":
+    case "payment_proof_rejected":
+    case "refund_issued":
+    case "refund_processing":
       return appointmentId
         ? `/appointment-details/${appointmentId}`
         : "/appointments";
 
+    case "waitlist_offer":
+    case "waitlist_offer_expired":
+      return "/waitlist";
+
+    case "queue_next":
+      return "/queue";
+
+    case "document_shared":
+      return "/vault/shared-with-me";
+
+    case "dependent_transfer_requested":
+      return "/dependents/transfers";
+
+    case "dependent_transfer_accepted":
+    case "dependent_transfer_declined":
+      return "/dependents";
+
+    case "payout_paid":
+      return "/earnings/payouts";
+
     case "new_message":
       return "/messages";
 
@@ -0,0 +1,159 @@
+// utils/patientReliability.js
+import httpStatus from "http-status";
+import mongoose from "mongoose";
+import AppError from "../errors/AppError.js";
+import { Appointment } from "../model/appointment.model.js";
+import AppSetting from "../model/appSeeting.model.js";
+import { User } from "../model/user.model.js";
+import { createNotification } from "./notify.js";
+import { zonedTimeToUtc } from "./timezone.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const DEFAULT_LATE_CANCELLATION_HOURS = 24;
+
+export const getAppointmentStart = (appointment) =>
+  appointment.scheduledAt ||
+  zonedTimeToUtc(appointment.appointmentDate, appointment.time, appointment.timezone);
+
+/**
+ * Whether cancelling right now falls inside the late-cancellation window
+ */
+export const isLateCancellation = async (appointment) => {
+  const settings = await AppSetting.findOne().select("lateCancellationWindowHours");
+  const windowHours =
+    settings?.lateCancellationWindowHours ?? DEFAULT_LATE_CANCELLATION_HOURS;
+
+  const msUntilStart = getAppointmentStart(appointment).getTime() - Date.now();
+  return msUntilStart < windowHours * HOUR_MS;
+};
+
+/**
+ * Throw 403 while a patient is under an active booking restriction
+ */
+export const assertCanBook = (patient) => {
+  const until = patient?.bookingRestriction?.until;
+  if (until && new Date(until) > new Date()) {
+    throw new AppError(
+      httpStatus.FORBIDDEN,
+      `Booking is restricted until ${new Date(until).toISOString()}${
+        patient.bookingRestriction.reason
+          ? `: ${patient.bookingRestriction.reason}`
+          : ""
+      }`,
+    );
+  }
+};
+
+/**
+ * Attendance history per patient: { [patientId]: { completed, noShows,
+ * lateCancellations, score, restrictedUntil } }. Score is the share of
+ * finished bookings the patient actually attended (null without history).
+ */
+export const getPatientReliability = async (patientIds = []) => {
+  const ids = [...new Set(patientIds.map(String))]
+    .filter((id) => mongoose.Types.ObjectId.isValid(id))
+    .map((id) => new mongoose.Types.ObjectId(id));
+  if (ids.length === 0) return {};
+
+  const [stats, patients] = await Promise.all([
+    Appointment.aggregate([
+      { $match: { patient: { $in: ids } } },
+      {
+        $group: {
+          _id: "$patient",
+          completed: {
+            $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+          },
+          noShows: {
+            $sum: { $cond: [{ $eq: ["$status", "no_show"] }, 1, 0] },
+          },
+          lateCancellations: {
+            $sum: { $cond: [{ $eq: ["$lateCancellation", true] }, 1, 0] },
+          },
+        },
+      },
+    ]),
+    User.find({ _id: { $in: ids } }).select("bookingRestriction").lean(),
+  ]);
+
+  const result = {};
+  for (const id of ids) {
+    result[String(id)] = {
+      completed: 0,
+      noShows: 0,
+      lateCancellations: 0,
+      score: null,
+      restrictedUntil: null,
+    };
+  }
+
+  for (const s of stats) {
+    const finished = s.completed + s.noShows + s.lateCancellations;
+    result[String(s._id)] = {
+      completed: s.completed,
+      noShows: s.noShows,
+      lateCancellations: s.lateCancellations,
+      score: finished ? Math.round((s.completed / finished) * 100) : null,
+      restrictedUntil: null,
+    };
+  }
+
+  for (const p of patients) {
+    const until = p.bookingRestriction?.until;
+    if (until && new Date(until) > new Date()) {
+      result[String(p._id)].restrictedUntil = until;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Re-check the admin no-show policy for a patient after a no-show or
+ * late cancellation, restricting booking when the threshold is reached.
+ * Returns the restriction end date when one was applied.
+ */
+export const applyNoShowPolicy = async (patientId) => {
+  const settings = await AppSetting.findOne().select("noShowPolicy");
+  const policy = settings?.noShowPolicy;
+  if (!policy?.enabled) return null;
+
+  const since = new Date(Date.now() - policy.periodDays * DAY_MS);
+  const offences = [{ status: "no_show", noShowMarkedAt: { $gte: since } }];
+  if (policy.countLateCancellations) {
+    offences.push({ lateCancellation: true, cancelledAt: { $gte: since } });
+  }
+
+  const count = await Appointment.countDocuments({
+    patient: patientId,
+    $or: offences,
+  });
+  if (count < policy.maxNoShows) return null;
+
+  const patient = await User.findById(patientId).select("bookingRestriction");
+  if (!patient) return null;
+
+  const until = new Date(Date.now() + policy.restrictionDays * DAY_MS);
+  const current = patient.bookingRestriction?.until;
+  if (current && new Date(current) >= until) return null;
+
+  patient.bookingRestriction = {
+    until,
+    reason: `${count} missed appointments in the last ${policy.periodDays} days`,
+    appliedBy: "system",
+    appliedAt: new Date(),
+  };
+  await patient.save();
+
+  await createNotification({
+    userId: patient._id,
+    type: "booking_restricted",
+    title: "Booking temporarily restricted",
+    content: `You missed ${count} appointments in the last ${policy.periodDays} days, so new bookings are paused until ${until.toDateString()}.`,
+    meta: { until, count },
+  });
+
+  return until;
+};
@@ -0,0 +1,255 @@
+// utils/paymentGateway.js
+// Card payment adapters. Every gateway implements:
+//   createIntent({ amount, currency, paymentId, metadata })
+//     -> { intentId, clientSecret?, clientToken? }
+//   capture({ intentId, amount, currency, paymentId, paymentMethodNonce? })
+//     -> { status: "complete" | "requires_action" | "failed",
+//          transactionId?, failureReason? }
+//   refund({ intentId, transactionId, amount, currency, fullAmount, refundId })
+//     -> { status: "succeeded" | "pending" | "failed", gatewayRefundId?,
+//          failureReason? }
+//   getRefundStatus({ gatewayRefundId }) -> same shape as refund(), used to
+//     settle refunds the gateway reported as pending
+// Amounts are in major units (e.g. 25.50 USD).
+import { v4 as uuidv4 } from "uuid";
+
+export const PAYMENT_GATEWAYS = ["braintree", "stripe", "fake"];
+
+// Currencies Stripe expects without a minor unit
+const ZERO_DECIMAL_CURRENCIES = ["JPY", "KRW", "VND", "CLP", "PYG", "UGX", "XAF", "XOF"];
+
+const toMinorUnits = (amount, currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase())
+    ? Math.round(amount)
+    : Math.round(amount * 100);
+
+/**
+ * Braintree: the client gets a client token, collects a nonce with the
+ * Drop-in UI and we settle the sale on capture.
+ */
+const braintreeGateway = {
+  name: "braintree",
+
+  async createIntent() {
+    const { generateClientToken } = await import("./braintree.service.js");
+    const { clientToken } = await generateClientToken();
+    return { intentId: null, clientToken };
+  },
+
+  async capture({ amount, paymentId, paymentMethodNonce }) {
+    if (!paymentMethodNonce) {
+      return { status: "failed", failureReason: "paymentMethodNonce is required" };
+    }
+
+    const { gateway } = await import("./braintree.service.js");
+    const result = await gateway.transaction.sale({
+      amount: amount.toFixed(2),
+      paymentMethodNonce,
+      orderId: String(paymentId),
+      options: { submitForSettlement: true },
+    });
+
+    if (!result.success) {
+      return {
+        status: "failed",
+        transactionId: result.transaction?.id,
+        failureReason: result.message,
+      };
+    }
+    return { status: "complete", transactionId: result.transaction.id };
+  },
+
+  // Unsettled sales can only be voided, and only in full
+  async refund({ transactionId, amount, fullAmount }) {
+    const { gateway } = await import("./braintree.service.js");
+    const transaction = await gateway.transaction.find(transactionId);
+
+    const unsettled = ["authorized", "submitted_for_settlement"].includes(
+      transaction.status,
+    );
+    if (unsettled && amount < fullAmount) {
+      return {
+        status: "failed",
+        failureReason: "Partial refunds are only possible once the payment has settled",
+      };
+    }
+
+    const result = unsettled
+      ? await gateway.transaction.void(transactionId)
+      : await gateway.transaction.refund(transactionId, amount.toFixed(2));
+
+    if (!result.success) {
+      return { status: "failed", failureReason: result.message };
+    }
+    return { status: "succeeded", gatewayRefundId: result.transaction.id };
+  },
+
+  async getRefundStatus({ gatewayRefundId }) {
+    const { gateway } = await import("./braintree.service.js");
+    const transaction = await gateway.transaction.find(gatewayRefundId);
+
+    if (["settled", "settling", "submitted_for_settlement", "voided"].includes(transaction.status)) {
+      return { status: "succeeded", gatewayRefundId };
+    }
+    if (["failed", "processor_declined", "settlement_declined", "gateway_rejected"].includes(transaction.status)) {
+      return {
+        status: "failed",
+        gatewayRefundId,
+        failureReason: `Refund ${transaction.status}`,
+      };
+    }
+    return { status: "pending", gatewayRefundId };
+  },
+};
+
+let stripeClient = null;
+const getStripe = async () => {
+  if (!stripeClient) {
+    const { default: Stripe } = await import("stripe");
+    stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripeClient;
+};
+
+const fromStripeRefund = (refund) => {
+  if (refund.status === "succeeded") {
+    return { status: "succeeded", gatewayRefundId: refund.id };
+  }
+  if (["failed", "canceled"].includes(refund.status)) {
+    return {
+      status: "failed",
+      gatewayRefundId: refund.id,
+      failureReason: refund.failure_reason || `Refund ${refund.status}`,
+    };
+  }
+  return { status: "pending", gatewayRefundId: refund.id };
+};
+
+/**
+ * Stripe: a manual-capture PaymentIntent is confirmed by the client with
+ * its client secret; we capture it once it is authorised.
+ */
+const stripeGateway = {
+  name: "stripe",
+
+  async createIntent({ amount, currency, paymentId, metadata }) {
+    const stripe = await getStripe();
+    const intent = await stripe.paymentIntents.create(
+      {
+        amount: toMinorUnits(amount, currency),
+        currency: String(currency).toLowerCase(),
+        capture_method: "manual",
+        automatic_payment_methods: { enabled: true },
+        metadata: { paymentId: String(paymentId), ...metadata },
+      },
+      { idempotencyKey: `intent-${paymentId}` },
+    );
+    return { intentId: intent.id, clientSecret: intent.client_secret };
+  },
+
+  async capture({ intentId }) {
+    const stripe = await getStripe();
+    let intent = await stripe.paymentIntents.retrieve(intentId);
+
+    if (intent.status === "requires_capture") {
+      intent = await stripe.paymentIntents.capture(intentId);
+    }
+
+    if (intent.status === "succeeded") {
+      return { status: "complete", transactionId: intent.latest_charge || intent.id };
+    }
+    if (["requires_payment_method", "canceled"].includes(intent.status)) {
+      return {
+        status: "failed",
+        failureReason:
+          intent.last_payment_error?.message || `Payment ${intent.status}`,
+      };
+    }
+    return { status: "requires_action" };
+  },
+
+  async refund({ intentId, amount, currency, refundId }) {
+    const stripe = await getStripe();
+    const refund = await stripe.refunds.create(
+      { payment_intent: intentId, amount: toMinorUnits(amount, currency) },
+      { idempotencyKey: `refund-${refundId}` },
+    );
+    return fromStripeRefund(refund);
+  },
+
+  async getRefundStatus({ gatewayRefundId }) {
+    const stripe = await getStripe();
+    return fromStripeRefund(await stripe.refunds.retrieve(gatewayRefundId));
+  },
+};
+
+/**
+ * Local gateway for development and tests. No network calls.
+ * Nonces: "fake-valid-nonce" (default) succeeds, "fake-declined-nonce"
+ * fails, "fake-requires-action-nonce" needs another attempt.
+ */
+const fakeGateway = {
+  name: "fake",
+
+  async createIntent() {
+    const intentId = `fake_pi_${uuidv4()}`;
+    return { intentId, clientSecret: `${intentId}_secret` };
+  },
+
+  async capture({ intentId, paymentMethodNonce = "fake-valid-nonce" }) {
+    if (paymentMethodNonce === "fake-declined-nonce") {
+      return { status: "failed", failureReason: "Card declined" };
+    }
+    if (paymentMethodNonce === "fake-requires-action-nonce") {
+      return { status: "requires_action" };
+    }
+    return { status: "complete", transactionId: `fake_ch_${intentId.slice(8)}` };
+  },
+
+  async refund({ refundId }) {
+    return { status: "succeeded", gatewayRefundId: `fake_re_${refundId}` };
+  },
+
+  async getRefundStatus({ gatewayRefundId }) {
+    return { status: "succeeded", gatewayRefundId };
+  },
+};
+
+const ADAPTERS = {
+  braintree: braintreeGateway,
+  stripe: stripeGateway,
+  fake: fakeGateway,
+};
+
+// Environments where the fake gateway may be used
+const FAKE_GATEWAY_ENVS = ["development", "test"];
+
+/**
+ * Gateway by name (default PAYMENT_GATEWAY). There is no fallback: a
+ * missing or unknown name throws, and the fake gateway only works when
+ * NODE_ENV is development or test.
+ */
+export const getPaymentGateway = (name = process.env.PAYMENT_GATEWAY) => {
+  if (!name) throw new Error("PAYMENT_GATEWAY is not set");
+  const key = String(name).toLowerCase();
+
+  const adapter = ADAPTERS[key];
+  if (!adapter || (key === "fake" && !FAKE_GATEWAY_ENVS.includes(process.env.NODE_ENV))) {
+    throw new Error(`Payment gateway "${key}" is not available`);
+  }
+  return adapter;
+};
+
+/**
+ * Startup check: warn when PAYMENT_GATEWAY is missing or not allowed here.
+ * Screenshot payments keep working; online payments fail until it is set.
+ */
+export const checkPaymentGatewayConfig = () => {
+  try {
+    getPaymentGateway();
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ Online payments are disabled: ${error.message}`);
+    return false;
+  }
+};
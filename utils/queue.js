@@ -0,0 +1,112 @@
+// utils/queue.js
+import { DailyQueue } from "../model/dailyQueue.model.js";
+import { QueueEntry } from "../model/queueEntry.model.js";
+import { createNotification } from "./notify.js";
+import { io } from "../server.js";
+
+/**
+ * Average minutes per patient today (called -> served), falling back to
+ * the queue's configured estimate
+ */
+export const getAvgServiceMinutes = async (queue) => {
+  const served = await QueueEntry.find({
+    queue: queue._id,
+    status: "served",
+    calledAt: { $ne: null },
+    servedAt: { $ne: null },
+  })
+    .select("calledAt servedAt")
+    .lean();
+
+  if (!served.length) return queue.avgServiceMinutes;
+
+  const totalMs = served.reduce(
+    (sum, e) => sum + (new Date(e.servedAt) - new Date(e.calledAt)),
+    0,
+  );
+  return Math.max(Math.round(totalMs / served.length / 60000), 1);
+};
+
+/**
+ * Waiting entries in token order with position and estimated wait
+ */
+export const getQueueSnapshot = async (queue) => {
+  const [waiting, serving, avgMinutes] = await Promise.all([
+    QueueEntry.find({ queue: queue._id, status: "waiting" })
+      .sort({ tokenNumber: 1 })
+      .lean(),
+    QueueEntry.exists({ queue: queue._id, status: "serving" }),
+    getAvgServiceMinutes(queue),
+  ]);
+
+  const entries = waiting.map((entry, i) => {
+    const ahead = i + (serving ? 1 : 0);
+    return {
+      ...entry,
+      position: i + 1,
+      estimatedWaitMinutes: ahead * avgMinutes,
+    };
+  });
+
+  return {
+    nowServing: queue.nowServing,
+    isOpen: queue.isOpen,
+    waitingCount: entries.length,
+    avgServiceMinutes: avgMinutes,
+    entries,
+  };
+};
+
+/**
+ * Push live position / ETA to every waiting patient's user room and to the
+ * doctor; the patient at the front gets a one-time "you're next" push.
+ * Best-effort: never fails the queue action that triggered it.
+ */
+export const broadcastQueueUpdate = async (queueId) => {
+  try {
+    const queue = await DailyQueue.findById(queueId).populate("doctor", "fullName");
+    if (!queue) return;
+
+    const snapshot = await getQueueSnapshot(queue);
+
+    for (const entry of snapshot.entries) {
+      io.to(String(entry.patient)).emit("queue_update", {
+        queueId: queue._id,
+        doctorId: queue.doctor._id,
+        entryId: entry._id,
+        tokenNumber: entry.tokenNumber,
+        nowServing: snapshot.nowServing,
+        position: entry.position,
+        estimatedWaitMinutes: entry.estimatedWaitMinutes,
+      });
+
+      if (entry.position === 1 && !entry.nextNotifiedAt) {
+        await QueueEntry.updateOne(
+          { _id: entry._id },
+          { $set: { nextNotifiedAt: new Date() } },
+        );
+        await createNotification({
+          userId: entry.patient,
+          fromUserId: queue.doctor._id,
+          type: "queue_next",
+          title: "You're next!",
+          content: `Token #${entry.tokenNumber}: Dr. ${queue.doctor.fullName} will see you next. Please be ready.`,
+          meta: {
+            queueId: queue._id,
+            entryId: entry._id,
+            tokenNumber: entry.tokenNumber,
+          },
+        });
+      }
+    }
+
+    io.to(String(queue.doctor._id)).emit("queue_update", {
+      queueId: queue._id,
+      nowServing: snapshot.nowServing,
+      waitingCount: snapshot.waitingCount,
+      avgServiceMinutes: snapshot.avgServiceMinutes,
+    });
+  } catch (error) {
+    console.error("❌ Failed to broadcast queue update:", error.message);
+  }
+};
@@ -0,0 +1,287 @@
+// utils/refunds.js
+import httpStatus from "http-status";
+import AppError from "../errors/AppError.js";
+import { paymentInfo } from "../model/payment.model.js";
+import { Appointment } from "../model/appointment.model.js";
+import { getPaymentGateway } from "./paymentGateway.js";
+import { getAppointmentFee, hasVerifiedPaymentProof } from "./followUp.js";
+import { createNotification } from "./notify.js";
+import { postRefundLedger } from "./ledger.js";
+import { registerJobHandler, scheduleJob } from "./jobRunner.js";
+import { io } from "../server.js";
+
+export const REFUND_STATUS_JOB = "refund_status_check";
+
+// Pending gateway refunds are re-checked after 30 min, doubling up to a
+// day between checks, for about two weeks
+const REFUND_CHECK_MINUTES = 30;
+const MAX_REFUND_CHECK_MINUTES = 24 * 60;
+const MAX_REFUND_CHECKS = 18;
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+
+// Amount still refundable: captured price minus refunds not failed
+export const getRefundableAmount = (payment) =>
+  roundMoney(
+    payment.price -
+    payment.refunds
+      .filter((r) => r.status !== "failed")
+      .reduce((sum, r) => sum + r.amount, 0),
+  );
+
+const syncRefundTotals = (payment) => {
+  payment.refundedAmount = roundMoney(
+    payment.refunds
+      .filter((r) => r.status === "succeeded")
+      .reduce((sum, r) => sum + r.amount, 0),
+  );
+  payment.refundStatus =
+    payment.refundedAmount <= 0
+      ? "none"
+      : payment.refundedAmount >= payment.price
+        ? "full"
+        : "partial";
+};
+
+const notifyPatient = async (payment, refund, appointmentId) => {
+  const type = refund.status === "succeeded" ? "refund_issued" : "refund_processing";
+  const payload = {
+    userId: payment.userId,
+    type,
+    title: refund.status === "succeeded" ? "Refund issued" : "Refund on its way",
+    content:
+      refund.status === "succeeded"
+        ? `${refund.amount} ${refund.currency} has been refunded to you.`
+        : `A refund of ${refund.amount} ${refund.currency} is being processed.`,
+    appointmentId,
+    meta: {
+      paymentId: payment._id,
+      refundId: refund._id,
+      amount: refund.amount,
+      currency: refund.currency,
+      kind: refund.kind,
+    },
+  };
+  await createNotification(payload);
+  io.to(String(payment.userId)).emit(type, payload);
+};
+
+/**
+ * Payment record of an appointment. Visits paid by bank transfer get a
+ * "manual" record on first use so their refunds are tracked the same way,
+ * but only once the screenshot was verified. Returns null when nothing
+ * was provably paid.
+ */
+export const getAppointmentPayment = async (appointment, doctor) => {
+  const existing = await paymentInfo.findOne({
+    appointment: appointment._id,
+    type: "appointment",
+    paymentStatus: "complete",
+  });
+  if (existing) return existing;
+
+  if (appointment.appointmentType !== "video" || !hasVerifiedPaymentProof(appointment)) {
+    return null;
+  }
+
+  const fee = getAppointmentFee(appointment, doctor);
+  if (!(fee.amount > 0)) return null;
+
+  // Older series occurrences share one screenshot: it pays one visit only
+  const sharedWith = await Appointment.find({
+    _id: { $ne: appointment._id },
+    "paymentScreenshot.public_id": appointment.paymentScreenshot.public_id,
+  }).distinct("_id");
+  if (
+    sharedWith.length &&
+    (await paymentInfo.exists({ appointment: { $in: sharedWith }, gateway: "manual" }))
+  ) {
+    return null;
+  }
+
+  return paymentInfo.create({
+    userId: appointment.patient?._id || appointment.patient,
+    doctor: doctor?._id || appointment.doctor,
+    appointment: appointment._id,
+    type: "appointment",
+    gateway: "manual",
+    paymentMethod: "bank_transfer",
+    price: fee.amount,
+    currency: fee.currency,
+    paymentStatus: "complete",
+    capturedAt: appointment.createdAt,
+  });
+};
+
+const scheduleRefundCheck = (payment, refund, checks = 0) =>
+  scheduleJob({
+    type: REFUND_STATUS_JOB,
+    key: `${REFUND_STATUS_JOB}:${refund._id}`,
+    runAt: new Date(
+      Date.now() +
+      Math.min(REFUND_CHECK_MINUTES * 2 ** checks, MAX_REFUND_CHECK_MINUTES) * 60 * 1000,
+    ),
+    payload: { paymentId: String(payment._id), refundId: String(refund._id), checks },
+  });
+
+/**
+ * Refund `amount` of a payment. Gateway payments are refunded through
+ * their adapter; manual ones are recorded as pending until an admin
+ * confirms the transfer. The patient is notified unless it failed.
+ */
+export const issueRefund = async ({
+  payment,
+  amount,
+  kind,
+  reason,
+  user,
+  appointmentId,
+}) => {
+  const value = roundMoney(Number(amount));
+  if (!(value > 0)) {
+    throw new AppError(httpStatus.BAD_REQUEST, "Refund amount must be positive");
+  }
+  const refundable = getRefundableAmount(payment);
+  if (value > refundable) {
+    throw new AppError(
+      httpStatus.BAD_REQUEST,
+      `At most ${refundable} ${payment.currency} can still be refunded`,
+    );
+  }
+
+  const manual = payment.gateway === "manual";
+  payment.refunds.push({
+    amount: value,
+    currency: payment.currency,
+    kind,
+    method: manual ? "manual" : "gateway",
+    reason,
+    issuedBy: user?._id || null,
+    issuedByRole: user?.role || "system",
+  });
+  const refund = payment.refunds[payment.refunds.length - 1];
+  // Saved before calling the gateway so a crash can't lose a sent refund
+  await payment.save();
+
+  if (!manual) {
+    try {
+      const result = await getPaymentGateway(payment.gateway).refund({
+        intentId: payment.intentId,
+        transactionId: payment.transactionId,
+        amount: value,
+        currency: payment.currency,
+        fullAmount: payment.price,
+        refundId: refund._id,
+      });
+      refund.status = result.status;
+      refund.gatewayRefundId = result.gatewayRefundId;
+      refund.failureReason = result.failureReason;
+    } catch (error) {
+      refund.status = "failed";
+      refund.failureReason = error.message;
+    }
+    if (refund.status !== "pending") refund.processedAt = new Date();
+  }
+
+  syncRefundTotals(payment);
+  await payment.save();
+  await postRefundLedger(payment, refund);
+  // The gateway settles it later: poll until it succeeds or fails
+  if (!manual && refund.status === "pending") {
+    await scheduleRefundCheck(payment, refund);
+  }
+
+  if (refund.status !== "failed") {
+    await notifyPatient(payment, refund, appointmentId || payment.appointment);
+  }
+  return { payment, refund };
+};
+
+/**
+ * Admin: settle a manual refund (money sent back by hand) or mark it failed
+ */
+export const completeManualRefund = async ({ payment, refund, status, reference }) => {
+  refund.status = status;
+  refund.reference = reference || refund.reference;
+  refund.processedAt = new Date();
+  syncRefundTotals(payment);
+  await payment.save();
+  await postRefundLedger(payment, refund);
+
+  if (status === "succeeded") {
+    await notifyPatient(payment, refund, payment.appointment);
+  }
+  return { payment, refund };
+};
+
+/**
+ * Refund what the cancellation policy allows for a just-cancelled
+ * appointment (appointment.cancellation.refundDue). Never throws: a
+ * refund problem must not undo the cancellation.
+ */
+export const refundCancelledAppointment = async (appointment, user) => {
+  const refundDue = appointment.cancellation?.refundDue || 0;
+  if (!(refundDue > 0)) return null;
+
+  try {
+    const payment = await getAppointmentPayment(appointment, appointment.doctor);
+    if (!payment) return null;
+
+    const amount = Math.min(refundDue, getRefundableAmount(payment));
+    if (!(amount > 0)) return null;
+
+    const { refund } = await issueRefund({
+      payment,
+      amount,
+      kind: "cancellation",
+      reason: appointment.cancellation.reasonLabel || appointment.cancellation.reasonCode,
+      user,
+      appointmentId: appointment._id,
+    });
+    return refund;
+  } catch (error) {
+    console.error("❌ Cancellation refund failed:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Job: ask the gateway about a refund it reported as pending and settle
+ * it. Still pending -> check again later (gives up after MAX_REFUND_CHECKS,
+ * leaving it pending for an admin to follow up).
+ */
+const checkPendingRefund = async (job) => {
+  const { paymentId, refundId, checks = 0 } = job.payload;
+
+  const payment = await paymentInfo.findById(paymentId);
+  const refund = payment?.refunds.id(refundId);
+  if (!refund || refund.method !== "gateway" || refund.status !== "pending") return;
+
+  const result = await getPaymentGateway(payment.gateway).getRefundStatus({
+    gatewayRefundId: refund.gatewayRefundId,
+  });
+
+  if (result.status === "pending") {
+    if (checks + 1 < MAX_REFUND_CHECKS) {
+      await scheduleRefundCheck(payment, refund, checks + 1);
+    } else {
+      console.error(`❌ Refund ${refund._id} still pending at the gateway, giving up`);
+    }
+    return;
+  }
+
+  refund.status = result.status;
+  refund.failureReason = result.failureReason;
+  refund.processedAt = new Date();
+  syncRefundTotals(payment);
+  await payment.save();
+  await postRefundLedger(payment, refund);
+
+  if (refund.status === "succeeded") {
+    await notifyPatient(payment, refund, payment.appointment);
+  }
+};
+
+export const registerRefundJobs = () => {
+  registerJobHandler(REFUND_STATUS_JOB, checkPendingRefund);
+};
@@ -0,0 +1,99 @@
+// utils/slotReservation.js
+import httpStatus from "http-status";
+import AppError from "../errors/AppError.js";
+import { SlotReservation } from "../model/slotReservation.model.js";
+import { formatCalendarDate } from "./timezone.js";
+
+export const SLOT_HOLD_MINUTES = Number(process.env.SLOT_HOLD_MINUTES) || 10;
+
+export const buildSlotKey = (doctorId, date, time) =>
+  `${doctorId}:${formatCalendarDate(date)}:${time}`;
+
+/**
+ * Atomically claim a doctor slot. The unique slotKey index guarantees only
+ * one concurrent caller wins; everyone else gets a 409.
+ *  - hold: { status: "held" } expires after SLOT_HOLD_MINUTES
+ *  - booking: { status: "booked", appointmentId }
+ */
+export const acquireSlot = async ({
+  doctorId,
+  patientId,
+  date,
+  time,
+  status = "held",
+  appointmentId = null,
+}) => {
+  const slotKey = buildSlotKey(doctorId, date, time);
+
+  // TTL cleanup runs about once a minute, so clear a lapsed hold ourselves
+  await SlotReservation.deleteOne({
+    slotKey,
+    status: "held",
+    expiresAt: { $lte: new Date() },
+  });
+
+  try {
+    return await SlotReservation.create({
+      doctor: doctorId,
+      patient: patientId,
+      appointmentDate: date,
+      time,
+      slotKey,
+      status,
+      appointment: appointmentId,
+      expiresAt:
+        status === "held"
+          ? new Date(Date.now() + SLOT_HOLD_MINUTES * 60 * 1000)
+          : null,
+    });
+  } catch (error) {
+    if (error?.code === 11000) {
+      throw new AppError(
+        httpStatus.CONFLICT,
+        "This time slot is already booked for this doctor",
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * The patient's live hold for a slot, or null
+ */
+export const findActiveHold = ({ reservationId, patientId }) =>
+  SlotReservation.findOne({
+    _id: reservationId,
+    patient: patientId,
+    status: "held",
+    expiresAt: { $gt: new Date() },
+  });
+
+/**
+ * Turn a hold into the permanent reservation of an appointment. A hold
+ * that lapsed meanwhile may already belong to someone else: 409.
+ */
+export const confirmSlot = async (reservation, appointmentId) => {
+  const result = await SlotReservation.updateOne(
+    { _id: reservation._id, status: "held", expiresAt: { $gt: new Date() } },
+    { $set: { status: "booked", appointment: appointmentId, expiresAt: null } },
+  );
+  if (result.matchedCount !== 1) {
+    throw new AppError(
+      httpStatus.CONFLICT,
+      "Your hold on this time slot expired, please pick the slot again",
+    );
+  }
+};
+
+export const releaseSlot = (reservationId) =>
+  SlotReservation.deleteOne({ _id: reservationId });
+
+/**
+ * Free the slot(s) held by an appointment, optionally keeping one key
+ * (used when an appointment moves to a new slot)
+ */
+export const releaseAppointmentSlots = (appointmentId, { exceptKey } = {}) => {
+  const filter = { appointment: appointmentId };
+  if (exceptKey) filter.slotKey = { $ne: exceptKey };
+  return SlotReservation.deleteMany(filter);
+};
@@ -0,0 +1,98 @@
+// utils/statementPdf.js
+import PDFDocument from "pdfkit";
+
+const TYPE_LABELS = {
+  fee_collected: "Fees collected",
+  commission: "Commission",
+  refund: "Refunds",
+  adjustment: "Adjustments",
+  payout: "Payouts",
+};
+
+const money = (amount, currency) => `${amount.toFixed(2)} ${currency}`;
+
+// Column x positions for the entry table
+const COLS = { date: 50, type: 120, memo: 210, amount: 400, balance: 475 };
+
+const row = (doc, cells, bold = false) => {
+  const y = doc.y;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  doc.text(cells.date, COLS.date, y, { width: 65 });
+  doc.text(cells.type, COLS.type, y, { width: 85 });
+  doc.text(cells.memo, COLS.memo, y, { width: 185 });
+  doc.text(cells.amount, COLS.amount, y, { width: 70, align: "right" });
+  doc.text(cells.balance, COLS.balance, y, { width: 70, align: "right" });
+  doc.x = COLS.date;
+  doc.moveDown(0.3);
+};
+
+/**
+ * Render a monthly settlement statement (see buildSettlementStatement)
+ * as a PDF buffer
+ */
+export const buildStatementPdf = (statement) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // Header
+    doc.font("Helvetica-Bold").fontSize(18).text("Settlement statement");
+    doc.font("Helvetica").fontSize(11);
+    doc.text(`Dr. ${statement.doctor.fullName}`);
+    doc.text(`Period: ${statement.month} (${statement.timezone})`);
+    doc.text(`Generated: ${statement.generatedAt.toISOString().slice(0, 10)}`);
+
+    if (!statement.currencies.length) {
+      doc.moveDown();
+      doc.text("No activity in this period.");
+    }
+
+    for (const section of statement.currencies) {
+      const { currency } = section;
+
+      doc.moveDown();
+      doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+      doc.moveDown(0.5);
+      doc.font("Helvetica-Bold").fontSize(13).text(currency);
+      doc.font("Helvetica").fontSize(11);
+      doc.text(`Opening balance: ${money(section.openingBalance, currency)}`);
+      for (const [type, total] of Object.entries(section.totals)) {
+        doc.text(`${TYPE_LABELS[type] || type}: ${money(total, currency)}`);
+      }
+      doc.font("Helvetica-Bold").text(
+        `Closing balance: ${money(section.closingBalance, currency)}`,
+      );
+
+      if (section.entries.length) {
+        doc.moveDown(0.8);
+        row(
+          doc,
+          { date: "Date", type: "Type", memo: "Memo", amount: "Amount", balance: "Balance" },
+          true,
+        );
+        for (const entry of section.entries) {
+          row(doc, {
+            date: new Date(entry.occurredAt).toISOString().slice(0, 10),
+            type: TYPE_LABELS[entry.type] || entry.type,
+            memo: entry.memo,
+            amount: entry.amount.toFixed(2),
+            balance: entry.balance.toFixed(2),
+          });
+        }
+      }
+    }
+
+    doc.moveDown(2);
+    doc
+      .fontSize(9)
+      .fillColor("gray")
+      .text(
+        "Amounts are what the platform owes you: positive entries add to your balance, negative entries reduce it.",
+        50,
+      );
+
+    doc.end();
+  });
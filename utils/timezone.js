@@ -0,0 +1,151 @@
+// utils/timezone.js
+//
+// Appointment dates are stored as calendar dates (UTC midnight of the
+// doctor's local day). Everything that needs a real instant or a
+// "today" goes through the doctor's IANA timezone via Intl.
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "UTC";
+
+const DAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isValidTimeZone = (tz) => {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const resolveTimeZone = (tz) =>
+  isValidTimeZone(tz) ? tz : DEFAULT_TIMEZONE;
+
+/**
+ * Wall-clock parts of an instant in the given timezone
+ */
+export const getZonedParts = (date, tz) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: resolveTimeZone(tz),
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  })
+    .formatToParts(date)
+    .reduce((acc, p) => {
+      acc[p.type] = p.value;
+      return acc;
+    }, {});
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+};
+
+// Offset (ms) of tz from UTC at the given instant
+const getOffsetMs = (date, tz) => {
+  const p = getZonedParts(date, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * "yyyy-mm-dd" or any parseable date -> calendar date (UTC midnight).
+ * Date-only strings are taken as-is; full timestamps are resolved to the
+ * day they fall on in `tz`.
+ */
+export const toCalendarDate = (input, tz) => {
+  if (!input) return null;
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(input).trim());
+  if (match) {
+    const [, y, m, d] = match.map(Number);
+    const dt = new Date(Date.UTC(y, m - 1, d));
+    if (dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+    return dt;
+  }
+
+  const dt = input instanceof Date ? input : new Date(input);
+  if (Number.isNaN(dt.getTime())) return null;
+
+  const p = getZonedParts(dt, tz);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day));
+};
+
+export const formatCalendarDate = (calendarDate) =>
+  new Date(calendarDate).toISOString().slice(0, 10);
+
+export const getCalendarWeekday = (calendarDate) =>
+  DAY_NAMES[new Date(calendarDate).getUTCDay()];
+
+export const addCalendarDays = (calendarDate, days) =>
+  new Date(new Date(calendarDate).getTime() + days * DAY_MS);
+
+/**
+ * Today's calendar date in the given timezone
+ */
+export const todayInZone = (tz) => toCalendarDate(new Date(), tz);
+
+/**
+ * Calendar date + "HH:MM" wall time in tz -> absolute instant
+ */
+export const zonedTimeToUtc = (calendarDate, time, tz) => {
+  const day = new Date(calendarDate);
+  const [h, m] = String(time || "00:00").split(":").map(Number);
+  const wallAsUtc = Date.UTC(
+    day.getUTCFullYear(),
+    day.getUTCMonth(),
+    day.getUTCDate(),
+    h,
+    m,
+  );
+
+  // Two passes so instants near a DST switch pick up the right offset
+  let instant = wallAsUtc - getOffsetMs(new Date(wallAsUtc), tz);
+  const corrected = wallAsUtc - getOffsetMs(new Date(instant), tz);
+  if (corrected !== instant) instant = corrected;
+
+  return new Date(instant);
+};
+
+/**
+ * Minutes since local midnight right now in tz
+ */
+export const nowMinutesInZone = (tz) => {
+  const p = getZonedParts(new Date(), tz);
+  return p.hour * 60 + p.minute;
+};
+
+/**
+ * Human-readable "Thu, Dec 4, 2025 at 10:30 (Asia/Dhaka)" for notifications
+ */
+export const formatAppointmentTime = (calendarDate, time, tz) => {
+  const dateText = new Intl.DateTimeFormat("en-US", {
+    timeZone: "UTC",
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  }).format(new Date(calendarDate));
+
+  return `${dateText} at ${time} (${resolveTimeZone(tz)})`;
+};
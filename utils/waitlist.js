@@ -0,0 +1,166 @@
+// utils/waitlist.js
+import { Waitlist } from "../model/waitlist.model.js";
+import { Appointment } from "../model/appointment.model.js";
+import { User } from "../model/user.model.js";
+import { createNotification } from "./notify.js";
+import { registerJobHandler, scheduleJob } from "./jobRunner.js";
+import {
+  formatAppointmentTime,
+  formatCalendarDate,
+  resolveTimeZone,
+  zonedTimeToUtc,
+} from "./timezone.js";
+import { io } from "../server.js";
+
+export const WAITLIST_OFFER_EXPIRY_JOB = "waitlist_offer_expiry";
+
+const OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+/**
+ * Active (unexpired) offer holding the doctor's date/time slot, if any
+ */
+export const findActiveOffer = ({ doctorId, date, time }) =>
+  Waitlist.findOne({
+    doctor: doctorId,
+    status: "offered",
+    "offer.date": date,
+    "offer.time": time,
+    "offer.expiresAt": { $gt: new Date() },
+  });
+
+/**
+ * Offer a freed slot to the first waiting patient whose date range
+ * covers it and whose preferred visit type (if any) matches the freed
+ * booking's. Returns the offered entry or null.
+ */
+export const offerFreedSlot = async ({
+  doctorId,
+  date,
+  time,
+  appointmentType = null,
+}) => {
+  try {
+    const doctor = await User.findById(doctorId).select("fullName timezone");
+    if (!doctor) return null;
+
+    const timezone = resolveTimeZone(doctor.timezone);
+    if (zonedTimeToUtc(date, time, timezone) <= new Date()) return null;
+
+    // Slot may already be re-booked or held by another offer
+    const [booked, held] = await Promise.all([
+      Appointment.exists({
+        doctor: doctorId,
+        appointmentDate: date,
+        time,
+        status: { $in: ["pending", "accepted"] },
+      }),
+      findActiveOffer({ doctorId, date, time }),
+    ]);
+    if (booked || held) return null;
+
+    const expiresAt = new Date(Date.now() + OFFER_MINUTES * 60 * 1000);
+
+    const entry = await Waitlist.findOneAndUpdate(
+      {
+        doctor: doctorId,
+        status: "waiting",
+        dateFrom: { $lte: date },
+        dateTo: { $gte: date },
+        ...(appointmentType
+          ? { appointmentType: { $in: [appointmentType, null] } }
+          : {}),
+      },
+      {
+        $set: {
+          status: "offered",
+          offer: { date, time, appointmentType, offeredAt: new Date(), expiresAt },
+        },
+      },
+      { sort: { createdAt: 1 }, new: true },
+    );
+    if (!entry) return null;
+
+    await scheduleJob({
+      type: WAITLIST_OFFER_EXPIRY_JOB,
+      key: `${WAITLIST_OFFER_EXPIRY_JOB}:${entry._id}`,
+      runAt: expiresAt,
+      payload: { entryId: String(entry._id) },
+    });
+
+    const notificationPayload = {
+      userId: entry.patient,
+      fromUserId: doctor._id,
+      type: "waitlist_offer",
+      title: "A slot just opened up",
+      content: `Dr. ${doctor.fullName} has an opening on ${formatAppointmentTime(date, time, timezone)}. Book it within ${OFFER_MINUTES} minutes to claim it.`,
+      meta: {
+        waitlistEntryId: entry._id,
+        doctorId: doctor._id,
+        date: formatCalendarDate(date),
+        time,
+        timezone,
+        appointmentType,
+        expiresAt,
+      },
+    };
+
+    await createNotification(notificationPayload);
+    io.to(String(entry.patient)).emit("waitlist_offer", notificationPayload);
+
+    return entry;
+  } catch (error) {
+    console.error("❌ Failed to offer freed slot:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Mark the patient's active offer for this slot as claimed
+ */
+export const claimOffer = (offer, appointmentId) =>
+  Waitlist.updateOne(
+    { _id: offer._id, status: "offered" },
+    { $set: { status: "claimed", appointment: appointmentId } },
+  );
+
+const expireOffer = async (job) => {
+  const entry = await Waitlist.findOneAndUpdate(
+    {
+      _id: job.payload?.entryId,
+      status: "offered",
+      "offer.expiresAt": { $lte: new Date() },
+    },
+    { $set: { status: "expired" } },
+    { new: true },
+  );
+  if (!entry) return;
+
+  await createNotification({
+    userId: entry.patient,
+    fromUserId: entry.doctor,
+    type: "waitlist_offer_expired",
+    title: "Waitlist offer expired",
+    content: "The slot offered to you was not booked in time and has been released.",
+    meta: { waitlistEntryId: entry._id },
+  });
+
+  // Pass the slot on to the next patient in line
+  const appointment = await Appointment.findOne({
+    doctor: entry.doctor,
+    appointmentDate: entry.offer.date,
+    time: entry.offer.time,
+    status: { $in: ["pending", "accepted"] },
+  });
+  if (!appointment) {
+    await offerFreedSlot({
+      doctorId: entry.doctor,
+      date: entry.offer.date,
+      time: entry.offer.time,
+      appointmentType: entry.offer.appointmentType,
+    });
+  }
+};
+
+export const registerWaitlistJobs = () => {
+  registerJobHandler(WAITLIST_OFFER_EXPIRY_JOB, expireOffer);
+};